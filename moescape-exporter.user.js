@@ -3,13 +3,17 @@
 // @namespace    Holly
 // @author       Holly
 // @collaborator Dagyr
-// @version      2.3.1
+// @version      2.4.0
 // @description  Preserve your Tavern conversations. Supports both Moescape and Yodayo.
 // @match        https://yodayo.com/*
 // @match        https://moescape.ai/*
 // @icon         https://www.google.com/s2/favicons?sz=64&domain=moescape.ai
 // @run-at       document-idle
-// @grant        none
+// @grant        GM_xmlhttpRequest
+// @grant        GM.xmlHttpRequest
+// @grant        unsafeWindow
+// @grant        window.onurlchange
+// @connect      characterphotos.yodayo.com
 // @license      MIT
 // ==/UserScript==
 
@@ -23,13 +27,22 @@
  * 4. Chat Manager Module - Chat-related functionality (ChatManager module)
  * 5. Theming & Styling - Color schemes and CSS styles
  * 6. Utility Functions - Reusable utility functions (Utils module)
- * 7. UI Components Module - UI creation functions (UIComponents module)
- * 8. Chat List UI - Modal and UI for displaying chat list
- * 9. Image Manager Module - Image-related functionality (ImageManager module)
- * 10. Conversation Retrieval - Functions to fetch conversation messages
- * 11. Export Manager Module - Export functionality (ExportManager module)
- * 12. Network Utilities - AJAX wrapper with retry logic (API module)
- * 13. Initialization - Event listeners and initial setup
+ * 7. Zip Writer Module - Store-only ZIP archive builder (ZipWriter module)
+ * 8. Image Metadata Module - Generation parameters in downloaded PNG/JPEG files (ImageMetadata module)
+ * 9. UI Components Module - UI creation functions (UIComponents module)
+ * 10. Chat List UI - Modal and UI for displaying chat list
+ * 11. Image Manager Module - Image-related functionality (ImageManager module)
+ * 12. Download Queue Module - Shared panel for download/export jobs with pause, retry and concurrency (DownloadQueue module)
+ * 13. Conversation Retrieval - Functions to fetch conversation messages
+ * 14. Export Manager Module - Export functionality (ExportManager module)
+ * 15. Archive Viewer Module - Offline reader for exported JSON/JSONL chats (ArchiveViewer module)
+ * 16. Chat Statistics Module - Message, word, activity and image statistics dashboard (ChatStats module)
+ * 17. Dataset Builder Module - Filtered, windowed train/validation JSONL from selected chats (DatasetBuilder module)
+ * 18. Redaction Module - Name, persona, rule and detector based anonymization of exports (Redactor module)
+ * 19. File Encryption Module - AES-GCM password encryption of export files and the decrypt tool (FileCrypto module)
+ * 20. Network Utilities - Queued promise API client with retries, cancellation and pagination (API module)
+ * 21. Injection Module - Route-aware injection points for the header button and chat menu (Injector module)
+ * 22. Initialization - Event listeners and initial setup
  */
 
 (function() {
@@ -68,6 +81,8 @@
     let allImagesForFiltering = [] // Store all images for filtering (set by showChatImages)
     let selectedImageUrls = new Set() // Track selected image URLs (for infinite scroll mode)
     let loadingCardCreatedTime = 0 // Track when loading card was created (to ensure minimum display time)
+    let galleryState = null // Chats and grouping of the open "All Images" gallery (see ImageManager.showAllImages)
+    let imageFilterState = null // Filter panel selection of the open image popup (see ImageManager.newImageFilterState)
 
     // Image viewer state
     let currentImageViewerIndex = 0
@@ -76,6 +91,195 @@
     // ============================================================================
     // CACHE SYSTEM
     // ============================================================================
+    // IndexedDB persistence behind chatCache so messages survive page reloads.
+    // Every method degrades to a no-op (callback with null) when IndexedDB is unavailable.
+    var PersistentCache = {
+        dbName: 'hollyExporterCache',
+        dbVersion: 3,
+        db: null,
+        opening: null, // callbacks waiting for the database to open
+
+        open: function(callback) {
+            if (PersistentCache.db) {
+                callback(PersistentCache.db)
+                return
+            }
+            if (PersistentCache.opening) {
+                PersistentCache.opening.push(callback)
+                return
+            }
+            if (!window.indexedDB) {
+                callback(null)
+                return
+            }
+            PersistentCache.opening = [callback]
+            var done = function(db) {
+                PersistentCache.db = db
+                var waiting = PersistentCache.opening
+                PersistentCache.opening = null
+                for (var w = 0; w < waiting.length; w++) waiting[w](db)
+            }
+            try {
+                var request = indexedDB.open(PersistentCache.dbName, PersistentCache.dbVersion)
+                request.onupgradeneeded = function(e) {
+                    var db = request.result
+                    // chats: { uuid, messages, watermark: { uuid, created_at, count }, savedAt }
+                    if (!db.objectStoreNames.contains('chats')) db.createObjectStore('chats', { keyPath: 'uuid' })
+                    // imageCounts: { uuid, count, timestamp }
+                    if (!db.objectStoreNames.contains('imageCounts')) db.createObjectStore('imageCounts', { keyPath: 'uuid' })
+                    // meta: { key, data, timestamp } (chat list)
+                    if (!db.objectStoreNames.contains('meta')) db.createObjectStore('meta', { keyPath: 'key' })
+                    // checkpoints: { uuid, offset, count, savedAt } (interrupted exports, see exportCheckpoints)
+                    if (!db.objectStoreNames.contains('checkpoints')) db.createObjectStore('checkpoints', { keyPath: 'uuid' })
+                    // checkpointChunks: { uuid, offset, messages }, one per fetched chunk of a checkpoint
+                    if (!db.objectStoreNames.contains('checkpointChunks')) {
+                        db.createObjectStore('checkpointChunks', { keyPath: ['uuid', 'offset'] })
+                        // Version 2 kept all messages in the checkpoint itself: move them into one chunk
+                        if (e.oldVersion >= 2) {
+                            var checkpoints = request.transaction.objectStore('checkpoints')
+                            var chunks = request.transaction.objectStore('checkpointChunks')
+                            checkpoints.openCursor().onsuccess = function(event) {
+                                var cursor = event.target.result
+                                if (!cursor) return
+                                var old = cursor.value
+                                if (Array.isArray(old.messages)) {
+                                    chunks.put({ uuid: old.uuid, offset: 0, messages: old.messages })
+                                    cursor.update({ uuid: old.uuid, offset: old.offset, count: old.messages.length, savedAt: old.savedAt })
+                                }
+                                cursor.continue()
+                            }
+                        }
+                    }
+                }
+                request.onsuccess = function() { done(request.result) }
+                request.onerror = function() {
+                    console.error('Error opening cache database', request.error)
+                    done(null)
+                }
+            } catch (e) {
+                console.error('Error opening cache database', e)
+                done(null)
+            }
+        },
+
+        get: function(storeName, key, callback) {
+            PersistentCache.open(function(db) {
+                if (!db) return callback(null)
+                try {
+                    var request = db.transaction(storeName, 'readonly').objectStore(storeName).get(key)
+                    request.onsuccess = function() { callback(request.result || null) }
+                    request.onerror = function() { callback(null) }
+                } catch (e) {
+                    console.error('Error reading cache', e)
+                    callback(null)
+                }
+            })
+        },
+
+        getAll: function(storeName, callback) {
+            PersistentCache.open(function(db) {
+                if (!db) return callback([])
+                try {
+                    var request = db.transaction(storeName, 'readonly').objectStore(storeName).getAll()
+                    request.onsuccess = function() { callback(request.result || []) }
+                    request.onerror = function() { callback([]) }
+                } catch (e) {
+                    console.error('Error reading cache', e)
+                    callback([])
+                }
+            })
+        },
+
+        getAllKeys: function(storeName, callback) {
+            PersistentCache.open(function(db) {
+                if (!db) return callback([])
+                try {
+                    var request = db.transaction(storeName, 'readonly').objectStore(storeName).getAllKeys()
+                    request.onsuccess = function() { callback(request.result || []) }
+                    request.onerror = function() { callback([]) }
+                } catch (e) {
+                    console.error('Error reading cache', e)
+                    callback([])
+                }
+            })
+        },
+
+        put: function(storeName, value, callback) {
+            PersistentCache.open(function(db) {
+                if (!db) return callback && callback(false)
+                try {
+                    var tx = db.transaction(storeName, 'readwrite')
+                    tx.objectStore(storeName).put(value)
+                    tx.oncomplete = function() { if (callback) callback(true) }
+                    tx.onerror = function() {
+                        console.error('Error writing cache', tx.error)
+                        if (callback) callback(false)
+                    }
+                } catch (e) {
+                    console.error('Error writing cache', e)
+                    if (callback) callback(false)
+                }
+            })
+        },
+
+        remove: function(storeName, key, callback) {
+            PersistentCache.open(function(db) {
+                if (!db) return callback && callback(false)
+                try {
+                    var tx = db.transaction(storeName, 'readwrite')
+                    tx.objectStore(storeName).delete(key)
+                    tx.oncomplete = function() { if (callback) callback(true) }
+                    tx.onerror = function() { if (callback) callback(false) }
+                } catch (e) {
+                    console.error('Error writing cache', e)
+                    if (callback) callback(false)
+                }
+            })
+        },
+
+        clear: function(callback) {
+            PersistentCache.open(function(db) {
+                if (!db) return callback && callback(false)
+                try {
+                    var tx = db.transaction(['chats', 'imageCounts', 'meta', 'checkpoints', 'checkpointChunks'], 'readwrite')
+                    tx.objectStore('chats').clear()
+                    tx.objectStore('imageCounts').clear()
+                    tx.objectStore('meta').clear()
+                    tx.objectStore('checkpoints').clear()
+                    tx.objectStore('checkpointChunks').clear()
+                    tx.oncomplete = function() { if (callback) callback(true) }
+                    tx.onerror = function() { if (callback) callback(false) }
+                } catch (e) {
+                    console.error('Error clearing cache', e)
+                    if (callback) callback(false)
+                }
+            })
+        },
+
+        // Approximate size of the stored chats (JSON length of each record)
+        getStats: function(callback) {
+            PersistentCache.open(function(db) {
+                var stats = { chats: 0, messages: 0, bytes: 0 }
+                if (!db) return callback(stats)
+                try {
+                    var request = db.transaction('chats', 'readonly').objectStore('chats').openCursor()
+                    request.onsuccess = function() {
+                        var cursor = request.result
+                        if (!cursor) return callback(stats)
+                        stats.chats++
+                        stats.messages += (cursor.value.messages || []).length
+                        stats.bytes += JSON.stringify(cursor.value).length
+                        cursor.continue()
+                    }
+                    request.onerror = function() { callback(stats) }
+                } catch (e) {
+                    console.error('Error reading cache', e)
+                    callback(stats)
+                }
+            })
+        }
+    }
+
     const chatCache = {
         // Cache for chat lists
         chatList: {
@@ -110,6 +314,7 @@
                 timestamp: Date.now(),
                 ttl: 5 * 60 * 1000
             }
+            PersistentCache.put('meta', { key: 'chatList', data: data, timestamp: this.chatList.timestamp })
         },
 
         // Get cached messages for a chat
@@ -121,13 +326,53 @@
             return null
         },
 
-        // Set cached messages for a chat
+        // Set cached messages for a chat (also persisted with a "last message seen" watermark)
         setChatMessages: function(uuid, data) {
             this.chatMessages[uuid] = {
                 data: data,
                 timestamp: Date.now(),
                 ttl: 10 * 60 * 1000 // 10 minutes for individual chats
             }
+            PersistentCache.put('chats', {
+                uuid: uuid,
+                messages: data,
+                watermark: this.getWatermark(data),
+                savedAt: Date.now()
+            })
+            MessageSearch.indexChat(uuid, data)
+        },
+
+        // Newest message in a list: { uuid, created_at, count }
+        getWatermark: function(messages) {
+            var newest = null
+            for (var i = 0; i < messages.length; i++) {
+                if (!newest || new Date(messages[i].created_at) > new Date(newest.created_at)) {
+                    newest = messages[i]
+                }
+            }
+            return {
+                uuid: newest ? newest.uuid : null,
+                created_at: newest ? newest.created_at : null,
+                count: messages.length
+            }
+        },
+
+        // Load a chat from memory or IndexedDB: callback({ messages, watermark, fresh }) or callback(null).
+        // fresh = true when the in-memory copy is still within its TTL and needs no refresh.
+        loadChatMessages: function(uuid, callback) {
+            var self = this
+            var cached = this.getChatMessages(uuid)
+            if (cached) {
+                callback({ messages: cached, watermark: this.getWatermark(cached), fresh: true })
+                return
+            }
+            PersistentCache.get('chats', uuid, function(record) {
+                if (!record || !Array.isArray(record.messages)) {
+                    callback(null)
+                    return
+                }
+                callback({ messages: record.messages, watermark: record.watermark || self.getWatermark(record.messages), fresh: false })
+            })
         },
 
         // Get cached image count
@@ -146,19 +391,473 @@
                 timestamp: Date.now(),
                 ttl: 30 * 60 * 1000 // 30 minutes for image counts (less likely to change)
             }
+            PersistentCache.put('imageCounts', { uuid: uuid, count: count, timestamp: this.imageCounts[uuid].timestamp })
+        },
+
+        // Restore the chat list and image counts from IndexedDB (TTLs still apply to their saved timestamps)
+        init: function(callback) {
+            var self = this
+            PersistentCache.get('meta', 'chatList', function(record) {
+                if (record && record.data && !self.chatList.data) {
+                    self.chatList = { data: record.data, timestamp: record.timestamp, ttl: 5 * 60 * 1000 }
+                }
+                PersistentCache.getAll('imageCounts', function(counts) {
+                    for (var i = 0; i < counts.length; i++) {
+                        if (!self.imageCounts[counts[i].uuid]) {
+                            self.imageCounts[counts[i].uuid] = { data: counts[i].count, timestamp: counts[i].timestamp, ttl: 30 * 60 * 1000 }
+                        }
+                    }
+                    if (callback) callback()
+                })
+            })
         },
 
-        // Clear all cache
-        clear: function() {
+        // Clear all cache (memory and IndexedDB)
+        clear: function(callback) {
             this.chatList = { data: null, timestamp: null, ttl: 5 * 60 * 1000 }
             this.chatMessages = {}
             this.imageCounts = {}
+            MessageSearch.reset()
+            PersistentCache.clear(callback)
         },
 
         // Clear cache for a specific chat
         clearChat: function(uuid) {
             delete this.chatMessages[uuid]
             delete this.imageCounts[uuid]
+            PersistentCache.remove('chats', uuid)
+            PersistentCache.remove('imageCounts', uuid)
+            MessageSearch.removeChat(uuid)
+        }
+    }
+
+    // Progress of exports that may not finish in one go. retrieveConversationChunk saves every full chunk as it
+    // arrives, so a reload or a dropped connection costs at most one chunk; a bulk export also keeps its chat list.
+    // The chat list offers "Resume export" for whatever is left here.
+    // Each chunk is its own record in checkpointChunks, so a save only writes the new chunk however long the chat is.
+    const exportCheckpoints = {
+        BULK_KEY: 'bulkExport',
+
+        chunkRange: function(uuid) {
+            return IDBKeyRange.bound([uuid, -Infinity], [uuid, Infinity])
+        },
+
+        // One fetched chunk starting at offset; count is how many messages the export has collected with it
+        saveChunk: function(uuid, offset, messages, count) {
+            PersistentCache.open(function(db) {
+                if (!db) return
+                try {
+                    var tx = db.transaction(['checkpoints', 'checkpointChunks'], 'readwrite')
+                    tx.objectStore('checkpointChunks').put({ uuid: uuid, offset: offset, messages: messages })
+                    tx.objectStore('checkpoints').put({ uuid: uuid, offset: offset + messages.length, count: count, savedAt: Date.now() })
+                    tx.onerror = function() { console.error('Error writing cache', tx.error) }
+                } catch (e) {
+                    console.error('Error writing cache', e)
+                }
+            })
+        },
+
+        // callback({ uuid, offset, count, savedAt, messages } or null); messages [0, offset) put back together
+        // from the chunks, oldest first
+        load: function(uuid, callback) {
+            var self = this
+            PersistentCache.get('checkpoints', uuid, function(record) {
+                if (!record) return callback(null)
+                PersistentCache.open(function(db) {
+                    if (!db) return callback(null)
+                    try {
+                        var request = db.transaction('checkpointChunks', 'readonly').objectStore('checkpointChunks').getAll(self.chunkRange(uuid))
+                        request.onsuccess = function() {
+                            var chunks = request.result || []
+                            if (chunks.length === 0) return callback(null)
+                            record.messages = []
+                            chunks.forEach(function(chunk) { record.messages = record.messages.concat(chunk.messages) })
+                            callback(record)
+                        }
+                        request.onerror = function() { callback(null) }
+                    } catch (e) {
+                        console.error('Error reading cache', e)
+                        callback(null)
+                    }
+                })
+            })
+        },
+
+        remove: function(uuid) {
+            var self = this
+            PersistentCache.open(function(db) {
+                if (!db) return
+                try {
+                    var tx = db.transaction(['checkpoints', 'checkpointChunks'], 'readwrite')
+                    tx.objectStore('checkpoints').delete(uuid)
+                    tx.objectStore('checkpointChunks').delete(self.chunkRange(uuid))
+                } catch (e) {
+                    console.error('Error writing cache', e)
+                }
+            })
+        },
+
+        // state: { chats, format, changedOnly }
+        saveBulk: function(state) {
+            PersistentCache.put('meta', { key: this.BULK_KEY, chats: state.chats, format: state.format, changedOnly: state.changedOnly, savedAt: Date.now() })
+        },
+
+        removeBulk: function() {
+            PersistentCache.remove('meta', this.BULK_KEY)
+        },
+
+        // callback(bulk or null, checkpoints of chats outside that bulk export)
+        pending: function(callback) {
+            PersistentCache.get('meta', this.BULK_KEY, function(bulk) {
+                if (bulk && !Array.isArray(bulk.chats)) bulk = null
+                PersistentCache.getAll('checkpoints', function(checkpoints) {
+                    var inBulk = {}
+                    if (bulk) bulk.chats.forEach(function(chat) { inBulk[chat.uuid] = true })
+                    callback(bulk, checkpoints.filter(function(checkpoint) { return !inBulk[checkpoint.uuid] }))
+                })
+            })
+        }
+    }
+
+    // ============================================================================
+    // MESSAGE SEARCH
+    // ============================================================================
+    // Inverted index over the text of cached messages, for the "search messages" mode of the chat list.
+    // The index only holds ids; snippet text is read back from chatCache when results are shown.
+    var MessageSearch = {
+        tokens: new Map(), // token -> ascending doc ids
+        docs: [], // doc id -> { chat, message, created_at, time }, null once its chat is reindexed or removed
+        chats: {}, // chat uuid -> doc ids
+        deadDocs: 0, // null slots in docs, still listed in the postings until compact()
+        built: false,
+        building: false,
+        buildCallbacks: [],
+        onBuildProgress: null,
+        resultLimit: 100,
+
+        tokenize: function(text) {
+            return (text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(function(word) {
+                return word.length > 1
+            })
+        },
+
+        // (Re)index one chat; called by chatCache.setChatMessages
+        indexChat: function(uuid, messages) {
+            this.removeChat(uuid)
+            var ids = []
+            for (var i = 0; i < messages.length; i++) {
+                var text = messages[i].message
+                if (!text) continue
+                var id = this.docs.length
+                this.docs.push({ chat: uuid, message: messages[i].uuid, created_at: messages[i].created_at, time: Date.parse(messages[i].created_at) || 0 })
+                ids.push(id)
+                var seen = Object.create(null)
+                var words = this.tokenize(text)
+                for (var w = 0; w < words.length; w++) {
+                    if (seen[words[w]]) continue
+                    seen[words[w]] = true
+                    var postings = this.tokens.get(words[w])
+                    if (!postings) {
+                        postings = []
+                        this.tokens.set(words[w], postings)
+                    }
+                    postings.push(id)
+                }
+            }
+            this.chats[uuid] = ids
+        },
+
+        // Old ids stay in the postings and are skipped at search time, until they are a quarter of all docs
+        removeChat: function(uuid) {
+            var ids = this.chats[uuid]
+            if (!ids) return
+            for (var i = 0; i < ids.length; i++) {
+                this.docs[ids[i]] = null
+            }
+            this.deadDocs += ids.length
+            delete this.chats[uuid]
+            if (this.deadDocs > 1000 && this.deadDocs > this.docs.length / 4) this.compact()
+        },
+
+        // Renumber the live docs and drop removed ids from every postings list (order is kept, so lists stay ascending)
+        compact: function() {
+            var newIds = new Int32Array(this.docs.length).fill(-1)
+            var docs = []
+            for (var i = 0; i < this.docs.length; i++) {
+                if (!this.docs[i]) continue
+                newIds[i] = docs.length
+                docs.push(this.docs[i])
+            }
+            var tokens = new Map()
+            this.tokens.forEach(function(postings, token) {
+                var kept = []
+                for (var p = 0; p < postings.length; p++) {
+                    if (newIds[postings[p]] !== -1) kept.push(newIds[postings[p]])
+                }
+                if (kept.length > 0) tokens.set(token, kept)
+            })
+            for (var uuid in this.chats) {
+                this.chats[uuid] = this.chats[uuid].map(function(id) { return newIds[id] })
+            }
+            this.docs = docs
+            this.tokens = tokens
+            this.deadDocs = 0
+        },
+
+        reset: function() {
+            this.tokens = new Map()
+            this.docs = []
+            this.chats = {}
+            this.deadDocs = 0
+            this.built = false
+        },
+
+        getChatCount: function() {
+            return Object.keys(this.chats).length
+        },
+
+        // Index every chat stored in IndexedDB, one chat per tick so the page stays responsive.
+        // onProgress(done, total) is optional; callback() runs once the index is complete.
+        build: function(callback, onProgress) {
+            if (this.built) {
+                callback()
+                return
+            }
+            this.buildCallbacks.push(callback)
+            this.onBuildProgress = onProgress || null
+            if (this.building) return
+            this.building = true
+
+            var self = this
+            PersistentCache.getAllKeys('chats', function(keys) {
+                var index = 0
+                var next = function() {
+                    while (index < keys.length && self.chats[keys[index]]) index++
+                    if (self.onBuildProgress) self.onBuildProgress(index, keys.length)
+                    if (index >= keys.length) {
+                        self.building = false
+                        self.built = true
+                        var waiting = self.buildCallbacks
+                        self.buildCallbacks = []
+                        for (var c = 0; c < waiting.length; c++) waiting[c]()
+                        return
+                    }
+                    var uuid = keys[index++]
+                    PersistentCache.get('chats', uuid, function(record) {
+                        if (record && Array.isArray(record.messages) && !self.chats[uuid]) {
+                            self.indexChat(uuid, record.messages)
+                        }
+                        setTimeout(next, 0)
+                    })
+                }
+                next()
+            })
+        },
+
+        // Binary search in an ascending postings list
+        contains: function(postings, id) {
+            var lo = 0
+            var hi = postings.length - 1
+            while (lo <= hi) {
+                var mid = (lo + hi) >> 1
+                if (postings[mid] === id) return true
+                if (postings[mid] < id) lo = mid + 1
+                else hi = mid - 1
+            }
+            return false
+        },
+
+        // Messages containing every word of the query (the last word also matches as a prefix, for search-as-you-type).
+        // Returns { words, total, hits: [{ chat, message, created_at }] } with the newest resultLimit hits.
+        search: function(query) {
+            var words = this.tokenize(query)
+            if (words.length === 0) return { words: words, total: 0, hits: [] }
+
+            // Posting lists per query word (several for the prefix word)
+            var lists = []
+            for (var w = 0; w < words.length; w++) {
+                var word = words[w]
+                var wordLists = []
+                if (w === words.length - 1) {
+                    this.tokens.forEach(function(postings, token) {
+                        if (token.indexOf(word) === 0) wordLists.push(postings)
+                    })
+                } else if (this.tokens.has(word)) {
+                    wordLists.push(this.tokens.get(word))
+                }
+                if (wordLists.length === 0) return { words: words, total: 0, hits: [] }
+                var size = 0
+                for (var l = 0; l < wordLists.length; l++) size += wordLists[l].length
+                lists.push({ lists: wordLists, size: size })
+            }
+
+            // Walk the rarest word's ids and check the others by binary search
+            lists.sort(function(a, b) { return a.size - b.size })
+            var self = this
+            var seen = Object.create(null)
+            var total = 0
+            var hits = [] // newest resultLimit matches, newest first
+            var limit = this.resultLimit
+            var rarest = lists[0].lists
+            for (var r = 0; r < rarest.length; r++) {
+                for (var i = 0; i < rarest[r].length; i++) {
+                    var id = rarest[r][i]
+                    if (seen[id] || !this.docs[id]) continue
+                    seen[id] = true
+                    var matchesAll = true
+                    for (var o = 1; o < lists.length && matchesAll; o++) {
+                        matchesAll = lists[o].lists.some(function(postings) { return self.contains(postings, id) })
+                    }
+                    if (!matchesAll) continue
+                    total++
+                    var doc = this.docs[id]
+                    if (hits.length === limit && doc.time <= hits[limit - 1].time) continue
+                    // Insert in place: only the newest resultLimit hits are ever kept and ordered
+                    var lo = 0
+                    var hi = hits.length
+                    while (lo < hi) {
+                        var mid = (lo + hi) >> 1
+                        if (hits[mid].time >= doc.time) lo = mid + 1
+                        else hi = mid
+                    }
+                    hits.splice(lo, 0, doc)
+                    if (hits.length > limit) hits.pop()
+                }
+            }
+
+            return { words: words, total: total, hits: hits }
+        },
+
+        // Resolve hits to { chat, message, created_at, author, text }, reading each chat once from memory or IndexedDB.
+        // Hits whose message is no longer cached are dropped.
+        loadTexts: function(hits, callback) {
+            var chatUuids = []
+            for (var i = 0; i < hits.length; i++) {
+                if (chatUuids.indexOf(hits[i].chat) === -1) chatUuids.push(hits[i].chat)
+            }
+            var messagesByUuid = {}
+            var next = function(index) {
+                if (index < chatUuids.length) {
+                    chatCache.loadChatMessages(chatUuids[index], function(stored) {
+                        var messages = stored ? stored.messages : []
+                        for (var m = 0; m < messages.length; m++) {
+                            messagesByUuid[messages[m].uuid] = messages[m]
+                        }
+                        next(index + 1)
+                    })
+                    return
+                }
+                var results = []
+                for (var h = 0; h < hits.length; h++) {
+                    var message = messagesByUuid[hits[h].message]
+                    if (!message) continue
+                    var isBot = message.message_source === 'bot'
+                    results.push({
+                        chat: hits[h].chat,
+                        message: hits[h].message,
+                        created_at: hits[h].created_at,
+                        author: isBot ? (message.character && message.character.nickname ? message.character.nickname : 'Character') : 'You',
+                        text: message.message || ''
+                    })
+                }
+                callback(results)
+            }
+            next(0)
+        },
+
+        // HTML snippet around the first matching word, with every match wrapped in <mark>
+        makeSnippet: function(text, words, markStyle) {
+            var lower = text.toLowerCase()
+            var first = -1
+            for (var w = 0; w < words.length; w++) {
+                var at = lower.indexOf(words[w])
+                if (at !== -1 && (first === -1 || at < first)) first = at
+            }
+            var start = Math.max(0, first - 80)
+            var end = Math.min(text.length, Math.max(first, 0) + 160)
+            var snippet = (start > 0 ? '…' : '') + text.slice(start, end).replace(/\s+/g, ' ') + (end < text.length ? '…' : '')
+            var pattern = new RegExp('(' + words.map(function(word) {
+                return word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+            }).join('|') + ')', 'gi')
+            return snippet.split(pattern).map(function(part, index) {
+                // split() with a capture group puts the matches at odd indexes
+                return index % 2 === 1 ? '<mark style="' + markStyle + '">' + Utils.escapeHtml(part) + '</mark>' : Utils.escapeHtml(part)
+            }).join('')
+        },
+
+        // Link to a chat that scrolls to a message once the page loads (see revealLinkedMessage)
+        messageUrl: function(chatUuid, messageUuid) {
+            return 'https://' + location.hostname + '/tavern/chat/' + chatUuid + '#holly-message=' + messageUuid
+        },
+
+        // Go to a search result in this tab: only the hash changes when the chat is already open
+        openMessage: function(chatUuid, messageUuid) {
+            var url = MessageSearch.messageUrl(chatUuid, messageUuid)
+            if (location.pathname === '/tavern/chat/' + chatUuid) {
+                history.replaceState(history.state, '', url)
+                MessageSearch.revealLinkedMessage()
+                return
+            }
+            location.assign(url)
+        },
+
+        // Element the site rendered for a message. Message ids aren't in the DOM, but React keeps each
+        // component's props on its fiber, so look for a component near the element whose props carry the uuid.
+        findMessageElement: function(messageUuid) {
+            var carries = function(props) {
+                if (!props || typeof props !== 'object') return false
+                for (var key in props) {
+                    var value = props[key]
+                    if (value === messageUuid) return true
+                    if (value && typeof value === 'object' && !Array.isArray(value) && value.uuid === messageUuid) return true
+                }
+                return false
+            }
+            var root = document.querySelector('main') || document.body
+            var elements = root.querySelectorAll('div, article, li')
+            for (var i = 0; i < elements.length; i++) {
+                // Sandboxed in Firefox, the page's own properties are behind wrappedJSObject
+                var element = elements[i].wrappedJSObject || elements[i]
+                var fiberKey = null
+                var ownKeys = Object.keys(element)
+                for (var k = 0; k < ownKeys.length; k++) {
+                    if (ownKeys[k].indexOf('__reactFiber$') === 0) {
+                        fiberKey = ownKeys[k]
+                        break
+                    }
+                }
+                if (!fiberKey) continue
+                // The host fiber holds DOM props; the message component is a few levels up, but only up to the
+                // nearest other element, or every ancestor of the message would match too
+                var fiber = element[fiberKey].return
+                for (var depth = 0; fiber && depth < 4 && typeof fiber.type !== 'string'; depth++) {
+                    if (carries(fiber.memoizedProps)) return elements[i]
+                    fiber = fiber.return
+                }
+            }
+            return null
+        },
+
+        // On a chat page opened from a search result, scroll to the message once the site has rendered it
+        revealLinkedMessage: function() {
+            var match = /#holly-message=([\w-]+)/.exec(location.hash)
+            if (!match || !/\/tavern\/chat\//.test(location.pathname)) return
+            var messageUuid = match[1]
+
+            var attempts = 0
+            var tryReveal = function() {
+                var block = MessageSearch.findMessageElement(messageUuid)
+                if (block) {
+                    block.scrollIntoView({ behavior: 'smooth', block: 'center' })
+                    block.style.transition = 'background-color 0.6s'
+                    block.style.backgroundColor = colorScheme.glowColor
+                    setTimeout(function() { block.style.backgroundColor = '' }, 2500)
+                    return
+                }
+                // Messages render lazily; keep trying for a while
+                if (++attempts < 20) setTimeout(tryReveal, 1000)
+            }
+            tryReveal()
         }
     }
 
@@ -216,100 +915,466 @@
     };
 
     // ============================================================================
-    // CHAT MANAGER MODULE
+    // BACKUP STATE
     // ============================================================================
-    var ChatManager = {
-        // Retrieve chats from API with pagination and caching
-        retrieveChatsChunk: function(offset, collected, btn, onChunkLoaded) {
-            // Check cache on first chunk (offset 0) - if we have a cached list, use it
-            if (offset === 0) {
-                var cachedList = chatCache.getChatList();
-                if (cachedList && cachedList.length > 0) {
-                    // If progressive loading is enabled (onChunkLoaded callback provided),
-                    // chunk the cached data to simulate progressive loading
-                    if (onChunkLoaded) {
-                        // Apply character filtering if needed (before chunking)
-                        var filteredCachedList = cachedList;
-                        try {
-                            if (window.hollyCurrentChatUuid) {
-                                var current = null;
-                                for (var i = 0; i < cachedList.length; i++) {
-                                    if (cachedList[i].uuid === window.hollyCurrentChatUuid) {
-                                        current = cachedList[i];
-                                        break;
-                                    }
-                                }
-                                if (current && current.chars && current.chars.length) {
-                                    var targetCharUuids = {};
-                                    for (var j = 0; j < current.chars.length; j++) {
-                                        if (current.chars[j].uuid) {
-                                            targetCharUuids[current.chars[j].uuid] = true;
-                                        }
-                                    }
-                                    var uuidCount = Object.keys(targetCharUuids).length;
-                                    if (uuidCount > 0) {
-                                        filteredCachedList = [];
-                                        for (var k = 0; k < cachedList.length; k++) {
-                                            var chat = cachedList[k];
-                                            if (chat.chars) {
-                                                for (var l = 0; l < chat.chars.length; l++) {
-                                                    if (targetCharUuids[chat.chars[l].uuid]) {
-                                                        filteredCachedList.push(chat);
-                                                        break;
-                                                    }
-                                                }
-                                            }
-                                        }
-                                    }
-                                }
-                            }
-                        } catch (e) {}
+    // What was last exported for each chat, so "Backup changed chats" can skip chats with nothing new.
+    // Stored as { version, updated_at, chats: { <chat uuid>: { message_uuid, created_at, count, exported_at } } }
+    var BackupState = {
+        storageKey: 'hollyBackupState',
+        state: null,
+
+        load: function() {
+            if (this.state) return this.state;
+            var state = null;
+            try {
+                var stateJson = localStorage.getItem(this.storageKey);
+                if (stateJson) state = JSON.parse(stateJson);
+            } catch (e) {
+                console.error('Error loading backup state:', e);
+            }
+            if (!state || typeof state.chats !== 'object' || state.chats === null) {
+                state = { version: 1, updated_at: null, chats: {} };
+            }
+            this.state = state;
+            return state;
+        },
 
-                        // Load cached data progressively in chunks
-                        var chunkCacheIndex = 0;
-                        var loadNextChunk = function() {
-                            if (chunkCacheIndex >= filteredCachedList.length) {
-                                // All chunks loaded
-                                onChunkLoaded([], true, false); // Signal completion
-                                return;
-                            }
-                            
-                            var chunk = filteredCachedList.slice(chunkCacheIndex, chunkCacheIndex + QUERY_BATCH_SIZE);
-                            chunkCacheIndex += QUERY_BATCH_SIZE;
-                            var isComplete = (chunkCacheIndex >= filteredCachedList.length);
-                            
-                            // Load cached chunks with minimal delay to maintain smooth progressive loading
-                            // Cache is fast, so use small delay to keep UI responsive and show progress
-                            setTimeout(function() {
-                                onChunkLoaded(chunk, isComplete, false);
-                                if (!isComplete) {
-                                    loadNextChunk();
-                                }
-                            }, 50); // Small delay (50ms) for smooth progressive loading feel
-                        };
-                        
-                        // Start loading first chunk
-                        loadNextChunk();
-                        return; // Don't make API call
-                    } else {
-                        // Original behavior: load all cached data at once
-                        collected = cachedList.slice(); // Create a copy
+        save: function() {
+            var state = this.load();
+            state.updated_at = new Date().toISOString();
+            try {
+                localStorage.setItem(this.storageKey, JSON.stringify(state));
+            } catch (e) {
+                console.error('Error saving backup state:', e);
+            }
+        },
 
-                        // Filter and show immediately
-                        btn.busy = false;
-                        var textSpan = btn.querySelector('span');
-                        if (textSpan) {
-                            textSpan.textContent = 'Export Chat/Images';
-                        }
+        get: function(uuid) {
+            return this.load().chats[uuid] || null;
+        },
 
-                        // Apply filtering if needed
-                        var toShow = collected;
+        getChatCount: function() {
+            return Object.keys(this.load().chats).length;
+        },
+
+        // Remember the newest message of an export (see chatCache.getWatermark); in memory until save() is called
+        record: function(uuid, watermark) {
+            this.load().chats[uuid] = {
+                message_uuid: watermark.uuid,
+                created_at: watermark.created_at,
+                count: watermark.count,
+                exported_at: new Date().toISOString()
+            };
+        },
+
+        // Cheap check against the /v1/chats entry: false only when the list says nothing happened since the last export
+        mayHaveChanged: function(chat) {
+            var entry = this.get(chat.uuid);
+            if (!entry || !entry.created_at || !chat.updated) return true;
+            return new Date(chat.updated) > new Date(entry.created_at);
+        },
+
+        // Compare fetched messages with the last export: { firstBackup, newMessages } or null when nothing changed
+        getChanges: function(uuid, messages) {
+            var entry = this.get(uuid);
+            if (!entry) {
+                return { firstBackup: true, newMessages: messages.length };
+            }
+            var since = entry.created_at ? new Date(entry.created_at) : null;
+            var newMessages = 0;
+            for (var i = 0; i < messages.length; i++) {
+                if (messages[i].uuid !== entry.message_uuid && (!since || new Date(messages[i].created_at) > since)) {
+                    newMessages++;
+                }
+            }
+            if (newMessages === 0 && messages.length <= entry.count) return null;
+            return { firstBackup: false, newMessages: Math.max(newMessages, messages.length - entry.count) };
+        },
+
+        // Download the state as JSON (to move it to another browser or keep it with the backups)
+        exportToFile: function() {
+            var blob = new Blob([JSON.stringify(this.load(), null, 2)], { type: 'application/json' });
+            Utils.download(URL.createObjectURL(blob), Utils.sanitizeFileName(location.hostname + ' backup state ' + new Date().toISOString().slice(0, 10)) + '.json');
+        },
+
+        // Merge a previously exported state file; the newer entry wins per chat. callback(importedCount) or callback(null, error)
+        importFromFile: function(file, callback) {
+            var self = this;
+            var reader = new FileReader();
+            reader.onload = function() {
+                var imported;
+                try {
+                    imported = JSON.parse(reader.result);
+                } catch (e) {
+                    callback(null, 'Not a valid JSON file');
+                    return;
+                }
+                if (!imported || typeof imported.chats !== 'object' || imported.chats === null) {
+                    callback(null, 'No backup state found in this file');
+                    return;
+                }
+                var chats = self.load().chats;
+                var count = 0;
+                for (var uuid in imported.chats) {
+                    var entry = imported.chats[uuid];
+                    if (!entry || typeof entry.count !== 'number') continue;
+                    if (!chats[uuid] || new Date(entry.exported_at || 0) > new Date(chats[uuid].exported_at || 0)) {
+                        chats[uuid] = entry;
+                        count++;
+                    }
+                }
+                self.save();
+                callback(count);
+            };
+            reader.onerror = function() {
+                callback(null, 'Could not read the file');
+            };
+            reader.readAsText(file);
+        },
+
+        reset: function() {
+            this.state = { version: 1, updated_at: null, chats: {} };
+            this.save();
+        }
+    };
+
+    // ============================================================================
+    // CHAT TAGS
+    // ============================================================================
+    // User-defined tags and nested folders for chats, kept in this browser only.
+    // Stored as { version, tags: { <name>: { color } }, folders: [<path>], chats: { <chat uuid>: { tags: [<name>], folder: <path> } } }
+    // Folder paths use "/" between levels ("Campaigns/Harbor Town"); every parent is listed in folders too.
+    var ChatTags = {
+        storageKey: 'hollyChatTags',
+        COLORS: ['#60a5fa', '#f472b6', '#34d399', '#fbbf24', '#a78bfa', '#f87171', '#2dd4bf', '#fb923c'],
+        db: null,
+
+        load: function() {
+            if (this.db) return this.db;
+            var db = null;
+            try {
+                var dbJson = localStorage.getItem(this.storageKey);
+                if (dbJson) db = JSON.parse(dbJson);
+            } catch (e) {
+                console.error('Error loading chat tags:', e);
+            }
+            this.db = this.normalize(db);
+            return this.db;
+        },
+
+        save: function() {
+            try {
+                localStorage.setItem(this.storageKey, JSON.stringify(this.load()));
+            } catch (e) {
+                console.error('Error saving chat tags:', e);
+            }
+        },
+
+        // Clean copy of a stored or imported database; anything malformed is dropped
+        normalize: function(raw) {
+            var db = { version: 1, tags: {}, folders: [], chats: {} };
+            if (!raw || typeof raw !== 'object') return db;
+            var self = this;
+            var tags = raw.tags && typeof raw.tags === 'object' ? raw.tags : {};
+            for (var name in tags) {
+                var tagName = this.cleanTagName(name);
+                if (!tagName) continue;
+                db.tags[tagName] = { color: tags[name] && /^#[0-9a-f]{6}$/i.test(tags[name].color) ? tags[name].color : this.nextColor(db) };
+            }
+            (Array.isArray(raw.folders) ? raw.folders : []).forEach(function(path) {
+                self.addFolderPath(db, path);
+            });
+            var chats = raw.chats && typeof raw.chats === 'object' ? raw.chats : {};
+            for (var uuid in chats) {
+                var entry = chats[uuid] || {};
+                var chatTags = (Array.isArray(entry.tags) ? entry.tags : []).map(this.cleanTagName).filter(function(tag, index, list) {
+                    return tag && db.tags[tag] && list.indexOf(tag) === index;
+                });
+                var folder = this.addFolderPath(db, entry.folder);
+                if (chatTags.length > 0 || folder) db.chats[uuid] = { tags: chatTags, folder: folder };
+            }
+            return db;
+        },
+
+        cleanTagName: function(name) {
+            return String(name || '').replace(/\s+/g, ' ').trim().slice(0, 40);
+        },
+
+        // "a / b//c " -> "a/b/c"
+        cleanFolderPath: function(path) {
+            return String(path || '').split('/').map(function(part) {
+                return part.replace(/\s+/g, ' ').trim().slice(0, 60);
+            }).filter(Boolean).join('/');
+        },
+
+        // Add a folder and its parents to db.folders; returns the cleaned path ('' for none)
+        addFolderPath: function(db, path) {
+            path = this.cleanFolderPath(path);
+            var parts = path ? path.split('/') : [];
+            for (var i = 1; i <= parts.length; i++) {
+                var ancestor = parts.slice(0, i).join('/');
+                if (db.folders.indexOf(ancestor) === -1) db.folders.push(ancestor);
+            }
+            return path;
+        },
+
+        // First palette color no tag uses yet
+        nextColor: function(db) {
+            var used = {};
+            for (var name in db.tags) used[db.tags[name].color] = true;
+            for (var i = 0; i < this.COLORS.length; i++) {
+                if (!used[this.COLORS[i]]) return this.COLORS[i];
+            }
+            return this.COLORS[Object.keys(db.tags).length % this.COLORS.length];
+        },
+
+        // [{ name, color, count }] sorted by name
+        getTags: function() {
+            var db = this.load();
+            var counts = {};
+            for (var uuid in db.chats) {
+                db.chats[uuid].tags.forEach(function(tag) { counts[tag] = (counts[tag] || 0) + 1; });
+            }
+            return Object.keys(db.tags).sort(function(a, b) { return a.localeCompare(b); }).map(function(name) {
+                return { name: name, color: db.tags[name].color, count: counts[name] || 0 };
+            });
+        },
+
+        getTagColor: function(name) {
+            var tag = this.load().tags[name];
+            return tag ? tag.color : colorScheme.textSecondary;
+        },
+
+        // Returns the tag name, or null when it is empty
+        createTag: function(name, color) {
+            var db = this.load();
+            name = this.cleanTagName(name);
+            if (!name) return null;
+            if (!db.tags[name]) {
+                db.tags[name] = { color: color || this.nextColor(db) };
+                this.save();
+            }
+            return name;
+        },
+
+        setTagColor: function(name, color) {
+            var db = this.load();
+            if (!db.tags[name]) return;
+            db.tags[name].color = color;
+            this.save();
+        },
+
+        // false when the new name is empty or already taken
+        renameTag: function(name, newName) {
+            var db = this.load();
+            newName = this.cleanTagName(newName);
+            if (!db.tags[name] || !newName || (db.tags[newName] && newName !== name)) return false;
+            if (newName === name) return true;
+            db.tags[newName] = db.tags[name];
+            delete db.tags[name];
+            for (var uuid in db.chats) {
+                var index = db.chats[uuid].tags.indexOf(name);
+                if (index !== -1) db.chats[uuid].tags[index] = newName;
+            }
+            this.save();
+            return true;
+        },
+
+        deleteTag: function(name) {
+            var db = this.load();
+            delete db.tags[name];
+            for (var uuid in db.chats) {
+                db.chats[uuid].tags = db.chats[uuid].tags.filter(function(tag) { return tag !== name; });
+                this.dropIfEmpty(db, uuid);
+            }
+            this.save();
+        },
+
+        // Paths sorted so each folder comes right after its parent
+        getFolders: function() {
+            return this.load().folders.slice().sort(function(a, b) {
+                return a.split('/').join('\u0000').localeCompare(b.split('/').join('\u0000'));
+            });
+        },
+
+        // Number of chats in a folder, subfolders included
+        getFolderCount: function(path) {
+            var db = this.load();
+            var count = 0;
+            for (var uuid in db.chats) {
+                if (this.inFolder(db.chats[uuid].folder, path)) count++;
+            }
+            return count;
+        },
+
+        inFolder: function(folder, path) {
+            return !!folder && (folder === path || folder.indexOf(path + '/') === 0);
+        },
+
+        createFolder: function(path) {
+            path = this.addFolderPath(this.load(), path);
+            if (path) this.save();
+            return path || null;
+        },
+
+        // Moves subfolders and the chats in them along; false when the new path is empty or inside the folder itself
+        renameFolder: function(path, newPath) {
+            var db = this.load();
+            var self = this;
+            newPath = this.cleanFolderPath(newPath);
+            if (!newPath || (newPath !== path && this.inFolder(newPath, path))) return false;
+            var move = function(folder) {
+                return self.inFolder(folder, path) ? newPath + folder.slice(path.length) : folder;
+            };
+            var folders = db.folders.map(move);
+            db.folders = [];
+            folders.forEach(function(folder) { self.addFolderPath(db, folder); });
+            for (var uuid in db.chats) db.chats[uuid].folder = move(db.chats[uuid].folder);
+            this.save();
+            return true;
+        },
+
+        // Chats inside the folder (or its subfolders) become unfiled
+        deleteFolder: function(path) {
+            var db = this.load();
+            var self = this;
+            db.folders = db.folders.filter(function(folder) { return !self.inFolder(folder, path); });
+            for (var uuid in db.chats) {
+                if (this.inFolder(db.chats[uuid].folder, path)) {
+                    db.chats[uuid].folder = '';
+                    this.dropIfEmpty(db, uuid);
+                }
+            }
+            this.save();
+        },
+
+        getChatTags: function(uuid) {
+            var entry = this.load().chats[uuid];
+            return entry ? entry.tags.slice() : [];
+        },
+
+        getChatFolder: function(uuid) {
+            var entry = this.load().chats[uuid];
+            return entry ? entry.folder : '';
+        },
+
+        dropIfEmpty: function(db, uuid) {
+            var entry = db.chats[uuid];
+            if (entry && entry.tags.length === 0 && !entry.folder) delete db.chats[uuid];
+        },
+
+        entryFor: function(db, uuid) {
+            return db.chats[uuid] || (db.chats[uuid] = { tags: [], folder: '' });
+        },
+
+        // Add (on) or remove a tag for several chats at once
+        setTag: function(uuids, name, on) {
+            var db = this.load();
+            if (!db.tags[name]) return;
+            for (var i = 0; i < uuids.length; i++) {
+                var entry = this.entryFor(db, uuids[i]);
+                var index = entry.tags.indexOf(name);
+                if (on && index === -1) entry.tags.push(name);
+                if (!on && index !== -1) entry.tags.splice(index, 1);
+                this.dropIfEmpty(db, uuids[i]);
+            }
+            this.save();
+        },
+
+        // Move chats into a folder ('' = unfiled)
+        setFolder: function(uuids, path) {
+            var db = this.load();
+            path = this.addFolderPath(db, path);
+            for (var i = 0; i < uuids.length; i++) {
+                this.entryFor(db, uuids[i]).folder = path;
+                this.dropIfEmpty(db, uuids[i]);
+            }
+            this.save();
+        },
+
+        // filter: { tags: [names, all required], folder: null for any, '' for unfiled, or a path (subfolders included) }
+        matches: function(uuid, filter) {
+            var entry = this.load().chats[uuid];
+            var chatTags = entry ? entry.tags : [];
+            for (var i = 0; i < filter.tags.length; i++) {
+                if (chatTags.indexOf(filter.tags[i]) === -1) return false;
+            }
+            if (filter.folder === null) return true;
+            var folder = entry ? entry.folder : '';
+            return filter.folder === '' ? !folder : this.inFolder(folder, filter.folder);
+        },
+
+        // Download the tag database as JSON (to move it to another browser or keep it with the backups)
+        exportToFile: function() {
+            var blob = new Blob([JSON.stringify(this.load(), null, 2)], { type: 'application/json' });
+            Utils.download(URL.createObjectURL(blob), Utils.sanitizeFileName(location.hostname + ' chat tags ' + new Date().toISOString().slice(0, 10)) + '.json');
+        },
+
+        // Merge a previously exported file: tags and folders are added, and a chat gets the file's tags on top of its own
+        // and the file's folder when it has one. callback(changedChatCount) or callback(null, error)
+        importFromFile: function(file, callback) {
+            var self = this;
+            var reader = new FileReader();
+            reader.onload = function() {
+                var raw;
+                try {
+                    raw = JSON.parse(reader.result);
+                } catch (e) {
+                    callback(null, 'Not a valid JSON file');
+                    return;
+                }
+                if (!raw || typeof raw.tags !== 'object' || typeof raw.chats !== 'object' || raw.tags === null || raw.chats === null) {
+                    callback(null, 'No chat tags found in this file');
+                    return;
+                }
+                var imported = self.normalize(raw);
+                var db = self.load();
+                for (var name in imported.tags) {
+                    if (!db.tags[name]) db.tags[name] = imported.tags[name];
+                }
+                imported.folders.forEach(function(path) { self.addFolderPath(db, path); });
+                var count = 0;
+                for (var uuid in imported.chats) {
+                    var entry = self.entryFor(db, uuid);
+                    var before = JSON.stringify(entry);
+                    imported.chats[uuid].tags.forEach(function(tag) {
+                        if (entry.tags.indexOf(tag) === -1) entry.tags.push(tag);
+                    });
+                    if (imported.chats[uuid].folder) entry.folder = imported.chats[uuid].folder;
+                    if (JSON.stringify(entry) !== before) count++;
+                    self.dropIfEmpty(db, uuid);
+                }
+                self.save();
+                callback(count);
+            };
+            reader.onerror = function() {
+                callback(null, 'Could not read the file');
+            };
+            reader.readAsText(file);
+        }
+    };
+
+    // ============================================================================
+    // CHAT MANAGER MODULE
+    // ============================================================================
+    var ChatManager = {
+        // Retrieve chats from API with pagination and caching
+        retrieveChatsChunk: function(offset, collected, btn, onChunkLoaded) {
+            // Check cache on first chunk (offset 0) - if we have a cached list, use it
+            if (offset === 0) {
+                var cachedList = chatCache.getChatList();
+                if (cachedList && cachedList.length > 0) {
+                    // If progressive loading is enabled (onChunkLoaded callback provided),
+                    // chunk the cached data to simulate progressive loading
+                    if (onChunkLoaded) {
+                        // Apply character filtering if needed (before chunking)
+                        var filteredCachedList = cachedList;
                         try {
                             if (window.hollyCurrentChatUuid) {
                                 var current = null;
-                                for (var i = 0; i < collected.length; i++) {
-                                    if (collected[i].uuid === window.hollyCurrentChatUuid) {
-                                        current = collected[i];
+                                for (var i = 0; i < cachedList.length; i++) {
+                                    if (cachedList[i].uuid === window.hollyCurrentChatUuid) {
+                                        current = cachedList[i];
                                         break;
                                     }
                                 }
@@ -322,13 +1387,13 @@
                                     }
                                     var uuidCount = Object.keys(targetCharUuids).length;
                                     if (uuidCount > 0) {
-                                        toShow = [];
-                                        for (var k = 0; k < collected.length; k++) {
-                                            var chat = collected[k];
+                                        filteredCachedList = [];
+                                        for (var k = 0; k < cachedList.length; k++) {
+                                            var chat = cachedList[k];
                                             if (chat.chars) {
                                                 for (var l = 0; l < chat.chars.length; l++) {
                                                     if (targetCharUuids[chat.chars[l].uuid]) {
-                                                        toShow.push(chat);
+                                                        filteredCachedList.push(chat);
                                                         break;
                                                     }
                                                 }
@@ -339,82 +1404,44 @@
                             }
                         } catch (e) {}
 
-                        window.currentChats = toShow;
-
-                        if (toShow.length > 0) {
-                            showChatsToDownload(toShow);
-                        } else {
-                            alert('Unable to find any chats.');
-                        }
-
-                        return; // Don't make API call
-                    }
-                }
-            }
-
-            API.ajax('https://api.' + location.hostname + '/v1/chats?limit=' + QUERY_BATCH_SIZE + '&offset=' + offset, false, function (r) {
-                r = JSON.parse(r);
-                if (!r || r.error) {
-                    // If there was an error and we have a callback, notify it that loading is complete
-                    if (onChunkLoaded) {
-                        onChunkLoaded(collected, true, true); // collected, isComplete, isError
-                    }
-                    return;
-                }
-
-                var cleanChats = r.chats.map(function (chat) {
-                    return {
-                        uuid: chat.uuid,
-                        name: chat.name,
-                        date: chat.created_at,
-                        imageCount: null, // Will be fetched later
-                        chars: chat.characters.map(function (char) {
-                            return {
-                                name: char.name,
-                                uuid: char.uuid,
-                                photos: {
-                                    thumbnail: char.thumbnail_photo ? (char.thumbnail_photo.url || null) : null,
-                                    foreground: char.photos.map(function (photo) { return photo.url; }),
-                                    background: char.background_photos.map(function (photo) { return photo.url; })
+                        // Load cached data progressively in chunks
+                        var chunkCacheIndex = 0;
+                        var loadNextChunk = function() {
+                            if (chunkCacheIndex >= filteredCachedList.length) {
+                                // All chunks loaded
+                                onChunkLoaded([], true, false); // Signal completion
+                                return;
+                            }
+                            
+                            var chunk = filteredCachedList.slice(chunkCacheIndex, chunkCacheIndex + QUERY_BATCH_SIZE);
+                            chunkCacheIndex += QUERY_BATCH_SIZE;
+                            var isComplete = (chunkCacheIndex >= filteredCachedList.length);
+                            
+                            // Load cached chunks with minimal delay to maintain smooth progressive loading
+                            // Cache is fast, so use small delay to keep UI responsive and show progress
+                            setTimeout(function() {
+                                onChunkLoaded(chunk, isComplete, false);
+                                if (!isComplete) {
+                                    loadNextChunk();
                                 }
-                            };
-                        })
-                    };
-                });
-
-                collected = collected.concat(cleanChats);
-
-                // Check if this is the last chunk
-                var isComplete = (r.chats.length < QUERY_BATCH_SIZE);
-                
-                // If progressive loading is enabled (onChunkLoaded callback provided)
-                if (onChunkLoaded) {
-                    // Call callback with current chunk data
-                    onChunkLoaded(cleanChats, isComplete, false); // newChats, isComplete, isError
-                    
-                    // Continue loading if there are more chunks
-                    if (!isComplete) {
-                        ChatManager.retrieveChatsChunk(offset + QUERY_BATCH_SIZE, collected, btn, onChunkLoaded);
-                    } else {
-                        // Cache the complete chat list when done
-                        chatCache.setChatList(collected);
-                    }
-                } else {
-                    // Original behavior: load all before showing
-                    if (r.chats.length == QUERY_BATCH_SIZE) {
-                        ChatManager.retrieveChatsChunk(offset + QUERY_BATCH_SIZE, collected, btn);
+                            }, 50); // Small delay (50ms) for smooth progressive loading feel
+                        };
+                        
+                        // Start loading first chunk
+                        loadNextChunk();
+                        return; // Don't make API call
                     } else {
-                        // Cache the complete chat list
-                        chatCache.setChatList(collected);
+                        // Original behavior: load all cached data at once
+                        collected = cachedList.slice(); // Create a copy
 
+                        // Filter and show immediately
                         btn.busy = false;
-                        // Reset the button text while preserving the SVG icon
                         var textSpan = btn.querySelector('span');
                         if (textSpan) {
                             textSpan.textContent = 'Export Chat/Images';
                         }
 
-                        // If we launched from a chat page, filter chats to only those with the same character(s)
+                        // Apply filtering if needed
                         var toShow = collected;
                         try {
                             if (window.hollyCurrentChatUuid) {
@@ -451,7 +1478,6 @@
                             }
                         } catch (e) {}
 
-                        // Store the list that will actually be rendered so indices match
                         window.currentChats = toShow;
 
                         if (toShow.length > 0) {
@@ -459,87 +1485,205 @@
                         } else {
                             alert('Unable to find any chats.');
                         }
+
+                        return; // Don't make API call
                     }
                 }
-            });
-        },
-
-        // Fetch image count for a single chat (lightweight - just counts messages with text_to_image)
-        fetchImageCountForChat: function(chatUuid, callback) {
-            // Check cache first
-            var cachedCount = chatCache.getImageCount(chatUuid);
-            if (cachedCount !== null) {
-                callback(cachedCount);
-                return;
             }
 
-            API.ajax('https://api.' + location.hostname + '/v1/chats/' + chatUuid + '/messages?limit=' + QUERY_BATCH_SIZE + '&offset=0', false, function(r) {
-                try {
-                    var response = JSON.parse(r);
-                    if (!response || response.error) {
-                        callback(0);
-                        return;
+            ChatManager.fetchChatPages(offset, collected, btn, onChunkLoaded);
+        },
+
+        // Page through /chats from `offset`, handing each page to onChunkLoaded (progressive loading)
+        // or showing the whole list once everything is in
+        fetchChatPages: async function(offset, collected, btn, onChunkLoaded) {
+            try {
+                for await (var page of API.paginate(API.url('/chats'), 'chats', { offset: offset })) {
+                    var cleanChats = page.items.map(function (chat) {
+                        return {
+                            uuid: chat.uuid,
+                            name: chat.name,
+                            date: chat.created_at,
+                            updated: chat.updated_at || chat.last_message_at || null, // Used by "Backup changed chats"
+                            imageCount: null, // Will be fetched later
+                            chars: chat.characters.map(function (char) {
+                                return {
+                                    name: char.name,
+                                    uuid: char.uuid,
+                                    photos: {
+                                        thumbnail: char.thumbnail_photo ? (char.thumbnail_photo.url || null) : null,
+                                        foreground: char.photos.map(function (photo) { return photo.url; }),
+                                        background: char.background_photos.map(function (photo) { return photo.url; })
+                                    }
+                                };
+                            })
+                        };
+                    });
+
+                    collected = collected.concat(cleanChats);
+
+                    // If progressive loading is enabled, hand over each page as it arrives
+                    if (onChunkLoaded) {
+                        onChunkLoaded(cleanChats, page.items.length < QUERY_BATCH_SIZE, false); // newChats, isComplete, isError
                     }
+                }
+            } catch (e) {
+                console.error('Error fetching chats:', e);
+                // If there was an error and we have a callback, notify it that loading is complete
+                if (onChunkLoaded) {
+                    onChunkLoaded(collected, true, true); // collected, isComplete, isError
+                }
+                return;
+            }
 
-                    var imageCount = 0;
-                    var messages = response.messages || [];
+            // Cache the complete chat list
+            chatCache.setChatList(collected);
+            if (onChunkLoaded) return;
 
-                    // Count messages with text_to_image (this is a batch, may need to fetch more)
-                    for (var i = 0; i < messages.length; i++) {
-                        if (messages[i].text_to_image) {
-                            imageCount++;
+            // Original behavior: load all before showing
+            btn.busy = false;
+            // Reset the button text while preserving the SVG icon
+            var textSpan = btn.querySelector('span');
+            if (textSpan) {
+                textSpan.textContent = 'Export Chat/Images';
+            }
+
+            // If we launched from a chat page, filter chats to only those with the same character(s)
+            var toShow = collected;
+            try {
+                if (window.hollyCurrentChatUuid) {
+                    var current = null;
+                    for (var i = 0; i < collected.length; i++) {
+                        if (collected[i].uuid === window.hollyCurrentChatUuid) {
+                            current = collected[i];
+                            break;
                         }
                     }
-
-                    // If there are more messages, fetch them recursively
-                    if (messages.length === QUERY_BATCH_SIZE) {
-                        ChatManager.fetchImageCountRecursive(chatUuid, QUERY_BATCH_SIZE, imageCount, callback);
-                    } else {
-                        // Cache and return the final count
-                        chatCache.setImageCount(chatUuid, imageCount);
-                        callback(imageCount);
+                    if (current && current.chars && current.chars.length) {
+                        var targetCharUuids = {};
+                        for (var j = 0; j < current.chars.length; j++) {
+                            if (current.chars[j].uuid) {
+                                targetCharUuids[current.chars[j].uuid] = true;
+                            }
+                        }
+                        var uuidCount = Object.keys(targetCharUuids).length;
+                        if (uuidCount > 0) {
+                            toShow = [];
+                            for (var k = 0; k < collected.length; k++) {
+                                var chat = collected[k];
+                                if (chat.chars) {
+                                    for (var l = 0; l < chat.chars.length; l++) {
+                                        if (targetCharUuids[chat.chars[l].uuid]) {
+                                            toShow.push(chat);
+                                            break;
+                                        }
+                                    }
+                                }
+                            }
+                        }
                     }
-                } catch (e) {
-                    console.error('Error fetching image count:', e);
-                    callback(0);
                 }
-            });
-        },
+            } catch (e) {}
 
-        // Recursive helper to fetch remaining messages and count images
-        fetchImageCountRecursive: function(chatUuid, offset, currentCount, callback) {
-            API.ajax('https://api.' + location.hostname + '/v1/chats/' + chatUuid + '/messages?limit=' + QUERY_BATCH_SIZE + '&offset=' + offset, false, function(r) {
-                try {
-                    var response = JSON.parse(r);
-                    if (!response || response.error) {
-                        callback(currentCount);
-                        return;
-                    }
+            // Store the list that will actually be rendered so indices match
+            window.currentChats = toShow;
+
+            if (toShow.length > 0) {
+                showChatsToDownload(toShow);
+            } else {
+                alert('Unable to find any chats.');
+            }
+        },
 
-                    var messages = response.messages || [];
-                    var additionalCount = 0;
+        // Fetch image count for a single chat (lightweight - just counts messages with text_to_image)
+        fetchImageCountForChat: async function(chatUuid, callback) {
+            // Check cache first
+            var cachedCount = chatCache.getImageCount(chatUuid);
+            if (cachedCount !== null) {
+                callback(cachedCount);
+                return;
+            }
 
-                    for (var i = 0; i < messages.length; i++) {
-                        if (messages[i].text_to_image) {
-                            additionalCount++;
+            var imageCount = 0;
+            try {
+                for await (var page of API.paginate(API.url('/chats/' + chatUuid + '/messages'), 'messages')) {
+                    for (var i = 0; i < page.items.length; i++) {
+                        if (page.items[i].text_to_image) {
+                            imageCount++;
                         }
                     }
+                }
+            } catch (e) {
+                // Report what was counted so far, but don't cache a partial count
+                console.error('Error fetching image count:', e);
+                callback(imageCount);
+                return;
+            }
 
-                    var newCount = currentCount + additionalCount;
+            chatCache.setImageCount(chatUuid, imageCount);
+            callback(imageCount);
+        },
 
-                    // If there are more messages, continue fetching
-                    if (messages.length === QUERY_BATCH_SIZE) {
-                        ChatManager.fetchImageCountRecursive(chatUuid, offset + QUERY_BATCH_SIZE, newCount, callback);
+        // Fetch only the messages missing from a stored copy (see chatCache.loadChatMessages) and merge them in.
+        // The page order of /messages is detected from created_at, so this works whichever end the API starts from.
+        // callback(mergedMessages, newCount), or callback(null) on error so the caller can fall back to a full fetch
+        fetchNewerMessages: async function(chatUuid, stored, callback, signal) {
+            var known = {};
+            for (var i = 0; i < stored.messages.length; i++) {
+                known[stored.messages[i].uuid] = true;
+            }
+            var fresh = [];
+
+            // Keep the unknown messages of a page; true if the page overlaps the stored copy
+            var collect = function(messages) {
+                var reachedKnown = false;
+                for (var m = 0; m < messages.length; m++) {
+                    if (known[messages[m].uuid]) {
+                        reachedKnown = true;
                     } else {
-                        // Cache and return the final count
-                        chatCache.setImageCount(chatUuid, newCount);
-                        callback(newCount);
+                        known[messages[m].uuid] = true;
+                        fresh.push(messages[m]);
                     }
-                } catch (e) {
-                    console.error('Error fetching image count:', e);
-                    callback(currentCount);
                 }
-            });
+                return reachedKnown;
+            };
+
+            var messagesUrl = API.url('/chats/' + chatUuid + '/messages');
+            try {
+                var newestFirst;
+                for await (var page of API.paginate(messagesUrl, 'messages', { signal: signal })) {
+                    var messages = page.items;
+                    var reachedKnown = collect(messages);
+                    // Short page: nothing further to fetch
+                    if (messages.length < QUERY_BATCH_SIZE) break;
+
+                    if (newestFirst === undefined) {
+                        newestFirst = new Date(messages[0].created_at) > new Date(messages[messages.length - 1].created_at);
+                        if (!newestFirst) {
+                            // Oldest first: new messages follow the stored ones. Start one batch early
+                            // so a few deleted messages can't shift anything past us.
+                            var resumeAt = Math.max(QUERY_BATCH_SIZE, stored.messages.length - QUERY_BATCH_SIZE);
+                            for await (var later of API.paginate(messagesUrl, 'messages', { offset: resumeAt, signal: signal })) {
+                                collect(later.items);
+                            }
+                            break;
+                        }
+                    }
+
+                    // Newest first: stop as soon as a page overlaps what we already have
+                    if (reachedKnown) break;
+                }
+            } catch (e) {
+                if (e.name !== 'AbortError') console.error('Error fetching new messages:', e);
+                callback(null);
+                return;
+            }
+
+            var merged = stored.messages.slice();
+            for (var f = 0; f < fresh.length; f++) {
+                merged.push(fresh[f]);
+            }
+            callback(merged, fresh.length);
         },
 
         // Extract recent chat UUIDs from the DOM (in order)
@@ -699,6 +1843,50 @@
 
                 fetchNext(0);
             }
+        },
+
+        // Load the messages of every chat (cache first) in batches of 5, pausing between batches that hit the API,
+        // like fetchImageCountsForMissingChats. onChat(chat, messages) gets null messages when a chat fails to load;
+        // state: { cancelled, abortController }, checked before each chat.
+        loadMessagesInBatches: function(chats, state, onChat, onDone) {
+            var batchSize = 5;
+            var delayBetweenBatches = 300; // ms
+
+            var processBatch = function(batchIndex) {
+                var batchEnd = Math.min((batchIndex + 1) * batchSize, chats.length);
+                var hitApi = false;
+
+                var fetchNext = function(index) {
+                    if (state.cancelled) return;
+                    if (index >= batchEnd) {
+                        if (batchEnd < chats.length) {
+                            setTimeout(function() { processBatch(batchIndex + 1); }, hitApi ? delayBetweenBatches : 0);
+                        } else {
+                            onDone();
+                        }
+                        return;
+                    }
+
+                    var chat = chats[index];
+                    if (!chatCache.getChatMessages(chat.uuid)) hitApi = true;
+                    // Stand-in "button" for retrieveConversationChunk, same as the All Images gallery
+                    var job = { busy: true, signal: state.abortController.signal };
+                    job.onMessages = function(messages) {
+                        if (state.cancelled) return;
+                        onChat(chat, messages);
+                        fetchNext(index + 1);
+                    };
+                    retrieveConversationChunk(chat.uuid, 0, [], job);
+                };
+
+                fetchNext(batchIndex * batchSize);
+            };
+
+            if (chats.length === 0) {
+                onDone();
+                return;
+            }
+            processBatch(0);
         }
     };
 
@@ -709,9 +1897,6 @@
     function fetchImageCountForChat(chatUuid, callback) {
         return ChatManager.fetchImageCountForChat(chatUuid, callback);
     }
-    function fetchImageCountRecursive(chatUuid, offset, currentCount, callback) {
-        return ChatManager.fetchImageCountRecursive(chatUuid, offset, currentCount, callback);
-    }
     function extractRecentChatUuids() {
         return ChatManager.extractRecentChatUuids();
     }
@@ -974,7 +2159,7 @@
             return div.innerHTML
         },
 
-        // Download file helper
+        // Download file helper; a blob: URL is revoked once the browser has had time to start the download
         download: function(path, filename) {
             const anchor = document.createElement('a')
             anchor.href = path
@@ -982,6 +2167,7 @@
             document.body.appendChild(anchor)
             anchor.click()
             document.body.removeChild(anchor)
+            if (String(path).indexOf('blob:') === 0) setTimeout(function() { URL.revokeObjectURL(path) }, 2000)
         }
     }
 
@@ -991,6 +2177,527 @@
     function escapeHtml(text) { return Utils.escapeHtml(text) }
     function download(path, filename) { return Utils.download(path, filename) }
 
+    // ============================================================================
+    // FILE NAME TEMPLATES
+    // ============================================================================
+    // User-editable names for downloaded files, e.g. "{character}/{date} {chat_name:40}".
+    // Inside ZIP archives "/" starts a folder; separate downloads get "_" in its place.
+    var FileNames = {
+        STORAGE_KEY: 'hollyFileNameTemplates',
+
+        // The chat defaults give the names used before templates existed. Images used to be named
+        // "<prompt>_<date>"; their default now leads with the date and time so a folder sorts by age.
+        KINDS: {
+            chat: { label: 'Chat download', template: 'Chat with {character} {today}', folders: false },
+            chatInZip: { label: 'Chat inside a ZIP', template: '{character} {date} {chat_uuid:8}', folders: true },
+            image: { label: 'Image', template: '{date} {time} {prompt:30}', folders: true }
+        },
+
+        TOKENS: [
+            { token: 'chat_name', help: 'chat title' },
+            { token: 'chat_uuid', help: 'chat id' },
+            { token: 'character', help: 'character names' },
+            { token: 'folder', help: 'chat folder, one level per "/"' },
+            { token: 'tags', help: 'chat tags' },
+            { token: 'date', help: 'chat start or image date, YYYY-MM-DD' },
+            { token: 'time', help: 'same moment, HH-MM-SS' },
+            { token: 'today', help: 'date of the download' },
+            { token: 'format', help: 'export format (chats)' },
+            { token: 'model', help: 'image model' },
+            { token: 'seed', help: 'image seed' },
+            { token: 'prompt', help: 'image prompt' },
+            { token: 'index', help: 'position in the batch' },
+            { token: 'site', help: 'site host name' }
+        ],
+
+        // Values shown in the settings preview
+        SAMPLE: {
+            chat_name: 'Harbor Town Campaign',
+            chat_uuid: '3f2c9a1e-7b4d-4e5a-9c1f-2d8e6b0a4c7d',
+            character: 'Holly, Marcus',
+            folder: 'Campaigns/Harbor Town',
+            tags: 'slow burn, mystery',
+            date: '2024-05-17',
+            time: '21-04-09',
+            today: new Date().toISOString().slice(0, 10),
+            format: 'html',
+            model: 'Anime XL',
+            seed: '1234567890',
+            prompt: 'a lighthouse at dusk, waves crashing on the rocks',
+            index: '007',
+            site: location.hostname
+        },
+
+        load: function() {
+            try {
+                var saved = JSON.parse(localStorage.getItem(this.STORAGE_KEY) || '{}');
+                return saved && typeof saved === 'object' ? saved : {};
+            } catch (e) {
+                console.error('Error loading file name templates:', e);
+                return {};
+            }
+        },
+
+        get: function(kind) {
+            var saved = this.load()[kind];
+            return typeof saved === 'string' && saved.trim() ? saved : this.KINDS[kind].template;
+        },
+
+        // An empty template goes back to the default
+        set: function(kind, template) {
+            var saved = this.load();
+            template = (template || '').trim();
+            if (template && template !== this.KINDS[kind].template) {
+                saved[kind] = template;
+            } else {
+                delete saved[kind];
+            }
+            try {
+                localStorage.setItem(this.STORAGE_KEY, JSON.stringify(saved));
+            } catch (e) {
+                console.error('Error saving file name templates:', e);
+            }
+        },
+
+        // Fill in {token} and {token:N} (first N characters). Unknown tokens are left as typed so they show up in the preview.
+        // Returns the name without extension, '' when nothing is left of it.
+        render: function(template, values, folders) {
+            var filled = String(template || '').replace(/\{(\w+)(?::(\d+))?\}/g, function(match, token, length) {
+                if (!values.hasOwnProperty(token)) return match;
+                var value = values[token] === null || values[token] === undefined ? '' : String(values[token]);
+                value = value.replace(/\s+/g, ' ').trim();
+                if (length) value = value.slice(0, parseInt(length, 10)).trim();
+                // Only {folder} may add folder levels; a "/" in any other value is kept out of the split below
+                return token === 'folder' ? value : value.replace(/\//g, '\uE000');
+            });
+            var segments = filled.split('/').map(function(segment) {
+                // Separators left dangling by empty tokens, and dots that would hide the file or walk up a folder
+                segment = segment.replace(/[<>:"\\|?*\u0000-\u001F\uE000]/g, '_').replace(/\s+/g, ' ');
+                return segment.replace(/^[\s._-]+|[\s._-]+$/g, '').slice(0, 120).trim();
+            }).filter(function(segment) {
+                return segment !== '';
+            });
+            return segments.join(folders ? '/' : '_');
+        },
+
+        // Tokens in a template that render() doesn't know
+        unknownTokens: function(template) {
+            var known = {};
+            this.TOKENS.forEach(function(t) { known[t.token] = true; });
+            var unknown = [];
+            String(template || '').replace(/\{(\w+)(?::\d+)?\}/g, function(match, token) {
+                if (!known[token] && unknown.indexOf(match) === -1) unknown.push(match);
+                return match;
+            });
+            return unknown;
+        },
+
+        // Name for one file of the given kind, falling back to the default template if the user's renders empty
+        name: function(kind, values, folders) {
+            var def = this.KINDS[kind];
+            if (folders === undefined) folders = def.folders;
+            return this.render(this.get(kind), values, folders) || this.render(def.template, values, folders) || kind;
+        },
+
+        // Names for one download batch: name(kind, values, extension, folders) adds " (2)", " (3)"... until it is unused
+        batch: function() {
+            var used = {};
+            return {
+                name: function(kind, values, extension, folders) {
+                    var stem = FileNames.name(kind, values, folders);
+                    var finalName = stem + extension;
+                    for (var n = 2; used[finalName.toLowerCase()]; n++) {
+                        finalName = stem + ' (' + n + ')' + extension;
+                    }
+                    used[finalName.toLowerCase()] = true;
+                    return finalName;
+                }
+            };
+        },
+
+        // YYYY-MM-DD and HH-MM-SS (UTC, like the rest of the exports), empty for a missing or invalid date
+        stamp: function(value) {
+            var date = value ? new Date(value) : null;
+            if (!date || isNaN(date.getTime())) return { date: '', time: '' };
+            var iso = date.toISOString();
+            return { date: iso.slice(0, 10), time: iso.slice(11, 19).replace(/:/g, '-') };
+        },
+
+        // 1-based position, zero-padded to the width of the batch size
+        padIndex: function(index, total) {
+            if (!index) return '';
+            var text = String(index);
+            var width = String(total || index).length;
+            while (text.length < width) text = '0' + text;
+            return text;
+        },
+
+        // options: { character (when the chat has no character list), format, index, total }
+        chatValues: function(chat, options) {
+            chat = chat || {};
+            options = options || {};
+            var names = (chat.chars || []).map(function(c) { return c.name; }).filter(Boolean);
+            var stamp = this.stamp(chat.date);
+            return {
+                chat_name: chat.name || '',
+                chat_uuid: chat.uuid || '',
+                character: names.join(', ') || options.character || 'Character',
+                folder: chat.uuid ? ChatTags.getChatFolder(chat.uuid) : '',
+                tags: chat.uuid ? ChatTags.getChatTags(chat.uuid).join(', ') : '',
+                date: stamp.date,
+                time: stamp.time,
+                today: new Date().toISOString().slice(0, 10),
+                format: options.format || '',
+                model: '',
+                seed: '',
+                prompt: '',
+                index: this.padIndex(options.index, options.total),
+                site: location.hostname
+            };
+        },
+
+        // options: { index, total }
+        imageValues: function(img, options) {
+            options = options || {};
+            var t2i = img.text_to_image || {};
+            var chatData = window.hollyImageChatData;
+            var chatUuid = img.chat_uuid || (chatData && chatData.uuid) || '';
+            var chat = chatUuid ? ExportManager.findChat(chatUuid) : {};
+            var characters = img.characters && img.characters.length
+                ? img.characters
+                : (chat.chars || []).map(function(c) { return c.name; });
+            var stamp = this.stamp(img.timestamp);
+            return {
+                chat_name: chat.name || '',
+                chat_uuid: chatUuid,
+                character: characters.join(', '),
+                folder: chatUuid ? ChatTags.getChatFolder(chatUuid) : '',
+                tags: chatUuid ? ChatTags.getChatTags(chatUuid).join(', ') : '',
+                date: stamp.date,
+                time: stamp.time,
+                today: new Date().toISOString().slice(0, 10),
+                format: '',
+                model: img.model && img.model !== 'Unknown Model' ? img.model : (t2i.model_display_name || t2i.model || ''),
+                seed: t2i.seed !== undefined && t2i.seed !== null ? t2i.seed : '',
+                // img.message is the chat message cut to 100 characters plus "..."
+                prompt: t2i.prompt || (img.message || '').replace(/\.\.\.$/, ''),
+                index: this.padIndex(options.index, options.total),
+                site: location.hostname
+            };
+        }
+    };
+
+    // ============================================================================
+    // ZIP WRITER MODULE
+    // ============================================================================
+    // Minimal store-only (uncompressed) ZIP builder so bulk exports work offline
+    var ZipWriter = {
+        crcTable: null,
+
+        // Standard CRC-32 (IEEE 802.3) used by the ZIP format
+        crc32: function(bytes) {
+            if (!ZipWriter.crcTable) {
+                ZipWriter.crcTable = new Uint32Array(256);
+                for (var n = 0; n < 256; n++) {
+                    var c = n;
+                    for (var k = 0; k < 8; k++) {
+                        c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+                    }
+                    ZipWriter.crcTable[n] = c >>> 0;
+                }
+            }
+            var crc = 0xFFFFFFFF;
+            for (var i = 0; i < bytes.length; i++) {
+                crc = ZipWriter.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+            }
+            return (crc ^ 0xFFFFFFFF) >>> 0;
+        },
+
+        // MS-DOS time/date fields stored in ZIP headers
+        dosDateTime: function(date) {
+            var year = Math.max(1980, date.getFullYear());
+            return {
+                time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+                date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+            };
+        },
+
+        // Normalize string/Blob/ArrayBuffer content to a Uint8Array
+        toBytes: function(data, callback) {
+            if (typeof data === 'string') {
+                callback(new TextEncoder().encode(data));
+            } else if (data instanceof Blob) {
+                var reader = new FileReader();
+                reader.onload = function() { callback(new Uint8Array(reader.result)); };
+                reader.onerror = function() { callback(null); };
+                reader.readAsArrayBuffer(data);
+            } else if (data instanceof ArrayBuffer) {
+                callback(new Uint8Array(data));
+            } else {
+                callback(data || new Uint8Array(0));
+            }
+        },
+
+        // Create a new archive: addFile(name, data) as often as needed, then generate(callback(blob))
+        create: function() {
+            var entries = [];
+            var usedNames = {};
+
+            return {
+                // Adds a file and returns the (possibly de-duplicated) name stored in the archive
+                addFile: function(name, data, date) {
+                    var finalName = name;
+                    var dot = name.lastIndexOf('.');
+                    var stem = dot > 0 ? name.slice(0, dot) : name;
+                    var ext = dot > 0 ? name.slice(dot) : '';
+                    for (var n = 2; usedNames[finalName.toLowerCase()]; n++) {
+                        finalName = stem + ' (' + n + ')' + ext;
+                    }
+                    usedNames[finalName.toLowerCase()] = true;
+                    entries.push({ name: finalName, data: data, date: date || new Date() });
+                    return finalName;
+                },
+
+                count: function() {
+                    return entries.length;
+                },
+
+                generate: function(callback) {
+                    var parts = [];
+                    var central = [];
+                    var offset = 0;
+                    var encoder = new TextEncoder();
+
+                    var writeEntry = function(index) {
+                        if (index >= entries.length) {
+                            var centralSize = 0;
+                            for (var c = 0; c < central.length; c++) {
+                                parts.push(central[c]);
+                                centralSize += central[c].length;
+                            }
+                            var end = new DataView(new ArrayBuffer(22));
+                            end.setUint32(0, 0x06054b50, true);
+                            end.setUint16(8, entries.length, true);
+                            end.setUint16(10, entries.length, true);
+                            end.setUint32(12, centralSize, true);
+                            end.setUint32(16, offset, true);
+                            parts.push(new Uint8Array(end.buffer));
+                            callback(new Blob(parts, { type: 'application/zip' }));
+                            return;
+                        }
+
+                        var entry = entries[index];
+                        ZipWriter.toBytes(entry.data, function(bytes) {
+                            bytes = bytes || new Uint8Array(0);
+                            var nameBytes = encoder.encode(entry.name);
+                            var crc = ZipWriter.crc32(bytes);
+                            var stamp = ZipWriter.dosDateTime(entry.date);
+
+                            // Local file header (bit 11 = UTF-8 file name, method 0 = stored)
+                            var local = new DataView(new ArrayBuffer(30));
+                            local.setUint32(0, 0x04034b50, true);
+                            local.setUint16(4, 20, true);
+                            local.setUint16(6, 0x0800, true);
+                            local.setUint16(8, 0, true);
+                            local.setUint16(10, stamp.time, true);
+                            local.setUint16(12, stamp.date, true);
+                            local.setUint32(14, crc, true);
+                            local.setUint32(18, bytes.length, true);
+                            local.setUint32(22, bytes.length, true);
+                            local.setUint16(26, nameBytes.length, true);
+                            parts.push(new Uint8Array(local.buffer), nameBytes, bytes);
+
+                            // Matching central directory record
+                            var record = new Uint8Array(46 + nameBytes.length);
+                            var dir = new DataView(record.buffer);
+                            dir.setUint32(0, 0x02014b50, true);
+                            dir.setUint16(4, 20, true);
+                            dir.setUint16(6, 20, true);
+                            dir.setUint16(8, 0x0800, true);
+                            dir.setUint16(10, 0, true);
+                            dir.setUint16(12, stamp.time, true);
+                            dir.setUint16(14, stamp.date, true);
+                            dir.setUint32(16, crc, true);
+                            dir.setUint32(20, bytes.length, true);
+                            dir.setUint32(24, bytes.length, true);
+                            dir.setUint16(28, nameBytes.length, true);
+                            dir.setUint32(42, offset, true);
+                            record.set(nameBytes, 46);
+                            central.push(record);
+
+                            offset += 30 + nameBytes.length + bytes.length;
+                            writeEntry(index + 1);
+                        });
+                    };
+
+                    writeEntry(0);
+                }
+            };
+        }
+    }
+
+    // ============================================================================
+    // IMAGE METADATA MODULE
+    // ============================================================================
+    // Writes the generation settings into downloaded images, in the A1111 "parameters" format that
+    // the A1111 PNG Info tab, ComfyUI and Civitai read back: a tEXt/iTXt chunk for PNG, EXIF UserComment for JPEG.
+    var ImageMetadata = {
+        // A1111 infotext: prompt, "Negative prompt: ..." and a "Key: value, ..." settings line
+        parametersText: function(t2i, model) {
+            if (!t2i) return null;
+            var settings = [];
+            if (t2i.sampling_steps) settings.push('Steps: ' + t2i.sampling_steps);
+            if (t2i.sampling_method) settings.push('Sampler: ' + t2i.sampling_method);
+            if (t2i.cfg_scale) settings.push('CFG scale: ' + t2i.cfg_scale);
+            if (t2i.seed !== undefined && t2i.seed !== null) settings.push('Seed: ' + t2i.seed);
+            if (t2i.width && t2i.height) settings.push('Size: ' + t2i.width + 'x' + t2i.height);
+            var modelName = model && model !== 'Unknown Model' ? model : (t2i.model_display_name || t2i.model);
+            if (modelName) settings.push('Model: ' + modelName);
+            if (!t2i.prompt && settings.length === 0) return null;
+
+            var lines = [t2i.prompt || ''];
+            if (t2i.negative_prompt) lines.push('Negative prompt: ' + t2i.negative_prompt);
+            if (settings.length) lines.push(settings.join(', '));
+            return lines.join('\n');
+        },
+
+        // 'png' | 'jpg' | 'webp' | null from the file signature
+        detectType: function(bytes) {
+            if (bytes.length > 8 && bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4E && bytes[3] === 0x47) return 'png';
+            if (bytes.length > 4 && bytes[0] === 0xFF && bytes[1] === 0xD8) return 'jpg';
+            if (bytes.length > 12 && bytes[0] === 0x52 && bytes[1] === 0x49 && bytes[8] === 0x57 && bytes[9] === 0x45) return 'webp';
+            return null;
+        },
+
+        // Embed the parameters into a fetched image. callback(blob, extension) always runs; when the format
+        // isn't supported or there is nothing to write, the original blob comes back unchanged.
+        embed: function(blob, t2i, model, callback) {
+            var text = ImageMetadata.parametersText(t2i, model);
+            ZipWriter.toBytes(blob, function(bytes) {
+                var type = bytes ? ImageMetadata.detectType(bytes) : null;
+                var extension = type || 'jpg';
+                if (!text || (type !== 'png' && type !== 'jpg')) {
+                    callback(blob, extension);
+                    return;
+                }
+                try {
+                    var tagged = type === 'png' ? ImageMetadata.embedPng(bytes, text) : ImageMetadata.embedJpeg(bytes, text);
+                    callback(tagged ? new Blob([tagged], { type: type === 'png' ? 'image/png' : 'image/jpeg' }) : blob, extension);
+                } catch (e) {
+                    console.error('Error writing image metadata:', e);
+                    callback(blob, extension);
+                }
+            });
+        },
+
+        // Insert a text chunk ("parameters" unless another keyword is given) right after IHDR.
+        // tEXt is Latin-1 only, so anything else goes in an uncompressed iTXt.
+        embedPng: function(bytes, text, keywordName) {
+            var keyword = new TextEncoder().encode(keywordName || 'parameters');
+            var isLatin1 = !/[^\u0000-\u00ff]/.test(text);
+            var chunkType = isLatin1 ? 'tEXt' : 'iTXt';
+            var textBytes;
+            if (isLatin1) {
+                textBytes = new Uint8Array(text.length);
+                for (var c = 0; c < text.length; c++) textBytes[c] = text.charCodeAt(c);
+            } else {
+                textBytes = new TextEncoder().encode(text);
+            }
+            // tEXt: keyword NUL text / iTXt: keyword NUL, compression flag, method, empty language NUL, empty translated keyword NUL, text
+            var header = isLatin1 ? [0] : [0, 0, 0, 0, 0];
+            var data = new Uint8Array(keyword.length + header.length + textBytes.length);
+            data.set(keyword, 0);
+            data.set(header, keyword.length);
+            data.set(textBytes, keyword.length + header.length);
+
+            var chunk = new Uint8Array(12 + data.length);
+            var view = new DataView(chunk.buffer);
+            view.setUint32(0, data.length);
+            for (var t = 0; t < 4; t++) chunk[4 + t] = chunkType.charCodeAt(t);
+            chunk.set(data, 8);
+            view.setUint32(8 + data.length, ZipWriter.crc32(chunk.subarray(4, 8 + data.length)));
+
+            // Signature (8) + IHDR (length 4 + type 4 + 13 data + CRC 4)
+            var ihdrEnd = 8 + 12 + new DataView(bytes.buffer, bytes.byteOffset).getUint32(8);
+            var out = new Uint8Array(bytes.length + chunk.length);
+            out.set(bytes.subarray(0, ihdrEnd), 0);
+            out.set(chunk, ihdrEnd);
+            out.set(bytes.subarray(ihdrEnd), ihdrEnd + chunk.length);
+            return out;
+        },
+
+        // Insert an APP1 Exif segment holding only Exif IFD > UserComment ("UNICODE" + UTF-16BE, as A1111 writes it).
+        // Any existing Exif segment is dropped so readers don't pick up the old one first.
+        embedJpeg: function(bytes, text) {
+            var commentLength = 8 + text.length * 2;
+            // TIFF header (8) + IFD0 with one entry (2 + 12 + 4) + Exif IFD with one entry (2 + 12 + 4) + comment
+            var tiffLength = 8 + 18 + 18 + commentLength;
+            var segmentLength = 2 + 6 + tiffLength; // length field counts itself, plus "Exif\0\0"
+            if (segmentLength > 0xFFFF) return null; // Too long for a single JPEG segment
+
+            var segment = new Uint8Array(2 + segmentLength);
+            var view = new DataView(segment.buffer);
+            view.setUint16(0, 0xFFE1);
+            view.setUint16(2, segmentLength);
+            var exifId = 'Exif';
+            for (var e = 0; e < 4; e++) segment[4 + e] = exifId.charCodeAt(e);
+            // segment[8..9] stay 0
+
+            var tiff = 10; // TIFF header offset in the segment; IFD offsets below are relative to it
+            segment[tiff] = 0x4D; segment[tiff + 1] = 0x4D; // "MM" big-endian
+            view.setUint16(tiff + 2, 42);
+            view.setUint32(tiff + 4, 8); // IFD0 offset
+            // IFD0: ExifIFDPointer
+            view.setUint16(tiff + 8, 1);
+            view.setUint16(tiff + 10, 0x8769);
+            view.setUint16(tiff + 12, 4); // LONG
+            view.setUint32(tiff + 14, 1);
+            view.setUint32(tiff + 18, 26); // Exif IFD offset
+            view.setUint32(tiff + 22, 0); // no next IFD
+            // Exif IFD: UserComment
+            view.setUint16(tiff + 26, 1);
+            view.setUint16(tiff + 28, 0x9286);
+            view.setUint16(tiff + 30, 7); // UNDEFINED
+            view.setUint32(tiff + 32, commentLength);
+            view.setUint32(tiff + 36, 44); // comment offset
+            view.setUint32(tiff + 40, 0);
+            var charset = 'UNICODE\0';
+            for (var cs = 0; cs < 8; cs++) segment[tiff + 44 + cs] = charset.charCodeAt(cs);
+            for (var ch = 0; ch < text.length; ch++) {
+                view.setUint16(tiff + 52 + ch * 2, text.charCodeAt(ch));
+            }
+
+            // Keep SOI and a leading APP0 (JFIF) first, drop old Exif APP1 segments, keep everything else
+            var parts = [bytes.subarray(0, 2)];
+            var pos = 2;
+            var inserted = false;
+            while (pos + 4 <= bytes.length && bytes[pos] === 0xFF) {
+                var marker = bytes[pos + 1];
+                if (marker === 0xDA || marker === 0xD9) break; // image data follows
+                var length = (bytes[pos + 2] << 8) | bytes[pos + 3];
+                var isExif = marker === 0xE1 && bytes[pos + 4] === 0x45 && bytes[pos + 5] === 0x78 && bytes[pos + 6] === 0x69 && bytes[pos + 7] === 0x66;
+                if (!inserted && marker !== 0xE0) {
+                    parts.push(segment);
+                    inserted = true;
+                }
+                if (!isExif) parts.push(bytes.subarray(pos, pos + 2 + length));
+                pos += 2 + length;
+            }
+            if (!inserted) parts.push(segment);
+            parts.push(bytes.subarray(pos));
+
+            var total = 0;
+            for (var p = 0; p < parts.length; p++) total += parts[p].length;
+            var out = new Uint8Array(total);
+            var offset = 0;
+            for (var q = 0; q < parts.length; q++) {
+                out.set(parts[q], offset);
+                offset += parts[q].length;
+            }
+            return out;
+        }
+    }
+
     // ============================================================================
     // UI COMPONENTS MODULE
     // ============================================================================
@@ -1101,9 +2808,9 @@
         },
 
         // Function to add exporter option to chat settings menu
-        addExporterToChatMenu: function() {
+        addExporterToChatMenu: function(menuContainer) {
             // Look for the Headless UI menu items container
-            var menuContainer = document.querySelector('[id^="headlessui-menu-items"]');
+            menuContainer = menuContainer || document.querySelector('[id^="headlessui-menu-items"]');
             if (!menuContainer) return false;
 
             // Check if we already added the exporter option (but allow re-adding if menu was recreated)
@@ -1360,151 +3067,348 @@
     function triggerExporter() {
         return UIComponents.triggerExporter();
     }
-    function addExporterToChatMenu() {
-        return UIComponents.addExporterToChatMenu();
+    function addExporterToChatMenu(menuContainer) {
+        return UIComponents.addExporterToChatMenu(menuContainer);
     }
 
     // ============================================================================
-    // INITIALIZATION
+    // INJECTION MODULE
     // ============================================================================
-    window.addEventListener('load', function ()
-        {
-        setInterval(function ()
-            {
-            if (!location.href.startsWith('https://' + location.hostname + '/tavern'))
-                return
-
-            let btn = document.getElementById('holly_download_button')
-            if (!btn)
-                {
-                console.log('checking')
-                // Look for the header div that contains Create and Guides buttons
-                let headerRightDiv = document.querySelector('nav.sticky > div.flex > div.flex:last-child')
-                if (!headerRightDiv)
-                    return
+    // Keeps our buttons in the site's UI across SPA navigation. Each named injection point lists the routes it
+    // belongs to, fallback selectors for its target and the subtree to watch; only points for the current route
+    // are observed, and a point that can't find its target after a redesign logs one warning.
+    // Nothing watches the whole document: until a point's subtree is rendered it is looked up again on a timer.
+    var Injector = {
+        GRACE_PERIOD: 10000, // ms after a route change before a missing target counts as broken
+        SCOPE_RETRY: 250, // ms between lookups of a subtree that isn't rendered yet
+        points: {},
+        started: false,
+
+        // def: {
+        //   routes: RegExp tested against location.pathname,
+        //   selectors: [target selector, fallbacks...],
+        //   scope: [selector, ...] or function() -> element; the subtree watched for changes,
+        //   deep: false to watch only the scope's own children,
+        //   optional: true when a missing target is normal (e.g. a menu that is closed),
+        //   isPresent: function() -> true when our element is already there,
+        //   inject: function(target)
+        // }
+        register: function(name, def) {
+            var self = this;
+            var point = {
+                name: name,
+                def: def,
+                observer: null,
+                scopeEl: null,
+                scopeTimer: null,
+                pending: false,
+                activeSince: 0,
+                graceTimer: null,
+                warned: {} // message key -> true, so each problem is reported once until it is fixed
+            };
+            point.observer = new MutationObserver(function() {
+                self.schedule(point);
+            });
+            this.points[name] = point;
+            if (this.started) this.activate(point);
+        },
 
-                btn = document.createElement('div')
-                btn.setAttribute('id', 'holly_download_button')
-                btn.className = 'flex flex-col items-center justify-start text-secondaryText'
-                btn.innerHTML = '<div class="flex items-center gap-1.5"><a class="text-secondaryText"><div class="flex items-center gap-2"><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path><polyline points="7,10 12,15 17,10"></polyline><line x1="12" y1="15" x2="12" y2="3"></line></svg><span class="whitespace-nowrap text-sm font-semibold sm:text-base">Export Chat/Images</span></div></a></div><div class="h-[0px] w-full border border-primaryBtn invisible"></div>'
-                let link = btn.querySelector('a')
-                link.style.cursor = 'pointer'
-                link.style.transition = 'color 0.2s'
-                link.style.color = '#FFFFFF'
-                // Ensure the SVG is 24x24 regardless of site CSS
-                const headerSvg = btn.querySelector('svg')
-                if (headerSvg) {
-                    headerSvg.style.width = '20px'
-                    headerSvg.style.height = '20px'
-                    headerSvg.setAttribute('width', '20')
-                    headerSvg.setAttribute('height', '20')
-                }
-                link.addEventListener('mouseenter', function() { this.style.color = colorScheme.hoverText; })
-                link.addEventListener('mouseleave', function() { this.style.color = '#FFFFFF'; })
-                link.addEventListener('click', function ()
-                    {
-                    if (link.busy)
-                        {
-                        console.log('Button click ignored - already busy')
-                        return
-                        }
+        start: function() {
+            if (this.started) return;
+            this.started = true;
+            var self = this;
 
-                    link.busy = true
-                    // Update the text while preserving the SVG icon
-                    const textSpan = link.querySelector('span')
-                    if (textSpan) {
-                        textSpan.textContent = '(Processing ...)'
-                    }
-                    // Opening from the global header: clear any prior chat-specific filter
-                    try { window.hollyCurrentChatUuid = null } catch (_) {}
-                    
-                    // Progressive loading callback
-                    var onChunkLoaded = function(newChats, isComplete, isError) {
-                        if (isError) {
-                            // Error handling
-                            link.busy = false;
-                            var textSpan = link.querySelector('span');
-                            if (textSpan) {
-                                textSpan.textContent = 'Export Chat/Images';
-                            }
-                            alert('Failed to load chats. Please try again.');
-                            return;
-                        }
-                        
-                        if (newChats && newChats.length > 0) {
-                            // First chunk - show immediately
-                            if (!window.hollyAppendChats) {
-                                // Show first chunk immediately
-                                showChatsToDownload(newChats);
-                                // Show loading indicator after modal is set up (give DOM time to render)
-                                setTimeout(function() {
-                                    var loadingInd = document.getElementById('holly-loading-indicator');
-                                    if (loadingInd && !isComplete) {
-                                        loadingInd.style.display = 'block';
-                                        loadingInd.textContent = 'Loading chats... (' + newChats.length + ' loaded)';
-                                    }
-                                }, 100);
-                            } else {
-                                // Subsequent chunks - use appendChats
-                                window.hollyAppendChats(newChats, isComplete);
-                            }
-                        } else if (isComplete) {
-                            // Loading complete
-                            if (window.hollyAppendChats) {
-                                window.hollyAppendChats([], true);
-                            }
-                        }
+            var lastPath = location.pathname;
+            var onRouteChange = function() {
+                if (location.pathname === lastPath) return;
+                lastPath = location.pathname;
+                for (var name in self.points) self.activate(self.points[name]);
+            };
+            window.addEventListener('popstate', onRouteChange);
+
+            if (window.onurlchange === null) {
+                // Tampermonkey reports the page's own history changes (@grant window.onurlchange)
+                window.addEventListener('urlchange', onRouteChange);
+            } else if (typeof unsafeWindow !== 'undefined') {
+                // pushState/replaceState don't fire any event, so wrap them. With @grant the script is
+                // sandboxed and only unsafeWindow.history sees the page's own calls.
+                var pageWindow = unsafeWindow;
+                ['pushState', 'replaceState'].forEach(function(method) {
+                    var original = pageWindow.history[method];
+                    var wrapper = function() {
+                        var result = original.apply(this, arguments);
+                        onRouteChange();
+                        return result;
                     };
-                    
-                    retrieveChatsChunk(0, [], link, onChunkLoaded)
-                    })
+                    // Firefox only lets page code call sandbox functions that were exported to it
+                    pageWindow.history[method] = typeof exportFunction === 'function' && pageWindow !== window
+                        ? exportFunction(wrapper, pageWindow)
+                        : wrapper;
+                });
+            } else {
+                // No way into the page: the site retitles the tab on every navigation, so watch <head> only
+                new MutationObserver(onRouteChange).observe(document.head, { childList: true, characterData: true, subtree: true });
+            }
 
-                headerRightDiv.insertBefore(btn, headerRightDiv.firstChild)
-                }
+            for (var name in this.points) this.activate(this.points[name]);
+        },
 
-            // Try to add exporter to chat settings menu (only on chat pages)
-            if (location.href.includes('/tavern/chat/')) {
-                addExporterToChatMenu()
-                }
+        routeMatches: function(point) {
+            return !point.def.routes || point.def.routes.test(location.pathname);
+        },
+
+        // Stop watching what the previous route rendered, then start again if the point belongs to this one
+        activate: function(point) {
+            clearTimeout(point.graceTimer);
+            clearTimeout(point.scopeTimer);
+            point.scopeTimer = null;
+            point.observer.disconnect();
+            point.scopeEl = null;
+            if (!this.routeMatches(point)) return;
+            point.activeSince = Date.now();
+            this.attach(point);
+            this.check(point);
+        },
 
-            }, 1000)
+        findScope: function(point) {
+            var scope = point.def.scope;
+            if (typeof scope === 'function') return scope();
+            return this.query(scope).element;
+        },
 
-        // Also watch for menu dynamically opening using MutationObserver
-        const observer = new MutationObserver(function(mutations) {
-            if (location.href.includes('/tavern/chat/')) {
-                addExporterToChatMenu()
+        // { element, index } of the first selector that matches, index -1 when none does
+        query: function(selectors) {
+            for (var i = 0; i < selectors.length; i++) {
+                var element = document.querySelector(selectors[i]);
+                if (element) return { element: element, index: i };
             }
-        })
+            return { element: null, index: -1 };
+        },
 
-        observer.observe(document.body, {
-            childList: true,
-            subtree: true
-        })
-        })
+        // Observe the scope's subtree, plus its parent's children to notice the scope being re-rendered
+        attach: function(point) {
+            var scope = this.findScope(point);
+            if (scope && scope === point.scopeEl && scope.isConnected) return;
+            point.observer.disconnect();
+            if (!scope && point.scopeEl) point.activeSince = Date.now(); // being re-rendered: give it the grace period again
+            point.scopeEl = scope;
+            if (!scope) {
+                this.waitForScope(point);
+                return;
+            }
+            point.observer.observe(scope, { childList: true, subtree: point.def.deep !== false });
+            if (scope.parentNode && scope !== document.body) point.observer.observe(scope.parentNode, { childList: true });
+        },
 
-    // ============================================================================
-    // SETTINGS MODAL
-    // ============================================================================
-    function showSettingsModal() {
-        // Create backdrop
-        var settingsCover = document.createElement('div')
-        settingsCover.style.cssText = 'background-color: rgba(0, 0, 0, 0); position: fixed; top: 0; bottom: 0; left: 0; right: 0; z-index: 120; backdrop-filter: blur(0px); -webkit-backdrop-filter: blur(0px); transition: background-color 0.3s ease, backdrop-filter 0.3s ease, -webkit-backdrop-filter 0.3s ease;'
+        // The route hasn't rendered the scope yet: look again shortly, until the grace period is over
+        waitForScope: function(point) {
+            if (point.scopeTimer || Date.now() - point.activeSince >= this.GRACE_PERIOD) return;
+            var self = this;
+            point.scopeTimer = setTimeout(function() {
+                point.scopeTimer = null;
+                if (!self.routeMatches(point)) return;
+                self.attach(point);
+                self.check(point);
+            }, this.SCOPE_RETRY);
+        },
 
-        // Create modal popup
-        var settingsPopup = document.createElement('div')
-        settingsPopup.style.cssText = 'position: absolute; top: 50%; left: 50%; transform: translate(-50%, -50%) scale(0.95); width: 90vw; max-width: 500px; height: fit-content; background-color: ' + colorScheme.background + '; border-radius: 16px; padding: clamp(16px, 3vw, 32px); display: flex; flex-direction: column; border: 1px solid ' + colorScheme.border + '; opacity: 0; transition: opacity 0.3s ease, transform 0.3s ease;'
+        // Coalesce a burst of mutations into one check per frame
+        schedule: function(point) {
+            if (point.pending) return;
+            point.pending = true;
+            var self = this;
+            requestAnimationFrame(function() {
+                point.pending = false;
+                if (!self.routeMatches(point)) return;
+                self.attach(point);
+                self.check(point);
+            });
+        },
 
-        // Create header
-        var header = document.createElement('div')
-        header.style.cssText = 'display: flex; justify-content: space-between; align-items: center; margin-bottom: clamp(16px, 3vw, 24px);'
+        check: function(point) {
+            var def = point.def;
+            if (def.isPresent && def.isPresent()) return;
 
-        var title = document.createElement('h2')
-        title.textContent = 'Settings'
-        title.style.cssText = 'font-size: clamp(20px, 5vw, 28px); font-weight: 600; color: ' + colorScheme.textPrimary + '; margin: 0;'
+            var match = this.query(def.selectors);
+            if (match.element) {
+                if (match.index > 0) {
+                    this.warnOnce(point, 'fallback', 'Injection point "' + point.name + '": "' + def.selectors[0] + '" no longer matches, using fallback "' + def.selectors[match.index] + '". The site layout may have changed.');
+                } else {
+                    delete point.warned.fallback;
+                }
+                delete point.warned.missing;
+                def.inject(match.element);
+                return;
+            }
 
-        var closeBtn = document.createElement('button')
-        closeBtn.innerHTML = '✕'
-        closeBtn.style.cssText = 'background: ' + colorScheme.cardBackground + '; color: ' + colorScheme.textPrimary + '; border: none; border-radius: 8px; padding: clamp(6px, 1.5vw, 8px) clamp(12px, 3vw, 16px); cursor: pointer; font-weight: 500; transition: background-color 0.2s; font-size: clamp(12px, 3vw, 14px);'
+            // Pages render in stages: only report once the route had time to settle
+            var waited = Date.now() - point.activeSince;
+            var broken = def.optional ? !point.scopeEl : true;
+            if (!broken) return;
+            if (waited >= this.GRACE_PERIOD) {
+                this.warnOnce(point, 'missing', 'Injection point "' + point.name + '": none of ' + JSON.stringify(def.optional ? def.scope : def.selectors) + ' match on ' + location.pathname + '. The site layout may have changed.');
+            } else {
+                var self = this;
+                clearTimeout(point.graceTimer);
+                point.graceTimer = setTimeout(function() {
+                    if (self.routeMatches(point)) self.check(point);
+                }, this.GRACE_PERIOD - waited);
+            }
+        },
+
+        warnOnce: function(point, key, message) {
+            if (point.warned[key]) return;
+            point.warned[key] = true;
+            console.warn(message);
+        }
+    };
+
+    // ============================================================================
+    // INITIALIZATION
+    // ============================================================================
+    window.addEventListener('load', function ()
+        {
+        chatCache.init()
+        MessageSearch.revealLinkedMessage()
+        Injector.register('header-button', {
+            routes: /^\/tavern/,
+            // Header div that contains the Create and Guides buttons
+            selectors: ['nav.sticky > div.flex > div.flex:last-child', 'nav > div.flex > div.flex:last-child', 'nav div.flex:last-child'],
+            scope: ['nav.sticky', 'nav'],
+            isPresent: function () { return !!document.getElementById('holly_download_button') },
+            inject: function (headerRightDiv) { headerRightDiv.insertBefore(createHeaderButton(), headerRightDiv.firstChild) }
+            })
+
+        // The chat settings menu only exists while it is open; watch the wrapper around its button
+        Injector.register('chat-menu', {
+            routes: /^\/tavern\/chat\//,
+            selectors: ['[id^="headlessui-menu-items"]'],
+            scope: function ()
+                {
+                let menuButton = document.querySelector('[id^="headlessui-menu-button"]')
+                return menuButton ? menuButton.parentElement : null
+                },
+            optional: true,
+            inject: function (menuContainer) { addExporterToChatMenu(menuContainer) }
+            })
+
+        // Put the download queue back if the page ever replaces body's children; jobs keep running regardless
+        Injector.register('download-queue', {
+            selectors: ['body'],
+            scope: function () { return document.body },
+            deep: false,
+            optional: true,
+            isPresent: function () { return !DownloadQueue.panel || DownloadQueue.panel.isConnected },
+            inject: function (body) { body.appendChild(DownloadQueue.panel) }
+            })
+
+        Injector.start()
+        })
+
+    function createHeaderButton()
+        {
+        let btn = document.createElement('div')
+        btn.setAttribute('id', 'holly_download_button')
+        btn.className = 'flex flex-col items-center justify-start text-secondaryText'
+        btn.innerHTML = '<div class="flex items-center gap-1.5"><a class="text-secondaryText"><div class="flex items-center gap-2"><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path><polyline points="7,10 12,15 17,10"></polyline><line x1="12" y1="15" x2="12" y2="3"></line></svg><span class="whitespace-nowrap text-sm font-semibold sm:text-base">Export Chat/Images</span></div></a></div><div class="h-[0px] w-full border border-primaryBtn invisible"></div>'
+        let link = btn.querySelector('a')
+        link.style.cursor = 'pointer'
+        link.style.transition = 'color 0.2s'
+        link.style.color = '#FFFFFF'
+        // Ensure the SVG is 24x24 regardless of site CSS
+        const headerSvg = btn.querySelector('svg')
+        if (headerSvg) {
+            headerSvg.style.width = '20px'
+            headerSvg.style.height = '20px'
+            headerSvg.setAttribute('width', '20')
+            headerSvg.setAttribute('height', '20')
+        }
+        link.addEventListener('mouseenter', function() { this.style.color = colorScheme.hoverText; })
+        link.addEventListener('mouseleave', function() { this.style.color = '#FFFFFF'; })
+        link.addEventListener('click', function ()
+            {
+            if (link.busy)
+                {
+                console.log('Button click ignored - already busy')
+                return
+                }
+
+            link.busy = true
+            // Update the text while preserving the SVG icon
+            const textSpan = link.querySelector('span')
+            if (textSpan) {
+                textSpan.textContent = '(Processing ...)'
+            }
+            // Opening from the global header: clear any prior chat-specific filter
+            try { window.hollyCurrentChatUuid = null } catch (_) {}
+            
+            // Progressive loading callback
+            var onChunkLoaded = function(newChats, isComplete, isError) {
+                if (isError) {
+                    // Error handling
+                    link.busy = false;
+                    var textSpan = link.querySelector('span');
+                    if (textSpan) {
+                        textSpan.textContent = 'Export Chat/Images';
+                    }
+                    alert('Failed to load chats. Please try again.');
+                    return;
+                }
+                
+                if (newChats && newChats.length > 0) {
+                    // First chunk - show immediately
+                    if (!window.hollyAppendChats) {
+                        // Show first chunk immediately
+                        showChatsToDownload(newChats);
+                        // Show loading indicator after modal is set up (give DOM time to render)
+                        setTimeout(function() {
+                            var loadingInd = document.getElementById('holly-loading-indicator');
+                            if (loadingInd && !isComplete) {
+                                loadingInd.style.display = 'block';
+                                loadingInd.textContent = 'Loading chats... (' + newChats.length + ' loaded)';
+                            }
+                        }, 100);
+                    } else {
+                        // Subsequent chunks - use appendChats
+                        window.hollyAppendChats(newChats, isComplete);
+                    }
+                } else if (isComplete) {
+                    // Loading complete
+                    if (window.hollyAppendChats) {
+                        window.hollyAppendChats([], true);
+                    }
+                }
+            };
+            
+            retrieveChatsChunk(0, [], link, onChunkLoaded)
+            })
+
+        return btn
+        }
+
+    // ============================================================================
+    // SETTINGS MODAL
+    // ============================================================================
+    function showSettingsModal() {
+        // Create backdrop
+        var settingsCover = document.createElement('div')
+        settingsCover.style.cssText = 'background-color: rgba(0, 0, 0, 0); position: fixed; top: 0; bottom: 0; left: 0; right: 0; z-index: 120; backdrop-filter: blur(0px); -webkit-backdrop-filter: blur(0px); transition: background-color 0.3s ease, backdrop-filter 0.3s ease, -webkit-backdrop-filter 0.3s ease;'
+
+        // Create modal popup
+        var settingsPopup = document.createElement('div')
+        settingsPopup.style.cssText = 'position: absolute; top: 50%; left: 50%; transform: translate(-50%, -50%) scale(0.95); width: 90vw; max-width: 500px; height: fit-content; max-height: 85vh; overflow-y: auto; background-color: ' + colorScheme.background + '; border-radius: 16px; padding: clamp(16px, 3vw, 32px); display: flex; flex-direction: column; border: 1px solid ' + colorScheme.border + '; opacity: 0; transition: opacity 0.3s ease, transform 0.3s ease;'
+
+        // Create header
+        var header = document.createElement('div')
+        header.style.cssText = 'display: flex; justify-content: space-between; align-items: center; margin-bottom: clamp(16px, 3vw, 24px);'
+
+        var title = document.createElement('h2')
+        title.textContent = 'Settings'
+        title.style.cssText = 'font-size: clamp(20px, 5vw, 28px); font-weight: 600; color: ' + colorScheme.textPrimary + '; margin: 0;'
+
+        var closeBtn = document.createElement('button')
+        closeBtn.innerHTML = '✕'
+        closeBtn.style.cssText = 'background: ' + colorScheme.cardBackground + '; color: ' + colorScheme.textPrimary + '; border: none; border-radius: 8px; padding: clamp(6px, 1.5vw, 8px) clamp(12px, 3vw, 16px); cursor: pointer; font-weight: 500; transition: background-color 0.2s; font-size: clamp(12px, 3vw, 14px);'
         closeBtn.addEventListener('mouseenter', function() {
             this.style.backgroundColor = colorScheme.hoverBackground;
         })
@@ -1562,6 +3466,273 @@
         infiniteScrollToggleContainer.appendChild(infiniteScrollLabel)
         settingsPopup.appendChild(infiniteScrollToggleContainer)
 
+        // Image size for "HTML (offline, embedded images)" exports
+        var offlineImageContainer = document.createElement('div')
+        offlineImageContainer.style.cssText = 'display: flex; align-items: center; gap: 12px; margin-bottom: clamp(16px, 3vw, 24px); padding: clamp(12px, 2.5vw, 16px); background: ' + colorScheme.cardBackground + '; border-radius: 8px; border: 1px solid ' + colorScheme.border + ';'
+
+        var offlineImageLabel = document.createElement('span')
+        offlineImageLabel.textContent = 'Offline HTML images'
+        offlineImageLabel.style.cssText = 'color: ' + colorScheme.textPrimary + '; font-size: clamp(14px, 3vw, 16px); user-select: none; flex: 1;'
+
+        var offlineImageSelect = document.createElement('select')
+        offlineImageSelect.style.cssText = 'background: ' + colorScheme.background + '; color: ' + colorScheme.textPrimary + '; border: 1px solid ' + colorScheme.border + '; border-radius: 8px; padding: 6px 10px; font-size: 14px;'
+        var offlineImageOptions = [
+            { value: '0', label: 'Original size' },
+            { value: '2048', label: 'Max 2048px (JPEG)' },
+            { value: '1024', label: 'Max 1024px (JPEG)' },
+            { value: '512', label: 'Max 512px (JPEG)' }
+        ]
+        for (var oio = 0; oio < offlineImageOptions.length; oio++) {
+            var offlineOpt = document.createElement('option')
+            offlineOpt.value = offlineImageOptions[oio].value
+            offlineOpt.textContent = offlineImageOptions[oio].label
+            offlineImageSelect.appendChild(offlineOpt)
+        }
+        offlineImageSelect.value = localStorage.getItem('hollyOfflineImageMaxSize') || '0'
+
+        offlineImageContainer.appendChild(offlineImageLabel)
+        offlineImageContainer.appendChild(offlineImageSelect)
+        settingsPopup.appendChild(offlineImageContainer)
+
+        // How many API requests may run at once (see API.pump)
+        var requestLimitContainer = document.createElement('div')
+        requestLimitContainer.style.cssText = 'display: flex; align-items: center; gap: 12px; margin-bottom: clamp(16px, 3vw, 24px); padding: clamp(12px, 2.5vw, 16px); background: ' + colorScheme.cardBackground + '; border-radius: 8px; border: 1px solid ' + colorScheme.border + ';'
+
+        var requestLimitLabel = document.createElement('span')
+        requestLimitLabel.textContent = 'Parallel API requests'
+        requestLimitLabel.title = 'Higher is faster for bulk exports, but more likely to hit the site\'s rate limit'
+        requestLimitLabel.style.cssText = 'color: ' + colorScheme.textPrimary + '; font-size: clamp(14px, 3vw, 16px); user-select: none; flex: 1;'
+
+        var requestLimitSelect = document.createElement('select')
+        requestLimitSelect.style.cssText = 'background: ' + colorScheme.background + '; color: ' + colorScheme.textPrimary + '; border: 1px solid ' + colorScheme.border + '; border-radius: 8px; padding: 6px 10px; font-size: 14px;'
+        for (var rl = 1; rl <= 6; rl++) {
+            var requestLimitOpt = document.createElement('option')
+            requestLimitOpt.value = String(rl)
+            requestLimitOpt.textContent = rl === API.DEFAULT_MAX_IN_FLIGHT ? rl + ' (default)' : String(rl)
+            requestLimitSelect.appendChild(requestLimitOpt)
+        }
+        requestLimitSelect.value = String(API.getMaxInFlight())
+
+        requestLimitContainer.appendChild(requestLimitLabel)
+        requestLimitContainer.appendChild(requestLimitSelect)
+        settingsPopup.appendChild(requestLimitContainer)
+
+        // How many downloads and exports the queue runs at once (see DownloadQueue.pump)
+        var downloadLimitContainer = document.createElement('div')
+        downloadLimitContainer.style.cssText = 'display: flex; align-items: center; gap: 12px; margin-bottom: clamp(16px, 3vw, 24px); padding: clamp(12px, 2.5vw, 16px); background: ' + colorScheme.cardBackground + '; border-radius: 8px; border: 1px solid ' + colorScheme.border + ';'
+
+        var downloadLimitLabel = document.createElement('span')
+        downloadLimitLabel.textContent = 'Concurrent downloads'
+        downloadLimitLabel.title = 'Images and chat exports running at the same time; the rest wait in the download queue'
+        downloadLimitLabel.style.cssText = 'color: ' + colorScheme.textPrimary + '; font-size: clamp(14px, 3vw, 16px); user-select: none; flex: 1;'
+
+        var downloadLimitSelect = document.createElement('select')
+        downloadLimitSelect.style.cssText = 'background: ' + colorScheme.background + '; color: ' + colorScheme.textPrimary + '; border: 1px solid ' + colorScheme.border + '; border-radius: 8px; padding: 6px 10px; font-size: 14px;'
+        for (var dl = 1; dl <= 10; dl++) {
+            var downloadLimitOpt = document.createElement('option')
+            downloadLimitOpt.value = String(dl)
+            downloadLimitOpt.textContent = dl === DownloadQueue.DEFAULT_CONCURRENCY ? dl + ' (default)' : String(dl)
+            downloadLimitSelect.appendChild(downloadLimitOpt)
+        }
+        downloadLimitSelect.value = String(DownloadQueue.getConcurrency())
+
+        downloadLimitContainer.appendChild(downloadLimitLabel)
+        downloadLimitContainer.appendChild(downloadLimitSelect)
+        settingsPopup.appendChild(downloadLimitContainer)
+
+        // First message of ChatML dataset exports
+        var systemPromptContainer = document.createElement('div')
+        systemPromptContainer.style.cssText = 'display: flex; align-items: center; gap: 12px; margin-bottom: clamp(16px, 3vw, 24px); padding: clamp(12px, 2.5vw, 16px); background: ' + colorScheme.cardBackground + '; border-radius: 8px; border: 1px solid ' + colorScheme.border + ';'
+
+        var systemPromptLabel = document.createElement('span')
+        systemPromptLabel.textContent = 'ChatML system prompt'
+        systemPromptLabel.title = 'Start each ChatML conversation with a system message built from the character\'s description, personality, scenario and example dialogue'
+        systemPromptLabel.style.cssText = 'color: ' + colorScheme.textPrimary + '; font-size: clamp(14px, 3vw, 16px); user-select: none; flex: 1;'
+
+        var systemPromptSelect = document.createElement('select')
+        systemPromptSelect.style.cssText = 'background: ' + colorScheme.background + '; color: ' + colorScheme.textPrimary + '; border: 1px solid ' + colorScheme.border + '; border-radius: 8px; padding: 6px 10px; font-size: 14px;'
+        var systemPromptOptions = { 'definition': 'From character definition', 'none': 'None' }
+        for (var sp in systemPromptOptions) {
+            var systemPromptOpt = document.createElement('option')
+            systemPromptOpt.value = sp
+            systemPromptOpt.textContent = systemPromptOptions[sp]
+            systemPromptSelect.appendChild(systemPromptOpt)
+        }
+        systemPromptSelect.value = localStorage.getItem('hollyChatmlSystemPrompt') === 'none' ? 'none' : 'definition'
+
+        systemPromptContainer.appendChild(systemPromptLabel)
+        systemPromptContainer.appendChild(systemPromptSelect)
+        settingsPopup.appendChild(systemPromptContainer)
+
+        // File name templates (see FileNames), with a live preview from sample values
+        var fileNameContainer = document.createElement('div')
+        fileNameContainer.style.cssText = 'display: flex; flex-direction: column; gap: 10px; margin-bottom: clamp(16px, 3vw, 24px); padding: clamp(12px, 2.5vw, 16px); background: ' + colorScheme.cardBackground + '; border-radius: 8px; border: 1px solid ' + colorScheme.border + ';'
+
+        var fileNameLabel = document.createElement('span')
+        fileNameLabel.textContent = 'File names'
+        fileNameLabel.style.cssText = 'color: ' + colorScheme.textPrimary + '; font-size: clamp(14px, 3vw, 16px); user-select: none;'
+        fileNameContainer.appendChild(fileNameLabel)
+
+        var fileNameInputs = {}
+        var fileNameExtensions = { chat: '.html', chatInZip: '.html', image: '.png' } // matches SAMPLE.format
+        Object.keys(FileNames.KINDS).forEach(function(kind) {
+            var def = FileNames.KINDS[kind]
+            var row = document.createElement('label')
+            row.style.cssText = 'display: flex; flex-direction: column; gap: 4px;'
+
+            var rowLabel = document.createElement('span')
+            rowLabel.textContent = def.label
+            rowLabel.style.cssText = 'color: ' + colorScheme.textSecondary + '; font-size: 12px;'
+
+            var input = document.createElement('input')
+            input.type = 'text'
+            input.spellcheck = false
+            input.placeholder = def.template
+            var saved = FileNames.get(kind)
+            input.value = saved === def.template ? '' : saved
+            input.style.cssText = 'background: ' + colorScheme.background + '; color: ' + colorScheme.textPrimary + '; border: 1px solid ' + colorScheme.border + '; border-radius: 8px; padding: 6px 10px; font-size: 13px; font-family: monospace;'
+
+            var preview = document.createElement('span')
+            preview.style.cssText = 'color: ' + colorScheme.textSecondary + '; font-size: 12px; word-break: break-all;'
+            var updatePreview = function() {
+                var template = input.value.trim() || def.template
+                var text = '→ ' + (FileNames.render(template, FileNames.SAMPLE, def.folders) || FileNames.render(def.template, FileNames.SAMPLE, def.folders)) + fileNameExtensions[kind]
+                var unknown = FileNames.unknownTokens(template)
+                if (unknown.length > 0) text += '  (unknown: ' + unknown.join(' ') + ')'
+                preview.textContent = text
+                preview.style.color = unknown.length > 0 ? '#f87171' : colorScheme.textSecondary
+            }
+            input.addEventListener('input', updatePreview)
+            updatePreview()
+
+            row.appendChild(rowLabel)
+            row.appendChild(input)
+            row.appendChild(preview)
+            fileNameContainer.appendChild(row)
+            fileNameInputs[kind] = input
+        })
+
+        var fileNameHelp = document.createElement('span')
+        fileNameHelp.textContent = FileNames.TOKENS.map(function(t) { return '{' + t.token + '} ' + t.help; }).join(' · ') +
+            '. Add :N to keep the first N characters, e.g. {prompt:40}. "/" makes folders inside ZIP files. Names repeated in one download get (2), (3)... Leave a field empty for the default.'
+        fileNameHelp.style.cssText = 'color: ' + colorScheme.textSecondary + '; font-size: 11px; line-height: 1.4; user-select: none;'
+        fileNameContainer.appendChild(fileNameHelp)
+        settingsPopup.appendChild(fileNameContainer)
+
+        // Persistent (IndexedDB) chat cache size and purge
+        var cacheContainer = document.createElement('div')
+        cacheContainer.style.cssText = 'display: flex; align-items: center; gap: 12px; margin-bottom: clamp(16px, 3vw, 24px); padding: clamp(12px, 2.5vw, 16px); background: ' + colorScheme.cardBackground + '; border-radius: 8px; border: 1px solid ' + colorScheme.border + ';'
+
+        var cacheInfo = document.createElement('div')
+        cacheInfo.style.cssText = 'flex: 1; display: flex; flex-direction: column; gap: 2px; user-select: none;'
+        var cacheLabel = document.createElement('span')
+        cacheLabel.textContent = 'Saved chat cache'
+        cacheLabel.style.cssText = 'color: ' + colorScheme.textPrimary + '; font-size: clamp(14px, 3vw, 16px);'
+        var cacheStatsText = document.createElement('span')
+        cacheStatsText.textContent = 'Calculating...'
+        cacheStatsText.style.cssText = 'color: ' + colorScheme.textSecondary + '; font-size: 12px;'
+        cacheInfo.appendChild(cacheLabel)
+        cacheInfo.appendChild(cacheStatsText)
+
+        var purgeCacheBtn = document.createElement('button')
+        purgeCacheBtn.textContent = 'Purge cache'
+        purgeCacheBtn.style.cssText = 'background: ' + colorScheme.background + '; color: ' + colorScheme.textPrimary + '; border: 1px solid ' + colorScheme.border + '; border-radius: 8px; padding: 6px 12px; cursor: pointer; font-size: 14px; transition: background-color 0.2s; flex-shrink: 0;'
+        purgeCacheBtn.addEventListener('mouseenter', function() {
+            this.style.backgroundColor = colorScheme.hoverBackground;
+        })
+        purgeCacheBtn.addEventListener('mouseleave', function() {
+            this.style.backgroundColor = colorScheme.background;
+        })
+
+        var refreshCacheStats = function() {
+            PersistentCache.getStats(function(stats) {
+                cacheStatsText.textContent = stats.chats + ' chat' + (stats.chats === 1 ? '' : 's') + ', ' + stats.messages + ' messages, ~' + (stats.bytes / (1024 * 1024)).toFixed(1) + ' MB'
+            })
+        }
+        purgeCacheBtn.addEventListener('click', function() {
+            if (!confirm('Delete all saved chats from the cache? They will be downloaded again on the next export.')) return
+            purgeCacheBtn.disabled = true
+            chatCache.clear(function() {
+                purgeCacheBtn.disabled = false
+                refreshCacheStats()
+            })
+        })
+        refreshCacheStats()
+
+        cacheContainer.appendChild(cacheInfo)
+        cacheContainer.appendChild(purgeCacheBtn)
+        settingsPopup.appendChild(cacheContainer)
+
+        // "Backup changed chats" state, as a JSON file to carry between browsers
+        var backupStateContainer = document.createElement('div')
+        backupStateContainer.style.cssText = 'display: flex; align-items: center; gap: 12px; margin-bottom: clamp(16px, 3vw, 24px); padding: clamp(12px, 2.5vw, 16px); background: ' + colorScheme.cardBackground + '; border-radius: 8px; border: 1px solid ' + colorScheme.border + '; flex-wrap: wrap;'
+
+        var backupStateInfo = document.createElement('div')
+        backupStateInfo.style.cssText = 'flex: 1; display: flex; flex-direction: column; gap: 2px; user-select: none;'
+        var backupStateLabel = document.createElement('span')
+        backupStateLabel.textContent = 'Backup state'
+        backupStateLabel.style.cssText = 'color: ' + colorScheme.textPrimary + '; font-size: clamp(14px, 3vw, 16px);'
+        var backupStateText = document.createElement('span')
+        backupStateText.style.cssText = 'color: ' + colorScheme.textSecondary + '; font-size: 12px;'
+        var refreshBackupStateText = function() {
+            var lastBackup = BackupState.load().updated_at
+            backupStateText.textContent = BackupState.getChatCount() + ' chats tracked' + (lastBackup ? ', last updated ' + new Date(lastBackup).toLocaleString() : '')
+        }
+        refreshBackupStateText()
+        backupStateInfo.appendChild(backupStateLabel)
+        backupStateInfo.appendChild(backupStateText)
+
+        var backupStateFileInput = document.createElement('input')
+        backupStateFileInput.type = 'file'
+        backupStateFileInput.accept = '.json,application/json'
+        backupStateFileInput.style.display = 'none'
+        backupStateFileInput.addEventListener('change', function() {
+            var file = this.files && this.files[0]
+            this.value = ''
+            if (!file) return
+            BackupState.importFromFile(file, function(count, error) {
+                if (count === null) {
+                    alert('Could not import backup state: ' + error)
+                    return
+                }
+                refreshBackupStateText()
+                alert('Imported backup state for ' + count + ' chat' + (count === 1 ? '' : 's') + '.')
+            })
+        })
+
+        var backupStateButtons = document.createElement('div')
+        backupStateButtons.style.cssText = 'display: flex; gap: 8px; flex-shrink: 0;'
+        var backupStateButtonStyle = 'background: ' + colorScheme.background + '; color: ' + colorScheme.textPrimary + '; border: 1px solid ' + colorScheme.border + '; border-radius: 8px; padding: 6px 12px; cursor: pointer; font-size: 14px; transition: background-color 0.2s;'
+        var addBackupStateButton = function(text, onClick) {
+            var button = document.createElement('button')
+            button.textContent = text
+            button.style.cssText = backupStateButtonStyle
+            button.addEventListener('mouseenter', function() {
+                this.style.backgroundColor = colorScheme.hoverBackground;
+            })
+            button.addEventListener('mouseleave', function() {
+                this.style.backgroundColor = colorScheme.background;
+            })
+            button.addEventListener('click', onClick)
+            backupStateButtons.appendChild(button)
+        }
+        addBackupStateButton('Export', function() {
+            BackupState.exportToFile()
+        })
+        addBackupStateButton('Import', function() {
+            backupStateFileInput.click()
+        })
+        addBackupStateButton('Reset', function() {
+            if (!confirm('Forget which chats were backed up? The next backup will include every chat.')) return
+            BackupState.reset()
+            refreshBackupStateText()
+        })
+
+        backupStateContainer.appendChild(backupStateInfo)
+        backupStateContainer.appendChild(backupStateButtons)
+        backupStateContainer.appendChild(backupStateFileInput)
+        settingsPopup.appendChild(backupStateContainer)
+
         // Load toggle states from localStorage
         var autoCloseEnabled = localStorage.getItem('hollyAutoCloseProgress') !== 'false'
         var infiniteScrollEnabled = localStorage.getItem('hollyInfiniteScrollImages') === 'true' // Default to false (pagination)
@@ -1678,6 +3849,13 @@
             // Save preferences to localStorage
             localStorage.setItem('hollyAutoCloseProgress', autoCloseEnabled ? 'true' : 'false')
             localStorage.setItem('hollyInfiniteScrollImages', infiniteScrollEnabled ? 'true' : 'false')
+            localStorage.setItem('hollyOfflineImageMaxSize', offlineImageSelect.value)
+            API.setMaxInFlight(parseInt(requestLimitSelect.value, 10))
+            DownloadQueue.setConcurrency(parseInt(downloadLimitSelect.value, 10))
+            localStorage.setItem('hollyChatmlSystemPrompt', systemPromptSelect.value)
+            for (var fileNameKind in fileNameInputs) {
+                FileNames.set(fileNameKind, fileNameInputs[fileNameKind].value)
+            }
             console.log('Settings saved. Auto-close enabled:', autoCloseEnabled, 'Infinite scroll enabled:', infiniteScrollEnabled)
             closeSettingsModal()
         })
@@ -1789,8 +3967,14 @@
             'txt': 'Download as TXT',
             'jsonl-st': 'Download as JSONL (SillyTavern)',
             'jsonl-openai': 'Download as JSONL (OpenAI-Template)',
+            'sharegpt': 'Download as ShareGPT dataset (JSONL)',
+            'chatml': 'Download as ChatML dataset (JSONL)',
             'json': 'Download as full JSON',
-            'html': 'Download as HTML (with images)'
+            'html': 'Download as HTML (with images)',
+            'html-offline': 'Download as HTML (offline, embedded images)',
+            'markdown': 'Download as Markdown',
+            'tree-txt': 'Download all variations as TXT paths (ZIP)',
+            'tree-html': 'Download all variations as HTML (collapsible)'
         }
         for (var key in formatOptions) {
             if (formatOptions.hasOwnProperty(key)) {
@@ -1980,6 +4164,427 @@
             }
         })
 
+        // Multi-select toggle (checkbox icon) - shows row checkboxes and bulk export actions
+        var selectModeBtn = document.createElement('button')
+        selectModeBtn.id = 'holly_select_mode'
+        selectModeBtn.innerHTML = '<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="3" y="3" width="18" height="18" rx="3"></rect><path d="M8 12l3 3 5-6"></path></svg>'
+        selectModeBtn.title = 'Select chats for bulk export'
+        selectModeBtn.style.cssText = 'font-weight: 500; margin-bottom: 12px; background: ' + colorScheme.cardBackground + '; color: ' + colorScheme.textPrimary + '; border: 1px solid ' + colorScheme.border + '; border-radius: 8px; padding: 8px; font-size: 14px; cursor: pointer; transition: all 0.2s; white-space: nowrap; display: flex; align-items: center; justify-content: center; width: 40px; height: 40px;'
+
+        var isSelectModeActive = false
+        var selectedChatUuids = {} // uuid -> true
+
+        selectModeBtn.addEventListener('click', function() {
+            isSelectModeActive = !isSelectModeActive
+
+            if (isSelectModeActive) {
+                this.style.background = colorScheme.gradient
+                this.style.color = 'black'
+            } else {
+                this.style.background = colorScheme.cardBackground
+                this.style.color = colorScheme.textPrimary
+            }
+
+            // Toggle checkboxes on already rendered rows
+            var boxes = list.querySelectorAll('.holly-chat-select')
+            for (var sb = 0; sb < boxes.length; sb++) {
+                boxes[sb].style.display = isSelectModeActive ? '' : 'none'
+            }
+            updateBulkActions()
+        })
+
+        selectModeBtn.addEventListener('mouseenter', function() {
+            if (!isSelectModeActive) {
+                this.style.backgroundColor = colorScheme.hoverBackground
+                this.style.color = colorScheme.hoverText
+            }
+        })
+        selectModeBtn.addEventListener('mouseleave', function() {
+            if (!isSelectModeActive) {
+                this.style.backgroundColor = colorScheme.cardBackground
+                this.style.color = colorScheme.textPrimary
+            }
+        })
+
+        // Message search toggle (speech bubble icon) - searches message text of cached chats instead of names
+        var messageSearchBtn = document.createElement('button')
+        messageSearchBtn.id = 'holly_message_search'
+        messageSearchBtn.innerHTML = '<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"></path><line x1="8" y1="9" x2="16" y2="9"></line><line x1="8" y1="13" x2="13" y2="13"></line></svg>'
+        messageSearchBtn.title = 'Search message text (downloaded chats)'
+        messageSearchBtn.style.cssText = 'font-weight: 500; margin-bottom: 12px; background: ' + colorScheme.cardBackground + '; color: ' + colorScheme.textPrimary + '; border: 1px solid ' + colorScheme.border + '; border-radius: 8px; padding: 8px; font-size: 14px; cursor: pointer; transition: all 0.2s; white-space: nowrap; display: flex; align-items: center; justify-content: center; width: 40px; height: 40px;'
+
+        var isMessageSearchActive = false
+
+        messageSearchBtn.addEventListener('click', function() {
+            isMessageSearchActive = !isMessageSearchActive
+
+            if (isMessageSearchActive) {
+                this.style.background = colorScheme.gradient
+                this.style.color = 'black'
+                searchInput.placeholder = 'Search messages'
+                list.style.display = 'none'
+                messageResults.style.display = ''
+                runMessageSearch()
+            } else {
+                this.style.background = colorScheme.cardBackground
+                this.style.color = colorScheme.textPrimary
+                searchInput.placeholder = 'Search'
+                messageResults.style.display = 'none'
+                list.style.display = ''
+                recomputeList()
+            }
+            searchInput.focus()
+        })
+
+        messageSearchBtn.addEventListener('mouseenter', function() {
+            if (!isMessageSearchActive) {
+                this.style.backgroundColor = colorScheme.hoverBackground
+                this.style.color = colorScheme.hoverText
+            }
+        })
+        messageSearchBtn.addEventListener('mouseleave', function() {
+            if (!isMessageSearchActive) {
+                this.style.backgroundColor = colorScheme.cardBackground
+                this.style.color = colorScheme.textPrimary
+            }
+        })
+
+        // Tag and folder filter chips (see ChatTags), combined with the other filters in recomputeList
+        var tagFilter = { tags: [], folder: null } // same shape as ChatTags.matches expects
+        // Stand-in trigger for the "Export N chats" button, which renderTagBar rebuilds: exportChatsToZip sets busy,
+        // and the bar is redrawn so the button shows the running export
+        var tagExportTrigger = {
+            running: false,
+            innerText: '',
+            get busy() { return this.running },
+            set busy(value) {
+                this.running = value
+                renderTagBar()
+            }
+        }
+        var tagButtonStyle = 'background: ' + colorScheme.cardBackground + '; color: ' + colorScheme.textPrimary + '; border: 1px solid ' + colorScheme.border + '; border-radius: 6px; padding: 4px 10px; font-size: 12px; cursor: pointer;'
+
+        var tagBar = document.createElement('div')
+        tagBar.style.cssText = 'display: flex; align-items: center; gap: 6px; flex-wrap: wrap; margin-bottom: 8px;'
+
+        var tagManagePanel = document.createElement('div')
+        tagManagePanel.style.cssText = 'display: none; flex-direction: column; gap: 10px; max-height: 35vh; overflow-y: auto; padding: 12px; margin-bottom: 8px; background: ' + colorScheme.cardBackground + '; border: 1px solid ' + colorScheme.border + '; border-radius: 8px; font-size: 13px; color: ' + colorScheme.textPrimary + ';'
+
+        var tagImportInput = document.createElement('input')
+        tagImportInput.type = 'file'
+        tagImportInput.accept = '.json,application/json'
+        tagImportInput.style.display = 'none'
+        tagImportInput.addEventListener('change', function() {
+            var file = this.files && this.files[0]
+            this.value = ''
+            if (!file) return
+            ChatTags.importFromFile(file, function(count, error) {
+                if (count === null) {
+                    alert('Could not import chat tags: ' + error)
+                    return
+                }
+                onTagsChanged(true)
+                alert('Imported tags and folders for ' + count + ' chat' + (count === 1 ? '' : 's') + '.')
+            })
+        })
+
+        function isTagFilterActive() {
+            return tagFilter.tags.length > 0 || tagFilter.folder !== null
+        }
+
+        function escapeAttr(value) {
+            return Utils.escapeHtml(value).replace(/"/g, '&quot;')
+        }
+
+        // Indented folder <option>s; value "f:<path>" so no folder name can collide with the fixed options
+        function folderOptionsHtml(selectedPath) {
+            return ChatTags.getFolders().map(function(path) {
+                var parts = path.split('/')
+                var indent = new Array(parts.length).join('   ')
+                return '<option value="f:' + escapeAttr(path) + '"' + (path === selectedPath ? ' selected' : '') + '>' + indent + Utils.escapeHtml(parts[parts.length - 1]) + '</option>'
+            }).join('')
+        }
+
+        function tagChipHtml(name, filled) {
+            var color = ChatTags.getTagColor(name)
+            return '<span style="display: inline-flex; align-items: center; border-radius: 10px; padding: 1px 8px; font-size: 11px; white-space: nowrap; border: 1px solid ' + color + '; background: ' + (filled ? color : color + '22') + '; color: ' + (filled ? 'black' : color) + ';">' + Utils.escapeHtml(name) + '</span>'
+        }
+
+        // Folder and tags under a row's date
+        function rowTagsHtml(uuid) {
+            var folder = ChatTags.getChatFolder(uuid)
+            var html = folder ? '<span style="font-size: 11px; color: ' + colorScheme.textSecondary + '; white-space: nowrap;">📁 ' + Utils.escapeHtml(folder.split('/').join(' › ')) + '</span>' : ''
+            return html + ChatTags.getChatTags(uuid).map(function(name) { return tagChipHtml(name, false) }).join('')
+        }
+
+        function refreshRowTags() {
+            var rows = list.querySelectorAll('.holly-chat-tags')
+            for (var rt = 0; rt < rows.length; rt++) {
+                rows[rt].innerHTML = rowTagsHtml(rows[rt].getAttribute('data-chat-uuid'))
+                rows[rt].style.display = rows[rt].innerHTML ? 'flex' : 'none'
+            }
+        }
+
+        // After any tag or folder edit. Open row editors would vanish if the list re-filtered right away,
+        // so they pass refilter = false and the list catches up when the editor is closed.
+        function onTagsChanged(refilter) {
+            // Forget filters on tags and folders that no longer exist
+            var tagNames = ChatTags.getTags().map(function(t) { return t.name })
+            tagFilter.tags = tagFilter.tags.filter(function(name) { return tagNames.indexOf(name) !== -1 })
+            if (tagFilter.folder && ChatTags.getFolders().indexOf(tagFilter.folder) === -1) tagFilter.folder = null
+
+            refreshRowTags()
+            if (tagManagePanel.style.display !== 'none') renderTagManagePanel()
+            if (bulkTagEditor && bulkTagEditor.style.display !== 'none') bulkTagEditor.render()
+            if (refilter && isTagFilterActive()) {
+                recomputeList()
+            } else {
+                renderTagBar()
+            }
+        }
+
+        function renderTagBar() {
+            var tags = ChatTags.getTags()
+            var folders = ChatTags.getFolders()
+            var folderValue = tagFilter.folder === null ? 'any' : (tagFilter.folder === '' ? 'unfiled' : 'f:' + tagFilter.folder)
+            var html = ''
+            if (folders.length > 0) {
+                html += '<select data-tag-folder-filter title="Show chats in this folder (subfolders included)" style="' + tagButtonStyle + '">' +
+                    '<option value="any">All folders</option><option value="unfiled">Not in a folder</option>' + folderOptionsHtml(tagFilter.folder) + '</select>'
+            }
+            for (var t = 0; t < tags.length; t++) {
+                var active = tagFilter.tags.indexOf(tags[t].name) !== -1
+                html += '<button data-tag-chip="' + escapeAttr(tags[t].name) + '" title="' + (active ? 'Stop filtering by ' : 'Only chats tagged ') + escapeAttr(tags[t].name) + ' (' + tags[t].count + ')" style="background: none; border: none; padding: 0; cursor: pointer;">' + tagChipHtml(tags[t].name, active) + '</button>'
+            }
+            html += '<button data-tag-action="manage" title="Rename, recolor or delete tags and folders; import or export them" style="' + tagButtonStyle + '">' + (tags.length + folders.length > 0 ? 'Manage tags' : '+ Tags & folders') + '</button>'
+            if (isTagFilterActive()) {
+                html += '<button data-tag-action="clear" style="' + tagButtonStyle + '">Clear</button>'
+                html += tagExportTrigger.running
+                    ? '<button data-tag-action="export" disabled style="' + tagButtonStyle + ' opacity: 0.6; cursor: default;">(Exporting...)</button>'
+                    : '<button data-tag-action="export" title="Export every chat shown into one ZIP archive" style="' + tagButtonStyle + ' background: ' + colorScheme.gradient + '; color: black; border: none;">Export ' + workingChats.length + ' chat' + (workingChats.length === 1 ? '' : 's') + '</button>'
+            }
+            tagBar.innerHTML = html
+            var folderSelect = tagBar.querySelector('[data-tag-folder-filter]')
+            if (folderSelect) folderSelect.value = folderValue
+        }
+
+        tagBar.addEventListener('click', function(e) {
+            var chip = e.target.closest('[data-tag-chip]')
+            if (chip) {
+                var name = chip.getAttribute('data-tag-chip')
+                var index = tagFilter.tags.indexOf(name)
+                if (index === -1) {
+                    tagFilter.tags.push(name)
+                } else {
+                    tagFilter.tags.splice(index, 1)
+                }
+                recomputeList()
+                return
+            }
+            var action = e.target.closest('[data-tag-action]')
+            if (!action) return
+            switch (action.getAttribute('data-tag-action')) {
+                case 'manage':
+                    tagManagePanel.style.display = tagManagePanel.style.display === 'none' ? 'flex' : 'none'
+                    if (tagManagePanel.style.display !== 'none') renderTagManagePanel()
+                    break
+                case 'clear':
+                    tagFilter = { tags: [], folder: null }
+                    recomputeList()
+                    break
+                case 'export':
+                    if (tagExportTrigger.running || workingChats.length === 0) return
+                    if (workingChats.length > 20 && !confirm('Export all ' + workingChats.length + ' chats shown into one ZIP archive? This may take a while.')) return
+                    ExportManager.exportChatsToZip(workingChats.slice(), tagExportTrigger)
+                    break
+            }
+        })
+        tagBar.addEventListener('change', function(e) {
+            if (!e.target.hasAttribute('data-tag-folder-filter')) return
+            var value = e.target.value
+            tagFilter.folder = value === 'any' ? null : (value === 'unfiled' ? '' : value.slice(2))
+            recomputeList()
+        })
+
+        function renderTagManagePanel() {
+            var rowStyle = 'display: flex; align-items: center; gap: 8px;'
+            var smallButton = 'background: transparent; color: ' + colorScheme.textSecondary + '; border: 1px solid ' + colorScheme.border + '; border-radius: 4px; padding: 2px 8px; font-size: 12px; cursor: pointer;'
+            var tags = ChatTags.getTags()
+            var folders = ChatTags.getFolders()
+
+            var html = '<div style="font-weight: 600; display: flex; align-items: center; gap: 8px;">Tags <button data-manage="new-tag" style="' + smallButton + '">+ New tag</button></div>'
+            if (tags.length === 0) html += '<div style="color: ' + colorScheme.textSecondary + '; font-size: 12px;">No tags yet. Add them with the tag button on a chat, or to several selected chats at once.</div>'
+            for (var t = 0; t < tags.length; t++) {
+                var name = escapeAttr(tags[t].name)
+                html += '<div style="' + rowStyle + '">' +
+                    '<input type="color" data-tag-color="' + name + '" value="' + tags[t].color + '" title="Tag color" style="width: 28px; height: 22px; padding: 0; border: none; background: none; cursor: pointer;">' +
+                    '<span style="flex: 1;">' + tagChipHtml(tags[t].name, false) + ' <span style="color: ' + colorScheme.textSecondary + '; font-size: 12px;">' + tags[t].count + ' chat' + (tags[t].count === 1 ? '' : 's') + '</span></span>' +
+                    '<button data-manage="rename-tag" data-name="' + name + '" style="' + smallButton + '">Rename</button>' +
+                    '<button data-manage="delete-tag" data-name="' + name + '" style="' + smallButton + '">Delete</button>' +
+                    '</div>'
+            }
+
+            html += '<div style="font-weight: 600; display: flex; align-items: center; gap: 8px;">Folders <button data-manage="new-folder" style="' + smallButton + '">+ New folder</button></div>'
+            if (folders.length === 0) html += '<div style="color: ' + colorScheme.textSecondary + '; font-size: 12px;">No folders yet. Use "/" in a folder name for subfolders, e.g. Campaigns/Harbor Town.</div>'
+            for (var f = 0; f < folders.length; f++) {
+                var parts = folders[f].split('/')
+                var count = ChatTags.getFolderCount(folders[f])
+                html += '<div style="' + rowStyle + ' padding-left: ' + ((parts.length - 1) * 16) + 'px;">' +
+                    '<span style="flex: 1;">📁 ' + Utils.escapeHtml(parts[parts.length - 1]) + ' <span style="color: ' + colorScheme.textSecondary + '; font-size: 12px;">' + count + ' chat' + (count === 1 ? '' : 's') + '</span></span>' +
+                    '<button data-manage="rename-folder" data-name="' + escapeAttr(folders[f]) + '" style="' + smallButton + '">Rename / move</button>' +
+                    '<button data-manage="delete-folder" data-name="' + escapeAttr(folders[f]) + '" style="' + smallButton + '">Delete</button>' +
+                    '</div>'
+            }
+
+            html += '<div style="' + rowStyle + ' border-top: 1px solid ' + colorScheme.border + '; padding-top: 10px;">' +
+                '<span style="flex: 1; color: ' + colorScheme.textSecondary + '; font-size: 12px;">Tags and folders are only saved in this browser.</span>' +
+                '<button data-manage="export" style="' + smallButton + '">Export</button>' +
+                '<button data-manage="import" style="' + smallButton + '">Import</button>' +
+                '</div>'
+            tagManagePanel.innerHTML = html
+        }
+
+        tagManagePanel.addEventListener('click', function(e) {
+            var button = e.target.closest('[data-manage]')
+            if (!button) return
+            var name = button.getAttribute('data-name')
+            switch (button.getAttribute('data-manage')) {
+                case 'rename-tag':
+                    var newTagName = prompt('Rename tag "' + name + '" to:', name)
+                    if (newTagName === null) return
+                    if (!ChatTags.renameTag(name, newTagName)) {
+                        alert('There already is a tag with that name.')
+                        return
+                    }
+                    var filterIndex = tagFilter.tags.indexOf(name)
+                    if (filterIndex !== -1) tagFilter.tags[filterIndex] = ChatTags.cleanTagName(newTagName)
+                    break
+                case 'new-tag':
+                    var newTag = prompt('Tag name:', '')
+                    if (newTag === null) return
+                    ChatTags.createTag(newTag)
+                    break
+                case 'delete-tag':
+                    if (!confirm('Delete the tag "' + name + '"? It is removed from every chat.')) return
+                    ChatTags.deleteTag(name)
+                    break
+                case 'new-folder':
+                    var newFolder = prompt('Folder name (use "/" for subfolders, e.g. Campaigns/Harbor Town):', '')
+                    if (newFolder === null) return
+                    ChatTags.createFolder(newFolder)
+                    break
+                case 'rename-folder':
+                    var newPath = prompt('Rename or move "' + name + '" (use "/" for subfolders):', name)
+                    if (newPath === null) return
+                    if (!ChatTags.renameFolder(name, newPath)) {
+                        alert('A folder can\'t be moved into itself or given an empty name.')
+                        return
+                    }
+                    if (ChatTags.inFolder(tagFilter.folder, name)) tagFilter.folder = ChatTags.cleanFolderPath(newPath) + tagFilter.folder.slice(name.length)
+                    break
+                case 'delete-folder':
+                    if (!confirm('Delete the folder "' + name + '" and its subfolders? The chats in them are not deleted, they just leave the folder.')) return
+                    ChatTags.deleteFolder(name)
+                    break
+                case 'export':
+                    ChatTags.exportToFile()
+                    return
+                case 'import':
+                    tagImportInput.click()
+                    return
+            }
+            onTagsChanged(true)
+        })
+        tagManagePanel.addEventListener('change', function(e) {
+            var name = e.target.getAttribute('data-tag-color')
+            if (name === null) return
+            ChatTags.setTagColor(name, e.target.value)
+            onTagsChanged(false)
+        })
+
+        // Tag checkboxes and folder picker for the chats getUuids() returns (one row, or the multi-select selection).
+        // A tag only some of the chats have shows as indeterminate; ticking it adds it to all of them.
+        function createTagEditor(getUuids, onChange) {
+            var editor = document.createElement('div')
+            editor.style.cssText = 'display: none; flex-direction: column; gap: 8px; padding: 10px 12px; background: ' + colorScheme.background + '; border: 1px solid ' + colorScheme.border + '; border-radius: 8px; font-size: 13px; color: ' + colorScheme.textPrimary + ';'
+
+            editor.render = function() {
+                var uuids = getUuids()
+                var tags = ChatTags.getTags()
+                var folders = {}
+                for (var u = 0; u < uuids.length; u++) folders[ChatTags.getChatFolder(uuids[u])] = true
+                var folderKeys = Object.keys(folders)
+                var currentFolder = folderKeys.length === 1 ? folderKeys[0] : null // null: the chats are in different folders
+
+                var html = '<div style="display: flex; flex-wrap: wrap; gap: 6px 12px;">'
+                for (var t = 0; t < tags.length; t++) {
+                    html += '<label style="display: flex; align-items: center; gap: 4px; cursor: pointer;"><input type="checkbox" data-edit-tag="' + escapeAttr(tags[t].name) + '">' + tagChipHtml(tags[t].name, false) + '</label>'
+                }
+                html += '</div>' +
+                    '<div style="display: flex; flex-wrap: wrap; align-items: center; gap: 8px;">' +
+                    '<input type="text" data-new-tag placeholder="New tag" maxlength="40" style="' + tagButtonStyle + ' cursor: text; width: 140px;">' +
+                    '<button data-editor-action="add-tag" style="' + tagButtonStyle + '">Add</button>' +
+                    '<span style="color: ' + colorScheme.textSecondary + '; margin-left: 8px;">Folder</span>' +
+                    '<select data-edit-folder style="' + tagButtonStyle + '">' +
+                    (currentFolder === null ? '<option value="mixed" selected>(different folders)</option>' : '') +
+                    '<option value="unfiled"' + (currentFolder === '' ? ' selected' : '') + '>Not in a folder</option>' +
+                    folderOptionsHtml(currentFolder) +
+                    '<option value="new">+ New folder…</option></select>' +
+                    '</div>'
+                editor.innerHTML = html
+
+                var boxes = editor.querySelectorAll('[data-edit-tag]')
+                for (var b = 0; b < boxes.length; b++) {
+                    var name = boxes[b].getAttribute('data-edit-tag')
+                    var tagged = uuids.filter(function(uuid) { return ChatTags.getChatTags(uuid).indexOf(name) !== -1 }).length
+                    boxes[b].checked = uuids.length > 0 && tagged === uuids.length
+                    boxes[b].indeterminate = tagged > 0 && tagged < uuids.length
+                }
+            }
+
+            var addTag = function() {
+                var input = editor.querySelector('[data-new-tag]')
+                var name = ChatTags.createTag(input.value)
+                if (!name) return
+                ChatTags.setTag(getUuids(), name, true)
+                editor.render()
+                onChange()
+                editor.querySelector('[data-new-tag]').focus()
+            }
+
+            editor.addEventListener('click', function(e) {
+                e.stopPropagation()
+                if (e.target.getAttribute('data-editor-action') === 'add-tag') addTag()
+            })
+            editor.addEventListener('keydown', function(e) {
+                if (e.key === 'Enter' && e.target.hasAttribute('data-new-tag')) addTag()
+            })
+            editor.addEventListener('change', function(e) {
+                var target = e.target
+                if (target.hasAttribute('data-edit-tag')) {
+                    ChatTags.setTag(getUuids(), target.getAttribute('data-edit-tag'), target.checked)
+                } else if (target.hasAttribute('data-edit-folder')) {
+                    var value = target.value
+                    if (value === 'mixed') return
+                    if (value === 'new') {
+                        var path = prompt('Folder name (use "/" for subfolders, e.g. Campaigns/Harbor Town):', '')
+                        if (path === null || !ChatTags.cleanFolderPath(path)) {
+                            editor.render()
+                            return
+                        }
+                        ChatTags.setFolder(getUuids(), path)
+                    } else {
+                        ChatTags.setFolder(getUuids(), value === 'unfiled' ? '' : value.slice(2))
+                    }
+                } else {
+                    return
+                }
+                editor.render()
+                onChange()
+            })
+            return editor
+        }
+
         // Create loading indicator (hidden initially, shown during progressive loading)
         var loadingIndicator = document.createElement('div')
         loadingIndicator.id = 'holly-loading-indicator'
@@ -1990,6 +4595,8 @@
         controlsRow.appendChild(sortSelect)
         controlsRow.appendChild(recentChatsFilterBtn)
         controlsRow.appendChild(bookmarkFilterBtn)
+        controlsRow.appendChild(selectModeBtn)
+        controlsRow.appendChild(messageSearchBtn)
 
         // Focus styles for search (border highlight based on site theme)
         searchInput.addEventListener('focus', function(){
@@ -2006,6 +4613,9 @@
         })
 
         popup.appendChild(controlsRow)
+        popup.appendChild(tagBar)
+        popup.appendChild(tagManagePanel)
+        popup.appendChild(tagImportInput)
         popup.appendChild(loadingIndicator)
 
         let list = document.createElement('ul')
@@ -2091,6 +4701,25 @@
             var topRowContainer = document.createElement('div')
             topRowContainer.style.cssText = 'display: flex; align-items: center; gap: 12px; justify-content: space-between; margin: -22px 0;'
 
+            // Selection checkbox (only visible in multi-select mode)
+            var selectBox = document.createElement('input')
+            selectBox.type = 'checkbox'
+            selectBox.className = 'holly-chat-select'
+            selectBox.setAttribute('data-chat-uuid', chatData.uuid)
+            selectBox.checked = selectedChatUuids[chatData.uuid] === true
+            selectBox.title = 'Select for bulk export'
+            selectBox.style.cssText = 'width: 18px; height: 18px; flex-shrink: 0; cursor: pointer; accent-color: ' + colorScheme.accent + ';' + (isSelectModeActive ? '' : ' display: none;')
+            selectBox.addEventListener('change', function() {
+                var uuid = this.getAttribute('data-chat-uuid')
+                if (this.checked) {
+                    selectedChatUuids[uuid] = true
+                } else {
+                    delete selectedChatUuids[uuid]
+                }
+                updateBulkActions()
+            })
+            topRowContainer.appendChild(selectBox)
+
             // Create wrapper for fade effect
             var charIconsWrapper = document.createElement('div')
             charIconsWrapper.className = 'char-icons-wrapper'
@@ -2168,6 +4797,21 @@
                 // If no photos available, leave the icon empty (just the background)
 
                 charLink.appendChild(charIcon)
+
+                // Small badge over the icon: save the character as a SillyTavern card instead of opening the profile
+                var cardBadge = document.createElement('span')
+                cardBadge.textContent = '⇩'
+                cardBadge.title = 'Export character card (JSON + PNG)'
+                cardBadge.style.cssText = 'position: absolute; right: -2px; bottom: -2px; width: 20px; height: 20px; border-radius: 50%; background: ' + colorScheme.cardBackground + '; color: ' + colorScheme.textPrimary + '; border: 1px solid ' + colorScheme.border + '; font-size: 12px; line-height: 18px; text-align: center; opacity: 0.6; transition: opacity 0.2s;'
+                cardBadge.addEventListener('click', function(e) {
+                    e.preventDefault()
+                    e.stopPropagation()
+                    ExportManager.exportCharacterCard(char, cardBadge)
+                })
+                charLink.style.position = 'relative'
+                charLink.addEventListener('mouseenter', function() { cardBadge.style.opacity = '1' })
+                charLink.addEventListener('mouseleave', function() { cardBadge.style.opacity = '0.6' })
+                charLink.appendChild(cardBadge)
                 charIconsContainer.appendChild(charLink)
             })
 
@@ -2195,6 +4839,14 @@
             dateLabel.innerHTML = chatData.date.substr(0, 10)
             nameDateContainer.appendChild(dateLabel)
 
+            // Folder and tag chips (see ChatTags), refreshed in place by refreshRowTags
+            var rowTags = document.createElement('div')
+            rowTags.className = 'holly-chat-tags'
+            rowTags.setAttribute('data-chat-uuid', chatData.uuid)
+            rowTags.innerHTML = rowTagsHtml(chatData.uuid)
+            rowTags.style.cssText = 'display: ' + (rowTags.innerHTML ? 'flex' : 'none') + '; flex-wrap: wrap; align-items: center; gap: 4px;'
+            nameDateContainer.appendChild(rowTags)
+
             topRowContainer.appendChild(nameDateContainer)
             topRowContainer.appendChild(charIconsWrapper)
 
@@ -2262,6 +4914,33 @@
                 })
             buttonContainer.appendChild(photoButton)
 
+            // Tags and folder button, opens this row's tag editor
+            var tagButton = document.createElement('button')
+            tagButton.setAttribute('data-chat-uuid', chatData.uuid)
+            tagButton.innerHTML = '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" style="display: block;"><path d="M20.59 13.41l-7.17 7.17a2 2 0 0 1-2.83 0L2 12V2h10l8.59 8.59a2 2 0 0 1 0 2.82z"></path><line x1="7" y1="7" x2="7.01" y2="7"></line></svg>'
+            tagButton.title = 'Tags and folder'
+            tagButton.style.cssText = 'background: transparent; color: ' + colorScheme.accent + '; border: 2px solid ' + colorScheme.accent + '; border-radius: 8px; padding: clamp(6px, 1.5vw, 8px); cursor: pointer; font-weight: 500; transition: all 0.2s; display: flex; align-items: center; justify-content: center; min-width: 36px; min-height: 36px;'
+            tagButton.addEventListener('mouseenter', function() { this.style.backgroundColor = colorScheme.accent + '20'; })
+            tagButton.addEventListener('mouseleave', function() { this.style.backgroundColor = 'transparent'; })
+            tagButton.addEventListener('click', function(e) {
+                e.stopPropagation()
+                var entry = this.closest('li')
+                if (!entry.tagEditor) {
+                    var uuid = this.getAttribute('data-chat-uuid')
+                    entry.tagEditor = createTagEditor(function() { return [uuid] }, function() { onTagsChanged(false) })
+                    entry.appendChild(entry.tagEditor)
+                }
+                var opening = entry.tagEditor.style.display === 'none'
+                entry.tagEditor.style.display = opening ? 'flex' : 'none'
+                if (opening) {
+                    entry.tagEditor.render()
+                } else if (isTagFilterActive()) {
+                    // The chat may no longer match the filter
+                    recomputeList()
+                }
+            })
+            buttonContainer.appendChild(tagButton)
+
             // Bookmark button
             var bookmarkButton = document.createElement('button')
             bookmarkButton.className = 'holly-bookmark-btn'
@@ -2472,6 +5151,13 @@
                 });
             }
 
+            // Filter by tags and folder if any are picked
+            if (isTagFilterActive()) {
+                filtered = filtered.filter(function(chat) {
+                    return ChatTags.matches(chat.uuid, tagFilter)
+                })
+            }
+
             // Filter by recent chats if active (bookmark filter takes precedence)
             if (isRecentChatsFilterActive && recentChatUuids.length > 0 && !isBookmarkFilterActive) {
                 // Create an object for fast lookup
@@ -2582,6 +5268,8 @@
 
             // Update title count to reflect current filtered list
             updateTitleCount()
+            updateBulkActions()
+            renderTagBar()
         }
 
         // Function to update the title count based on current filtered list
@@ -2601,11 +5289,44 @@
                 // No filters active - show "All Chats"
                 baseTitleText = 'All Chats'
             }
+            if (isTagFilterActive()) {
+                var tagLabels = tagFilter.tags.slice()
+                if (tagFilter.folder !== null) tagLabels.unshift(tagFilter.folder || 'Not in a folder')
+                baseTitleText += ' · ' + tagLabels.join(', ')
+            }
 
             titleEl.textContent = baseTitleText + ' (' + currentCount + ')'
             titleEl.title = baseTitleText + ' (' + currentCount + ')'
         }
 
+        // Show/refresh the bulk export buttons in the footer (multi-select mode only)
+        function updateBulkActions() {
+            if (!bulkActions) return // Footer not built yet (initial render)
+
+            var selectedCount = Object.keys(selectedChatUuids).length
+            bulkActions.style.display = isSelectModeActive ? 'flex' : 'none'
+            if (!exportSelectedBtn.busy) {
+                exportSelectedBtn.innerText = 'Export selected (' + selectedCount + ')'
+                exportSelectedBtn.disabled = selectedCount === 0
+                exportSelectedBtn.style.opacity = selectedCount === 0 ? '0.5' : '1'
+                exportSelectedBtn.style.cursor = selectedCount === 0 ? 'not-allowed' : 'pointer'
+            }
+            if (!exportAllBtn.busy) {
+                exportAllBtn.innerText = 'Export all (' + workingChats.length + ')'
+            }
+            datasetBtn.disabled = selectedCount === 0
+            datasetBtn.style.opacity = selectedCount === 0 ? '0.5' : '1'
+            datasetBtn.style.cursor = selectedCount === 0 ? 'not-allowed' : 'pointer'
+            bulkTagBtn.disabled = selectedCount === 0
+            bulkTagBtn.style.opacity = selectedCount === 0 ? '0.5' : '1'
+            bulkTagBtn.style.cursor = selectedCount === 0 ? 'not-allowed' : 'pointer'
+            if (!isSelectModeActive || selectedCount === 0) {
+                bulkTagEditor.style.display = 'none'
+            } else if (bulkTagEditor.style.display !== 'none') {
+                bulkTagEditor.render()
+            }
+        }
+
         // Function to append new chats incrementally (for progressive loading)
         function appendChats(newChats, isComplete) {
             if (!newChats || newChats.length === 0) {
@@ -2650,10 +5371,11 @@
 
             // Update title count
             updateTitleCount()
+            updateBulkActions()
 
             // If no filters are active, just append new items without re-rendering
             // (Virtual scrolling will handle showing them as user scrolls)
-            if (!isBookmarkFilterActive && !isRecentChatsFilterActive && currentSearch === '' && currentSort === 'date_desc') {
+            if (!isBookmarkFilterActive && !isRecentChatsFilterActive && !isTagFilterActive() && currentSearch === '' && currentSort === 'date_desc') {
                 // No filtering/sorting active - just update workingChats, virtual scroll will handle rendering
                 try { window.currentChats = workingChats } catch (_) {}
                 // Extend renderedEndIndex if we're near the end
@@ -2707,21 +5429,456 @@
         sortSelect.addEventListener('change', function(){ applySort(this.value); });
 
         // Hook up search
+        var messageSearchTimer = null
         searchInput.addEventListener('input', function(){
             currentSearch = (this.value || '').trim().toLowerCase()
+            if (isMessageSearchActive) {
+                // Debounced: each search scans the whole index
+                clearTimeout(messageSearchTimer)
+                messageSearchTimer = setTimeout(runMessageSearch, 250)
+                return
+            }
             recomputeList()
         })
 
         popup.appendChild(list)
 
-        // Bottom footer with format selector
-        const footer = document.createElement('div')
-        footer.style.cssText = `display: flex; justify-content: flex-start; align-items: center; gap: 12px; padding-top: 12px; border-top: 1px solid ${colorScheme.border}; margin-top: 8px; align-items: baseline; align-items: center;`
-        const formatLabel = document.createElement('span')
-        formatLabel.textContent = 'Download format:'
+        // Results of the message text search (replaces the chat list while that mode is on)
+        var messageResults = document.createElement('div')
+        messageResults.style.cssText = 'display: none; overflow: auto; padding-right: 8px;'
+        popup.appendChild(messageResults)
+
+        var messageSearchSeq = 0 // drops results of searches overtaken by newer input
+
+        function setMessageSearchStatus(text) {
+            messageResults.innerHTML = ''
+            var status = document.createElement('div')
+            status.style.cssText = 'padding: 12px; color: ' + colorScheme.textSecondary + '; font-size: 14px; text-align: center;'
+            status.textContent = text
+            messageResults.appendChild(status)
+        }
+
+        function runMessageSearch() {
+            var seq = ++messageSearchSeq
+            var query = currentSearch
+
+            if (!MessageSearch.built) {
+                setMessageSearchStatus('Indexing downloaded chats...')
+                MessageSearch.build(function() {
+                    if (seq === messageSearchSeq && isMessageSearchActive) runMessageSearch()
+                }, function(done, total) {
+                    if (seq === messageSearchSeq) setMessageSearchStatus('Indexing downloaded chats: ' + done + ' of ' + total + '...')
+                })
+                return
+            }
+
+            var indexedCount = MessageSearch.getChatCount()
+            if (!query) {
+                setMessageSearchStatus('Type to search the messages of ' + indexedCount + ' downloaded chat' + (indexedCount === 1 ? '' : 's') + '. Chats you have not downloaded or exported yet are not searchable.')
+                return
+            }
+
+            var found = MessageSearch.search(query)
+            if (found.total === 0) {
+                setMessageSearchStatus('No messages found in ' + indexedCount + ' downloaded chats.')
+                return
+            }
+
+            MessageSearch.loadTexts(found.hits, function(results) {
+                if (seq !== messageSearchSeq) return
+                renderMessageResults(results, found)
+            })
+        }
+
+        function renderMessageResults(results, found) {
+            var chatsByUuid = {}
+            for (var oc = 0; oc < originalChats.length; oc++) {
+                chatsByUuid[originalChats[oc].uuid] = originalChats[oc]
+            }
+            var markStyle = 'background: ' + colorScheme.accent + '; color: black; border-radius: 3px; padding: 0 2px;'
+
+            messageResults.innerHTML = ''
+            var summary = document.createElement('div')
+            summary.style.cssText = 'padding: 8px 4px; color: ' + colorScheme.textSecondary + '; font-size: 12px;'
+            summary.textContent = found.total + ' matching message' + (found.total === 1 ? '' : 's') + (found.total > results.length ? ', showing the newest ' + results.length : '')
+            messageResults.appendChild(summary)
+
+            for (var r = 0; r < results.length; r++) {
+                var result = results[r]
+                var chat = chatsByUuid[result.chat] || ExportManager.findChat(result.chat)
+                var chatLabel = chat.chars && chat.chars.length > 0
+                    ? chat.chars.map(function(c) { return c.name }).join(', ')
+                    : (chat.name || 'Chat ' + result.chat.slice(0, 8))
+
+                var item = document.createElement('div')
+                item.setAttribute('data-chat-uuid', result.chat)
+                item.setAttribute('data-message-uuid', result.message)
+                item.title = 'Open this chat at this message'
+                item.style.cssText = 'margin: 8px 0; padding: 12px; display: flex; flex-direction: column; gap: 6px; background: ' + colorScheme.cardBackground + '; border-radius: 8px; cursor: pointer; transition: background-color 0.2s;'
+                item.addEventListener('mouseenter', function() { this.style.backgroundColor = colorScheme.hoverBackground; })
+                item.addEventListener('mouseleave', function() { this.style.backgroundColor = colorScheme.cardBackground; })
+                item.addEventListener('click', function() {
+                    closeModal()
+                    MessageSearch.openMessage(this.getAttribute('data-chat-uuid'), this.getAttribute('data-message-uuid'))
+                })
+
+                var header = document.createElement('div')
+                header.style.cssText = 'display: flex; justify-content: space-between; gap: 12px; font-size: 12px; color: ' + colorScheme.textSecondary + ';'
+                var chatName = document.createElement('span')
+                chatName.style.cssText = 'color: ' + colorScheme.textPrimary + '; font-weight: 500; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;'
+                chatName.textContent = chatLabel
+                var when = document.createElement('span')
+                when.style.cssText = 'white-space: nowrap;'
+                when.textContent = result.author + ' · ' + new Date(result.created_at).toLocaleString()
+                header.appendChild(chatName)
+                header.appendChild(when)
+
+                var snippet = document.createElement('div')
+                snippet.style.cssText = 'color: ' + colorScheme.textPrimary + '; font-size: 14px; line-height: 1.5; word-break: break-word;'
+                snippet.innerHTML = MessageSearch.makeSnippet(result.text, found.words, markStyle)
+
+                item.appendChild(header)
+                item.appendChild(snippet)
+                messageResults.appendChild(item)
+            }
+        }
+
+        // Bottom footer with format selector
+        const footer = document.createElement('div')
+        footer.style.cssText = `display: flex; justify-content: flex-start; align-items: center; gap: 12px; padding-top: 12px; border-top: 1px solid ${colorScheme.border}; margin-top: 8px; align-items: baseline; align-items: center; flex-wrap: wrap;`
+        // Exports interrupted by a reload or a dropped connection (see exportCheckpoints), one row each
+        var resumeBanner = document.createElement('div')
+        resumeBanner.style.cssText = `display: none; flex-basis: 100%; flex-direction: column; gap: 6px; padding: 10px 12px; background: ${colorScheme.cardBackground}; border: 1px solid ${colorScheme.border}; border-radius: 8px; font-size: 13px; color: ${colorScheme.textPrimary};`
+        footer.appendChild(resumeBanner)
+
+        var addResumeRow = function(text, onResume, onDiscard) {
+            var row = document.createElement('div')
+            row.style.cssText = 'display: flex; align-items: center; gap: 8px; flex-wrap: wrap;'
+            var label = document.createElement('span')
+            label.textContent = text
+            label.style.cssText = 'flex: 1 1 auto; min-width: 0;'
+            row.appendChild(label)
+            var removeRow = function() {
+                row.remove()
+                if (!resumeBanner.firstChild) resumeBanner.style.display = 'none'
+            }
+            var resumeBtn = document.createElement('button')
+            resumeBtn.innerText = 'Resume export'
+            resumeBtn.style.cssText = 'background: ' + colorScheme.gradient + '; color: black; padding: 6px 12px; border-radius: 8px; border: none; cursor: pointer; font-weight: 500; font-size: 13px;'
+            resumeBtn.addEventListener('click', function() {
+                removeRow()
+                onResume()
+            })
+            var discardBtn = document.createElement('button')
+            discardBtn.innerText = 'Discard'
+            discardBtn.style.cssText = 'background: transparent; color: ' + colorScheme.textSecondary + '; padding: 6px 12px; border-radius: 8px; border: 1px solid ' + colorScheme.border + '; cursor: pointer; font-size: 13px;'
+            discardBtn.addEventListener('click', function() {
+                removeRow()
+                onDiscard()
+            })
+            row.appendChild(resumeBtn)
+            row.appendChild(discardBtn)
+            resumeBanner.appendChild(row)
+            resumeBanner.style.display = 'flex'
+        }
+
+        exportCheckpoints.pending(function(bulk, checkpoints) {
+            if (bulk) {
+                var bulkText = (bulk.changedOnly ? 'A backup of ' : 'A bulk export of ') + bulk.chats.length + ' chats (' + bulk.format + ') started ' + new Date(bulk.savedAt).toLocaleString() + ' did not finish.'
+                addResumeRow(bulkText, function() {
+                    // Same format as before, if it still exists
+                    for (var o = 0; o < formatSelect.options.length; o++) {
+                        if (formatSelect.options[o].value === bulk.format) formatSelect.value = bulk.format
+                    }
+                    ExportManager.exportChatsToZip(bulk.chats, null, { changedOnly: bulk.changedOnly })
+                }, function() {
+                    exportCheckpoints.removeBulk()
+                    bulk.chats.forEach(function(chat) { exportCheckpoints.remove(chat.uuid) })
+                })
+            }
+            checkpoints.forEach(function(checkpoint) {
+                var checkpointText = 'Export of ' + ExportManager.bulkFileName(ExportManager.findChat(checkpoint.uuid)) + ' stopped after ' + checkpoint.count + ' messages.'
+                addResumeRow(checkpointText, function() {
+                    // Stand-in "button", the checkpoint is picked up by retrieveConversationChunk itself
+                    retrieveConversationChunk(checkpoint.uuid, 0, [], { busy: true })
+                }, function() {
+                    exportCheckpoints.remove(checkpoint.uuid)
+                })
+            })
+        })
+
+        const formatLabel = document.createElement('span')
+        formatLabel.textContent = 'Download format:'
         formatLabel.style.cssText = `color: ${colorScheme.textSecondary}; font-size: 12px;`
         footer.appendChild(formatLabel)
         footer.appendChild(formatSelect)
+
+        // Password encryption of every export (see FileCrypto); the password only lives in this field
+        var encryptLabel = document.createElement('label')
+        encryptLabel.style.cssText = 'display: flex; align-items: center; gap: 6px; color: ' + colorScheme.textSecondary + '; font-size: 12px; cursor: pointer; user-select: none;'
+        encryptLabel.title = 'Save exports as AES-GCM encrypted .enc files; use "Decrypt file" to restore them'
+        var encryptToggle = document.createElement('input')
+        encryptToggle.type = 'checkbox'
+        encryptToggle.id = 'holly_encrypt_toggle'
+        encryptLabel.appendChild(encryptToggle)
+        encryptLabel.appendChild(document.createTextNode('Encrypt with password'))
+        var encryptPassword = document.createElement('input')
+        encryptPassword.type = 'password'
+        encryptPassword.id = 'holly_encrypt_password'
+        encryptPassword.placeholder = 'Password'
+        encryptPassword.autocomplete = 'new-password'
+        encryptPassword.style.cssText = 'display: none; width: 140px; background: ' + colorScheme.cardBackground + '; color: ' + colorScheme.textPrimary + '; border: 1px solid ' + colorScheme.border + '; border-radius: 8px; padding: 8px 12px; font-size: 14px;'
+        encryptToggle.addEventListener('change', function() {
+            encryptPassword.style.display = this.checked ? 'block' : 'none'
+            if (this.checked) encryptPassword.focus()
+        })
+        footer.appendChild(encryptLabel)
+        footer.appendChild(encryptPassword)
+
+        // Redaction rules for every export (see Redactor); the label shows whether they are on
+        var redactionBtn = document.createElement('button')
+        redactionBtn.style.cssText = 'background: ' + colorScheme.cardBackground + '; color: ' + colorScheme.textPrimary + '; padding: clamp(8px, 2vw, 10px) clamp(12px, 3vw, 16px); border-radius: 8px; border: 1px solid ' + colorScheme.border + '; cursor: pointer; font-weight: 500; transition: all 0.2s; font-size: clamp(12px, 3vw, 14px);'
+        redactionBtn.title = 'Rename people, apply replacement rules and strip emails, phone numbers, URLs and UUIDs before exporting'
+        var updateRedactionBtn = function() {
+            redactionBtn.innerText = 'Redaction: ' + (Redactor.isEnabled() ? 'On' : 'Off')
+        }
+        updateRedactionBtn()
+        redactionBtn.addEventListener('mouseenter', function() {
+            this.style.backgroundColor = colorScheme.hoverBackground
+            this.style.color = colorScheme.hoverText
+        })
+        redactionBtn.addEventListener('mouseleave', function() {
+            this.style.backgroundColor = colorScheme.cardBackground
+            this.style.color = colorScheme.textPrimary
+        })
+        redactionBtn.addEventListener('click', function() {
+            Redactor.show(popup, workingChats, [controlsRow, tagBar, tagManagePanel, loadingIndicator, list, messageResults, footer], updateRedactionBtn)
+        })
+        footer.appendChild(redactionBtn)
+
+        // Incremental backup: every loaded chat (ignoring search and filters) that has new messages since its last export
+        var backupBtn = document.createElement('button')
+        backupBtn.innerText = 'Backup changed chats'
+        backupBtn.style.cssText = 'background: ' + colorScheme.cardBackground + '; color: ' + colorScheme.textPrimary + '; padding: clamp(8px, 2vw, 10px) clamp(12px, 3vw, 16px); border-radius: 8px; border: 1px solid ' + colorScheme.border + '; cursor: pointer; font-weight: 500; transition: all 0.2s; font-size: clamp(12px, 3vw, 14px); margin-left: auto;'
+        backupBtn.title = 'Export only chats with new messages since their last export into one ZIP archive'
+        backupBtn.addEventListener('mouseenter', function() {
+            this.style.backgroundColor = colorScheme.hoverBackground
+            this.style.color = colorScheme.hoverText
+        })
+        backupBtn.addEventListener('mouseleave', function() {
+            this.style.backgroundColor = colorScheme.cardBackground
+            this.style.color = colorScheme.textPrimary
+        })
+        backupBtn.addEventListener('click', function() {
+            if (this.busy || originalChats.length === 0) return
+            var known = BackupState.getChatCount()
+            var message = known > 0
+                ? 'Check ' + originalChats.length + ' chats and export those with new messages since the last backup?'
+                : 'No previous backup found. Back up all ' + originalChats.length + ' chats now? This may take a while.'
+            if (!confirm(message)) return
+            ExportManager.exportChatsToZip(originalChats.slice(), this, { changedOnly: true })
+        })
+        footer.appendChild(backupBtn)
+
+        // One image gallery for every chat in the current list (search and filters apply)
+        var allImagesBtn = document.createElement('button')
+        allImagesBtn.innerText = 'All Images'
+        allImagesBtn.style.cssText = 'background: ' + colorScheme.cardBackground + '; color: ' + colorScheme.textPrimary + '; padding: clamp(8px, 2vw, 10px) clamp(12px, 3vw, 16px); border-radius: 8px; border: 1px solid ' + colorScheme.border + '; cursor: pointer; font-weight: 500; transition: all 0.2s; font-size: clamp(12px, 3vw, 14px);'
+        allImagesBtn.title = 'Browse the images of every chat in the current list (search and filters apply)'
+        allImagesBtn.addEventListener('mouseenter', function() {
+            this.style.backgroundColor = colorScheme.hoverBackground
+            this.style.color = colorScheme.hoverText
+        })
+        allImagesBtn.addEventListener('mouseleave', function() {
+            this.style.backgroundColor = colorScheme.cardBackground
+            this.style.color = colorScheme.textPrimary
+        })
+        allImagesBtn.addEventListener('click', function() {
+            if (workingChats.length === 0) return
+            ImageManager.showAllImages(workingChats.slice())
+        })
+        footer.appendChild(allImagesBtn)
+
+        // Statistics over every chat in the current list (search and filters apply)
+        var statsBtn = document.createElement('button')
+        statsBtn.innerText = 'Stats'
+        statsBtn.style.cssText = 'background: ' + colorScheme.cardBackground + '; color: ' + colorScheme.textPrimary + '; padding: clamp(8px, 2vw, 10px) clamp(12px, 3vw, 16px); border-radius: 8px; border: 1px solid ' + colorScheme.border + '; cursor: pointer; font-weight: 500; transition: all 0.2s; font-size: clamp(12px, 3vw, 14px);'
+        statsBtn.title = 'Message, word, activity and image statistics for every chat in the current list'
+        statsBtn.addEventListener('mouseenter', function() {
+            this.style.backgroundColor = colorScheme.hoverBackground
+            this.style.color = colorScheme.hoverText
+        })
+        statsBtn.addEventListener('mouseleave', function() {
+            this.style.backgroundColor = colorScheme.cardBackground
+            this.style.color = colorScheme.textPrimary
+        })
+        statsBtn.addEventListener('click', function() {
+            if (workingChats.length === 0) return
+            ChatStats.show(popup, workingChats.slice(), [controlsRow, tagBar, tagManagePanel, loadingIndicator, list, messageResults, footer])
+        })
+        footer.appendChild(statsBtn)
+
+        // Reopen a previously exported JSON/JSONL file in place of the chat list (no API access needed)
+        var archiveInput = document.createElement('input')
+        archiveInput.type = 'file'
+        archiveInput.accept = '.json,.jsonl,application/json'
+        archiveInput.style.display = 'none'
+        archiveInput.addEventListener('change', function() {
+            var file = this.files && this.files[0]
+            this.value = ''
+            if (!file) return
+            ArchiveViewer.openFile(file, popup, [controlsRow, tagBar, tagManagePanel, loadingIndicator, list, messageResults, footer])
+        })
+        var archiveBtn = document.createElement('button')
+        archiveBtn.innerText = 'Open archive'
+        archiveBtn.style.cssText = 'background: ' + colorScheme.cardBackground + '; color: ' + colorScheme.textPrimary + '; padding: clamp(8px, 2vw, 10px) clamp(12px, 3vw, 16px); border-radius: 8px; border: 1px solid ' + colorScheme.border + '; cursor: pointer; font-weight: 500; transition: all 0.2s; font-size: clamp(12px, 3vw, 14px);'
+        archiveBtn.title = 'Read a chat exported earlier as JSON, SillyTavern JSONL or OpenAI JSONL'
+        archiveBtn.addEventListener('mouseenter', function() {
+            this.style.backgroundColor = colorScheme.hoverBackground
+            this.style.color = colorScheme.hoverText
+        })
+        archiveBtn.addEventListener('mouseleave', function() {
+            this.style.backgroundColor = colorScheme.cardBackground
+            this.style.color = colorScheme.textPrimary
+        })
+        archiveBtn.addEventListener('click', function() {
+            archiveInput.click()
+        })
+        footer.appendChild(archiveInput)
+        footer.appendChild(archiveBtn)
+
+        // Restore a file saved with "Encrypt with password"
+        var decryptInput = document.createElement('input')
+        decryptInput.type = 'file'
+        decryptInput.accept = '.enc'
+        decryptInput.style.display = 'none'
+        decryptInput.addEventListener('change', function() {
+            var file = this.files && this.files[0]
+            this.value = ''
+            if (file) FileCrypto.decryptFile(file)
+        })
+        var decryptBtn = document.createElement('button')
+        decryptBtn.innerText = 'Decrypt file'
+        decryptBtn.style.cssText = 'background: ' + colorScheme.cardBackground + '; color: ' + colorScheme.textPrimary + '; padding: clamp(8px, 2vw, 10px) clamp(12px, 3vw, 16px); border-radius: 8px; border: 1px solid ' + colorScheme.border + '; cursor: pointer; font-weight: 500; transition: all 0.2s; font-size: clamp(12px, 3vw, 14px);'
+        decryptBtn.title = 'Decrypt an .enc export back to the original file (nothing leaves this browser)'
+        decryptBtn.addEventListener('mouseenter', function() {
+            this.style.backgroundColor = colorScheme.hoverBackground
+            this.style.color = colorScheme.hoverText
+        })
+        decryptBtn.addEventListener('mouseleave', function() {
+            this.style.backgroundColor = colorScheme.cardBackground
+            this.style.color = colorScheme.textPrimary
+        })
+        decryptBtn.addEventListener('click', function() {
+            decryptInput.click()
+        })
+        footer.appendChild(decryptInput)
+        footer.appendChild(decryptBtn)
+
+        // Bulk export actions (shown in multi-select mode), packed into one ZIP in the chosen format
+        var bulkActions = document.createElement('div')
+        bulkActions.style.cssText = 'display: none; gap: 8px; align-items: center; flex-wrap: wrap;'
+
+        var exportSelectedBtn = document.createElement('button')
+        exportSelectedBtn.style.cssText = 'background: ' + colorScheme.gradient + '; color: black; padding: clamp(8px, 2vw, 10px) clamp(12px, 3vw, 16px); border-radius: 8px; border: none; cursor: pointer; font-weight: 500; transition: all 0.2s; font-size: clamp(12px, 3vw, 14px);'
+        exportSelectedBtn.addEventListener('mouseenter', function() {
+            if (this.disabled) return
+            this.style.background = isYodayo ? '#151820' : '#1A1C1E'
+            this.style.color = colorScheme.hoverText
+        })
+        exportSelectedBtn.addEventListener('mouseleave', function() {
+            this.style.background = colorScheme.gradient
+            this.style.color = 'black'
+        })
+        exportSelectedBtn.addEventListener('click', function() {
+            if (this.busy || this.disabled) return
+            var selected = originalChats.filter(function(chat) {
+                return selectedChatUuids[chat.uuid] === true
+            })
+            if (selected.length === 0) return
+            ExportManager.exportChatsToZip(selected, this)
+        })
+
+        var exportAllBtn = document.createElement('button')
+        exportAllBtn.style.cssText = 'background: ' + colorScheme.cardBackground + '; color: ' + colorScheme.textPrimary + '; padding: clamp(8px, 2vw, 10px) clamp(12px, 3vw, 16px); border-radius: 8px; border: 1px solid ' + colorScheme.border + '; cursor: pointer; font-weight: 500; transition: all 0.2s; font-size: clamp(12px, 3vw, 14px);'
+        exportAllBtn.title = 'Export every chat in the current list (search and filters apply)'
+        exportAllBtn.addEventListener('mouseenter', function() {
+            this.style.backgroundColor = colorScheme.hoverBackground
+            this.style.color = colorScheme.hoverText
+        })
+        exportAllBtn.addEventListener('mouseleave', function() {
+            this.style.backgroundColor = colorScheme.cardBackground
+            this.style.color = colorScheme.textPrimary
+        })
+        exportAllBtn.addEventListener('click', function() {
+            if (this.busy || workingChats.length === 0) return
+            if (!confirm('Export all ' + workingChats.length + ' chats into one ZIP archive? This may take a while.')) return
+            ExportManager.exportChatsToZip(workingChats.slice(), this)
+        })
+
+        // Training data from the selected chats (see DatasetBuilder)
+        var datasetBtn = document.createElement('button')
+        datasetBtn.style.cssText = 'background: ' + colorScheme.cardBackground + '; color: ' + colorScheme.textPrimary + '; padding: clamp(8px, 2vw, 10px) clamp(12px, 3vw, 16px); border-radius: 8px; border: 1px solid ' + colorScheme.border + '; cursor: pointer; font-weight: 500; transition: all 0.2s; font-size: clamp(12px, 3vw, 14px);'
+        datasetBtn.title = 'Filter, window and split the selected chats into train/validation JSONL files'
+        datasetBtn.innerText = 'Build dataset'
+        datasetBtn.addEventListener('mouseenter', function() {
+            if (this.disabled) return
+            this.style.backgroundColor = colorScheme.hoverBackground
+            this.style.color = colorScheme.hoverText
+        })
+        datasetBtn.addEventListener('mouseleave', function() {
+            this.style.backgroundColor = colorScheme.cardBackground
+            this.style.color = colorScheme.textPrimary
+        })
+        datasetBtn.addEventListener('click', function() {
+            if (this.disabled) return
+            var selected = originalChats.filter(function(chat) {
+                return selectedChatUuids[chat.uuid] === true
+            })
+            if (selected.length === 0) return
+            DatasetBuilder.show(popup, selected, [controlsRow, tagBar, tagManagePanel, loadingIndicator, list, messageResults, footer])
+        })
+
+        // Tags and folder for all selected chats at once
+        var bulkTagBtn = document.createElement('button')
+        bulkTagBtn.style.cssText = datasetBtn.style.cssText
+        bulkTagBtn.title = 'Add or remove tags and set the folder of the selected chats'
+        bulkTagBtn.innerText = 'Tags & folder'
+        bulkTagBtn.addEventListener('mouseenter', function() {
+            if (this.disabled) return
+            this.style.backgroundColor = colorScheme.hoverBackground
+            this.style.color = colorScheme.hoverText
+        })
+        bulkTagBtn.addEventListener('mouseleave', function() {
+            this.style.backgroundColor = colorScheme.cardBackground
+            this.style.color = colorScheme.textPrimary
+        })
+        bulkTagBtn.addEventListener('click', function() {
+            if (this.disabled) return
+            var opening = bulkTagEditor.style.display === 'none'
+            bulkTagEditor.style.display = opening ? 'flex' : 'none'
+            if (opening) {
+                bulkTagEditor.render()
+            } else if (isTagFilterActive()) {
+                recomputeList()
+            }
+        })
+
+        var bulkTagEditor = createTagEditor(function() {
+            return Object.keys(selectedChatUuids)
+        }, function() {
+            onTagsChanged(false)
+        })
+        bulkTagEditor.style.flexBasis = '100%'
+
+        bulkActions.appendChild(exportSelectedBtn)
+        bulkActions.appendChild(exportAllBtn)
+        bulkActions.appendChild(datasetBtn)
+        bulkActions.appendChild(bulkTagBtn)
+        footer.appendChild(bulkActions)
+        footer.appendChild(bulkTagEditor)
+        updateBulkActions()
+
         popup.appendChild(footer)
         document.body.appendChild(cover)
 
@@ -2795,6 +5952,7 @@
                                 url: msg.text_to_image.output_image_url,
                                 message: msg.message ? msg.message.substring(0, 100) + '...' : 'Generated Image',
                                 timestamp: msg.created_at,
+                                message_uuid: msg.uuid,
                                 source: 'text_to_image.output_image_url',
                                 model: msg.text_to_image.model_display_name || msg.text_to_image.model || 'Unknown Model',
                                 text_to_image: msg.text_to_image
@@ -2827,6 +5985,7 @@
                                     url: value,
                                     message: msg.message ? msg.message.substring(0, 100) + '...' : 'Generated Image',
                                     timestamp: msg.created_at,
+                                    message_uuid: msg.uuid,
                                     source: 'text_to_image.' + key,
                                     model: msg.text_to_image.model_display_name || msg.text_to_image.model || 'Unknown Model',
                                     text_to_image: msg.text_to_image
@@ -2852,6 +6011,7 @@
                                             url: item,
                                             message: msg.message ? msg.message.substring(0, 100) + '...' : 'Generated Image',
                                             timestamp: msg.created_at,
+                                            message_uuid: msg.uuid,
                                             source: 'text_to_image.'+key+"["+j+"]",
                                             model: msg.text_to_image.model_display_name || msg.text_to_image.model || 'Unknown Model',
                                             text_to_image: msg.text_to_image
@@ -2878,6 +6038,7 @@
                                                     url: subValue,
                                                     message: msg.message ? msg.message.substring(0, 100) + '...' : 'Generated Image',
                                                     timestamp: msg.created_at,
+                                                    message_uuid: msg.uuid,
                                                     source: 'text_to_image.'+key+"["+j+"]."+subKey,
                                                     model: msg.text_to_image.model_display_name || msg.text_to_image.model || 'Unknown Model',
                                                     text_to_image: msg.text_to_image
@@ -2922,6 +6083,7 @@
                                             url: imageUrl,
                                             message: msg.message ? msg.message.substring(0, 100) + '...' : 'Generated Image',
                                             timestamp: msg.created_at,
+                                            message_uuid: msg.uuid,
                                             source: 'text_to_image.'+fieldName,
                                             model: msg.text_to_image.model_display_name || msg.text_to_image.model || 'Unknown Model',
                                             text_to_image: msg.text_to_image
@@ -2989,9 +6151,14 @@
 
             if (!grid) return;
 
-            // Add new images to filteredImages
+            // Add new images that pass the current filters to filteredImages
             for (var i = 0; i < newImages.length; i++) {
-                filteredImages.push(newImages[i]);
+                if (this.imageMatchesFilters(newImages[i])) {
+                    filteredImages.push(newImages[i]);
+                }
+            }
+            if (newImages.length > 0) {
+                this.updateImageFacets(newImages);
             }
 
             // Update total count
@@ -3031,8 +6198,155 @@
             }
         },
 
+        // "All Images" gallery: the regular image popup, fed chat by chat from every chat in the given list.
+        // Messages come from the memory/IndexedDB cache when available, otherwise they are fetched like an export.
+        showAllImages: function(chats) {
+            if (!chats || chats.length === 0) return;
+
+            this.showChatImages([], null, { uuid: null, name: 'All Images', chars: [] }, true);
+            var state = galleryState = {
+                chats: chats,
+                chatLabels: {}, // chat uuid -> name shown in the Chat facet
+                scanned: 0,
+                failed: 0,
+                cancelled: false,
+                abortController: new AbortController(), // Closing the popup aborts the fetch in flight
+                groupBy: 'none'
+            };
+            for (var c = 0; c < chats.length; c++) {
+                state.chatLabels[chats[c].uuid] = this.galleryChatLabel(chats[c]);
+            }
+            this.attachGalleryControls(state);
+
+            var seenUrls = window.hollyImageSeenUrls;
+            // Stand-in "button" for retrieveConversationChunk, same as the bulk ZIP export
+            var job = { busy: true, onMessages: null, signal: state.abortController.signal };
+
+            var collectNext = function(index) {
+                if (state.cancelled) return;
+                if (index >= chats.length) {
+                    ImageManager.setGalleryProgress(state);
+                    if (state.groupBy !== 'none') {
+                        ImageManager.filterImages(allImagesForFiltering);
+                    }
+                    ImageManager.appendImages([], true);
+                    return;
+                }
+
+                var chat = chats[index];
+                var wasCached = !!chatCache.getChatMessages(chat.uuid);
+                ImageManager.setGalleryProgress(state, index);
+
+                job.onMessages = function(messages) {
+                    if (state.cancelled) return;
+                    if (!messages) state.failed++;
+                    state.scanned++;
+
+                    var images = [];
+                    var photos = ImageManager.extractCharacterPhotos(chat, messages || []);
+                    for (var i = 0; i < photos.length; i++) {
+                        var key = photos[i].url.split('?')[0];
+                        if (!seenUrls[key]) {
+                            seenUrls[key] = true;
+                            images.push(photos[i]);
+                        }
+                    }
+                    images = images.concat(ImageManager.extractImagesFromMessagesChunk(messages || [], chat, seenUrls));
+
+                    var characters = (chat.chars || []).map(function(c) { return c.name; });
+                    for (var j = 0; j < images.length; j++) {
+                        images[j].chat_uuid = chat.uuid;
+                        images[j].chat_name = state.chatLabels[chat.uuid];
+                        images[j].characters = characters;
+                    }
+
+                    if (images.length > 0) {
+                        allImagesForFiltering = allImagesForFiltering.concat(images);
+                        ImageManager.appendImages(images, false);
+                    }
+
+                    // Only pause between chats that actually hit the API
+                    setTimeout(function() { collectNext(index + 1); }, wasCached ? 0 : 300);
+                };
+
+                retrieveConversationChunk(chat.uuid, 0, [], job);
+            };
+
+            collectNext(0);
+        },
+
+        // Add the "Group by" select and the scan progress under the popup toolbar.
+        // Chat, character and month are regular facets of the filter panel (see imageFacetValues).
+        attachGalleryControls: function(state) {
+            var countSpan = imagePopup.querySelector('#image-count');
+            countSpan.parentNode.firstChild.nodeValue = 'All Images (';
+
+            var row = document.createElement('div');
+            row.id = 'gallery-controls';
+            row.style.cssText = 'display: flex; align-items: center; gap: clamp(8px, 2vw, 12px); flex-wrap: wrap;';
+            row.innerHTML =
+                '<select id="gallery-group-by" title="Group by" style="background: ' + colorScheme.cardBackground + '; color: ' + colorScheme.textPrimary + '; border: 1px solid ' + colorScheme.border + '; border-radius: 6px; padding: clamp(6px, 1.5vw, 8px) clamp(10px, 2.5vw, 14px); font-size: clamp(12px, 3vw, 14px); cursor: pointer;">' +
+                    '<option value="none">No grouping</option>' +
+                    '<option value="chat">Group by chat</option>' +
+                    '<option value="character">Group by character</option>' +
+                    '<option value="model">Group by model</option>' +
+                    '<option value="date">Group by month</option>' +
+                '</select>' +
+                '<span id="gallery-progress" style="color: ' + colorScheme.textSecondary + '; font-size: clamp(10px, 2.5vw, 12px); white-space: nowrap;"></span>';
+            imagePopup.querySelector('#image-filter-toggle').parentNode.insertAdjacentElement('afterend', row);
+
+            row.querySelector('#gallery-group-by').addEventListener('change', function() {
+                if (state.cancelled) return;
+                state.groupBy = this.value;
+                ImageManager.filterImages(allImagesForFiltering);
+            });
+        },
+
+        setGalleryProgress: function(state, index) {
+            var progress = imagePopup && imagePopup.querySelector('#gallery-progress');
+            if (!progress) return;
+            if (typeof index === 'number') {
+                progress.textContent = 'Scanning chat ' + (index + 1) + ' of ' + state.chats.length + '...';
+            } else {
+                progress.textContent = state.scanned + ' chats scanned' + (state.failed > 0 ? ' (' + state.failed + ' could not be loaded)' : '');
+            }
+        },
+
+        galleryChatLabel: function(chat) {
+            return chat.name || (chat.chars || []).map(function(c) { return c.name; }).join(', ') || chat.uuid;
+        },
+
+        // "YYYY-MM" of an image, used by the month facet and grouping
+        imageMonth: function(img) {
+            return img.timestamp ? String(img.timestamp).slice(0, 7) : 'Unknown';
+        },
+
+        // Stable sort so images of the same chat/character/model/month sit together, keeping their order within a group
+        groupGalleryImages: function(images, groupBy) {
+            var keyOf = function(img) {
+                if (groupBy === 'chat') return img.chat_name || '';
+                if (groupBy === 'character') return (img.characters || []).join(', ');
+                if (groupBy === 'model') return img.model || '';
+                return ImageManager.imageMonth(img);
+            };
+            return images.map(function(img, index) {
+                return { img: img, key: keyOf(img), index: index };
+            }).sort(function(a, b) {
+                var order = groupBy === 'date' ? b.key.localeCompare(a.key) : a.key.localeCompare(b.key);
+                return order !== 0 ? order : a.index - b.index;
+            }).map(function(entry) {
+                return entry.img;
+            });
+        },
+
         // Close image popup modal
         closeImagePopup: function() {
+        // Stop collecting images for the "All Images" gallery
+        if (galleryState) {
+            galleryState.cancelled = true;
+            galleryState.abortController.abort();
+            galleryState = null;
+        }
         // Clean up lazy loading observer
         if (imageLoadingObserver) {
             imageLoadingObserver.disconnect();
@@ -3622,7 +6936,7 @@
         downloadBtn.style.cssText = `position: fixed; bottom: 20px; right: 20px; background: ${colorScheme.gradient}; color: black; padding: clamp(8px, 2vw, 10px) clamp(12px, 3vw, 16px); border-radius: 8px; border: none; cursor: pointer; font-weight: 500; transition: all 0.2s; font-size: clamp(12px, 3vw, 14px); min-width: 80px; z-index: 1000002;`
         downloadBtn.addEventListener('click', function() {
             const currentImage = imageViewerImages[currentImageViewerIndex]
-            const filename = currentImage.message.replace(/[^a-zA-Z0-9]/g, '_').substring(0, 30) + '_' + new Date(currentImage.timestamp).toISOString().split('T')[0] + '.jpg'
+            const filename = FileNames.name('image', FileNames.imageValues(currentImage), false) + '.jpg'
 
             // Check if this is a CORS-protected image (character photos or background photos)
             const isCorsProtected = currentImage.source && (
@@ -3631,10 +6945,31 @@
                 currentImage.url.includes('characterphotos')
             )
 
+            // Write the generation settings into the file; the extension follows the real image type
+            const save = blob => {
+                ImageMetadata.embed(blob, currentImage.text_to_image, currentImage.model, (taggedBlob, extension) => {
+                    const blobUrl = URL.createObjectURL(taggedBlob)
+                    const link = document.createElement('a')
+                    link.href = blobUrl
+                    link.download = filename.replace(/\.jpg$/, '.' + extension)
+                    link.style.display = 'none'
+                    document.body.appendChild(link)
+                    link.click()
+                    document.body.removeChild(link)
+                    setTimeout(() => URL.revokeObjectURL(blobUrl), 1000)
+                })
+            }
+
             if (isCorsProtected) {
-                // For CORS-protected images, open in new tab for manual download
-                console.log('Opening CORS-protected image in new tab:', filename)
-                window.open(currentImage.url, '_blank')
+                // Fetched through the userscript manager; a new tab only when it won't (see ImageManager.downloadImage)
+                ImageManager.fetchPrivileged(currentImage.url, null, (error, blob) => {
+                    if (!error) {
+                        save(blob)
+                        return
+                    }
+                    console.warn('Privileged download failed (' + error.message + '), opening in a new tab instead: ' + filename)
+                    window.open(currentImage.url, '_blank')
+                })
             } else {
                 // For regular images, use fetch method
                 fetch(currentImage.url)
@@ -3642,17 +6977,7 @@
                         if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`)
                         return response.blob()
                     })
-                    .then(blob => {
-                        const blobUrl = URL.createObjectURL(blob)
-                        const link = document.createElement('a')
-                        link.href = blobUrl
-                        link.download = filename
-                        link.style.display = 'none'
-                        document.body.appendChild(link)
-                        link.click()
-                        document.body.removeChild(link)
-                        setTimeout(() => URL.revokeObjectURL(blobUrl), 1000)
-                    })
+                    .then(save)
                     .catch(error => {
                         console.error('Download failed:', error)
                         // Fallback: open in new tab if fetch fails
@@ -4698,6 +8023,7 @@
                 renderedImageCount = 0;
                 isLoadingMoreImages = false;
                 allImagesForFiltering = [];
+                imageFilterState = this.newImageFilterState();
                 var seenUrls = {}; // For deduplication across chunks
                 // Set loading card creation time to now so it has minimum display time
                 loadingCardCreatedTime = Date.now();
@@ -4753,18 +8079,11 @@
                             '<div style="color: ' + colorScheme.textPrimary + '; font-weight: 600; font-size: clamp(16px, 4vw, 24px);">Chat Images (<span id="image-count">0</span>)</div>' +
                             '<button id="close-image-modal" style="width: clamp(32px, 8vw, 40px); height: clamp(32px, 8vw, 40px); background: ' + colorScheme.cardBackground + '; color: ' + colorScheme.textPrimary + '; border: none; border-radius: 8px; padding: clamp(6px, 1.5vw, 8px) clamp(12px, 3vw, 14px); cursor: pointer; font-size: clamp(12px, 3vw, 14px); font-weight: 500; transition: background-color 0.2s; white-space: nowrap; flex-shrink: 0;">✕</button>' +
                         '</div>' +
-                        '<div style="display: flex; align-items: center; gap: clamp(8px, 2vw, 12px); flex-wrap: nowrap;">' +
-                            '<select id="image-filter" style="background: ' + colorScheme.cardBackground + '; color: ' + colorScheme.textPrimary + '; border: 1px solid ' + colorScheme.border + '; border-radius: 6px; padding: clamp(6px, 1.5vw, 8px) clamp(10px, 2.5vw, 14px); font-size: clamp(12px, 3vw, 14px); cursor: pointer; white-space: nowrap;">' +
-                                '<option value="all">All Images</option>' +
-                                '<option value="/image you">/image you</option>' +
-                                '<option value="/image face">/image face</option>' +
-                                '<option value="/image last">/image last</option>' +
-                                '<option value="/image raw_last">/image raw_last</option>' +
-                                '<option value="Character Photo">Character Photos</option>' +
-                                '<option value="Background Photo">Backgrounds</option>' +
-                            '</select>' +
+                        '<div style="display: flex; align-items: center; gap: clamp(8px, 2vw, 12px); flex-wrap: wrap;">' +
+                            ImageManager.imageFilterControlsHtml() +
                             '<button id="select-all-btn" style="background: ' + colorScheme.cardBackground + '; color: ' + colorScheme.textPrimary + '; border: 1px solid ' + colorScheme.border + '; border-radius: 6px; padding: clamp(6px, 1.5vw, 8px) clamp(12px, 3vw, 16px); font-size: clamp(12px, 3vw, 14px); cursor: pointer; transition: background-color 0.2s; white-space: nowrap;">Select All</button>' +
                             '<button id="download-selected-btn" title="Download selected images" style="background: ' + colorScheme.gradient + '; color: black; border: none; border-radius: 6px; padding: clamp(6px, 1.5vw, 8px); width: clamp(32px, 8vw, 40px); height: clamp(32px, 8vw, 40px); display: flex; align-items: center; justify-content: center; cursor: pointer; transition: all 0.2s;"><svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path><polyline points="7,10 12,15 17,10"></polyline><line x1="12" y1="15" x2="12" y2="3"></line></svg></button>' +
+                            '<button id="download-zip-btn" title="Download selected images as one ZIP (with metadata.json)" style="background: ' + colorScheme.gradient + '; color: black; border: none; border-radius: 6px; padding: clamp(6px, 1.5vw, 8px); width: clamp(32px, 8vw, 40px); height: clamp(32px, 8vw, 40px); display: flex; align-items: center; justify-content: center; cursor: pointer; transition: all 0.2s;"><svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21 8v13H3V8"></path><rect x="1" y="3" width="22" height="5"></rect><line x1="10" y1="12" x2="14" y2="12"></line></svg></button>' +
                         '</div>' +
                     '</div>' +
                     '<div id="images-grid" style="display: flex; align-content: flex-start; gap: clamp(8px, 2vw, 16px); padding: clamp(12px, 3vw, 20px); flex-wrap: wrap; overflow-y: auto; flex: 1; min-height: 0;">' +
@@ -4857,12 +8176,7 @@
                         });
                     }
 
-                    var filterSelect = imagePopup.querySelector('#image-filter');
-                    if (filterSelect) {
-                        filterSelect.addEventListener('change', function() {
-                            ImageManager.filterImages(allImagesForFiltering, this.value);
-                        });
-                    }
+                    ImageManager.attachImageFilters();
 
                     var selectAllBtn = imagePopup.querySelector('#select-all-btn');
                     if (selectAllBtn) {
@@ -4966,7 +8280,6 @@
                     // Show loading card again after displayCurrentPage (in case it was cleared)
                     ImageManager.updateLoadingCard();
                     
-                    // Download button handler would go here - keeping existing one
                     var downloadSelectedBtn = imagePopup.querySelector('#download-selected-btn');
                     if (downloadSelectedBtn) {
                         downloadSelectedBtn.addEventListener('mouseenter', function() {
@@ -4977,57 +8290,24 @@
                             this.style.background = colorScheme.gradient;
                             this.style.color = 'black';
                         });
-                        // Download handler - use same handler as non-progressive path
-                        // We'll attach it after the popup is created, using the same code from non-progressive path
-                        // For now, we'll copy the handler - this will be in the setTimeout below
                     }
-                    
-                    // Copy download handler from non-progressive path (lines 5203+)
-                    // This is done to avoid code duplication, but we need the same functionality
-                    var downloadHandler = function() {
-                        var useInfiniteScroll = isInfiniteScrollEnabled();
-                        var imagesToDownload = [];
-                        
-                        if (useInfiniteScroll) {
-                            // In infinite scroll mode: use selectedImageUrls Set
-                            for (var i = 0; i < filteredImages.length; i++) {
-                                if (selectedImageUrls.has(filteredImages[i].url)) {
-                                    imagesToDownload.push(filteredImages[i]);
-                                }
-                            }
-                        } else {
-                            // Pagination mode: get checked checkboxes from DOM
-                            var checkedBoxes = imagePopup.querySelectorAll('.image-checkbox:checked');
-                            var checkedUrls = {};
-                            for (var i = 0; i < checkedBoxes.length; i++) {
-                                checkedUrls[checkedBoxes[i].dataset.url] = true;
-                            }
-                            
-                            for (var i = 0; i < filteredImages.length; i++) {
-                                if (checkedUrls[filteredImages[i].url]) {
-                                    imagesToDownload.push(filteredImages[i]);
-                                }
-                            }
-                        }
 
+                    var downloadHandler = function() {
+                        var imagesToDownload = ImageManager.getSelectedImages();
                         if (imagesToDownload.length === 0) {
                             alert('Please select at least one image to download.');
                             return;
                         }
-
-                        // Reuse the download logic - we'll need to extract this to a shared function eventually
-                        // For now, trigger the download process
-                        // NOTE: Full download handler code is in non-progressive path (lines 5304+)
-                        // This is a placeholder - the full implementation should be extracted to a shared function
-                        console.log('Download handler called - full implementation needed. Images to download:', imagesToDownload.length);
+                        ImageManager.downloadImages(imagesToDownload, this, false);
                     };
-                    
+
                     // Attach download handler
                     setTimeout(function() {
                         var downloadSelectedBtn = imagePopup.querySelector('#download-selected-btn');
                         if (downloadSelectedBtn) {
                             downloadSelectedBtn.addEventListener('click', downloadHandler);
                         }
+                        ImageManager.attachZipDownloadButton();
                     }, 200);
                 }, 100);
                 
@@ -5057,7 +8337,9 @@
             renderedImageCount = 0;
             isLoadingMoreImages = false;
             allImagesForFiltering = [];
+            imageFilterState = this.newImageFilterState();
             var seenUrls = window.hollyImageSeenUrls || {}; // Use existing if available, otherwise new
+            window.hollyImageChatData = chatData; // Names the ZIP of "Download as ZIP"
             // Set loading card creation time to now so it has minimum display time (only if loading)
             if (isLoadingImages) {
                 loadingCardCreatedTime = Date.now();
@@ -5097,18 +8379,11 @@
                         '<div style="color: ' + colorScheme.textPrimary + '; font-weight: 600; font-size: clamp(16px, 4vw, 24px);">Chat Images (<span id="image-count">0</span>)</div>' +
                         '<button id="close-image-modal" style="width: clamp(32px, 8vw, 40px); height: clamp(32px, 8vw, 40px); background: ' + colorScheme.cardBackground + '; color: ' + colorScheme.textPrimary + '; border: none; border-radius: 8px; padding: clamp(6px, 1.5vw, 8px) clamp(12px, 3vw, 14px); cursor: pointer; font-size: clamp(12px, 3vw, 14px); font-weight: 500; transition: background-color 0.2s; white-space: nowrap; flex-shrink: 0;">✕</button>' +
                     '</div>' +
-                    '<div style="display: flex; align-items: center; gap: clamp(8px, 2vw, 12px); flex-wrap: nowrap;">' +
-                        '<select id="image-filter" style="background: ' + colorScheme.cardBackground + '; color: ' + colorScheme.textPrimary + '; border: 1px solid ' + colorScheme.border + '; border-radius: 6px; padding: clamp(6px, 1.5vw, 8px) clamp(10px, 2.5vw, 14px); font-size: clamp(12px, 3vw, 14px); cursor: pointer; white-space: nowrap;">' +
-                            '<option value="all">All Images</option>' +
-                            '<option value="/image you">/image you</option>' +
-                            '<option value="/image face">/image face</option>' +
-                            '<option value="/image last">/image last</option>' +
-                            '<option value="/image raw_last">/image raw_last</option>' +
-                            '<option value="Character Photo">Character Photos</option>' +
-                            '<option value="Background Photo">Backgrounds</option>' +
-                        '</select>' +
+                    '<div style="display: flex; align-items: center; gap: clamp(8px, 2vw, 12px); flex-wrap: wrap;">' +
+                        ImageManager.imageFilterControlsHtml() +
                         '<button id="select-all-btn" style="background: ' + colorScheme.cardBackground + '; color: ' + colorScheme.textPrimary + '; border: 1px solid ' + colorScheme.border + '; border-radius: 6px; padding: clamp(6px, 1.5vw, 8px) clamp(12px, 3vw, 16px); font-size: clamp(12px, 3vw, 14px); cursor: pointer; transition: background-color 0.2s; white-space: nowrap;">Select All</button>' +
                         '<button id="download-selected-btn" title="Download selected images" style="background: ' + colorScheme.gradient + '; color: black; border: none; border-radius: 6px; padding: clamp(6px, 1.5vw, 8px); width: clamp(32px, 8vw, 40px); height: clamp(32px, 8vw, 40px); display: flex; align-items: center; justify-content: center; cursor: pointer; transition: all 0.2s;"><svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path><polyline points="7,10 12,15 17,10"></polyline><line x1="12" y1="15" x2="12" y2="3"></line></svg></button>' +
+                        '<button id="download-zip-btn" title="Download selected images as one ZIP (with metadata.json)" style="background: ' + colorScheme.gradient + '; color: black; border: none; border-radius: 6px; padding: clamp(6px, 1.5vw, 8px); width: clamp(32px, 8vw, 40px); height: clamp(32px, 8vw, 40px); display: flex; align-items: center; justify-content: center; cursor: pointer; transition: all 0.2s;"><svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21 8v13H3V8"></path><rect x="1" y="3" width="22" height="5"></rect><line x1="10" y1="12" x2="14" y2="12"></line></svg></button>' +
                     '</div>' +
                 '</div>' +
                     '<div id="images-grid" style="display: flex; align-content: flex-start; gap: clamp(8px, 2vw, 16px); padding: clamp(12px, 3vw, 20px); flex-wrap: wrap; overflow-y: auto; flex: 1; min-height: 0;">' +
@@ -5244,12 +8519,7 @@
                     });
                 }
 
-                var filterSelect = imagePopup.querySelector('#image-filter');
-                if (filterSelect) {
-                    filterSelect.addEventListener('change', function() {
-                        ImageManager.filterImages(allImagesForFiltering, this.value);
-                    });
-                }
+                ImageManager.attachImageFilters();
 
                 var selectAllBtn = imagePopup.querySelector('#select-all-btn');
                 if (selectAllBtn) {
@@ -5365,755 +8635,691 @@
                     });
 
                     downloadSelectedBtn.addEventListener('click', function() {
-                        var useInfiniteScroll = isInfiniteScrollEnabled();
-                        var imagesToDownload = [];
-                        
-                        if (useInfiniteScroll) {
-                            // In infinite scroll mode: use selectedImageUrls Set
-                            for (var i = 0; i < filteredImages.length; i++) {
-                                if (selectedImageUrls.has(filteredImages[i].url)) {
-                                    imagesToDownload.push(filteredImages[i]);
-                                }
-                            }
-                            console.log('Download selected clicked (infinite scroll mode). Selected images:', selectedImageUrls.size);
-                        } else {
-                            // Pagination mode: get checked checkboxes from DOM
-                            var checkedBoxes = imagePopup.querySelectorAll('.image-checkbox:checked');
-                            var checkedUrls = {};
-                            for (var i = 0; i < checkedBoxes.length; i++) {
-                                checkedUrls[checkedBoxes[i].dataset.url] = true;
-                            }
-                            
-                            for (var i = 0; i < filteredImages.length; i++) {
-                                if (checkedUrls[filteredImages[i].url]) {
-                                    imagesToDownload.push(filteredImages[i]);
-                                }
-                            }
-                            console.log('Download selected clicked. Found checked boxes:', checkedBoxes.length);
-                        }
-                        
-                        console.log('Images to download:', imagesToDownload.length);
-                        console.log('Images details:', imagesToDownload.map(function(img) {
-                            return {
-                                url: img.url,
-                                filename: img.message.replace(/[^a-zA-Z0-9]/g, '_').substring(0, 30) + '_' + (new Date(img.timestamp)).toISOString().split('T')[0] + '.jpg'
-                            };
-                        }));
-
+                        var imagesToDownload = ImageManager.getSelectedImages();
                         if (imagesToDownload.length === 0) {
                             alert('Please select at least one image to download.');
                             return;
                         }
+                        ImageManager.downloadImages(imagesToDownload, this, false);
+                    });
+                }
+                ImageManager.attachZipDownloadButton();
+            }, 100);
 
-                        // Show loading state
-                        var btn = this;
-                        var svg = btn.querySelector('svg');
-                        var originalTitle = btn.title;
-                        btn.title = 'Downloading...';
-                        btn.disabled = true;
-                        if (svg) svg.style.opacity = '0.5';
-
-                        // Create progress indicator for image downloads
-                        var progressContainer = document.createElement('div');
-                        progressContainer.className = 'holly-export-progress';
-                        progressContainer.style.cssText = 'position: fixed; top: 50%; left: 50%; transform: translate(-50%, -50%); z-index: 1000010; background: ' + colorScheme.cardBackground + '; border: 1px solid ' + colorScheme.border + '; border-radius: 12px; padding: 20px; min-width: 300px; max-width: 90vw; box-shadow: 0 8px 32px rgba(0,0,0,0.5); cursor: move; user-select: none;';
-
-                        // Create header with title and minimize button
-                        var headerRow = document.createElement('div');
-                        headerRow.style.cssText = 'display: flex; justify-content: space-between; align-items: center; margin-bottom: 12px; cursor: move;';
-
-                        var progressTitle = document.createElement('div');
-                        progressTitle.textContent = 'Downloading Images...';
-                        progressTitle.style.cssText = 'color: ' + colorScheme.textPrimary + '; font-weight: 600; font-size: 16px; flex: 1;';
-
-                        // Create minimize button
-                        var minimizeBtn = document.createElement('button');
-                        minimizeBtn.innerHTML = '−';
-                        minimizeBtn.style.cssText = 'background: transparent; color: ' + colorScheme.textPrimary + '; border: none; border-radius: 4px; padding: 4px 8px; font-size: 18px; cursor: pointer; transition: all 0.2s; width: 28px; height: 28px; display: flex; align-items: center; justify-content: center; line-height: 1;';
-                        minimizeBtn.title = 'Minimize';
-                        minimizeBtn.addEventListener('mouseenter', function() {
-                            this.style.backgroundColor = colorScheme.hoverBackground;
-                            this.style.color = colorScheme.hoverText;
-                        });
-                        minimizeBtn.addEventListener('mouseleave', function() {
-                            this.style.backgroundColor = 'transparent';
-                            this.style.color = colorScheme.textPrimary;
-                        });
-
-                        headerRow.appendChild(progressTitle);
-                        headerRow.appendChild(minimizeBtn);
+            // Append the popup to the body for proper centering
+            document.body.appendChild(imagePopup);
 
-                        var progressBarContainer = document.createElement('div');
-                        progressBarContainer.style.cssText = 'width: 100%; height: 8px; background: ' + colorScheme.border + '; border-radius: 4px; overflow: hidden; margin-bottom: 8px;';
+            // Trigger animation
+            requestAnimationFrame(function() {
+                requestAnimationFrame(function() {
+                    backdrop.style.backgroundColor = 'rgba(0, 0, 0, 0.5)';
+                    backdrop.style.backdropFilter = 'blur(4px)';
+                    backdrop.style.webkitBackdropFilter = 'blur(4px)';
+                    imagePopup.style.opacity = '1';
+                    imagePopup.style.transform = 'translate(-50%, -50%) scale(1)';
+                });
+            });
+        },
 
-                        var progressBar = document.createElement('div');
-                        progressBar.style.cssText = 'height: 100%; background: ' + colorScheme.gradient + '; width: 0%; transition: width 0.3s ease; border-radius: 4px;';
+        // Images ticked in the popup grid (checkboxes in pagination mode, selectedImageUrls in infinite scroll mode)
+        getSelectedImages: function() {
+            var selected = [];
+            if (isInfiniteScrollEnabled()) {
+                for (var i = 0; i < filteredImages.length; i++) {
+                    if (selectedImageUrls.has(filteredImages[i].url)) {
+                        selected.push(filteredImages[i]);
+                    }
+                }
+                return selected;
+            }
+            var checkedBoxes = imagePopup ? imagePopup.querySelectorAll('.image-checkbox:checked') : [];
+            var checkedUrls = {};
+            for (var c = 0; c < checkedBoxes.length; c++) {
+                checkedUrls[checkedBoxes[c].dataset.url] = true;
+            }
+            for (var f = 0; f < filteredImages.length; f++) {
+                if (checkedUrls[filteredImages[f].url]) {
+                    selected.push(filteredImages[f]);
+                }
+            }
+            return selected;
+        },
 
-                        var progressText = document.createElement('div');
-                        progressText.className = 'holly-progress-text';
-                        progressText.style.cssText = 'color: ' + colorScheme.textSecondary + '; font-size: 12px; text-align: center; margin-bottom: 12px;';
-                        progressText.textContent = 'Preparing download...';
+        // Hook up the popup's "Download as ZIP" button
+        attachZipDownloadButton: function() {
+            var downloadZipBtn = imagePopup ? imagePopup.querySelector('#download-zip-btn') : null;
+            if (!downloadZipBtn) return;
+            downloadZipBtn.addEventListener('mouseenter', function() {
+                this.style.background = colorScheme.hoverBackground;
+                this.style.color = colorScheme.hoverText;
+            });
+            downloadZipBtn.addEventListener('mouseleave', function() {
+                this.style.background = colorScheme.gradient;
+                this.style.color = 'black';
+            });
+            downloadZipBtn.addEventListener('click', function() {
+                if (this.disabled) return;
+                var imagesToDownload = ImageManager.getSelectedImages();
+                if (imagesToDownload.length === 0) {
+                    alert('Please select at least one image to download.');
+                    return;
+                }
+                ImageManager.downloadImages(imagesToDownload, this, true);
+            });
+        },
 
-                        // Create cancel button
-                        var cancelBtn = document.createElement('button');
-                        cancelBtn.textContent = 'Cancel';
-                        cancelBtn.style.cssText = 'background: ' + colorScheme.border + '; color: ' + colorScheme.textPrimary + '; border: 1px solid ' + colorScheme.border + '; border-radius: 6px; padding: 8px 16px; font-size: 14px; cursor: pointer; transition: all 0.2s; width: 100%; margin-top: 8px;';
-                        cancelBtn.addEventListener('mouseenter', function() {
-                            this.style.backgroundColor = colorScheme.hoverBackground;
-                            this.style.borderColor = colorScheme.hoverText;
-                        });
-                        cancelBtn.addEventListener('mouseleave', function() {
-                            this.style.backgroundColor = colorScheme.border;
-                            this.style.borderColor = colorScheme.border;
-                        });
+        // Download images one file at a time, or packed into a single ZIP (asZip) with metadata.json and errors.txt.
+        // Runs as a job in the download queue; btn is the popup button that started it and stays disabled until the job settles.
+        downloadImages: function(imagesToDownload, btn, asZip) {
+            // Show loading state
+            var svg = btn.querySelector('svg');
+            var originalTitle = btn.title;
+            btn.title = 'Downloading...';
+            btn.disabled = true;
+            if (svg) svg.style.opacity = '0.5';
+
+            var names = FileNames.batch();
+            var items = imagesToDownload.map(function(img, i) {
+                return {
+                    label: names.name('image', FileNames.imageValues(img, { index: i + 1, total: imagesToDownload.length }), '.jpg', asZip),
+                    data: img
+                };
+            });
 
-                        // Create full content container (shown when not minimized)
-                        var fullContent = document.createElement('div');
-                        fullContent.className = 'holly-progress-full-content';
-                        fullContent.style.cssText = 'display: block;';
-                        fullContent.appendChild(progressBarContainer);
-                        fullContent.appendChild(progressText);
-                        fullContent.appendChild(cancelBtn);
-
-                        // Create minimized content container (shown when minimized)
-                        var minimizedContent = document.createElement('div');
-                        minimizedContent.className = 'holly-progress-minimized-content';
-                        minimizedContent.style.cssText = 'display: none; align-items: center; gap: 12px; cursor: move;';
-
-                        // Minimized progress bar
-                        var minimizedProgressBarContainer = document.createElement('div');
-                        minimizedProgressBarContainer.style.cssText = 'flex: 1; height: 6px; background: ' + colorScheme.border + '; border-radius: 3px; overflow: hidden;';
-                        var minimizedProgressBar = document.createElement('div');
-                        minimizedProgressBar.style.cssText = 'height: 100%; background: ' + colorScheme.gradient + '; width: 0%; transition: width 0.3s ease; border-radius: 3px;';
-                        minimizedProgressBarContainer.appendChild(minimizedProgressBar);
-
-                        // Minimized count text
-                        var minimizedCountText = document.createElement('div');
-                        minimizedCountText.className = 'holly-progress-minimized-count';
-                        minimizedCountText.style.cssText = 'color: ' + colorScheme.textPrimary + '; font-size: 12px; font-weight: 500; white-space: nowrap; min-width: 60px; text-align: center;';
-                        minimizedCountText.textContent = '0/0';
-
-                        // Minimized minimize button (to expand)
-                        var minimizedMinimizeBtn = document.createElement('button');
-                        minimizedMinimizeBtn.innerHTML = '+';
-                        minimizedMinimizeBtn.style.cssText = 'background: transparent; color: ' + colorScheme.textPrimary + '; border: none; border-radius: 4px; padding: 4px 8px; font-size: 16px; cursor: pointer; transition: all 0.2s; width: 24px; height: 24px; display: flex; align-items: center; justify-content: center; line-height: 1; flex-shrink: 0;';
-                        minimizedMinimizeBtn.title = 'Restore';
-                        minimizedMinimizeBtn.addEventListener('mouseenter', function() {
-                            this.style.backgroundColor = colorScheme.hoverBackground;
-                            this.style.color = colorScheme.hoverText;
-                        });
-                        minimizedMinimizeBtn.addEventListener('mouseleave', function() {
-                            this.style.backgroundColor = 'transparent';
-                            this.style.color = colorScheme.textPrimary;
-                        });
-
-                        // Minimized close button (✕)
-                        var minimizedCloseBtn = document.createElement('button');
-                        minimizedCloseBtn.innerHTML = '✕';
-                        minimizedCloseBtn.style.cssText = 'background: transparent; color: ' + colorScheme.textPrimary + '; border: none; border-radius: 4px; padding: 4px 8px; font-size: 16px; cursor: pointer; transition: all 0.2s; width: 24px; height: 24px; display: flex; align-items: center; justify-content: center; line-height: 1; flex-shrink: 0;';
-                        minimizedCloseBtn.title = 'Close';
-                        minimizedCloseBtn.addEventListener('mouseenter', function() {
-                            this.style.backgroundColor = colorScheme.hoverBackground;
-                            this.style.color = colorScheme.hoverText;
-                        });
-                        minimizedCloseBtn.addEventListener('mouseleave', function() {
-                            this.style.backgroundColor = 'transparent';
-                            this.style.color = colorScheme.textPrimary;
-                        });
-                        minimizedCloseBtn.addEventListener('click', function(e) {
-                            e.stopPropagation();
-                            // Use same logic as cancelBtn - check if it says "Close" or "Cancel"
-                            if (cancelBtn.textContent === 'Close') {
-                                // Just close the modal
-                                // Use current position if modal was dragged, otherwise center
-                                var computedStyle = window.getComputedStyle(progressContainer);
-                                var currentTransform = computedStyle.transform;
-                                var hasTransform = currentTransform && currentTransform !== 'none' && currentTransform !== 'matrix(1, 0, 0, 1, 0, 0)';
-                                
-                                progressContainer.style.opacity = '0';
-                                if (hasTransform) {
-                                    progressContainer.style.transform = 'translate(-50%, -50%) scale(0.95)';
-                                } else {
-                                    // Modal was dragged, use scale on current position
-                                    progressContainer.style.transform = 'scale(0.95)';
-                                }
-                                setTimeout(function() {
-                                    if (progressContainer && progressContainer.parentNode) {
-                                        progressContainer.parentNode.removeChild(progressContainer);
-                                    }
-                                }, 300);
-                                // Reset button state
-                                btn.title = originalTitle;
-                                btn.disabled = false;
-                                if (svg) svg.style.opacity = '1';
-                            } else {
-                                // Cancel downloads in progress
-                                cancelState.cancelled = true;
-                                // Close progress indicator
-                                progressContainer.style.opacity = '0';
-                                progressContainer.style.transform = 'translate(-50%, -50%) scale(0.95)';
-                                setTimeout(function() {
-                                    if (progressContainer && progressContainer.parentNode) {
-                                        progressContainer.parentNode.removeChild(progressContainer);
-                                    }
-                                }, 300);
-                                // Reset button state
-                                btn.title = originalTitle;
-                                btn.disabled = false;
-                                if (svg) svg.style.opacity = '1';
-                            }
-                        });
-
-                        minimizedContent.appendChild(minimizedProgressBarContainer);
-                        minimizedContent.appendChild(minimizedCountText);
-                        minimizedContent.appendChild(minimizedMinimizeBtn);
-                        minimizedContent.appendChild(minimizedCloseBtn);
-
-                        progressBarContainer.appendChild(progressBar);
-                        progressContainer.appendChild(headerRow);
-                        progressContainer.appendChild(fullContent);
-                        progressContainer.appendChild(minimizedContent);
-                        progressContainer.style.opacity = '0';
-                        document.body.appendChild(progressContainer);
-
-                        // Drag functionality
-                        var isDragging = false;
-                        var dragOffsetX = 0;
-                        var dragOffsetY = 0;
-                        var currentX = 0;
-                        var currentY = 0;
-
-                        // Helper function to check if target is interactive
-                        function isInteractiveElement(target) {
-                            if (!target) return false;
-                            var tagName = target.tagName;
-                            // Check if it's a button or inside a button
-                            if (tagName === 'BUTTON' || target.closest('button')) {
-                                return true;
-                            }
-                            // Check if it's an input or other interactive element
-                            if (tagName === 'INPUT' || tagName === 'TEXTAREA' || tagName === 'SELECT') {
-                                return true;
-                            }
-                            // Check if it's inside an input/textarea/select
-                            if (target.closest('input') || target.closest('textarea') || target.closest('select')) {
-                                return true;
-                            }
-                            return false;
-                        }
-
-                        function startDrag(e) {
-                            // Don't start drag if clicking on interactive elements
-                            if (isInteractiveElement(e.target)) {
-                                return;
-                            }
-                            
-                            // Get coordinates from touch or mouse event
-                            var clientX = (e.touches && e.touches[0]) ? e.touches[0].clientX : e.clientX;
-                            var clientY = (e.touches && e.touches[0]) ? e.touches[0].clientY : e.clientY;
-                            
-                            // Check if we need to convert from transform-based to left/top positioning
-                            var computedStyle = window.getComputedStyle(progressContainer);
-                            var currentTransform = computedStyle.transform;
-                            var hasTransform = currentTransform && currentTransform !== 'none' && currentTransform !== 'matrix(1, 0, 0, 1, 0, 0)';
-                            
-                            // Get current visual position first
-                            var rect = progressContainer.getBoundingClientRect();
-                            
-                            if (hasTransform) {
-                                // Convert from transform-based positioning to left/top positioning
-                                currentX = rect.left;
-                                currentY = rect.top;
-                                progressContainer.style.top = currentY + 'px';
-                                progressContainer.style.left = currentX + 'px';
-                                progressContainer.style.transform = 'none';
-                                // Force a reflow to ensure the new position is applied
-                                progressContainer.offsetHeight;
-                            } else {
-                                // Already using left/top positioning, use current visual position
-                                currentX = rect.left;
-                                currentY = rect.top;
-                            }
-                            
-                            // Calculate drag offset from where the touch/mouse started relative to the container's current position
-                            dragOffsetX = clientX - currentX;
-                            dragOffsetY = clientY - currentY;
-                            
-                            isDragging = true;
-                            progressContainer.style.cursor = 'grabbing';
-                            e.preventDefault();
-                        }
-
-                        function drag(e) {
-                            if (!isDragging) return;
-                            e.preventDefault();
-                            
-                            // Get coordinates from touch or mouse event
-                            var clientX = (e.touches && e.touches[0]) ? e.touches[0].clientX : e.clientX;
-                            var clientY = (e.touches && e.touches[0]) ? e.touches[0].clientY : e.clientY;
-                            
-                            currentX = clientX - dragOffsetX;
-                            currentY = clientY - dragOffsetY;
-
-                            // Constrain to viewport
-                            var maxX = window.innerWidth - progressContainer.offsetWidth;
-                            var maxY = window.innerHeight - progressContainer.offsetHeight;
-                            currentX = Math.max(0, Math.min(currentX, maxX));
-                            currentY = Math.max(0, Math.min(currentY, maxY));
-
-                            progressContainer.style.left = currentX + 'px';
-                            progressContainer.style.top = currentY + 'px';
-                            progressContainer.style.transform = 'none';
+            DownloadQueue.addItems((asZip ? 'Packing Images into ZIP' : 'Downloading Images') + ' (' + items.length + ')', items, {
+                cooldown: asZip ? 0 : 200, // separate downloads need room or the browser starts blocking them
+                run: function(item, done, job) {
+                    ImageManager.downloadImage(item.data, item.label, asZip, job.signal, done);
+                },
+                // ZIP mode: every completion saves an archive of the images fetched since the last one, so a Retry
+                // saves a second ZIP with just the retried images. Items drop their blobs once they're packed,
+                // so a large batch isn't held in memory for as long as its row stays in the queue.
+                onComplete: asZip ? function(job, done) {
+                    var archive = ZipWriter.create();
+                    var rows = []; // metadata.json entries
+                    var errors = []; // errors.txt lines
+                    job.items.forEach(function(item) {
+                        if (item.status === 'done') {
+                            if (!item.result.blob) return; // in an earlier archive
+                            var storedName = archive.addFile(item.result.name, item.result.blob, new Date(item.data.timestamp));
+                            item.result = { name: storedName };
+                            rows.push(ImageManager.imageMetadataRow(item.data, storedName));
+                        } else if (item.status === 'failed') {
+                            errors.push(item.label + '\t' + item.data.url + '\t' + item.error);
                         }
+                    });
+                    ImageManager.saveImageArchive(archive, rows, errors, function() {
+                        done();
+                    });
+                } : null,
+                onSettled: function() {
+                    btn.title = originalTitle;
+                    btn.disabled = false;
+                    if (svg) svg.style.opacity = '1';
+                }
+            });
+        },
 
-                        function stopDrag() {
-                            if (isDragging) {
-                                isDragging = false;
-                                progressContainer.style.cursor = 'move';
-                            }
-                        }
+        // Fetch one image for downloadImages and write its generation settings into the file.
+        // Saved right away, or handed back as done(null, { name, blob }) for a ZIP; done(error) on failure.
+        downloadImage: function(img, filename, forZip, signal, done) {
+            var save = function(blob) {
+                // The extension follows the real image type
+                ImageMetadata.embed(blob, img.text_to_image, img.model, function(taggedBlob, extension) {
+                    var taggedName = filename.replace(/\.jpg$/, '.' + extension);
+                    if (forZip) {
+                        done(null, { name: taggedName, blob: taggedBlob });
+                        return;
+                    }
+                    var blobUrl = URL.createObjectURL(taggedBlob);
+                    var link = document.createElement('a');
+                    link.href = blobUrl;
+                    link.download = taggedName;
+                    link.style.display = 'none';
+                    document.body.appendChild(link);
+                    link.click();
+                    document.body.removeChild(link);
+                    setTimeout(function(){ URL.revokeObjectURL(blobUrl); }, 2000);
+                    done(null, { name: taggedName });
+                });
+            };
 
-                        headerRow.addEventListener('mousedown', startDrag);
-                        headerRow.addEventListener('touchstart', startDrag, { passive: false });
-                        // Also allow dragging from minimized content area (but not buttons)
-                        minimizedContent.addEventListener('mousedown', function(e) {
-                            if (!isInteractiveElement(e.target)) {
-                                startDrag(e);
-                            }
-                        });
-                        minimizedContent.addEventListener('touchstart', function(e) {
-                            if (!isInteractiveElement(e.target)) {
-                                startDrag(e);
-                            }
-                        }, { passive: false });
-                        // Allow dragging from anywhere in the progress container (padding areas)
-                        progressContainer.addEventListener('mousedown', function(e) {
-                            if (!isInteractiveElement(e.target)) {
-                                startDrag(e);
-                            }
-                        });
-                        progressContainer.addEventListener('touchstart', function(e) {
-                            if (!isInteractiveElement(e.target)) {
-                                startDrag(e);
-                            }
-                        }, { passive: false });
-                        document.addEventListener('mousemove', drag);
-                        document.addEventListener('touchmove', drag, { passive: false });
-                        document.addEventListener('mouseup', stopDrag);
-                        document.addEventListener('touchend', stopDrag);
-                        document.addEventListener('touchcancel', stopDrag);
-
-                        // Minimize functionality
-                        var isMinimized = false;
-                        function toggleMinimize() {
-                            isMinimized = !isMinimized;
-                            if (isMinimized) {
-                                // Switch to minimized view
-                                fullContent.style.display = 'none';
-                                minimizedContent.style.display = 'flex';
-                                headerRow.style.display = 'none'; // Hide header in minimized mode
-                                progressContainer.style.minWidth = '250px';
-                                progressContainer.style.width = 'auto';
-                                progressContainer.style.padding = '6px 10px';
-                                minimizeBtn.innerHTML = '+';
-                                minimizeBtn.title = 'Restore';
-                            } else {
-                                // Switch to full view
-                                fullContent.style.display = 'block';
-                                minimizedContent.style.display = 'none';
-                                headerRow.style.display = 'flex'; // Show header in full mode
-                                progressContainer.style.minWidth = '300px';
-                                progressContainer.style.width = 'auto';
-                                progressContainer.style.padding = '20px';
-                                minimizeBtn.innerHTML = '−';
-                                minimizeBtn.title = 'Minimize';
-                            }
-                        }
+            // Character photos don't allow CORS: fetch them through the userscript manager, and if it won't
+            // (no grant, @connect refused) open them in a new tab for manual download as before
+            if (img.url.indexOf('characterphotos.yodayo.com') !== -1) {
+                ImageManager.fetchPrivileged(img.url, signal, function(error, blob) {
+                    if (!error) {
+                        save(blob);
+                        return;
+                    }
+                    if (error.name === 'AbortError' || forZip) {
+                        done(error);
+                        return;
+                    }
+                    console.warn('Privileged download failed (' + error.message + '), opening in a new tab instead: ' + filename);
+                    var newTab = window.open(img.url, '_blank');
+                    done(newTab ? null : new Error('Popup blocked'), { name: filename });
+                });
+                return;
+            }
 
-                        minimizeBtn.addEventListener('click', function(e) {
-                            e.stopPropagation();
-                            toggleMinimize();
-                        });
+            fetch(img.url, { signal: signal })
+                .then(function(response) {
+                    if (!response.ok) throw new Error('HTTP error! status: ' + response.status);
+                    return response.blob();
+                })
+                .then(save)
+                .catch(function(error) {
+                    done(error);
+                });
+        },
 
-                        minimizedMinimizeBtn.addEventListener('click', function(e) {
-                            e.stopPropagation();
-                            toggleMinimize();
-                        });
+        // GET a URL as a Blob with GM_xmlhttpRequest (or GM.xmlHttpRequest), which isn't bound by CORS.
+        // Only hosts listed under @connect work. callback(error, blob), called once.
+        fetchPrivileged: function(url, signal, callback) {
+            var request = typeof GM_xmlhttpRequest === 'function' ? GM_xmlhttpRequest
+                : (typeof GM !== 'undefined' && GM && typeof GM.xmlHttpRequest === 'function' ? GM.xmlHttpRequest : null);
+            var settled = false;
+            var finish = function(error, blob) {
+                if (settled) return;
+                settled = true;
+                callback(error, blob);
+            };
+            if (!request) {
+                finish(new Error('GM_xmlhttpRequest is not granted'));
+                return;
+            }
+            if (signal && signal.aborted) {
+                finish(API.abortError());
+                return;
+            }
 
-                        // Fade in animation
-                        requestAnimationFrame(function() {
-                            requestAnimationFrame(function() {
-                                progressContainer.style.transition = 'opacity 0.3s ease, transform 0.3s ease';
-                                progressContainer.style.opacity = '1';
-                            });
-                        });
+            var handle = null;
+            try {
+                handle = request({
+                    method: 'GET',
+                    url: url,
+                    responseType: 'blob',
+                    timeout: 60000,
+                    onload: function(response) {
+                        if (response.status >= 200 && response.status < 300 && response.response) {
+                            finish(null, response.response);
+                        } else {
+                            finish(new Error('HTTP error! status: ' + response.status));
+                        }
+                    },
+                    onerror: function(response) {
+                        finish(new Error(response && response.error ? response.error : 'request refused'));
+                    },
+                    ontimeout: function() {
+                        finish(new Error('request timed out'));
+                    }
+                });
+            } catch (e) {
+                finish(e);
+                return;
+            }
+            if (signal) {
+                signal.addEventListener('abort', function() {
+                    if (handle && typeof handle.abort === 'function') handle.abort();
+                    finish(API.abortError());
+                });
+            }
+        },
 
-                        // Cancel flag for image downloads (use object reference so closure can access it)
-                        var cancelState = { cancelled: false };
-                        cancelBtn.addEventListener('click', function() {
-                            // Check if button says "Close" (downloads complete) or "Cancel" (still downloading)
-                            if (this.textContent === 'Close') {
-                                // Just close the modal, don't cancel downloads
-                                // Use current position if modal was dragged, otherwise center
-                                var computedStyle = window.getComputedStyle(progressContainer);
-                                var currentTransform = computedStyle.transform;
-                                var hasTransform = currentTransform && currentTransform !== 'none' && currentTransform !== 'matrix(1, 0, 0, 1, 0, 0)';
-                                
-                                progressContainer.style.opacity = '0';
-                                if (hasTransform) {
-                                    progressContainer.style.transform = 'translate(-50%, -50%) scale(0.95)';
-                                } else {
-                                    // Modal was dragged, use scale on current position
-                                    progressContainer.style.transform = 'scale(0.95)';
-                                }
-                                setTimeout(function() {
-                                    if (progressContainer && progressContainer.parentNode) {
-                                        progressContainer.parentNode.removeChild(progressContainer);
-                                    }
-                                }, 300);
-                                // Reset button state
-                                btn.title = originalTitle;
-                                btn.disabled = false;
-                                if (svg) svg.style.opacity = '1';
-                            } else {
-                                // Cancel downloads in progress
-                                cancelState.cancelled = true;
-                                // Close progress indicator
-                                // Use current position if modal was dragged, otherwise center
-                                var computedStyle = window.getComputedStyle(progressContainer);
-                                var currentTransform = computedStyle.transform;
-                                var hasTransform = currentTransform && currentTransform !== 'none' && currentTransform !== 'matrix(1, 0, 0, 1, 0, 0)';
-                                
-                                progressContainer.style.opacity = '0';
-                                if (hasTransform) {
-                                    progressContainer.style.transform = 'translate(-50%, -50%) scale(0.95)';
-                                } else {
-                                    // Modal was dragged, use scale on current position
-                                    progressContainer.style.transform = 'scale(0.95)';
-                                }
-                                setTimeout(function() {
-                                    if (progressContainer && progressContainer.parentNode) {
-                                        progressContainer.parentNode.removeChild(progressContainer);
-                                    }
-                                }, 300);
-                                // Reset button state
-                                btn.title = originalTitle;
-                                btn.disabled = false;
-                                if (svg) svg.style.opacity = '1';
-                            }
-                        });
+        // One metadata.json entry for an image saved into a ZIP
+        imageMetadataRow: function(img, file) {
+            var t2i = img.text_to_image || {};
+            return {
+                file: file,
+                url: img.url,
+                prompt: t2i.prompt || null,
+                negative_prompt: t2i.negative_prompt || null,
+                seed: t2i.seed !== undefined ? t2i.seed : null,
+                model: img.model || t2i.model_display_name || t2i.model || null,
+                sampler: t2i.sampling_method || null,
+                steps: t2i.sampling_steps || null,
+                cfg_scale: t2i.cfg_scale || null,
+                width: t2i.width || null,
+                height: t2i.height || null,
+                timestamp: img.timestamp || null,
+                message_uuid: img.message_uuid || null,
+                chat_uuid: img.chat_uuid || null,
+                chat_name: img.chat_name || null,
+                source: img.source || null
+            };
+        },
 
-                        // Download sequential batches so we can use async/await in ES5
-                        (function(btnRef, svgRef, originalTitleRef, progressContainerRef, progressBarRef, progressTextRef, cancelStateRef, minimizedProgressBarRef, minimizedCountTextRef, cancelBtnRef){
-                            var batchSize = 5;
-                            var batchDelay = 1000; // 1 second delay between batches
-                            var results = [];
-                            var successful = 0;
-                            var failed = 0;
-                            var totalImages = imagesToDownload.length;
-                            var totalBatches = Math.ceil(totalImages / batchSize);
-
-                            // Function to update both progress bars and counts
-                            function updateProgress(current, total) {
-                                var percent = Math.min(95, (current / total) * 95);
-                                progressBarRef.style.width = percent + '%';
-                                if (minimizedProgressBarRef) {
-                                    minimizedProgressBarRef.style.width = percent + '%';
-                                }
-                                if (minimizedCountTextRef) {
-                                    minimizedCountTextRef.textContent = current + '/' + total;
-                                }
-                            }
+        // Add metadata.json (and errors.txt when something failed) and download the archive, named after the open chat
+        saveImageArchive: function(archive, rows, errors, callback) {
+            var chatData = window.hollyImageChatData;
+            archive.addFile('metadata.json', JSON.stringify({
+                source: location.hostname,
+                chat_uuid: chatData ? chatData.uuid : null,
+                exported_at: new Date().toISOString(),
+                image_count: rows.length,
+                images: rows
+            }, null, 2));
+            if (errors.length > 0) {
+                archive.addFile('errors.txt', 'Images that could not be fetched (file, url, error):\n\n' + errors.join('\n') + '\n');
+            }
+            archive.generate(function(blob) {
+                var baseName = chatData && chatData.uuid
+                    ? ExportManager.bulkFileName(chatData) + ' images'
+                    : Utils.sanitizeFileName(location.hostname + ' images ' + new Date().toISOString().slice(0, 10));
+                Utils.download(URL.createObjectURL(blob), baseName + '.zip');
+                callback();
+            });
+        },
 
-                            // Helper to download single image
-                            function downloadSingle(img, index, cb) {
-                                var url = img.url;
-                                var filename = img.message.replace(/[^a-zA-Z0-9]/g, '_').substring(0, 30) + '_' + (new Date(img.timestamp)).toISOString().split('T')[0] + '.jpg';
+        // Filter panel state for a freshly opened image popup: selected facet values, parameter ranges and the prompt query
+        newImageFilterState: function() {
+            return {
+                values: {}, // facet key -> { value: true }
+                ranges: { steps: { min: null, max: null }, cfg: { min: null, max: null } },
+                query: '',
+                terms: { include: [], exclude: [] },
+                scope: 'prompt'
+            };
+        },
 
-                                // Check if cancelled before starting download
-                                if (cancelStateRef && cancelStateRef.cancelled) {
-                                    console.log('Download cancelled before starting: ' + filename);
-                                    return; // Don't call callback, just return
-                                }
-                                var globalIndex = index + 1;
+        // Facets are only shown when at least one collected image has a value for them
+        imageFacets: [
+            { key: 'chat', label: 'Chat' },
+            { key: 'character', label: 'Character' },
+            { key: 'date', label: 'Month' },
+            { key: 'model', label: 'Model' },
+            { key: 'sampler', label: 'Sampler' },
+            { key: 'size', label: 'Size' },
+            { key: 'seed', label: 'Seed' }
+        ],
+
+        imageRanges: [
+            { key: 'steps', label: 'Steps', field: 'sampling_steps' },
+            { key: 'cfg', label: 'CFG', field: 'cfg_scale' }
+        ],
+
+        // Values an image has for a facet (empty when it doesn't carry that parameter, e.g. character photos)
+        imageFacetValues: function(img, key) {
+            var t2i = img.text_to_image || {};
+            switch (key) {
+                case 'chat': return img.chat_uuid ? [img.chat_uuid] : [];
+                case 'character': return img.characters || [];
+                case 'date': return img.timestamp ? [this.imageMonth(img)] : [];
+                case 'model': return img.model ? [img.model] : [];
+                case 'sampler': return t2i.sampling_method ? [String(t2i.sampling_method)] : [];
+                case 'size': return t2i.width && t2i.height ? [t2i.width + '×' + t2i.height] : [];
+                case 'seed': return t2i.seed !== undefined && t2i.seed !== null && t2i.seed !== '' ? [String(t2i.seed)] : [];
+            }
+            return [];
+        },
 
-                                console.log('Starting download ' + globalIndex + '/' + imagesToDownload.length + ': ' + filename);
+        imageFacetLabel: function(key, value) {
+            if (key === 'chat' && galleryState && galleryState.chatLabels[value]) return galleryState.chatLabels[value];
+            return value;
+        },
 
-                                // Check if this is a CORS-protected URL (character photos)
-                                var isCorsProtected = url.indexOf('characterphotos.yodayo.com') !== -1;
+        // Split a prompt query into required and excluded terms: words and "quoted phrases" must all be present,
+        // terms after NOT or prefixed with - must be absent. A bare AND is just a separator.
+        parsePromptQuery: function(text) {
+            var terms = { include: [], exclude: [] };
+            var pattern = /(NOT\s+|-)?(?:"([^"]*)"|(\S+))/g;
+            var match;
+            while ((match = pattern.exec(text || '')) !== null) {
+                var term = (match[2] !== undefined ? match[2] : match[3]).toLowerCase().trim();
+                if (!term || term === '-') continue;
+                if (!match[1] && match[3] && (match[3] === 'AND' || match[3] === 'NOT')) continue;
+                (match[1] ? terms.exclude : terms.include).push(term);
+            }
+            return terms;
+        },
 
-                                if (isCorsProtected) {
-                                    // For CORS-protected images, open in new tab for manual download
-                                    console.log('Opening CORS-protected image in new tab: ' + filename);
+        // Which filters an image fails: facet keys, range keys and 'query'. Empty means it is shown.
+        imageFilterFailures: function(img) {
+            var failures = [];
+            var state = imageFilterState;
+            if (!state) return failures;
+            var t2i = img.text_to_image || {};
+
+            if (state.terms.include.length > 0 || state.terms.exclude.length > 0) {
+                var text = '';
+                if (state.scope !== 'negative') text += (t2i.prompt || '') + '\n';
+                if (state.scope !== 'prompt') text += (t2i.negative_prompt || '');
+                text = text.toLowerCase();
+                var queryOk = state.terms.include.every(function(term) { return text.indexOf(term) !== -1; }) &&
+                    !state.terms.exclude.some(function(term) { return text.indexOf(term) !== -1; });
+                if (!queryOk) failures.push('query');
+            }
+
+            for (var r = 0; r < this.imageRanges.length; r++) {
+                var range = this.imageRanges[r];
+                var bounds = state.ranges[range.key];
+                if (bounds.min === null && bounds.max === null) continue;
+                var value = parseFloat(t2i[range.field]);
+                if (isNaN(value) || (bounds.min !== null && value < bounds.min) || (bounds.max !== null && value > bounds.max)) {
+                    failures.push(range.key);
+                }
+            }
+
+            for (var f = 0; f < this.imageFacets.length; f++) {
+                var key = this.imageFacets[f].key;
+                var selected = state.values[key];
+                if (!selected) continue;
+                var values = this.imageFacetValues(img, key);
+                var hit = false;
+                for (var v = 0; v < values.length; v++) {
+                    if (selected[values[v]]) { hit = true; break; }
+                }
+                if (!hit) failures.push(key);
+            }
+            return failures;
+        },
 
-                                    setTimeout(function() {
-                                        // Check if cancelled before opening tab
-                                        if (cancelStateRef && cancelStateRef.cancelled) {
-                                            console.log('Download cancelled before opening tab: ' + filename);
-                                            return;
-                                        }
+        imageMatchesFilters: function(img) {
+            return this.imageFilterFailures(img).length === 0;
+        },
 
-                                        var newTab = window.open(url, '_blank');
-                                        if (newTab) {
-                                            console.log('Opened ' + filename + ' in new tab for manual download');
-                                            cb({ success: true, filename: filename, method: 'new_tab', note: 'Please right-click and save the image' });
-                                        } else {
-                                            console.log('Failed to open new tab for ' + filename);
-                                            cb({ success: false, filename: filename, error: 'Popup blocked' });
-                                        }
-                                    }, index * 200);
-                                } else {
-                                    // For regular images, use fetch method
-                                    console.log('Attempting fetch for: ' + filename);
-
-                                    fetch(url)
-                                        .then(function(response) {
-                                            // Check if cancelled before processing response
-                                            if (cancelStateRef && cancelStateRef.cancelled) {
-                                                console.log('Download cancelled during fetch: ' + filename);
-                                                return null; // Return null to indicate cancellation
-                                            }
+        activeImageFilterCount: function() {
+            var state = imageFilterState;
+            if (!state) return 0;
+            var count = Object.keys(state.values).length;
+            for (var key in state.ranges) {
+                if (state.ranges[key].min !== null || state.ranges[key].max !== null) count++;
+            }
+            if (state.terms.include.length > 0 || state.terms.exclude.length > 0) count++;
+            return count;
+        },
 
-                                            if (!response.ok) throw new Error('HTTP error! status: ' + response.status);
-                                            return response.blob();
-                                        })
-                                        .then(function(blob) {
-                                            // Check if cancelled before creating download link
-                                            if (cancelStateRef && cancelStateRef.cancelled) {
-                                                console.log('Download cancelled before creating link: ' + filename);
-                                                return;
-                                            }
+        // Toolbar controls of the image popup: filter panel toggle, prompt search and its scope
+        imageFilterControlsHtml: function() {
+            var fieldStyle = 'background: ' + colorScheme.cardBackground + '; color: ' + colorScheme.textPrimary + '; border: 1px solid ' + colorScheme.border + '; border-radius: 6px; padding: clamp(6px, 1.5vw, 8px) clamp(10px, 2.5vw, 14px); font-size: clamp(12px, 3vw, 14px);';
+            return '<button id="image-filter-toggle" title="Filter by model, sampler, steps, CFG, size and seed" style="' + fieldStyle + ' cursor: pointer; white-space: nowrap; transition: background-color 0.2s;">Filters</button>' +
+                '<input id="image-prompt-search" type="text" placeholder="Prompt: castle NOT night" title="All words must appear; words after NOT (or starting with -) must not. Use &quot;quotes&quot; for phrases." style="' + fieldStyle + ' flex: 1; min-width: 120px; outline: none;">' +
+                '<select id="image-prompt-scope" title="Which prompt to search" style="' + fieldStyle + ' cursor: pointer;">' +
+                    '<option value="prompt">Prompt</option>' +
+                    '<option value="negative">Negative</option>' +
+                    '<option value="both">Both</option>' +
+                '</select>';
+        },
 
-                                            if (!blob) return; // Cancelled during fetch
-
-                                            var blobUrl = URL.createObjectURL(blob);
-                                            var link = document.createElement('a');
-                                            link.href = blobUrl;
-                                            link.download = filename;
-                                            link.style.display = 'none';
-                                            document.body.appendChild(link);
-                                            link.click();
-                                            document.body.removeChild(link);
-                                            setTimeout(function(){ URL.revokeObjectURL(blobUrl); }, 2000);
-                                            console.log('Successfully downloaded: ' + filename);
-                                            cb({ success: true, filename: filename, method: 'fetch_download' });
-                                        })
-                                        .catch(function(error) {
-                                            // Don't log error if cancelled
-                                            if (cancelStateRef && cancelStateRef.cancelled) {
-                                                console.log('Download cancelled (error ignored): ' + filename);
-                                                return;
-                                            }
-                                            console.error('Failed to download ' + filename + ':', error);
-                                            cb({ success: false, filename: filename, error: error });
-                                        });
-                                }
-                            }
+        // Wire the toolbar controls and add the (initially hidden) facet panel below the toolbar
+        attachImageFilters: function() {
+            var toggle = imagePopup && imagePopup.querySelector('#image-filter-toggle');
+            if (!toggle || imagePopup.querySelector('#image-filter-panel')) return;
+
+            var panel = document.createElement('div');
+            panel.id = 'image-filter-panel';
+            panel.style.cssText = 'display: none; flex-direction: column; gap: 10px; max-height: 35vh; overflow-y: auto; padding: 12px; background: ' + colorScheme.cardBackground + '; border: 1px solid ' + colorScheme.border + '; border-radius: 8px;';
+
+            var numberStyle = 'width: 70px; background: ' + colorScheme.background + '; color: ' + colorScheme.textPrimary + '; border: 1px solid ' + colorScheme.border + '; border-radius: 4px; padding: 4px 6px; font-size: 12px;';
+            var rangesHtml = '';
+            for (var r = 0; r < this.imageRanges.length; r++) {
+                var range = this.imageRanges[r];
+                rangesHtml += '<label style="display: flex; align-items: center; gap: 6px; color: ' + colorScheme.textSecondary + '; font-size: 12px;">' + range.label +
+                    '<input type="number" step="any" data-range="' + range.key + '" data-bound="min" placeholder="min" style="' + numberStyle + '">' +
+                    '–<input type="number" step="any" data-range="' + range.key + '" data-bound="max" placeholder="max" style="' + numberStyle + '">' +
+                    '</label>';
+            }
+            panel.innerHTML =
+                '<div style="display: flex; align-items: center; gap: 16px; flex-wrap: wrap;">' + rangesHtml +
+                    '<button id="image-filter-clear" style="margin-left: auto; background: transparent; color: ' + colorScheme.textSecondary + '; border: 1px solid ' + colorScheme.border + '; border-radius: 4px; padding: 4px 10px; font-size: 12px; cursor: pointer;">Clear filters</button>' +
+                '</div>' +
+                '<div id="image-facet-lists" style="display: grid; grid-template-columns: repeat(auto-fill, minmax(180px, 1fr)); gap: 12px;"></div>';
+            toggle.parentNode.insertAdjacentElement('afterend', panel);
 
-                            // Batch/sequential download
-                            var batchStart = 0;
-                            function doBatch() {
-                                // Check if cancelled
-                                if (cancelStateRef && cancelStateRef.cancelled) {
-                                    console.log('Download cancelled - stopping batch processing');
-                                    return;
-                                }
+            var refilter = function() {
+                ImageManager.filterImages(allImagesForFiltering);
+            };
 
-                                if (batchStart >= imagesToDownload.length) {
-                                    console.log('Download complete: ' + successful + ' successful, ' + failed + ' failed');
+            toggle.addEventListener('click', function() {
+                panel.style.display = panel.style.display === 'none' ? 'flex' : 'none';
+            });
+            toggle.addEventListener('mouseenter', function() {
+                this.style.backgroundColor = colorScheme.hoverBackground;
+            });
+            toggle.addEventListener('mouseleave', function() {
+                this.style.backgroundColor = colorScheme.cardBackground;
+            });
 
-                                    // Complete progress bar
-                                    updateProgress(successful, totalImages);
-                                    progressBarRef.style.width = '100%';
-                                    if (minimizedProgressBarRef) {
-                                        minimizedProgressBarRef.style.width = '100%';
-                                    }
-                                    progressTextRef.textContent = 'Download complete! ' + successful + ' successful, ' + failed + ' failed';
+            var searchInput = imagePopup.querySelector('#image-prompt-search');
+            var scopeSelect = imagePopup.querySelector('#image-prompt-scope');
+            var searchTimer = null;
+            searchInput.addEventListener('input', function() {
+                var text = this.value;
+                clearTimeout(searchTimer);
+                searchTimer = setTimeout(function() {
+                    imageFilterState.query = text;
+                    imageFilterState.terms = ImageManager.parsePromptQuery(text);
+                    refilter();
+                }, 250);
+            });
+            scopeSelect.addEventListener('change', function() {
+                imageFilterState.scope = this.value;
+                if (imageFilterState.query) refilter();
+            });
 
-                                    // Change cancel button to "Close"
-                                    if (cancelBtnRef) {
-                                        cancelBtnRef.textContent = 'Close';
-                                        console.log('Changed cancel button to Close');
-                                    } else {
-                                        // Fallback: try to find cancel button in DOM (inside fullContent)
-                                        var fullContent = progressContainerRef.querySelector('.holly-progress-full-content');
-                                        if (fullContent) {
-                                            var buttons = fullContent.querySelectorAll('button');
-                                            for (var b = 0; b < buttons.length; b++) {
-                                                if (buttons[b].textContent.trim() === 'Cancel') {
-                                                    buttons[b].textContent = 'Close';
-                                                    console.log('Found and updated cancel button via DOM query');
-                                                    break;
-                                                }
-                                            }
-                                        }
-                                    }
+            panel.addEventListener('change', function(e) {
+                var target = e.target;
+                var facet = target.getAttribute('data-facet');
+                if (!facet) return;
+                var value = target.getAttribute('data-value');
+                var selected = imageFilterState.values[facet] || {};
+                if (target.checked) {
+                    selected[value] = true;
+                } else {
+                    delete selected[value];
+                }
+                if (Object.keys(selected).length > 0) {
+                    imageFilterState.values[facet] = selected;
+                } else {
+                    delete imageFilterState.values[facet];
+                }
+                refilter();
+            });
 
-                                    // Auto-close if enabled (defaults to true if preference not set)
-                                    if (localStorage.getItem('hollyAutoCloseProgress') !== 'false') {
-                                        setTimeout(function() {
-                                            if (progressContainerRef && progressContainerRef.parentNode) {
-                                                progressContainerRef.style.opacity = '0';
-                                                progressContainerRef.style.transform = 'translate(-50%, -50%) scale(0.95)';
-                                                setTimeout(function() {
-                                                    if (progressContainerRef && progressContainerRef.parentNode) {
-                                                        progressContainerRef.parentNode.removeChild(progressContainerRef);
-                                                    }
-                                                }, 300);
-                                            }
-                                            // Reset button state
-                                            btnRef.title = originalTitleRef;
-                                            btnRef.disabled = false;
-                                            if (svgRef) svgRef.style.opacity = '1';
-                                        }, 2000);
-                                    } else {
-                                        // Reset button state (if not auto-closing)
-                                        btnRef.title = originalTitleRef;
-                                        btnRef.disabled = false;
-                                        if (svgRef) svgRef.style.opacity = '1';
-                                    }
-                                    return;
-                                }
+            var rangeTimer = null;
+            panel.addEventListener('input', function(e) {
+                var target = e.target;
+                var key = target.getAttribute('data-range');
+                if (!key) return;
+                var value = target.value === '' ? null : parseFloat(target.value);
+                imageFilterState.ranges[key][target.getAttribute('data-bound')] = isNaN(value) ? null : value;
+                clearTimeout(rangeTimer);
+                rangeTimer = setTimeout(refilter, 300);
+            });
 
-                                var batch = imagesToDownload.slice(batchStart, batchStart + batchSize);
-                                var batchNumber = Math.floor(batchStart / batchSize) + 1;
+            panel.querySelector('#image-filter-clear').addEventListener('click', function() {
+                imageFilterState = ImageManager.newImageFilterState();
+                imageFilterState.scope = scopeSelect.value;
+                searchInput.value = '';
+                var numbers = panel.querySelectorAll('input[data-range]');
+                for (var i = 0; i < numbers.length; i++) numbers[i].value = '';
+                refilter();
+            });
 
-                                console.log('Processing batch ' + batchNumber + '/' + totalBatches + ' (' + batch.length + ' images)');
+            this.updateImageFacets();
+        },
 
-                                // Update progress indicator at start of batch
-                                updateProgress(successful, totalImages);
-                                progressTextRef.textContent = 'Downloading batch ' + batchNumber + '/' + totalBatches + '... (' + successful + ' downloaded)';
+        // Facet counts behind the drawn lists: { lists, imageCount, counts: facet -> value -> count,
+        // observed: range -> { min, max }, countEls: facet -> value -> count span, shown/moreEls: facet -> ... }
+        imageFacetTally: null,
+
+        // Add images to a tally. A value's count is the number of images it would show with the other
+        // filters left as they are. Returns the values that were touched, as facet -> value -> true.
+        countImageFacets: function(images, tally) {
+            var facets = this.imageFacets;
+            var touched = {};
+            for (var i = 0; i < images.length; i++) {
+                var img = images[i];
+                var t2i = img.text_to_image || {};
+                for (var r = 0; r < this.imageRanges.length; r++) {
+                    var range = this.imageRanges[r];
+                    var number = parseFloat(t2i[range.field]);
+                    if (!isNaN(number)) {
+                        tally.observed[range.key].min = Math.min(tally.observed[range.key].min, number);
+                        tally.observed[range.key].max = Math.max(tally.observed[range.key].max, number);
+                    }
+                }
 
-                                btnRef.title = 'Downloading batch ' + batchNumber + '/' + totalBatches + '...';
+                var failures = this.imageFilterFailures(img);
+                if (failures.length > 1) continue;
+                for (var f = 0; f < facets.length; f++) {
+                    var key = facets[f].key;
+                    if (failures.length === 1 && failures[0] !== key) continue;
+                    var values = this.imageFacetValues(img, key);
+                    for (var v = 0; v < values.length; v++) {
+                        tally.counts[key][values[v]] = (tally.counts[key][values[v]] || 0) + 1;
+                        touched[key] = touched[key] || {};
+                        touched[key][values[v]] = true;
+                    }
+                }
+            }
+            tally.imageCount += images.length;
+            return touched;
+        },
 
-                                // Download all in batch, callback after all finish
-                                var finished = 0;
-                                var batchResults = [];
-                                function finishOne(result) {
-                                    // Check if cancelled before processing result
-                                    if (cancelStateRef && cancelStateRef.cancelled) {
-                                        console.log('Download cancelled - ignoring batch result');
-                                        return;
-                                    }
+        MAX_FACET_VALUES: 100,
 
-                                    batchResults.push(result);
-                                    if (result.success) successful++;
-                                    else failed++;
-                                    finished++;
-                                    if (finished === batch.length) {
-                                        // Check if cancelled after batch completes
-                                        if (cancelStateRef && cancelStateRef.cancelled) {
-                                            console.log('Download cancelled after batch complete');
-                                            return;
-                                        }
+        facetValueHtml: function(key, value, count, selected) {
+            var attrValue = Utils.escapeHtml(value).replace(/"/g, '&quot;');
+            return '<label style="display: flex; align-items: center; gap: 6px; cursor: pointer; font-size: 12px; color: ' + colorScheme.textPrimary + ';">' +
+                '<input type="checkbox" data-facet="' + key + '" data-value="' + attrValue + '"' + (selected ? ' checked' : '') + '>' +
+                '<span style="flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">' + Utils.escapeHtml(this.imageFacetLabel(key, value)) + '</span>' +
+                '<span data-facet-count style="color: ' + colorScheme.textSecondary + ';">' + count + '</span>' +
+                '</label>';
+        },
 
-                                        results = results.concat(batchResults);
-                                        console.log('Batch ' + batchNumber + ' complete: ' + successful + ' successful, ' + failed + ' failed so far');
+        // Bring the facet lists up to date. newImages: a batch just appended to allImagesForFiltering, added to
+        // the drawn counts in place; without it (or when the lists were redrawn since) everything is recounted.
+        updateImageFacets: function(newImages) {
+            var lists = imagePopup && imagePopup.querySelector('#image-facet-lists');
+            if (!lists || !imageFilterState) return;
 
-                                        // Update progress after batch completes
-                                        updateProgress(successful, totalImages);
-                                        progressTextRef.textContent = 'Completed batch ' + batchNumber + '/' + totalBatches + ' (' + successful + ' downloaded)';
+            var tally = this.imageFacetTally;
+            var incremental = newImages && tally && tally.lists === lists && tally.imageCount + newImages.length === allImagesForFiltering.length;
+            if (!incremental || !this.patchImageFacets(tally, this.countImageFacets(newImages, tally))) {
+                this.redrawImageFacets(lists);
+                tally = this.imageFacetTally;
+            }
 
-                                        batchStart += batchSize;
-                                        if (batchStart < imagesToDownload.length) {
-                                            // Check if cancelled before scheduling next batch
-                                            if (cancelStateRef && cancelStateRef.cancelled) {
-                                                console.log('Download cancelled before next batch');
-                                                return;
-                                            }
-                                            console.log('Waiting ' + batchDelay + 'ms before next batch...');
-                                            setTimeout(function() {
-                                                if (!cancelStateRef || !cancelStateRef.cancelled) {
-                                                    doBatch();
-                                                } else {
-                                                    console.log('Download cancelled during batch delay');
-                                                }
-                                            }, batchDelay);
-                                        } else {
-                                            // This case is handled at the start of doBatch, but keeping for safety
-                                            console.log('Download complete: ' + successful + ' successful, ' + failed + ' failed');
-                                            // Change cancel button to "Close"
-                                            if (cancelBtnRef) {
-                                                cancelBtnRef.textContent = 'Close';
-                                            } else {
-                                                // Fallback: try to find cancel button in DOM (inside fullContent)
-                                                var fullContent = progressContainerRef.querySelector('.holly-progress-full-content');
-                                                if (fullContent) {
-                                                    var buttons = fullContent.querySelectorAll('button');
-                                                    for (var b = 0; b < buttons.length; b++) {
-                                                        if (buttons[b].textContent.trim() === 'Cancel') {
-                                                            buttons[b].textContent = 'Close';
-                                                            break;
-                                                        }
-                                                    }
-                                                }
-                                            }
-                                            // Auto-close if enabled (defaults to true if preference not set)
-                                            if (localStorage.getItem('hollyAutoCloseProgress') !== 'false') {
-                                                setTimeout(function() {
-                                                    if (progressContainerRef && progressContainerRef.parentNode) {
-                                                        progressContainerRef.style.opacity = '0';
-                                                        progressContainerRef.style.transform = 'translate(-50%, -50%) scale(0.95)';
-                                                        setTimeout(function() {
-                                                            if (progressContainerRef && progressContainerRef.parentNode) {
-                                                                progressContainerRef.parentNode.removeChild(progressContainerRef);
-                                                            }
-                                                        }, 300);
-                                                    }
-                                                    // Reset button state
-                                                    btnRef.title = originalTitleRef;
-                                                    btnRef.disabled = false;
-                                                    if (svgRef) svgRef.style.opacity = '1';
-                                                }, 2000);
-                                            } else {
-                                                // Reset button state (if not auto-closing)
-                                                btnRef.title = originalTitleRef;
-                                                btnRef.disabled = false;
-                                                if (svgRef) svgRef.style.opacity = '1';
-                                            }
-                                        }
-                                    }
-                                }
+            // Observed parameter ranges as placeholders
+            for (var rangeKey in tally.observed) {
+                if (tally.observed[rangeKey].min === Infinity) continue;
+                var minInput = imagePopup.querySelector('input[data-range="' + rangeKey + '"][data-bound="min"]');
+                var maxInput = imagePopup.querySelector('input[data-range="' + rangeKey + '"][data-bound="max"]');
+                if (minInput) minInput.placeholder = String(tally.observed[rangeKey].min);
+                if (maxInput) maxInput.placeholder = String(tally.observed[rangeKey].max);
+            }
 
-                                for (var k = 0; k < batch.length; k++) {
-                                    // Check if cancelled before starting each download
-                                    if (cancelStateRef && cancelStateRef.cancelled) {
-                                        console.log('Download cancelled - stopping batch downloads');
-                                        return;
-                                    }
+            var toggle = imagePopup.querySelector('#image-filter-toggle');
+            if (toggle) {
+                var active = this.activeImageFilterCount();
+                toggle.textContent = active > 0 ? 'Filters (' + active + ')' : 'Filters';
+            }
+        },
 
-                                    (function(img, idx) {
-                                        downloadSingle(img, batchStart + idx, finishOne);
-                                    })(batch[k], k);
-                                }
-                            }
+        // Update the counts of touched values and add new values at the end of their list (sorted on the next redraw).
+        // False when a facet has no list yet, so the caller redraws.
+        patchImageFacets: function(tally, touched) {
+            for (var key in touched) {
+                if (!tally.countEls[key]) return false;
+            }
+            for (var facetKey in touched) {
+                var countEls = tally.countEls[facetKey];
+                var listEl = tally.lists.querySelector('[data-facet-list="' + facetKey + '"]');
+                var selected = imageFilterState.values[facetKey] || {};
+                for (var value in touched[facetKey]) {
+                    var count = tally.counts[facetKey][value];
+                    if (countEls[value]) {
+                        countEls[value].textContent = count;
+                    } else if (tally.shown[facetKey] < this.MAX_FACET_VALUES) {
+                        var moreEl = tally.moreEls[facetKey];
+                        if (moreEl) {
+                            moreEl.insertAdjacentHTML('beforebegin', this.facetValueHtml(facetKey, value, count, selected[value]));
+                            countEls[value] = moreEl.previousElementSibling.querySelector('[data-facet-count]');
+                        } else {
+                            listEl.insertAdjacentHTML('beforeend', this.facetValueHtml(facetKey, value, count, selected[value]));
+                            countEls[value] = listEl.lastElementChild.querySelector('[data-facet-count]');
+                        }
+                        tally.shown[facetKey]++;
+                    } else {
+                        tally.hidden[facetKey] = tally.hidden[facetKey] || {};
+                        tally.hidden[facetKey][value] = true;
+                        if (!tally.moreEls[facetKey]) {
+                            listEl.insertAdjacentHTML('beforeend', '<div data-facet-more style="color: ' + colorScheme.textSecondary + '; font-size: 11px;"></div>');
+                            tally.moreEls[facetKey] = listEl.lastElementChild;
+                        }
+                        tally.moreEls[facetKey].textContent = '+' + Object.keys(tally.hidden[facetKey]).length + ' more';
+                    }
+                }
+            }
+            return true;
+        },
 
-                            // Initialize progress display
-                            updateProgress(0, totalImages);
+        // Recount facet values over all collected images and redraw the facet lists
+        redrawImageFacets: function(lists) {
+            var facets = this.imageFacets;
+            var tally = { lists: lists, imageCount: 0, counts: {}, observed: {}, countEls: {}, shown: {}, hidden: {}, moreEls: {} };
+            for (var f = 0; f < facets.length; f++) tally.counts[facets[f].key] = {};
+            for (var r = 0; r < this.imageRanges.length; r++) tally.observed[this.imageRanges[r].key] = { min: Infinity, max: -Infinity };
+            this.countImageFacets(allImagesForFiltering, tally);
+            this.imageFacetTally = tally;
+
+            // Keep each list's scroll position across redraws
+            var scrollTops = {};
+            var oldLists = lists.querySelectorAll('[data-facet-list]');
+            for (var s = 0; s < oldLists.length; s++) scrollTops[oldLists[s].getAttribute('data-facet-list')] = oldLists[s].scrollTop;
+
+            var html = '';
+            for (var f2 = 0; f2 < facets.length; f2++) {
+                var facet = facets[f2];
+                var facetCounts = tally.counts[facet.key];
+                var selected = imageFilterState.values[facet.key] || {};
+                var valueKeys = Object.keys(facetCounts);
+                for (var sel in selected) {
+                    if (!(sel in facetCounts)) valueKeys.push(sel);
+                }
+                if (valueKeys.length === 0) continue;
+
+                valueKeys.sort(function(a, b) {
+                    if (facet.key === 'date') return a < b ? 1 : (a > b ? -1 : 0);
+                    return (facetCounts[b] || 0) - (facetCounts[a] || 0) || String(a).localeCompare(String(b));
+                });
+                var max = this.MAX_FACET_VALUES;
+                var shown = valueKeys.filter(function(value, index) { return index < max || selected[value]; });
+                tally.shown[facet.key] = shown.length;
+                tally.hidden[facet.key] = {};
+                valueKeys.forEach(function(value) {
+                    if (shown.indexOf(value) === -1) tally.hidden[facet.key][value] = true;
+                });
 
-                            doBatch();
-                        })(btn, svg, originalTitle, progressContainer, progressBar, progressText, cancelState, minimizedProgressBar, minimizedCountText, cancelBtn);
-                    });
+                html += '<div><div style="color: ' + colorScheme.textPrimary + '; font-weight: 600; font-size: 12px; margin-bottom: 6px;">' + facet.label + '</div>' +
+                    '<div data-facet-list="' + facet.key + '" style="max-height: 140px; overflow-y: auto; display: flex; flex-direction: column; gap: 2px;">';
+                for (var k = 0; k < shown.length; k++) {
+                    html += this.facetValueHtml(facet.key, shown[k], facetCounts[shown[k]] || 0, selected[shown[k]]);
                 }
-            }, 100);
-
-            // Append the popup to the body for proper centering
-            document.body.appendChild(imagePopup);
+                if (shown.length < valueKeys.length) {
+                    html += '<div data-facet-more style="color: ' + colorScheme.textSecondary + '; font-size: 11px;">+' + (valueKeys.length - shown.length) + ' more</div>';
+                }
+                html += '</div></div>';
+            }
+            lists.innerHTML = html || '<div style="color: ' + colorScheme.textSecondary + '; font-size: 12px;">No generation parameters found yet</div>';
 
-            // Trigger animation
-            requestAnimationFrame(function() {
-                requestAnimationFrame(function() {
-                    backdrop.style.backgroundColor = 'rgba(0, 0, 0, 0.5)';
-                    backdrop.style.backdropFilter = 'blur(4px)';
-                    backdrop.style.webkitBackdropFilter = 'blur(4px)';
-                    imagePopup.style.opacity = '1';
-                    imagePopup.style.transform = 'translate(-50%, -50%) scale(1)';
-                });
-            });
+            var listEls = lists.querySelectorAll('[data-facet-list]');
+            for (var l = 0; l < listEls.length; l++) {
+                var listKey = listEls[l].getAttribute('data-facet-list');
+                if (listKey in scrollTops) listEls[l].scrollTop = scrollTops[listKey];
+                tally.moreEls[listKey] = listEls[l].querySelector('[data-facet-more]');
+                tally.countEls[listKey] = {};
+                var inputs = listEls[l].querySelectorAll('input[data-facet]');
+                for (var n = 0; n < inputs.length; n++) {
+                    tally.countEls[listKey][inputs[n].getAttribute('data-value')] = inputs[n].parentNode.querySelector('[data-facet-count]');
+                }
+            }
         },
 
-        // Filter images in popup grid
-        filterImages: function(images, filterValue) {
+        // Apply the filter panel and prompt search to the popup grid
+        filterImages: function(images) {
             var grid = document.querySelector('#images-grid');
             var countSpan = document.querySelector('#image-count');
 
@@ -6126,11 +9332,11 @@
             }
 
             // Apply filter
-            filteredImages = images;
-            if (filterValue !== 'all') {
-                filteredImages = images.filter(function(img) {
-                    return img.message && img.message.indexOf(filterValue) !== -1;
-                });
+            filteredImages = images.filter(function(img) {
+                return ImageManager.imageMatchesFilters(img);
+            });
+            if (galleryState && galleryState.groupBy !== 'none') {
+                filteredImages = ImageManager.groupGalleryImages(filteredImages, galleryState.groupBy);
             }
 
             // Reset to first page when filtering
@@ -6142,6 +9348,7 @@
 
             // Update count
             countSpan.textContent = totalImages;
+            this.updateImageFacets();
 
             // Update pagination controls
             this.updatePaginationControls();
@@ -6207,9 +9414,10 @@
                 var timestampDiv = '<div style="color: ' + colorScheme.textSecondary + '; font-size: clamp(9px, 2vw, 11px); margin-bottom: clamp(3px, 0.75vw, 6px);">' + (new Date(img.timestamp)).toLocaleString() + '</div>';
                 var messageDiv = '<div style="color: ' + colorScheme.textPrimary + '; font-size: clamp(10px, 2.5vw, 12px); margin-bottom: clamp(3px, 0.75vw, 6px); line-height: 1.4; max-height: 40px; overflow: hidden; text-overflow: ellipsis;">' + (img.message || '') + '</div>';
                 var modelDiv = img.model ? '<div style="color: ' + colorScheme.accent + '; font-size: clamp(9px, 2vw, 11px); margin-bottom: clamp(2px, 0.5vw, 4px); font-weight: 500;">' + img.model + '</div>' : '';
+                var chatDiv = img.chat_name ? '<div style="color: ' + colorScheme.textSecondary + '; font-size: clamp(9px, 2vw, 11px); overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">' + Utils.escapeHtml(img.chat_name) + '</div>' : '';
 
                 gridContent += '<div style="background: ' + colorScheme.cardBackground + '; border-radius: 8px; padding: clamp(8px, 2vw, 12px); border: 1px solid ' + colorScheme.border + '; transition: transform 0.2s, box-shadow 0.2s; max-height: 300px; width: clamp(150px, calc(50% - 8px), 220px); flex-shrink: 0; position: relative;" onmouseover="this.style.transform=\'scale(1.02)\'; this.style.boxShadow=\'0 4px 12px ' + colorScheme.glowColor + '\'" onmouseout="this.style.transform=\'scale(1)\'; this.style.boxShadow=\'none\'">' +
-                    checkboxHtml + imgHtml + errorDiv + timestampDiv + messageDiv + modelDiv +
+                    checkboxHtml + imgHtml + errorDiv + timestampDiv + messageDiv + modelDiv + chatDiv +
                     '</div>';
             }
 
@@ -6572,9 +9780,10 @@
                     var timestampDiv = '<div style="color: ' + colorScheme.textSecondary + '; font-size: clamp(9px, 2vw, 11px); margin-bottom: clamp(3px, 0.75vw, 6px);">' + (new Date(img.timestamp)).toLocaleString() + '</div>';
                     var messageDiv = '<div style="color: ' + colorScheme.textPrimary + '; font-size: clamp(10px, 2.5vw, 12px); margin-bottom: clamp(3px, 0.75vw, 6px); line-height: 1.4; max-height: 40px; overflow: hidden; text-overflow: ellipsis;">' + (img.message || '') + '</div>';
                     var modelDiv = img.model ? '<div style="color: ' + colorScheme.accent + '; font-size: clamp(9px, 2vw, 11px); margin-bottom: clamp(2px, 0.5vw, 4px); font-weight: 500;">' + img.model + '</div>' : '';
+                    var chatDiv = img.chat_name ? '<div style="color: ' + colorScheme.textSecondary + '; font-size: clamp(9px, 2vw, 11px); overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">' + Utils.escapeHtml(img.chat_name) + '</div>' : '';
 
                     gridContent += '<div style="background: ' + colorScheme.cardBackground + '; border-radius: 8px; padding: clamp(8px, 2vw, 12px); border: 1px solid ' + colorScheme.border + '; transition: transform 0.2s, box-shadow 0.2s; max-height: 300px; width: clamp(150px, calc(50% - 8px), 220px); flex-shrink: 0; position: relative;" onmouseover="this.style.transform=\'scale(1.02)\'; this.style.boxShadow=\'0 4px 12px ' + colorScheme.glowColor + '\'" onmouseout="this.style.transform=\'scale(1)\'; this.style.boxShadow=\'none\'">' +
-                        checkboxHtml + imgHtml + errorDiv + timestampDiv + messageDiv + modelDiv +
+                        checkboxHtml + imgHtml + errorDiv + timestampDiv + messageDiv + modelDiv + chatDiv +
                         '</div>';
                 }
 
@@ -6717,613 +9926,947 @@
     function renderComparisonView(enabled, batchImages) { return ImageManager.renderComparisonView(enabled, batchImages) }
     function findBatchImages(currentIndex, images) { return ImageManager.findBatchImages(currentIndex, images) }
     function closeImageViewer() { return ImageManager.closeImageViewer() }
-    function filterImages(images, filterValue) { return ImageManager.filterImages(images, filterValue) }
+    function filterImages(images) { return ImageManager.filterImages(images) }
     function displayCurrentPage() { return ImageManager.displayCurrentPage() }
     function updatePaginationControls() { return ImageManager.updatePaginationControls() }
     function showChatImages(messages, chatIndex, chatData) { return ImageManager.showChatImages(messages, chatIndex, chatData) }
 
     // ============================================================================
-    // CONVERSATION RETRIEVAL
+    // DOWNLOAD QUEUE MODULE
     // ============================================================================
-    function retrieveConversationChunk(uuid, offset, collected, btn, chatIndex = null)
-        {
-        // For image viewing: open popup immediately on first chunk (progressive mode)
-        if (offset === 0 && chatIndex !== null) {
-            const cachedMessages = chatCache.getChatMessages(uuid)
-            if (cachedMessages && cachedMessages.length > 0) {
-                // Use cached messages - all images are already available, no loading needed
-                const chatData = window.currentChats ? window.currentChats[chatIndex] : null
-                // Pass cached messages directly (not progressive, so no loading card)
-                showChatImages(cachedMessages, chatIndex, chatData, false) // false = not progressive, skip loading card
-                btn.busy = false;
-                btn.innerText = 'Images';
-                return;
-            } else {
-                // No cache - open popup immediately for progressive loading
-                const chatData = window.currentChats ? window.currentChats[chatIndex] : null
-                showChatImages([], chatIndex, chatData, true) // Open popup immediately
-            }
-        }
-        
-        // Check cache on first chunk (offset 0) for exports
-        if (offset === 0 && chatIndex === null) {
-            const cachedMessages = chatCache.getChatMessages(uuid)
-            if (cachedMessages && cachedMessages.length > 0) {
-                // Use cached messages
-                exportConversation(cachedMessages)
-                btn.busy = false
-                btn.innerText = 'Download'
-                return // Don't make API call
-            }
-        }
+    // One draggable panel listing every download and export job. Two kinds of jobs share the slots set by
+    // "Concurrent downloads":
+    //   task jobs drive themselves (chat and bulk exports) and hold one slot while running; they call
+    //     whenRunnable between steps so pausing takes effect at the next chunk or chat. A paused task gives
+    //     its slot back and gets back in line when resumed.
+    //   item jobs hand the queue a list of items (images) and a run function; every item in flight takes a slot
+    // The panel lives on document.body, so jobs keep running and stay listed while the SPA navigates.
+    var DownloadQueue = {
+        STORAGE_KEY: 'hollyMaxConcurrentDownloads',
+        DEFAULT_CONCURRENCY: 3,
+        jobs: [],
+        nextId: 1,
+        active: 0, // slots in use
+        panel: null,
+        minimized: false,
+
+        getConcurrency: function() {
+            var saved = parseInt(localStorage.getItem(DownloadQueue.STORAGE_KEY), 10);
+            return saved >= 1 && saved <= 10 ? saved : DownloadQueue.DEFAULT_CONCURRENCY;
+        },
 
-        // Update progress if this is an export (not image viewing)
-        // Check if we need to create a new progress indicator (none exists, or container was removed)
-        var needsNewProgressIndicator = chatIndex === null && btn && (!btn.progressIndicator || !btn.progressIndicator.container || !btn.progressIndicator.container.parentNode);
-        if (needsNewProgressIndicator) {
-            // Clear any stale reference
-            if (btn.progressIndicator && !btn.progressIndicator.container.parentNode) {
-                btn.progressIndicator = null;
+        setConcurrency: function(count) {
+            try {
+                localStorage.setItem(DownloadQueue.STORAGE_KEY, String(count));
+            } catch (e) {
+                console.error('Error saving download concurrency:', e);
             }
-            // Create a progress indicator element
-            const progressContainer = document.createElement('div')
-            progressContainer.className = 'holly-export-progress'
-            progressContainer.style.cssText = `position: fixed; top: 50%; left: 50%; transform: translate(-50%, -50%); z-index: 1000010; background: ${colorScheme.cardBackground}; border: 1px solid ${colorScheme.border}; border-radius: 12px; padding: 20px; min-width: 300px; max-width: 90vw; box-shadow: 0 8px 32px rgba(0,0,0,0.5); cursor: move; user-select: none;`
-
-            // Create header with title and minimize button
-            const headerRow = document.createElement('div')
-            headerRow.style.cssText = 'display: flex; justify-content: space-between; align-items: center; margin-bottom: 12px; cursor: move;'
-
-            const progressTitle = document.createElement('div')
-            progressTitle.textContent = 'Exporting Chat...'
-            progressTitle.style.cssText = `color: ${colorScheme.textPrimary}; font-weight: 600; font-size: 16px; flex: 1;`
-
-            // Create minimize button
-            const minimizeBtn = document.createElement('button')
-            minimizeBtn.innerHTML = '−'
-            minimizeBtn.style.cssText = `background: transparent; color: ${colorScheme.textPrimary}; border: none; border-radius: 4px; padding: 4px 8px; font-size: 18px; cursor: pointer; transition: all 0.2s; width: 28px; height: 28px; display: flex; align-items: center; justify-content: center; line-height: 1;`
-            minimizeBtn.title = 'Minimize'
-            minimizeBtn.addEventListener('mouseenter', function() {
-                this.style.backgroundColor = colorScheme.hoverBackground
-                this.style.color = colorScheme.hoverText
-            })
-            minimizeBtn.addEventListener('mouseleave', function() {
-                this.style.backgroundColor = 'transparent'
-                this.style.color = colorScheme.textPrimary
-            })
+            if (DownloadQueue.panel) DownloadQueue.panel.querySelector('[data-queue-concurrency]').value = String(DownloadQueue.getConcurrency());
+            DownloadQueue.pump();
+        },
 
-            headerRow.appendChild(progressTitle)
-            headerRow.appendChild(minimizeBtn)
+        createJob: function(kind, title, options) {
+            var abortController = new AbortController();
+            var job = {
+                id: DownloadQueue.nextId++,
+                kind: kind,
+                title: title,
+                status: 'queued', // queued | running | paused | done | failed | cancelled
+                paused: false,
+                cancelled: false,
+                holdsSlot: false,
+                started: false, // a task job has had a slot at least once
+                finishing: false,
+                items: [], // { key, label, status: queued | running | done | failed | cancelled, error, result, data }
+                text: kind === 'task' ? 'Waiting for a free slot...' : '',
+                waiters: [],
+                retryTask: null,
+                options: options || {},
+                abortController: abortController,
+                signal: abortController.signal
+            };
+            DownloadQueue.buildRow(job);
+            DownloadQueue.jobs.push(job);
+            DownloadQueue.showPanel();
+            DownloadQueue.listEl.appendChild(job.row);
+            return job;
+        },
 
-            const progressBarContainer = document.createElement('div')
-            progressBarContainer.style.cssText = `width: 100%; height: 8px; background: ${colorScheme.border}; border-radius: 4px; overflow: hidden; margin-bottom: 8px;`
+        // options: { onCancel(job), onSettled(job) }
+        addTask: function(title, options) {
+            var job = DownloadQueue.createJob('task', title, options);
+            DownloadQueue.pump();
+            DownloadQueue.render(job);
+            return job;
+        },
 
-            const progressBar = document.createElement('div')
-            progressBar.style.cssText = `height: 100%; background: ${colorScheme.gradient}; width: 0%; transition: width 0.3s ease; border-radius: 4px;`
+        // items: [{ label, data }]
+        // options: { run(item, done(error, result), job), cooldown (ms before the item's slot is reused),
+        //            onComplete(job, done(text)) once no item is left to run, onCancel(job), onSettled(job) }
+        addItems: function(title, items, options) {
+            var job = DownloadQueue.createJob('items', title, options);
+            job.items = items.map(function(item, index) {
+                return { key: index, label: item.label, data: item.data, status: 'queued', error: null, result: null };
+            });
+            DownloadQueue.pump();
+            DownloadQueue.render(job);
+            return job;
+        },
 
-            const progressText = document.createElement('div')
-            progressText.className = 'holly-progress-text'
-            progressText.style.cssText = `color: ${colorScheme.textSecondary}; font-size: 12px; text-align: center; margin-bottom: 12px;`
-            progressText.textContent = 'Fetching messages...'
+        // Call back once a task job holds a slot and isn't paused. Never calls back for a cancelled job.
+        whenRunnable: function(job, callback) {
+            if (job.cancelled) return;
+            if (job.status === 'running' && !job.paused) {
+                callback();
+                return;
+            }
+            job.waiters.push(callback);
+        },
 
-            // Create cancel button
-            const cancelBtn = document.createElement('button')
-            cancelBtn.textContent = 'Cancel'
-            cancelBtn.style.cssText = `background: ${colorScheme.border}; color: ${colorScheme.textPrimary}; border: 1px solid ${colorScheme.border}; border-radius: 6px; padding: 8px 16px; font-size: 14px; cursor: pointer; transition: all 0.2s; width: 100%; margin-top: 8px;`
-            cancelBtn.addEventListener('mouseenter', function() {
-                this.style.backgroundColor = colorScheme.hoverBackground
-                this.style.borderColor = colorScheme.hoverText
-            })
-            cancelBtn.addEventListener('mouseleave', function() {
-                this.style.backgroundColor = colorScheme.border
-                this.style.borderColor = colorScheme.border
-            })
+        setProgress: function(job, percent, text) {
+            if (job.kind === 'task' && !job.started) return;
+            job.bar.style.width = Math.max(0, Math.min(100, percent)) + '%';
+            if (text !== undefined) job.textEl.textContent = text;
+        },
 
-            // Create full content container (shown when not minimized)
-            const fullContent = document.createElement('div')
-            fullContent.className = 'holly-progress-full-content'
-            fullContent.style.cssText = 'display: block;'
-            fullContent.appendChild(progressBarContainer)
-            fullContent.appendChild(progressText)
-            fullContent.appendChild(cancelBtn)
-
-            // Create minimized content container (shown when minimized)
-            const minimizedContent = document.createElement('div')
-            minimizedContent.className = 'holly-progress-minimized-content'
-            minimizedContent.style.cssText = 'display: none; align-items: center; gap: 12px; cursor: move;'
-
-            // Minimized progress bar
-            const minimizedProgressBarContainer = document.createElement('div')
-            minimizedProgressBarContainer.style.cssText = `flex: 1; height: 6px; background: ${colorScheme.border}; border-radius: 3px; overflow: hidden;`
-            const minimizedProgressBar = document.createElement('div')
-            minimizedProgressBar.style.cssText = `height: 100%; background: ${colorScheme.gradient}; width: 0%; transition: width 0.3s ease; border-radius: 3px;`
-            minimizedProgressBarContainer.appendChild(minimizedProgressBar)
-
-            // Minimized status text (shows "Exporting..." or "Complete")
-            const minimizedStatusText = document.createElement('div')
-            minimizedStatusText.className = 'holly-progress-minimized-status'
-            minimizedStatusText.style.cssText = `color: ${colorScheme.textPrimary}; font-size: 12px; font-weight: 500; white-space: nowrap; min-width: 100px; text-align: center;`
-            minimizedStatusText.textContent = 'Exporting...'
-
-            // Minimized minimize button (to expand)
-            const minimizedMinimizeBtn = document.createElement('button')
-            minimizedMinimizeBtn.innerHTML = '+'
-            minimizedMinimizeBtn.style.cssText = `background: transparent; color: ${colorScheme.textPrimary}; border: none; border-radius: 4px; padding: 4px 8px; font-size: 16px; cursor: pointer; transition: all 0.2s; width: 24px; height: 24px; display: flex; align-items: center; justify-content: center; line-height: 1; flex-shrink: 0;`
-            minimizedMinimizeBtn.title = 'Restore'
-            minimizedMinimizeBtn.addEventListener('mouseenter', function() {
-                this.style.backgroundColor = colorScheme.hoverBackground
-                this.style.color = colorScheme.hoverText
-            })
-            minimizedMinimizeBtn.addEventListener('mouseleave', function() {
-                this.style.backgroundColor = 'transparent'
-                this.style.color = colorScheme.textPrimary
-            })
+        // Per-item status shown under a task job (e.g. the chats of a bulk export); note is shown after the label
+        itemStatus: function(job, key, label, status, note) {
+            var item = null;
+            for (var i = 0; i < job.items.length; i++) {
+                if (job.items[i].key === key) item = job.items[i];
+            }
+            if (!item) {
+                item = { key: key, label: label, status: status, error: null };
+                job.items.push(item);
+            }
+            item.status = status;
+            item.error = note || null;
+            DownloadQueue.render(job);
+        },
 
-            // Minimized close button (✕)
-            var minimizedCloseBtn = document.createElement('button')
-            minimizedCloseBtn.innerHTML = '✕'
-            minimizedCloseBtn.style.cssText = 'background: transparent; color: ' + colorScheme.textPrimary + '; border: none; border-radius: 4px; padding: 4px 8px; font-size: 16px; cursor: pointer; transition: all 0.2s; width: 24px; height: 24px; display: flex; align-items: center; justify-content: center; line-height: 1; flex-shrink: 0;'
-            minimizedCloseBtn.title = 'Close'
-            minimizedCloseBtn.addEventListener('mouseenter', function() {
-                this.style.backgroundColor = colorScheme.hoverBackground
-                this.style.color = colorScheme.hoverText
-            })
-            minimizedCloseBtn.addEventListener('mouseleave', function() {
-                this.style.backgroundColor = 'transparent'
-                this.style.color = colorScheme.textPrimary
-            })
-            minimizedCloseBtn.addEventListener('click', function(e) {
-                e.stopPropagation()
-                // Use same logic as cancelBtn - check if it says "Close" or "Cancel"
-                if (cancelBtn.textContent === 'Close') {
-                    // Just close the modal
-                    // Use current position if modal was dragged, otherwise center
-                    var computedStyle = window.getComputedStyle(progressContainer)
-                    var currentTransform = computedStyle.transform
-                    var hasTransform = currentTransform && currentTransform !== 'none' && currentTransform !== 'matrix(1, 0, 0, 1, 0, 0)'
-                    
-                    progressContainer.style.opacity = '0'
-                    if (hasTransform) {
-                        progressContainer.style.transform = 'translate(-50%, -50%) scale(0.95)'
-                    } else {
-                        // Modal was dragged, use scale on current position
-                        progressContainer.style.transform = 'scale(0.95)'
-                    }
-                    setTimeout(function() {
-                        if (progressContainer && progressContainer.parentNode) {
-                            progressContainer.parentNode.removeChild(progressContainer)
-                        }
-                        btn.progressIndicator = null
-                    }, 300)
-                    btn.busy = false
-                    btn.innerText = 'Download'
-                } else {
-                    // Cancel export in progress
-                    if (btn && btn.progressIndicator) {
-                        btn.progressIndicator.cancelled = true
-                        // Use current position if modal was dragged, otherwise center
-                        var computedStyle = window.getComputedStyle(progressContainer)
-                        var currentTransform = computedStyle.transform
-                        var hasTransform = currentTransform && currentTransform !== 'none' && currentTransform !== 'matrix(1, 0, 0, 1, 0, 0)'
-                        
-                        progressContainer.style.opacity = '0'
-                        if (hasTransform) {
-                            progressContainer.style.transform = 'translate(-50%, -50%) scale(0.95)'
-                        } else {
-                            // Modal was dragged, use scale on current position
-                            progressContainer.style.transform = 'scale(0.95)'
-                        }
-                        setTimeout(function() {
-                            if (btn.progressIndicator && btn.progressIndicator.container.parentNode) {
-                                btn.progressIndicator.container.parentNode.removeChild(btn.progressIndicator.container)
-                            }
-                            btn.progressIndicator = null
-                        }, 300)
-                        btn.busy = false
-                        btn.innerText = 'Download'
-                    }
-                }
-            })
+        finish: function(job, text) {
+            DownloadQueue.settle(job, 'done', text);
+        },
 
-            minimizedContent.appendChild(minimizedProgressBarContainer)
-            minimizedContent.appendChild(minimizedStatusText)
-            minimizedContent.appendChild(minimizedMinimizeBtn)
-            minimizedContent.appendChild(minimizedCloseBtn)
-
-            progressBarContainer.appendChild(progressBar)
-            progressContainer.appendChild(headerRow)
-            progressContainer.appendChild(fullContent)
-            progressContainer.appendChild(minimizedContent)
-            progressContainer.style.opacity = '0'
-            document.body.appendChild(progressContainer)
-
-            // Drag functionality
-            var isDragging = false
-            var dragOffsetX = 0
-            var dragOffsetY = 0
-            var currentX = 0
-            var currentY = 0
-
-            // Helper function to check if target is interactive
-            function isInteractiveElement(target) {
-                if (!target) return false
-                var tagName = target.tagName
-                // Check if it's a button or inside a button
-                if (tagName === 'BUTTON' || (target.closest && target.closest('button'))) {
-                    return true
-                }
-                // Check if it's an input or other interactive element
-                if (tagName === 'INPUT' || tagName === 'TEXTAREA' || tagName === 'SELECT') {
-                    return true
-                }
-                // Check if it's inside an input/textarea/select
-                if ((target.closest && (target.closest('input') || target.closest('textarea') || target.closest('select')))) {
-                    return true
-                }
-                return false
+        // retry: optional function, offered as "Retry" on the row
+        fail: function(job, text, retry) {
+            job.retryTask = retry || null;
+            DownloadQueue.settle(job, 'failed', text);
+        },
+
+        settle: function(job, status, text) {
+            if (job.cancelled) return;
+            job.status = status;
+            job.finishing = false;
+            job.waiters = [];
+            if (text !== undefined) job.textEl.textContent = text;
+            if (status === 'done') job.bar.style.width = '100%';
+            DownloadQueue.releaseSlot(job);
+            DownloadQueue.render(job);
+            if (job.options.onSettled) job.options.onSettled(job);
+
+            // Auto-close if enabled (defaults to true if preference not set); failures, including a finished
+            // task that skipped some of its items, stay until dismissed
+            var skipped = job.items.some(function(item) { return item.status === 'failed'; });
+            if (status === 'done' && !skipped && localStorage.getItem('hollyAutoCloseProgress') !== 'false') {
+                setTimeout(function() {
+                    if (job.status === 'done') DownloadQueue.remove(job);
+                }, 2000);
             }
+        },
 
-            function startDrag(e) {
-                // Don't start drag if clicking on interactive elements
-                if (isInteractiveElement(e.target)) {
-                    return
-                }
-                
-                // Get coordinates from touch or mouse event
-                var clientX = (e.touches && e.touches[0]) ? e.touches[0].clientX : e.clientX
-                var clientY = (e.touches && e.touches[0]) ? e.touches[0].clientY : e.clientY
-                
-                // Check if we need to convert from transform-based to left/top positioning
-                var computedStyle = window.getComputedStyle(progressContainer)
-                var currentTransform = computedStyle.transform
-                var hasTransform = currentTransform && currentTransform !== 'none' && currentTransform !== 'matrix(1, 0, 0, 1, 0, 0)'
-                
-                // Get current visual position first
-                var rect = progressContainer.getBoundingClientRect()
-                
-                if (hasTransform) {
-                    // Convert from transform-based positioning to left/top positioning
-                    currentX = rect.left
-                    currentY = rect.top
-                    progressContainer.style.top = currentY + 'px'
-                    progressContainer.style.left = currentX + 'px'
-                    progressContainer.style.transform = 'none'
-                    // Force a reflow to ensure the new position is applied
-                    progressContainer.offsetHeight
-                } else {
-                    // Already using left/top positioning, use current visual position
-                    currentX = rect.left
-                    currentY = rect.top
-                }
-                
-                // Calculate drag offset from where the touch/mouse started relative to the container's current position
-                dragOffsetX = clientX - currentX
-                dragOffsetY = clientY - currentY
-                
-                isDragging = true
-                progressContainer.style.cursor = 'grabbing'
-                e.preventDefault()
+        pause: function(job) {
+            if (!DownloadQueue.isActive(job)) return;
+            job.paused = true;
+            if (job.kind === 'task' && job.holdsSlot) {
+                // The step in flight finishes without the slot; whenRunnable holds the next one until pump hands a slot back
+                job.status = 'queued';
+                DownloadQueue.releaseSlot(job);
             }
+            DownloadQueue.render(job);
+        },
 
-            function drag(e) {
-                if (!isDragging) return
-                e.preventDefault()
-                
-                // Get coordinates from touch or mouse event
-                var clientX = (e.touches && e.touches[0]) ? e.touches[0].clientX : e.clientX
-                var clientY = (e.touches && e.touches[0]) ? e.touches[0].clientY : e.clientY
-                
-                currentX = clientX - dragOffsetX
-                currentY = clientY - dragOffsetY
+        resume: function(job) {
+            if (!job.paused) return;
+            job.paused = false;
+            DownloadQueue.pump();
+            DownloadQueue.render(job);
+        },
 
-                // Constrain to viewport
-                var maxX = window.innerWidth - progressContainer.offsetWidth
-                var maxY = window.innerHeight - progressContainer.offsetHeight
-                currentX = Math.max(0, Math.min(currentX, maxX))
-                currentY = Math.max(0, Math.min(currentY, maxY))
+        cancel: function(job) {
+            if (!DownloadQueue.isActive(job)) return;
+            job.cancelled = true;
+            job.status = 'cancelled';
+            job.waiters = [];
+            job.abortController.abort();
+            job.items.forEach(function(item) {
+                if (item.status === 'queued' || item.status === 'running') item.status = 'cancelled';
+            });
+            job.textEl.textContent = 'Cancelled';
+            DownloadQueue.releaseSlot(job);
+            if (job.options.onCancel) job.options.onCancel(job);
+            if (job.options.onSettled) job.options.onSettled(job);
+            DownloadQueue.render(job);
+        },
 
-                progressContainer.style.left = currentX + 'px'
-                progressContainer.style.top = currentY + 'px'
-                progressContainer.style.transform = 'none'
+        // Item jobs put their failed items back in line; task jobs hand over to the retry function they failed with
+        retry: function(job) {
+            if (job.kind === 'task') {
+                if (!job.retryTask) return;
+                var retryTask = job.retryTask;
+                DownloadQueue.remove(job);
+                retryTask();
+                return;
             }
+            var failed = job.items.filter(function(item) { return item.status === 'failed'; });
+            if (failed.length === 0 || DownloadQueue.isActive(job)) return;
+            failed.forEach(function(item) {
+                item.status = 'queued';
+                item.error = null;
+            });
+            job.status = 'queued';
+            DownloadQueue.pump();
+            DownloadQueue.render(job);
+        },
+
+        remove: function(job) {
+            if (DownloadQueue.isActive(job)) DownloadQueue.cancel(job);
+            var index = DownloadQueue.jobs.indexOf(job);
+            if (index !== -1) DownloadQueue.jobs.splice(index, 1);
+            if (job.row.parentNode) job.row.parentNode.removeChild(job.row);
+            DownloadQueue.renderSummary();
+        },
+
+        isActive: function(job) {
+            return job.status === 'queued' || job.status === 'running' || job.status === 'paused';
+        },
 
-            function stopDrag() {
-                if (isDragging) {
-                    isDragging = false
-                    progressContainer.style.cursor = 'move'
+        isRetryable: function(job) {
+            if (job.status !== 'failed') return false;
+            return job.kind === 'task' ? !!job.retryTask : job.items.some(function(item) { return item.status === 'failed'; });
+        },
+
+        releaseSlot: function(job) {
+            if (!job.holdsSlot) return;
+            job.holdsSlot = false;
+            DownloadQueue.active--;
+            DownloadQueue.pump();
+        },
+
+        flushWaiters: function(job) {
+            var waiters = job.waiters;
+            job.waiters = [];
+            waiters.forEach(function(callback) { callback(); });
+        },
+
+        // Hand free slots to jobs in the order they were added
+        pump: function() {
+            var limit = DownloadQueue.getConcurrency();
+            for (var j = 0; j < DownloadQueue.jobs.length && DownloadQueue.active < limit; j++) {
+                var job = DownloadQueue.jobs[j];
+                if (job.paused || job.cancelled) continue;
+                if (job.kind === 'task') {
+                    if (job.status !== 'queued') continue;
+                    job.status = 'running';
+                    job.holdsSlot = true;
+                    DownloadQueue.active++;
+                    job.textEl.textContent = job.started ? 'Resuming...' : 'Starting...';
+                    job.started = true;
+                    DownloadQueue.render(job);
+                    DownloadQueue.flushWaiters(job);
+                    continue;
+                }
+                for (var i = 0; i < job.items.length && DownloadQueue.active < limit; i++) {
+                    if (job.items[i].status === 'queued') DownloadQueue.startItem(job, job.items[i]);
                 }
             }
+        },
+
+        startItem: function(job, item) {
+            item.status = 'running';
+            DownloadQueue.active++;
+            job.status = 'running';
+            var finished = false;
+            job.options.run(item, function(error, result) {
+                if (finished) return;
+                finished = true;
+                setTimeout(function() {
+                    DownloadQueue.active--;
+                    DownloadQueue.pump();
+                }, job.options.cooldown || 0);
+                if (job.cancelled || item.status !== 'running') return;
+                item.status = error ? 'failed' : 'done';
+                item.error = error ? (error.message || String(error)) : null;
+                item.result = result || null;
+                if (error) console.error('Failed to download ' + item.label + ':', error);
+                DownloadQueue.itemFinished(job);
+            }, job);
+            DownloadQueue.render(job);
+        },
+
+        itemFinished: function(job) {
+            var counts = DownloadQueue.countItems(job);
+            if (counts.queued > 0 || counts.running > 0) {
+                DownloadQueue.render(job);
+                return;
+            }
+            var summary = counts.done + ' of ' + job.items.length + ' done' + (counts.failed ? ', ' + counts.failed + ' failed' : '');
+            var settle = function(text) {
+                DownloadQueue.settle(job, counts.failed > 0 ? 'failed' : 'done', text || summary);
+            };
+            if (!job.options.onComplete) {
+                settle();
+                return;
+            }
+            job.finishing = true;
+            DownloadQueue.render(job);
+            job.options.onComplete(job, settle);
+        },
+
+        countItems: function(job) {
+            var counts = { queued: 0, running: 0, done: 0, failed: 0, cancelled: 0 };
+            job.items.forEach(function(item) { counts[item.status]++; });
+            return counts;
+        },
+
+        // Queue-wide actions from the panel toolbar
+        pauseAll: function() {
+            DownloadQueue.jobs.forEach(DownloadQueue.pause);
+        },
+        resumeAll: function() {
+            DownloadQueue.jobs.forEach(DownloadQueue.resume);
+        },
+        cancelAll: function() {
+            DownloadQueue.jobs.slice().forEach(DownloadQueue.cancel);
+        },
+        retryAll: function() {
+            DownloadQueue.jobs.filter(DownloadQueue.isRetryable).forEach(DownloadQueue.retry);
+        },
+        clearFinished: function() {
+            DownloadQueue.jobs.filter(function(job) { return !DownloadQueue.isActive(job); }).forEach(DownloadQueue.remove);
+        },
+
+        // ---- Panel ----
+
+        buttonStyle: function() {
+            return 'background: transparent; color: ' + colorScheme.textPrimary + '; border: 1px solid ' + colorScheme.border + '; border-radius: 6px; padding: 3px 8px; font-size: 12px; cursor: pointer;';
+        },
+
+        showPanel: function() {
+            if (!DownloadQueue.panel) DownloadQueue.buildPanel();
+            if (!DownloadQueue.panel.isConnected) document.body.appendChild(DownloadQueue.panel);
+            DownloadQueue.panel.style.display = 'flex';
+        },
+
+        buildPanel: function() {
+            var panel = document.createElement('div');
+            panel.className = 'holly-download-queue';
+            panel.style.cssText = 'position: fixed; right: 16px; bottom: 16px; z-index: 1000010; width: min(420px, 92vw); max-height: 70vh; display: flex; flex-direction: column; background: ' + colorScheme.cardBackground + '; border: 1px solid ' + colorScheme.border + '; border-radius: 12px; box-shadow: 0 8px 32px rgba(0,0,0,0.5); color: ' + colorScheme.textPrimary + '; font-size: 13px;';
+
+            var options = '';
+            for (var c = 1; c <= 10; c++) {
+                options += '<option value="' + c + '">' + c + (c === DownloadQueue.DEFAULT_CONCURRENCY ? ' (default)' : '') + '</option>';
+            }
+            var button = DownloadQueue.buttonStyle();
+            panel.innerHTML =
+                '<div data-queue-handle style="display: flex; align-items: center; gap: 8px; padding: 10px 12px; cursor: move; user-select: none;">' +
+                    '<span style="font-weight: 600; font-size: 15px;">Downloads</span>' +
+                    '<span data-queue-summary style="flex: 1; color: ' + colorScheme.textSecondary + '; font-size: 12px; white-space: nowrap; overflow: hidden; text-overflow: ellipsis;"></span>' +
+                    '<button data-queue-action="minimize" title="Minimize" style="' + button + ' border: none; font-size: 16px;">−</button>' +
+                    '<button data-queue-action="close" title="Close (running downloads continue)" style="' + button + ' border: none; font-size: 14px;">✕</button>' +
+                '</div>' +
+                '<div data-queue-body style="display: flex; flex-direction: column; gap: 8px; padding: 0 12px 12px; min-height: 0;">' +
+                    '<div style="display: flex; gap: 6px; flex-wrap: wrap; align-items: center;">' +
+                        '<button data-queue-action="pause-all" style="' + button + '">Pause all</button>' +
+                        '<button data-queue-action="resume-all" style="' + button + '">Resume all</button>' +
+                        '<button data-queue-action="retry-all" style="' + button + '">Retry failed</button>' +
+                        '<button data-queue-action="cancel-all" style="' + button + '">Cancel all</button>' +
+                        '<button data-queue-action="clear" style="' + button + '">Clear finished</button>' +
+                        '<label style="margin-left: auto; color: ' + colorScheme.textSecondary + '; font-size: 12px;" title="Downloads and exports running at the same time">At once ' +
+                            '<select data-queue-concurrency style="background: ' + colorScheme.background + '; color: ' + colorScheme.textPrimary + '; border: 1px solid ' + colorScheme.border + '; border-radius: 6px; font-size: 12px;">' + options + '</select>' +
+                        '</label>' +
+                    '</div>' +
+                    '<div data-queue-list style="display: flex; flex-direction: column; gap: 8px; overflow: auto; min-height: 0;"></div>' +
+                '</div>';
+
+            DownloadQueue.panel = panel;
+            DownloadQueue.listEl = panel.querySelector('[data-queue-list]');
+            DownloadQueue.summaryEl = panel.querySelector('[data-queue-summary]');
+            var concurrencySelect = panel.querySelector('[data-queue-concurrency]');
+            concurrencySelect.value = String(DownloadQueue.getConcurrency());
+            concurrencySelect.addEventListener('change', function() {
+                DownloadQueue.setConcurrency(parseInt(this.value, 10));
+            });
 
-            headerRow.addEventListener('mousedown', startDrag)
-            headerRow.addEventListener('touchstart', startDrag, { passive: false })
-            // Also allow dragging from minimized content area (but not buttons)
-            minimizedContent.addEventListener('mousedown', function(e) {
-                if (!isInteractiveElement(e.target)) {
-                    startDrag(e)
+            panel.addEventListener('click', function(e) {
+                var actionEl = e.target.closest('[data-queue-action]');
+                if (!actionEl) return;
+                var action = actionEl.getAttribute('data-queue-action');
+                var jobEl = actionEl.closest('[data-queue-job]');
+                if (jobEl) {
+                    var id = parseInt(jobEl.getAttribute('data-queue-job'), 10);
+                    var job = DownloadQueue.jobs.filter(function(j) { return j.id === id; })[0];
+                    if (!job) return;
+                    if (action === 'pause') DownloadQueue.pause(job);
+                    else if (action === 'resume') DownloadQueue.resume(job);
+                    else if (action === 'cancel') DownloadQueue.cancel(job);
+                    else if (action === 'retry') DownloadQueue.retry(job);
+                    else if (action === 'remove') DownloadQueue.remove(job);
+                    else if (action === 'details') {
+                        job.showItems = !job.showItems;
+                        DownloadQueue.render(job);
+                    }
+                    return;
                 }
-            })
-            minimizedContent.addEventListener('touchstart', function(e) {
-                if (!isInteractiveElement(e.target)) {
-                    startDrag(e)
+                if (action === 'minimize') DownloadQueue.setMinimized(!DownloadQueue.minimized);
+                else if (action === 'close') {
+                    DownloadQueue.clearFinished();
+                    if (DownloadQueue.jobs.length > 0) DownloadQueue.setMinimized(true);
+                    else panel.style.display = 'none';
                 }
-            }, { passive: false })
-            // Allow dragging from anywhere in the progress container (padding areas)
-            progressContainer.addEventListener('mousedown', function(e) {
-                if (!isInteractiveElement(e.target)) {
-                    startDrag(e)
+                else if (action === 'pause-all') DownloadQueue.pauseAll();
+                else if (action === 'resume-all') DownloadQueue.resumeAll();
+                else if (action === 'retry-all') DownloadQueue.retryAll();
+                else if (action === 'cancel-all') {
+                    if (confirm('Cancel every download in the queue?')) DownloadQueue.cancelAll();
                 }
-            })
-            progressContainer.addEventListener('touchstart', function(e) {
-                if (!isInteractiveElement(e.target)) {
-                    startDrag(e)
-                }
-            }, { passive: false })
-            document.addEventListener('mousemove', drag)
-            document.addEventListener('touchmove', drag, { passive: false })
-            document.addEventListener('mouseup', stopDrag)
-            document.addEventListener('touchend', stopDrag)
-            document.addEventListener('touchcancel', stopDrag)
-
-            // Minimize functionality
-            var isMinimized = false
-            function toggleMinimize() {
-                isMinimized = !isMinimized
-                if (isMinimized) {
-                    // Switch to minimized view
-                    fullContent.style.display = 'none'
-                    minimizedContent.style.display = 'flex'
-                    headerRow.style.display = 'none' // Hide header in minimized mode
-                    progressContainer.style.minWidth = '250px'
-                    progressContainer.style.width = 'auto'
-                    progressContainer.style.padding = '6px 10px'
-                    minimizeBtn.innerHTML = '+'
-                    minimizeBtn.title = 'Restore'
-                } else {
-                    // Switch to full view
-                    fullContent.style.display = 'block'
-                    minimizedContent.style.display = 'none'
-                    headerRow.style.display = 'flex' // Show header in full mode
-                    progressContainer.style.minWidth = '300px'
-                    progressContainer.style.width = 'auto'
-                    progressContainer.style.padding = '20px'
-                    minimizeBtn.innerHTML = '−'
-                    minimizeBtn.title = 'Minimize'
+                else if (action === 'clear') DownloadQueue.clearFinished();
+            });
+
+            DownloadQueue.makeDraggable(panel, panel.querySelector('[data-queue-handle]'));
+        },
+
+        setMinimized: function(minimized) {
+            DownloadQueue.minimized = minimized;
+            var toggle = DownloadQueue.panel.querySelector('[data-queue-action="minimize"]');
+            DownloadQueue.panel.querySelector('[data-queue-body]').style.display = minimized ? 'none' : 'flex';
+            toggle.textContent = minimized ? '+' : '−';
+            toggle.title = minimized ? 'Restore' : 'Minimize';
+        },
+
+        // Drag by the header, kept inside the viewport (mouse and touch)
+        makeDraggable: function(panel, handle) {
+            var dragging = null;
+            var start = function(e) {
+                if (e.target.closest('button, select, input')) return;
+                var point = e.touches ? e.touches[0] : e;
+                var rect = panel.getBoundingClientRect();
+                dragging = { x: point.clientX - rect.left, y: point.clientY - rect.top };
+                panel.style.left = rect.left + 'px';
+                panel.style.top = rect.top + 'px';
+                panel.style.right = 'auto';
+                panel.style.bottom = 'auto';
+                e.preventDefault();
+            };
+            var move = function(e) {
+                if (!dragging) return;
+                var point = e.touches ? e.touches[0] : e;
+                var left = Math.max(0, Math.min(point.clientX - dragging.x, window.innerWidth - panel.offsetWidth));
+                var top = Math.max(0, Math.min(point.clientY - dragging.y, window.innerHeight - panel.offsetHeight));
+                panel.style.left = left + 'px';
+                panel.style.top = top + 'px';
+                e.preventDefault();
+            };
+            var stop = function() {
+                dragging = null;
+            };
+            handle.addEventListener('mousedown', start);
+            handle.addEventListener('touchstart', start, { passive: false });
+            document.addEventListener('mousemove', move);
+            document.addEventListener('touchmove', move, { passive: false });
+            document.addEventListener('mouseup', stop);
+            document.addEventListener('touchend', stop);
+            document.addEventListener('touchcancel', stop);
+        },
+
+        buildRow: function(job) {
+            var row = document.createElement('div');
+            row.className = 'holly-export-progress';
+            row.setAttribute('data-queue-job', job.id);
+            row.style.cssText = 'display: flex; flex-direction: column; gap: 6px; padding: 10px; background: ' + colorScheme.background + '; border: 1px solid ' + colorScheme.border + '; border-radius: 8px;';
+            row.innerHTML =
+                '<div style="display: flex; align-items: center; gap: 8px;">' +
+                    '<span data-queue-title style="flex: 1; font-weight: 600; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;"></span>' +
+                    '<span data-queue-status style="font-size: 11px; text-transform: uppercase; letter-spacing: 0.04em;"></span>' +
+                '</div>' +
+                '<div style="height: 6px; background: ' + colorScheme.border + '; border-radius: 3px; overflow: hidden;">' +
+                    '<div data-queue-bar style="height: 100%; width: 0%; background: ' + colorScheme.gradient + '; transition: width 0.3s ease; border-radius: 3px;"></div>' +
+                '</div>' +
+                '<div data-queue-text style="color: ' + colorScheme.textSecondary + '; font-size: 12px;"></div>' +
+                '<div data-queue-controls style="display: flex; gap: 6px; flex-wrap: wrap;"></div>' +
+                '<div data-queue-items style="display: none; max-height: 160px; overflow: auto; font-size: 12px; color: ' + colorScheme.textSecondary + ';"></div>';
+            row.querySelector('[data-queue-title]').textContent = job.title;
+            job.row = row;
+            job.bar = row.querySelector('[data-queue-bar]');
+            job.textEl = row.querySelector('[data-queue-text]');
+            job.statusEl = row.querySelector('[data-queue-status]');
+            job.controlsEl = row.querySelector('[data-queue-controls]');
+            job.itemsEl = row.querySelector('[data-queue-items]');
+            job.textEl.textContent = job.text;
+        },
+
+        STATUS_COLORS: { queued: '#9ca3af', running: '#60a5fa', paused: '#fbbf24', done: '#34d399', failed: '#f87171', cancelled: '#9ca3af' },
+        ITEM_MARKS: { queued: '·', running: '…', done: '✓', failed: '✗', cancelled: '–' },
+
+        render: function(job) {
+            var status = job.paused && DownloadQueue.isActive(job) ? 'paused' : job.status;
+            job.statusEl.textContent = job.finishing ? 'finishing' : status;
+            job.statusEl.style.color = DownloadQueue.STATUS_COLORS[status];
+
+            if (job.kind === 'items' && job.items.length > 0) {
+                var counts = DownloadQueue.countItems(job);
+                job.bar.style.width = Math.round(((counts.done + counts.failed) / job.items.length) * 100) + '%';
+                if (DownloadQueue.isActive(job)) {
+                    job.textEl.textContent = job.finishing
+                        ? 'Saving...'
+                        : counts.done + ' of ' + job.items.length + ' done' + (counts.failed ? ', ' + counts.failed + ' failed' : '') + (counts.running ? ', ' + counts.running + ' in progress' : '');
                 }
             }
 
-            minimizeBtn.addEventListener('click', function(e) {
-                e.stopPropagation()
-                toggleMinimize()
-            })
+            var button = DownloadQueue.buttonStyle();
+            var controls = '';
+            if (DownloadQueue.isActive(job) && !job.finishing) {
+                controls += job.paused
+                    ? '<button data-queue-action="resume" style="' + button + '">Resume</button>'
+                    : '<button data-queue-action="pause" style="' + button + '">Pause</button>';
+                controls += '<button data-queue-action="cancel" style="' + button + '">Cancel</button>';
+            }
+            if (DownloadQueue.isRetryable(job)) {
+                controls += '<button data-queue-action="retry" style="' + button + '">Retry failed</button>';
+            }
+            if (!DownloadQueue.isActive(job)) {
+                controls += '<button data-queue-action="remove" style="' + button + '">Remove</button>';
+            }
+            if (job.items.length > 0) {
+                controls += '<button data-queue-action="details" style="' + button + ' margin-left: auto;">' + (job.showItems ? 'Hide items' : 'Items (' + job.items.length + ')') + '</button>';
+            }
+            job.controlsEl.innerHTML = controls;
 
-            minimizedMinimizeBtn.addEventListener('click', function(e) {
-                e.stopPropagation()
-                toggleMinimize()
-            })
+            job.itemsEl.style.display = job.showItems ? 'block' : 'none';
+            if (job.showItems) {
+                job.itemsEl.innerHTML = job.items.map(function(item) {
+                    return '<div style="display: flex; gap: 6px; padding: 1px 0;"><span style="color: ' + DownloadQueue.STATUS_COLORS[item.status] + '; width: 12px; text-align: center;">' + DownloadQueue.ITEM_MARKS[item.status] + '</span>' +
+                        '<span style="overflow: hidden; text-overflow: ellipsis; white-space: nowrap;" title="' + Utils.escapeHtml(item.label).replace(/"/g, '&quot;') + '">' + Utils.escapeHtml(item.label) + (item.error ? ' — ' + Utils.escapeHtml(item.error) : '') + '</span></div>';
+                }).join('');
+            }
+            DownloadQueue.renderSummary();
+        },
 
-            cancelBtn.addEventListener('click', function() {
-                // Check if button says "Close" (export complete) or "Cancel" (still exporting)
-                if (this.textContent === 'Close') {
-                    // Just close the modal, don't cancel export
-                    // Use current position if modal was dragged, otherwise center
-                    var computedStyle = window.getComputedStyle(progressContainer)
-                    var currentTransform = computedStyle.transform
-                    var hasTransform = currentTransform && currentTransform !== 'none' && currentTransform !== 'matrix(1, 0, 0, 1, 0, 0)'
-                    
-                    progressContainer.style.opacity = '0'
-                    if (hasTransform) {
-                        progressContainer.style.transform = 'translate(-50%, -50%) scale(0.95)'
-                    } else {
-                        // Modal was dragged, use scale on current position
-                        progressContainer.style.transform = 'scale(0.95)'
-                    }
-                    setTimeout(function() {
-                        if (progressContainer && progressContainer.parentNode) {
-                            progressContainer.parentNode.removeChild(progressContainer)
-                        }
-                        btn.progressIndicator = null
-                    }, 300)
-                    // Reset button state
-                    btn.busy = false
-                    btn.innerText = 'Download'
-                } else {
-                    // Cancel export in progress
-                    if (btn && btn.progressIndicator) {
-                        btn.progressIndicator.cancelled = true
-                        // Close progress indicator
-                        // Use current position if modal was dragged, otherwise center
-                        var computedStyle = window.getComputedStyle(btn.progressIndicator.container)
-                        var currentTransform = computedStyle.transform
-                        var hasTransform = currentTransform && currentTransform !== 'none' && currentTransform !== 'matrix(1, 0, 0, 1, 0, 0)'
-                        
-                        btn.progressIndicator.container.style.opacity = '0'
-                        if (hasTransform) {
-                            btn.progressIndicator.container.style.transform = 'translate(-50%, -50%) scale(0.95)'
-                        } else {
-                            // Modal was dragged, use scale on current position
-                            btn.progressIndicator.container.style.transform = 'scale(0.95)'
+        renderSummary: function() {
+            if (!DownloadQueue.summaryEl) return;
+            var counts = { running: 0, queued: 0, paused: 0, failed: 0 };
+            DownloadQueue.jobs.forEach(function(job) {
+                var status = job.paused && DownloadQueue.isActive(job) ? 'paused' : job.status;
+                if (counts[status] !== undefined) counts[status]++;
+            });
+            var parts = [];
+            for (var key in counts) {
+                if (counts[key]) parts.push(counts[key] + ' ' + key);
+            }
+            DownloadQueue.summaryEl.textContent = parts.join(' · ') || (DownloadQueue.jobs.length ? 'All finished' : 'Empty');
+            if (DownloadQueue.jobs.length === 0 && DownloadQueue.panel) DownloadQueue.panel.style.display = 'none';
+        }
+    };
+
+    // ============================================================================
+    // CONVERSATION RETRIEVAL
+    // ============================================================================
+    // Export progress is a task job in the download queue panel (see DownloadQueue). The returned object keeps the
+    // shape the export code uses: bar and text belong to the job's row, and container is the row itself.
+    // Cancel resets the owning button; bulk jobs pass a plain object with an onCancel hook instead.
+    // uuid: the chat of a single-chat export, whose checkpoint is thrown away when the user cancels
+    function createExportProgressIndicator(btn, startOffset, title, uuid) {
+        var indicator
+        var job = DownloadQueue.addTask(title || 'Exporting Chat...', {
+            onCancel: function() {
+                indicator.cancelled = true
+                if (uuid) exportCheckpoints.remove(uuid)
+                if (typeof btn.onCancel === 'function') btn.onCancel()
+                btn.busy = false
+                btn.innerText = 'Download'
+            },
+            onSettled: function() {
+                if (btn.progressIndicator === indicator) btn.progressIndicator = null
+            }
+        })
+        indicator = {
+            job: job,
+            container: job.row,
+            bar: job.bar,
+            text: job.textEl,
+            startOffset: startOffset,
+            cancelled: false,
+            signal: job.signal
+        }
+        return indicator
+    }
+
+    async function retrieveConversationChunk(uuid, offset, collected, btn, chatIndex = null, skipStore = false, resumed = false)
+        {
+        // Not in memory: try the IndexedDB copy and fetch only what's new since it was saved.
+        // Either way we come back here with skipStore set, hitting the memory cache if the merge worked.
+        if (offset === 0 && !skipStore && !chatCache.getChatMessages(uuid)) {
+            chatCache.loadChatMessages(uuid, function(stored) {
+                if (!stored && chatIndex === null) {
+                    // No complete copy, but maybe an export that was interrupted: continue one chunk before its
+                    // offset so messages deleted in the meantime can't make us skip any (repeats are dropped later)
+                    exportCheckpoints.load(uuid, function(checkpoint) {
+                        if (!checkpoint) {
+                            retrieveConversationChunk(uuid, 0, collected, btn, chatIndex, true)
+                            return
                         }
-                        setTimeout(function() {
-                            if (btn.progressIndicator && btn.progressIndicator.container.parentNode) {
-                                btn.progressIndicator.container.parentNode.removeChild(btn.progressIndicator.container)
-                            }
-                            btn.progressIndicator = null
-                        }, 300)
-                        // Reset button state
-                        btn.busy = false
-                        btn.innerText = 'Download'
-                    }
+                        retrieveConversationChunk(uuid, Math.max(0, checkpoint.offset - QUERY_BATCH_SIZE), checkpoint.messages, btn, chatIndex, true, true)
+                    })
+                    return
+                }
+                if (!stored) {
+                    retrieveConversationChunk(uuid, 0, collected, btn, chatIndex, true)
+                    return
                 }
+                const signal = btn ? (btn.signal || (btn.progressIndicator ? btn.progressIndicator.signal : null)) : null
+                ChatManager.fetchNewerMessages(uuid, stored, function(merged) {
+                    if (signal && signal.aborted) return
+                    if (merged) chatCache.setChatMessages(uuid, merged)
+                    retrieveConversationChunk(uuid, 0, collected, btn, chatIndex, true)
+                }, signal)
             })
+            return
+        }
 
-            // Fade in animation
-        requestAnimationFrame(() => {
-            requestAnimationFrame(() => {
-                    progressContainer.style.transition = 'opacity 0.3s ease, transform 0.3s ease'
-                    progressContainer.style.opacity = '1'
-                })
-            })
+        // For image viewing: open popup immediately on first chunk (progressive mode)
+        if (offset === 0 && chatIndex !== null) {
+            const cachedMessages = chatCache.getChatMessages(uuid)
+            if (cachedMessages && cachedMessages.length > 0) {
+                // Use cached messages - all images are already available, no loading needed
+                const chatData = window.currentChats ? window.currentChats[chatIndex] : null
+                // Pass cached messages directly (not progressive, so no loading card)
+                showChatImages(cachedMessages, chatIndex, chatData, false) // false = not progressive, skip loading card
+                btn.busy = false;
+                btn.innerText = 'Images';
+                return;
+            } else {
+                // No cache - open popup immediately for progressive loading
+                const chatData = window.currentChats ? window.currentChats[chatIndex] : null
+                showChatImages([], chatIndex, chatData, true) // Open popup immediately
+            }
+        }
+        
+        // Check cache on first chunk (offset 0) for exports
+        if (offset === 0 && chatIndex === null) {
+            const cachedMessages = chatCache.getChatMessages(uuid)
+            if (cachedMessages && cachedMessages.length > 0) {
+                // Bulk exports collect the messages themselves
+                if (btn.onMessages) {
+                    btn.onMessages(cachedMessages)
+                    return
+                }
+                // Use cached messages (a resumed fetch comes back here with its progress indicator still open)
+                const openIndicator = btn.progressIndicator && btn.progressIndicator.container && btn.progressIndicator.container.parentNode ? btn.progressIndicator : null
+                exportConversation(cachedMessages, openIndicator, { chat: ExportManager.findChat(uuid) })
+                btn.busy = false
+                btn.innerText = 'Download'
+                return // Don't make API call
+            }
+        }
 
-            btn.progressIndicator = {
-                container: progressContainer,
-                bar: progressBar,
-                text: progressText,
-                startOffset: offset,
-                cancelled: false,
-                cancelBtn: cancelBtn,
-                minimizedProgressBar: minimizedProgressBar,
-                minimizedStatusText: minimizedStatusText
+        // Update progress if this is an export (not image viewing)
+        // Check if we need to create a new progress indicator (none exists, or container was removed)
+        // Bulk exports (btn.onMessages) share one indicator owned by the caller
+        var needsNewProgressIndicator = chatIndex === null && btn && !btn.onMessages && (!btn.progressIndicator || !btn.progressIndicator.container || !btn.progressIndicator.container.parentNode);
+        if (needsNewProgressIndicator) {
+            // Clear any stale reference
+            if (btn.progressIndicator && !btn.progressIndicator.container.parentNode) {
+                btn.progressIndicator = null;
             }
+            btn.progressIndicator = createExportProgressIndicator(btn, offset, resumed ? 'Resuming Export...' : 'Exporting Chat...', uuid)
         }
 
+        // Exports wait here for a free slot in the download queue, and again between chunks while paused
+        const queueJob = chatIndex === null && btn && btn.progressIndicator ? btn.progressIndicator.job : null
+        const whenRunnable = () => new Promise(resolve => queueJob ? DownloadQueue.whenRunnable(queueJob, resolve) : resolve())
+        await whenRunnable()
+
         // Update progress text
-        if (btn && btn.progressIndicator && btn.progressIndicator.container && btn.progressIndicator.container.parentNode && chatIndex === null) {
+        if (btn && !btn.onMessages && btn.progressIndicator && btn.progressIndicator.container && btn.progressIndicator.container.parentNode && chatIndex === null) {
             const chunkNumber = Math.floor(offset / QUERY_BATCH_SIZE) + 1
             btn.progressIndicator.text.textContent = `Fetching chunk ${chunkNumber}...`
             // Estimate progress (we don't know total, so show based on chunks)
             const estimatedProgress = Math.min(90, (chunkNumber * 10)) // Cap at 90% until we're done
             btn.progressIndicator.bar.style.width = `${estimatedProgress}%`
-            // Update minimized progress bar
-            if (btn.progressIndicator.minimizedProgressBar) {
-                btn.progressIndicator.minimizedProgressBar.style.width = `${estimatedProgress}%`
-            }
         }
 
-        ajax('https://api.' + location.hostname + '/v1/chats/' + uuid + '/messages?limit=' + QUERY_BATCH_SIZE + '&offset=' + offset, false, function (r)
-            {
-            // Check if cancelled before processing response
-            if (btn && btn.progressIndicator && btn.progressIndicator.cancelled) {
-                return
-            }
+        // Cancel on the progress popup (or the owner's own signal, e.g. the image gallery) aborts the request in flight
+        const signal = btn ? (btn.signal || (btn.progressIndicator ? btn.progressIndicator.signal : null)) : null
+        const isCancelled = () => (btn && btn.progressIndicator && btn.progressIndicator.cancelled) || (signal && signal.aborted)
 
-            r = JSON.parse(r)
-            if (!r || r.error) {
-                // Remove progress indicator on error
-                if (btn && btn.progressIndicator) {
-                    btn.progressIndicator.container.remove()
-                    btn.progressIndicator = null
+        try {
+            for await (const page of API.paginate(API.url('/chats/' + uuid + '/messages'), 'messages', { offset: offset, signal: signal })) {
+                // Check if cancelled before processing response
+                if (isCancelled()) {
+                    return
                 }
-                return
-            }
 
-            collected = collected.concat(r.messages)
+                collected = collected.concat(page.items)
 
-            // For image viewing: extract images from this chunk and add them progressively
-            if (chatIndex !== null && imagePopup && imagePopup.parentNode) {
-                var seenUrls = window.hollyImageSeenUrls || {};
-                var chatData = window.hollyImageChatData || (window.currentChats ? window.currentChats[chatIndex] : null);
-                var newImages = ImageManager.extractImagesFromMessagesChunk(r.messages, chatData, seenUrls);
-                if (newImages.length > 0) {
-                    allImagesForFiltering = allImagesForFiltering.concat(newImages);
-                    ImageManager.appendImages(newImages, false);
+                // For image viewing: extract images from this chunk and add them progressively
+                if (chatIndex !== null && imagePopup && imagePopup.parentNode) {
+                    var seenUrls = window.hollyImageSeenUrls || {};
+                    var chatData = window.hollyImageChatData || (window.currentChats ? window.currentChats[chatIndex] : null);
+                    var newImages = ImageManager.extractImagesFromMessagesChunk(page.items, chatData, seenUrls);
+                    if (newImages.length > 0) {
+                        allImagesForFiltering = allImagesForFiltering.concat(newImages);
+                        ImageManager.appendImages(newImages, false);
+                    }
                 }
-            }
 
-            if (r.messages.length == QUERY_BATCH_SIZE) {
-                // Check if cancelled before fetching next chunk
-                if (btn && btn.progressIndicator && btn.progressIndicator.cancelled) {
-                    return
+                // More to come: checkpoint what we have so an interruption doesn't start the export over
+                if (page.items.length === QUERY_BATCH_SIZE && chatIndex === null) {
+                    exportCheckpoints.saveChunk(uuid, page.offset, page.items, collected.length)
                 }
 
                 // Update progress before next chunk
-                if (btn && btn.progressIndicator && btn.progressIndicator.container && btn.progressIndicator.container.parentNode && chatIndex === null) {
-                    const chunkNumber = Math.floor(offset / QUERY_BATCH_SIZE) + 1
+                if (page.items.length === QUERY_BATCH_SIZE && btn && !btn.onMessages && btn.progressIndicator && btn.progressIndicator.container && btn.progressIndicator.container.parentNode && chatIndex === null) {
+                    const chunkNumber = Math.floor(page.offset / QUERY_BATCH_SIZE) + 1
                     btn.progressIndicator.text.textContent = `Fetched ${collected.length} messages... (chunk ${chunkNumber})`
-                    // Update minimized status
-                    if (btn.progressIndicator.minimizedStatusText) {
-                        btn.progressIndicator.minimizedStatusText.textContent = `Fetching... ${collected.length} msgs`
-                    }
-                }
-                retrieveConversationChunk(uuid, offset + QUERY_BATCH_SIZE, collected, btn, chatIndex)
-            } else {
-                // Check if cancelled before proceeding
-                if (btn && btn.progressIndicator && btn.progressIndicator.cancelled) {
-                    return
                 }
 
-                // All done - cache the messages
-                chatCache.setChatMessages(uuid, collected)
+                await whenRunnable()
+            }
+        } catch (e) {
+            if (e.name === 'AbortError' || isCancelled()) {
+                return
+            }
+            console.error('Error fetching messages:', e)
+            // Let bulk exports record the failure and move on to the next chat
+            if (btn && btn.onMessages) {
+                btn.onMessages(null)
+                return
+            }
+            // Leave the failure in the queue; Retry picks up from the last checkpoint
+            if (queueJob) {
+                btn.busy = false
+                btn.innerText = 'Download'
+                DownloadQueue.fail(queueJob, 'Failed to fetch messages: ' + e.message, function() {
+                    btn.busy = true
+                    retrieveConversationChunk(uuid, 0, [], btn)
+                })
+            }
+            return
+        }
 
-                // All done - complete progress bar
-                if (btn && btn.progressIndicator && btn.progressIndicator.container && btn.progressIndicator.container.parentNode && chatIndex === null) {
-                    btn.progressIndicator.bar.style.width = '100%'
-                    btn.progressIndicator.text.textContent = `Fetched ${collected.length} messages. Preparing export...`
-                    // Update minimized progress bar
-                    if (btn.progressIndicator.minimizedProgressBar) {
-                        btn.progressIndicator.minimizedProgressBar.style.width = '100%'
-                    }
-                    // Update minimized status
-                    if (btn.progressIndicator.minimizedStatusText) {
-                        btn.progressIndicator.minimizedStatusText.textContent = 'Preparing export...'
-                    }
-                }
+        // Check if cancelled before proceeding
+        if (isCancelled()) {
+            return
+        }
 
-                // Small delay to show 100% before processing
-                setTimeout(() => {
-                    // Update progress for HTML format (or keep indicator for all formats)
-                    if (btn && btn.progressIndicator && btn.progressIndicator.container && btn.progressIndicator.container.parentNode && chatIndex === null) {
-                        const format = document.getElementById('holly_download_format')?.value || 'txt'
-                        const isHTMLFormat = format === 'html'
-
-                        if (isHTMLFormat) {
-                            // Update progress for HTML format
-                            btn.progressIndicator.text.textContent = `Processing ${collected.length} messages for HTML export...`
-                            btn.progressIndicator.bar.style.width = '95%'
-                            if (btn.progressIndicator.minimizedProgressBar) {
-                                btn.progressIndicator.minimizedProgressBar.style.width = '95%'
-                            }
-                            if (btn.progressIndicator.minimizedStatusText) {
-                                btn.progressIndicator.minimizedStatusText.textContent = 'Processing HTML...'
-                            }
-                        }
-                    }
+        if (chatIndex === null) exportCheckpoints.remove(uuid)
 
-                btn.busy = false
-                btn.innerText = chatIndex !== null ? 'Images' : 'Download'
+        // Offsets may have moved while the export was interrupted: store the messages without repeats and go
+        // back through the stored-copy path, which picks up anything posted since and then exports as usual
+        if (resumed) {
+            const seen = {}
+            const unique = collected.filter(function(message) {
+                if (seen[message.uuid]) return false
+                seen[message.uuid] = true
+                return true
+            })
+            PersistentCache.put('chats', { uuid: uuid, messages: unique, watermark: chatCache.getWatermark(unique), savedAt: Date.now() }, function(stored) {
+                if (isCancelled()) return
+                if (!stored) chatCache.setChatMessages(uuid, unique)
+                retrieveConversationChunk(uuid, 0, [], btn, chatIndex)
+            })
+            return
+        }
 
-                if (collected.length > 0)
-                    {
-                    // Store images for this chat if we're showing images
-                    if (chatIndex !== null) {
-                        // Mark loading as complete
-                        ImageManager.appendImages([], true);
-                        // Cache messages for future use
-                        chatCache.setChatMessages(uuid, collected);
-                    } else {
-                        // Pass progress indicator for HTML format
-                        exportConversation(collected, btn && btn.progressIndicator ? btn.progressIndicator : null)
-                    }
-                    }
-                else
-                    {
-                    // No messages, but we can still show character/background photos if viewing images
-                    if (chatIndex !== null) {
-                        // Mark loading as complete (even if no messages)
-                        ImageManager.appendImages([], true);
-                    } else {
-                    alert('Nothing to download, this conversation is empty.')
-                    }
-                    }
-                }, 300) // Small delay to show 100% before export
+        // All done - cache the messages
+        chatCache.setChatMessages(uuid, collected)
+
+        if (btn && btn.onMessages) {
+            btn.onMessages(collected)
+            return
+        }
+
+        // All done - complete progress bar
+        if (btn && btn.progressIndicator && btn.progressIndicator.container && btn.progressIndicator.container.parentNode && chatIndex === null) {
+            btn.progressIndicator.bar.style.width = '100%'
+            btn.progressIndicator.text.textContent = `Fetched ${collected.length} messages. Preparing export...`
+        }
+
+        // Small delay to show 100% before processing
+        setTimeout(() => {
+            // Update progress for HTML format (or keep indicator for all formats)
+            if (btn && btn.progressIndicator && btn.progressIndicator.container && btn.progressIndicator.container.parentNode && chatIndex === null) {
+                const format = document.getElementById('holly_download_format')?.value || 'txt'
+                const isHTMLFormat = format === 'html' || format === 'html-offline'
+
+                if (isHTMLFormat) {
+                    // Update progress for HTML format
+                    btn.progressIndicator.text.textContent = `Processing ${collected.length} messages for HTML export...`
+                    btn.progressIndicator.bar.style.width = '95%'
                 }
-            })
+            }
+
+            btn.busy = false
+            btn.innerText = chatIndex !== null ? 'Images' : 'Download'
+
+            if (collected.length > 0)
+                {
+                // Store images for this chat if we're showing images
+                if (chatIndex !== null) {
+                    // Mark loading as complete
+                    ImageManager.appendImages([], true);
+                    // Cache messages for future use
+                    chatCache.setChatMessages(uuid, collected);
+                } else {
+                    // Pass progress indicator for HTML format
+                    exportConversation(collected, btn && btn.progressIndicator ? btn.progressIndicator : null, { chat: ExportManager.findChat(uuid) })
+                }
+                }
+            else
+                {
+                // No messages, but we can still show character/background photos if viewing images
+                if (chatIndex !== null) {
+                    // Mark loading as complete (even if no messages)
+                    ImageManager.appendImages([], true);
+                } else {
+                if (queueJob) DownloadQueue.finish(queueJob, 'Nothing to download')
+                alert('Nothing to download, this conversation is empty.')
+                }
+                }
+        }, 300) // Small delay to show 100% before export
         }
 
     // ============================================================================
     // EXPORT MANAGER MODULE
     // ============================================================================
     var ExportManager = {
-        // Export conversation to various formats (txt, jsonl-st, jsonl-openai, json, html)
-        exportConversation: function(messages, progressIndicator) {
+        // Mark an export's queue job as complete (the queue drops it after a moment if auto-close is enabled)
+        finishProgress: function(progressIndicator) {
+            if (!progressIndicator) return;
+            DownloadQueue.finish(progressIndicator.job, 'Export complete!');
+        },
+
+        // Fetch an image and return it as a data URI (null on failure).
+        // maxSize > 0 downscales the longest side and re-encodes as JPEG through a canvas.
+        imageToDataUri: function(url, maxSize, callback) {
+            var readBlob = function(blob) {
+                var reader = new FileReader();
+                reader.onload = function() { callback(reader.result); };
+                reader.onerror = function() { callback(null); };
+                reader.readAsDataURL(blob);
+            };
+
+            fetch(url)
+                .then(function(response) {
+                    if (!response.ok) throw new Error('HTTP error! status: ' + response.status);
+                    return response.blob();
+                })
+                .then(function(blob) {
+                    if (!maxSize) {
+                        readBlob(blob);
+                        return;
+                    }
+                    var objectUrl = URL.createObjectURL(blob);
+                    var img = new Image();
+                    img.onload = function() {
+                        var scale = Math.min(1, maxSize / Math.max(img.naturalWidth, img.naturalHeight));
+                        var canvas = document.createElement('canvas');
+                        canvas.width = Math.max(1, Math.round(img.naturalWidth * scale));
+                        canvas.height = Math.max(1, Math.round(img.naturalHeight * scale));
+                        canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+                        URL.revokeObjectURL(objectUrl);
+                        callback(canvas.toDataURL('image/jpeg', 0.85));
+                    };
+                    img.onerror = function() {
+                        URL.revokeObjectURL(objectUrl);
+                        readBlob(blob);
+                    };
+                    img.src = objectUrl;
+                })
+                .catch(function(error) {
+                    console.error('Failed to embed image:', url, error);
+                    callback(null);
+                });
+        },
+
+        // Convert a list of image URLs to data URIs a few at a time, reporting progress.
+        // callback(dataUris) receives an array aligned with urls; nothing is called if the export is cancelled.
+        embedImages: function(urls, progressIndicator, callback) {
+            var maxSize = parseInt(localStorage.getItem('hollyOfflineImageMaxSize') || '0', 10) || 0;
+            var dataUris = new Array(urls.length);
+            var nextIndex = 0;
+            var finished = 0;
+            var failed = 0;
+            var active = 0;
+            var concurrency = 4;
+
+            var updateProgress = function() {
+                if (!progressIndicator) return;
+                DownloadQueue.setProgress(progressIndicator.job, (finished / urls.length) * 100, 'Embedding images: ' + finished + ' of ' + urls.length + (failed ? ' (' + failed + ' failed)' : '') + '...');
+            };
+
+            var startNext = function() {
+                if (progressIndicator && progressIndicator.cancelled) return;
+                if (finished === urls.length) {
+                    callback(dataUris);
+                    return;
+                }
+                while (active < concurrency && nextIndex < urls.length) {
+                    (function(index) {
+                        active++;
+                        ExportManager.imageToDataUri(urls[index], maxSize, function(dataUri) {
+                            active--;
+                            finished++;
+                            if (!dataUri) failed++;
+                            dataUris[index] = dataUri;
+                            updateProgress();
+                            startNext();
+                        });
+                    })(nextIndex++);
+                }
+            };
+
+            updateProgress();
+            startNext();
+        },
+
+        // Look up chat list metadata (name, characters, date) for a chat UUID
+        findChat: function(uuid) {
+            var lists = [window.currentChats, chatCache.getChatList()];
+            for (var l = 0; l < lists.length; l++) {
+                if (!lists[l]) continue;
+                for (var i = 0; i < lists[l].length; i++) {
+                    if (lists[l][i].uuid === uuid) return lists[l][i];
+                }
+            }
+            return { uuid: uuid };
+        },
+
+        // Export conversation to various formats (txt, jsonl-st, jsonl-openai, sharegpt, chatml, json, html, html-offline, markdown, tree-txt, tree-html)
+        // options.chat: chat list entry used for file metadata
+        // options.onFile(blob, filename) receives the file instead of it being downloaded
+        // options.redaction: Redactor context shared by a bulk export (defaults to Redactor.forExport())
+        exportConversation: function(messages, progressIndicator, options) {
             if (typeof progressIndicator === 'undefined') {
                 progressIndicator = null;
             }
+            options = options || {};
+
+            // Everything below only sees the redacted copies
+            var redaction = options.redaction !== undefined ? options.redaction : Redactor.forExport();
+            var chat = redaction ? redaction.chat(options.chat || null) : (options.chat || null);
+            if (redaction) messages = redaction.messages(messages);
+            var userName = redaction ? redaction.userName : 'You';
 
             var formatSelect = document.getElementById('holly_download_format');
-            var format = formatSelect ? formatSelect.value : 'txt'; // 'txt' | 'jsonl-st' | 'jsonl-openai' | 'json' | 'html'
+            var format = formatSelect ? formatSelect.value : 'txt'; // 'txt' | 'jsonl-st' | 'jsonl-openai' | 'sharegpt' | 'chatml' | 'json' | 'html' | 'html-offline' | 'markdown' | 'tree-txt' | 'tree-html'
             var character_name = '';
             var character_uuid = '';
+            var messageCharacters = []; // unique bot characters seen in messages (fallback when chat is unknown)
             var out = [];
+            var imageUrlOf = function(msg) {
+                return msg.text_to_image && msg.text_to_image.output_image_url ? msg.text_to_image.output_image_url : null;
+            };
 
         // Sort messages by timestamp to ensure chronological order (oldest first)
             var sortedMessages = messages.slice();
@@ -7336,13 +10879,20 @@
             for (var i = 0; i < sortedMessages.length; i++) {
                 var msg = sortedMessages[i];
                 var is_bot = (msg.message_source === 'bot');
-                var name = is_bot ? (msg.character && msg.character.nickname ? msg.character.nickname : 'Character') : 'You';
+                var name = is_bot ? (msg.character && msg.character.nickname ? msg.character.nickname : 'Character') : userName;
                 var text = msg.message || '';
                 var ts = new Date(msg.created_at).getTime();
 
             if (is_bot) {
                 if (!character_name) character_name = name;
                     if (!character_uuid) character_uuid = (msg.character && msg.character.uuid ? msg.character.uuid : '');
+                    var seenCharacter = false;
+                    for (var mc = 0; mc < messageCharacters.length; mc++) {
+                        if (messageCharacters[mc].name === name) seenCharacter = true;
+                    }
+                    if (!seenCharacter) {
+                        messageCharacters.push({ name: name, uuid: (msg.character && msg.character.uuid ? msg.character.uuid : '') });
+                    }
             }
 
             if (format === 'jsonl-st') {
@@ -7363,7 +10913,7 @@
                         }
                     variation_idx = Math.max(0, idx);
                 }
-                out.push({
+                var stRecord = {
                         name: name,
                     is_user: !is_bot,
                     is_name: is_bot,
@@ -7371,7 +10921,10 @@
                     mes: text,
                     swipes: variations,
                     swipe_id: variation_idx
-                });
+                };
+                    // SillyTavern shows extra.image inline with the message
+                    if (imageUrlOf(msg)) stRecord.extra = { image: imageUrlOf(msg) };
+                    out.push(stRecord);
             } else if (format === 'jsonl-openai') {
                 // Portable, minimal OpenAI-style
                     var role = is_bot ? 'assistant' : 'user';
@@ -7393,7 +10946,14 @@
                             }
                         }
                 }
+                    if (imageUrlOf(msg)) {
+                        rec.images = rec.images || [];
+                        rec.images.push(imageUrlOf(msg));
+                    }
                 out.push(rec);
+            } else if (ExportManager.isDatasetFormat(format)) {
+                    // Turned into one conversation record by datasetRecord
+                    out.push({ is_bot: is_bot, text: text });
             } else if (format === 'json') {
                 // Raw-ish JSON passthrough with a small normalization
                     var variations = null;
@@ -7414,8 +10974,17 @@
                     // pass through known useful bits if present:
                     uuid: msg.uuid,
                         character_uuid: (msg.character && msg.character.uuid ? msg.character.uuid : null),
-                        variations: variations
+                        variations: variations,
+                        image_url: imageUrlOf(msg)
                 });
+            } else if (format === 'markdown') {
+                    var block = '## ' + name + '\n\n*' + new Date(msg.created_at).toISOString() + '*';
+                    if (text) block += '\n\n' + text;
+                    if (msg.text_to_image && msg.text_to_image.output_image_url) {
+                        // Escape characters that would end the link target early
+                        block += '\n\n![](' + msg.text_to_image.output_image_url.replace(/ /g, '%20').replace(/\(/g, '%28').replace(/\)/g, '%29') + ')';
+                    }
+                    out.push(block);
             } else { // 'txt'
                 out.push(name + '\n\n' + text);
             }
@@ -7423,12 +10992,26 @@
 
         // Prepend character greeting if available
             var self = this;
-            var finishAndSave = function(greeting) {
+            var finishAndSave = function(greeting, character) {
                 var now = new Date();
-                var baseName = Utils.sanitizeFileName('Chat with ' + (character_name || 'Character') + ' ' + now.toISOString().slice(0,10));
+                var baseName = FileNames.name('chat', FileNames.chatValues(chat, { character: character_name, format: format }));
+                // Reports "Export complete" only once the file was handed to the browser
+                var saveFile = function(blob, filename) {
+                    if (options.onFile) {
+                        options.onFile(blob, filename);
+                        return;
+                    }
+                    FileCrypto.save(blob, filename, function(saved) {
+                        if (saved) {
+                            ExportManager.finishProgress(progressIndicator);
+                        } else if (progressIndicator) {
+                            DownloadQueue.fail(progressIndicator.job, 'Export finished, but the file was not saved');
+                        }
+                    });
+                };
 
             if (format === 'jsonl-st') {
-                    var header = { user_name: 'You', character_name: character_name || 'Character' };
+                    var header = { user_name: userName, character_name: character_name || 'Character' };
                     var lines = [JSON.stringify(header)];
 
                     // Add greeting as first message if available
@@ -7454,46 +11037,7 @@
                         lines.push(JSON.stringify(out[oi]));
                     }
                     var blob = new Blob([lines.join('\n')], { type: 'text/plain' });
-                    Utils.download(URL.createObjectURL(blob), baseName + '.jsonl');
-                    // Update progress indicator for completion
-                    if (progressIndicator) {
-                        progressIndicator.bar.style.width = '100%';
-                        progressIndicator.text.textContent = 'Export complete!';
-                        if (progressIndicator.minimizedProgressBar) {
-                            progressIndicator.minimizedProgressBar.style.width = '100%';
-                        }
-                        if (progressIndicator.minimizedStatusText) {
-                            progressIndicator.minimizedStatusText.textContent = 'Complete';
-                        }
-                        if (progressIndicator.cancelBtn) {
-                            progressIndicator.cancelBtn.textContent = 'Close';
-                        } else {
-                            var fullContent = progressIndicator.container.querySelector('.holly-progress-full-content');
-                            if (fullContent) {
-                                var buttons = fullContent.querySelectorAll('button');
-                                for (var b = 0; b < buttons.length; b++) {
-                                    if (buttons[b].textContent.trim() === 'Cancel') {
-                                        buttons[b].textContent = 'Close';
-                                        break;
-                                    }
-                                }
-                            }
-                        }
-                        // Auto-close if enabled (defaults to true if preference not set)
-                        if (localStorage.getItem('hollyAutoCloseProgress') !== 'false') {
-                            setTimeout(function() {
-                                if (progressIndicator && progressIndicator.container && progressIndicator.container.parentNode) {
-                                    progressIndicator.container.style.opacity = '0';
-                                    progressIndicator.container.style.transform = 'translate(-50%, -50%) scale(0.95)';
-                                    setTimeout(function() {
-                                        if (progressIndicator && progressIndicator.container && progressIndicator.container.parentNode) {
-                                            progressIndicator.container.parentNode.removeChild(progressIndicator.container);
-                                        }
-                                    }, 300);
-                                }
-                            }, 2000);
-                        }
-                    }
+                    saveFile(blob, baseName + '.jsonl');
             } else if (format === 'jsonl-openai') {
                     var lines = [];
                 if (greeting) {
@@ -7503,97 +11047,28 @@
                         lines.push(JSON.stringify(out[oi]));
                     }
                     var blob = new Blob([lines.join('\n')], { type: 'application/x-ndjson' });
-                    Utils.download(URL.createObjectURL(blob), baseName + '.jsonl');
-                    // Update progress indicator for completion
-                    if (progressIndicator) {
-                        progressIndicator.bar.style.width = '100%';
-                        progressIndicator.text.textContent = 'Export complete!';
-                        if (progressIndicator.minimizedProgressBar) {
-                            progressIndicator.minimizedProgressBar.style.width = '100%';
-                        }
-                        if (progressIndicator.minimizedStatusText) {
-                            progressIndicator.minimizedStatusText.textContent = 'Complete';
-                        }
-                        if (progressIndicator.cancelBtn) {
-                            progressIndicator.cancelBtn.textContent = 'Close';
-                        } else {
-                            var fullContent = progressIndicator.container.querySelector('.holly-progress-full-content');
-                            if (fullContent) {
-                                var buttons = fullContent.querySelectorAll('button');
-                                for (var b = 0; b < buttons.length; b++) {
-                                    if (buttons[b].textContent.trim() === 'Cancel') {
-                                        buttons[b].textContent = 'Close';
-                                        break;
-                                    }
-                                }
-                            }
-                        }
-                        // Auto-close if enabled (defaults to true if preference not set)
-                        if (localStorage.getItem('hollyAutoCloseProgress') !== 'false') {
-                            setTimeout(function() {
-                                if (progressIndicator && progressIndicator.container && progressIndicator.container.parentNode) {
-                                    progressIndicator.container.style.opacity = '0';
-                                    progressIndicator.container.style.transform = 'translate(-50%, -50%) scale(0.95)';
-                                    setTimeout(function() {
-                                        if (progressIndicator && progressIndicator.container && progressIndicator.container.parentNode) {
-                                            progressIndicator.container.parentNode.removeChild(progressIndicator.container);
-                                        }
-                                    }, 300);
-                                }
-                            }, 2000);
-                        }
-                    }
+                    saveFile(blob, baseName + '.jsonl');
+                } else if (ExportManager.isDatasetFormat(format)) {
+                    var record = ExportManager.datasetRecord(format, out, greeting, character, character_name || 'Character');
+                    var blob = new Blob([JSON.stringify(record) + '\n'], { type: 'application/x-ndjson' });
+                    saveFile(blob, baseName + '.jsonl');
                 } else if (format === 'json') {
                     var payload = {
-                    source: location.href,
+                    source: redaction ? redaction.source() : location.href,
                     exported_at: new Date().toISOString(),
                     character_name: character_name || null,
                     greeting: greeting || null,
                     messages: out
                 };
                     var blob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
-                    Utils.download(URL.createObjectURL(blob), baseName + '.json');
-                    // Update progress indicator for completion
-                    if (progressIndicator) {
-                        progressIndicator.bar.style.width = '100%';
-                        progressIndicator.text.textContent = 'Export complete!';
-                        if (progressIndicator.minimizedProgressBar) {
-                            progressIndicator.minimizedProgressBar.style.width = '100%';
-                        }
-                        if (progressIndicator.minimizedStatusText) {
-                            progressIndicator.minimizedStatusText.textContent = 'Complete';
-                        }
-                        if (progressIndicator.cancelBtn) {
-                            progressIndicator.cancelBtn.textContent = 'Close';
-                        } else {
-                            var fullContent = progressIndicator.container.querySelector('.holly-progress-full-content');
-                            if (fullContent) {
-                                var buttons = fullContent.querySelectorAll('button');
-                                for (var b = 0; b < buttons.length; b++) {
-                                    if (buttons[b].textContent.trim() === 'Cancel') {
-                                        buttons[b].textContent = 'Close';
-                                        break;
-                                    }
-                                }
-                            }
-                        }
-                        // Auto-close if enabled (defaults to true if preference not set)
-                        if (localStorage.getItem('hollyAutoCloseProgress') !== 'false') {
-                            setTimeout(function() {
-                                if (progressIndicator && progressIndicator.container && progressIndicator.container.parentNode) {
-                                    progressIndicator.container.style.opacity = '0';
-                                    progressIndicator.container.style.transform = 'translate(-50%, -50%) scale(0.95)';
-                                    setTimeout(function() {
-                                        if (progressIndicator && progressIndicator.container && progressIndicator.container.parentNode) {
-                                            progressIndicator.container.parentNode.removeChild(progressIndicator.container);
-                                        }
-                                    }, 300);
-                                }
-                            }, 2000);
-                        }
-                    }
-                } else if (format === 'html') {
+                    saveFile(blob, baseName + '.json');
+                } else if (format === 'html' || format === 'html-offline') {
                     // HTML export with embedded images
+                    // Offline mode inlines images as data URIs; placeholders are swapped in once fetched.
+                    // The placeholder carries a random token so text quoted in a message can never match it.
+                    var embedImages = format === 'html-offline';
+                    var embedQueue = [];
+                    var embedToken = 'holly-embed-' + crypto.randomUUID() + '-';
                     var htmlContent = '<!DOCTYPE html>\n' +
 '<html lang="en">\n' +
 '<head>\n' +
@@ -7700,7 +11175,7 @@
                         for (var i = 0; i < sortedMessages.length; i++) {
                             var msg = sortedMessages[i];
                             var is_bot = (msg.message_source === 'bot');
-                            var name = is_bot ? (msg.character && msg.character.nickname ? msg.character.nickname : character_name || 'Character') : 'You';
+                            var name = is_bot ? (msg.character && msg.character.nickname ? msg.character.nickname : character_name || 'Character') : userName;
                             var text = msg.message || '';
                             var ts = new Date(msg.created_at).toLocaleString();
                             var msgClass = is_bot ? 'assistant' : 'user';
@@ -7813,10 +11288,15 @@
                                     }
                                 }
 
-                                // Add image tags (using URLs - base64 embedding would make file huge)
+                                // Add image tags (remote URLs unless the offline mode embeds them)
                                 for (var imgUrlIdx = 0; imgUrlIdx < imageUrls.length; imgUrlIdx++) {
                                     var imgUrl = imageUrls[imgUrlIdx];
-                                    htmlContent += '\n            <img src="' + Utils.escapeHtml(imgUrl) + '" alt="Generated image" loading="lazy" onclick="window.open(this.src, \'_blank\')">';
+                                    if (embedImages) {
+                                        htmlContent += '\n            <img src="' + embedToken + embedQueue.length + '" alt="Generated image">';
+                                        embedQueue.push(imgUrl);
+                                    } else {
+                                        htmlContent += '\n            <img src="' + Utils.escapeHtml(imgUrl) + '" alt="Generated image" loading="lazy" onclick="window.open(this.src, \'_blank\')">';
+                                    }
                                 }
 
                                 htmlContent += '\n        </div>';
@@ -7827,59 +11307,68 @@
 
                         htmlContent += '\n</body>\n</html>';
 
-                        // Complete progress
-                        if (progressIndicator) {
-                            progressIndicator.bar.style.width = '100%';
-                            progressIndicator.text.textContent = 'Export complete!';
-                            // Update minimized progress bar
-                            if (progressIndicator.minimizedProgressBar) {
-                                progressIndicator.minimizedProgressBar.style.width = '100%';
-                            }
-                            // Update minimized status
-                            if (progressIndicator.minimizedStatusText) {
-                                progressIndicator.minimizedStatusText.textContent = 'Complete';
-                            }
-                            // Change cancel button to "Close"
-                            if (progressIndicator.cancelBtn) {
-                                progressIndicator.cancelBtn.textContent = 'Close';
-                            } else {
-                                // Fallback: try to find cancel button in DOM
-                                var fullContent = progressIndicator.container.querySelector('.holly-progress-full-content');
-                                if (fullContent) {
-                                    var buttons = fullContent.querySelectorAll('button');
-                                    for (var b = 0; b < buttons.length; b++) {
-                                        if (buttons[b].textContent.trim() === 'Cancel') {
-                                            buttons[b].textContent = 'Close';
-                                            break;
-                                        }
-                                    }
-                                }
-                            }
-
-                            // Auto-close if enabled (defaults to true if preference not set)
-                            if (localStorage.getItem('hollyAutoCloseProgress') !== 'false') {
-                                setTimeout(function() {
-                                    if (progressIndicator && progressIndicator.container && progressIndicator.container.parentNode) {
-                                        progressIndicator.container.style.opacity = '0';
-                                        progressIndicator.container.style.transform = 'translate(-50%, -50%) scale(0.95)';
-                                        setTimeout(function() {
-                                            if (progressIndicator && progressIndicator.container && progressIndicator.container.parentNode) {
-                                                progressIndicator.container.parentNode.removeChild(progressIndicator.container);
-                                            }
-                                            // Clear the progress indicator reference (need to find the button that owns it)
-                                            // The progressIndicator is stored on btn.progressIndicator, but we don't have btn reference here
-                                            // We'll clear it when the container is removed - the next export will create a new one
-                                        }, 300);
-                                    }
-                                }, 2000); // 2 second delay after completion
-                            }
+                        if (embedImages && embedQueue.length > 0) {
+                            ExportManager.embedImages(embedQueue, progressIndicator, function(dataUris) {
+                                htmlContent = htmlContent.replace(new RegExp(embedToken + '(\\d+)', 'g'), function(match, n) {
+                                    // Keep the remote URL for images that could not be fetched
+                                    return dataUris[n] || Utils.escapeHtml(embedQueue[n]);
+                                });
+                                saveFile(new Blob([htmlContent], { type: 'text/html' }), baseName + '.html');
+                            });
+                            return;
                         }
 
                         var blob = new Blob([htmlContent], { type: 'text/html' });
-                        Utils.download(URL.createObjectURL(blob), baseName + '.html');
+                        saveFile(blob, baseName + '.html');
                     };
 
                     processMessagesForHTML();
+            } else if (format === 'markdown') {
+                    // YAML front matter; JSON strings are valid YAML scalars and keep escaping simple
+                    var yaml = function(value) { return JSON.stringify(value === null || value === undefined ? '' : String(value)); };
+                    var characters = messageCharacters;
+                    if (chat && chat.chars && chat.chars.length) {
+                        characters = chat.chars.map(function(c) { return { name: c.name, uuid: c.uuid }; });
+                    }
+                    var firstMessage = sortedMessages[0];
+                    var lastMessage = sortedMessages[sortedMessages.length - 1];
+
+                    var front = ['---'];
+                    front.push('title: ' + yaml('Chat with ' + (character_name || 'Character')));
+                    front.push('chat_name: ' + yaml(chat && chat.name));
+                    front.push('chat_uuid: ' + yaml(chat && chat.uuid));
+                    if (characters.length) {
+                        front.push('characters:');
+                        for (var ci = 0; ci < characters.length; ci++) {
+                            front.push('  - name: ' + yaml(characters[ci].name));
+                            front.push('    uuid: ' + yaml(characters[ci].uuid));
+                        }
+                    } else {
+                        front.push('characters: []');
+                    }
+                    front.push('site: ' + yaml(location.hostname));
+                    front.push('first_message_at: ' + yaml(firstMessage ? new Date(firstMessage.created_at).toISOString() : ''));
+                    front.push('last_message_at: ' + yaml(lastMessage ? new Date(lastMessage.created_at).toISOString() : ''));
+                    front.push('exported_at: ' + yaml(now.toISOString()));
+                    front.push('---');
+
+                    var pieces = [front.join('\n'), '# Chat with ' + (character_name || 'Character')];
+                    if (greeting) pieces.push('## ' + (character_name || 'Character') + '\n\n' + greeting);
+                    for (var oi = 0; oi < out.length; oi++) {
+                        pieces.push(out[oi]);
+                    }
+                    var blob = new Blob([pieces.join('\n\n') + '\n'], { type: 'text/markdown' });
+                    saveFile(blob, baseName + '.md');
+            } else if (format === 'tree-txt' || format === 'tree-html') {
+                    self.exportVariationTree(sortedMessages, {
+                        format: format,
+                        characterName: character_name || 'Character',
+                        userName: userName,
+                        source: redaction ? redaction.source() : location.href,
+                        greeting: greeting,
+                        baseName: baseName,
+                        saveFile: saveFile
+                    });
             } else { // txt
                     var pieces = [];
                 if (greeting) pieces.push((character_name || 'Character') + '\n\n' + greeting);
@@ -7887,131 +11376,2477 @@
                         pieces.push(out[oi]);
                     }
                     var blob = new Blob([pieces.join('\n\n\n')], { type: 'text/plain' });
-                    Utils.download(URL.createObjectURL(blob), baseName + '.txt');
-                    // Update progress indicator for completion
-                    if (progressIndicator) {
-                        progressIndicator.bar.style.width = '100%';
-                        progressIndicator.text.textContent = 'Export complete!';
-                        if (progressIndicator.minimizedProgressBar) {
-                            progressIndicator.minimizedProgressBar.style.width = '100%';
-                        }
-                        if (progressIndicator.minimizedStatusText) {
-                            progressIndicator.minimizedStatusText.textContent = 'Complete';
-                        }
-                        if (progressIndicator.cancelBtn) {
-                            progressIndicator.cancelBtn.textContent = 'Close';
-                        } else {
-                            var fullContent = progressIndicator.container.querySelector('.holly-progress-full-content');
-                            if (fullContent) {
-                                var buttons = fullContent.querySelectorAll('button');
-                                for (var b = 0; b < buttons.length; b++) {
-                                    if (buttons[b].textContent.trim() === 'Cancel') {
-                                        buttons[b].textContent = 'Close';
-                                        break;
-                                    }
-                                }
-                            }
-                        }
-                        // Auto-close if enabled (defaults to true if preference not set)
-                        if (localStorage.getItem('hollyAutoCloseProgress') !== 'false') {
-                            setTimeout(function() {
-                                if (progressIndicator && progressIndicator.container && progressIndicator.container.parentNode) {
-                                    progressIndicator.container.style.opacity = '0';
-                                    progressIndicator.container.style.transform = 'translate(-50%, -50%) scale(0.95)';
-                                    setTimeout(function() {
-                                        if (progressIndicator && progressIndicator.container && progressIndicator.container.parentNode) {
-                                            progressIndicator.container.parentNode.removeChild(progressIndicator.container);
-                                        }
-                                    }, 300);
-                                }
-                            }, 2000);
-                        }
-                    }
+                    saveFile(blob, baseName + '.txt');
             }
         };
 
         // Fetch greeting once (as original), then emit
-            API.ajax('https://api.' + location.hostname + '/v1/characters/' + character_uuid, false, function (r) {
+            API.getJSON(API.url('/characters/' + (redaction ? redaction.originalId(character_uuid) : character_uuid)), { signal: progressIndicator ? progressIndicator.signal : null }).then(function (j) {
                 var greeting = null;
-            try {
-                    var j = r ? JSON.parse(r) : null;
+                if (redaction && j && !j.error) j = redaction.character(j);
                 if (j && !j.error) {
                     // maintain compatibility with existing keys
                     greeting = j.char_greeting || j.greeting || null;
                     if (!character_name) character_name = j.char_name || character_name;
                 }
-                } catch (e) {}
-            finishAndSave(greeting);
-        });
-    }
-    };
+                finishAndSave(greeting, j && !j.error ? j : null);
+            }, function (error) {
+                // A cancelled export saves nothing; any other failure just leaves the greeting out
+                if (error.name !== 'AbortError') finishAndSave(null);
+            });
+    },
 
-    // Backward compatibility wrapper
-    function exportConversation(messages, progressIndicator) {
-        return ExportManager.exportConversation(messages, progressIndicator);
-    }
+        // 'sharegpt' and 'chatml' write one conversation per line, and bulk exports merge them into a single dataset file
+        isDatasetFormat: function(format) {
+            return format === 'sharegpt' || format === 'chatml';
+        },
 
-    // ============================================================================
-    // NETWORK UTILITIES
-    // ============================================================================
-    var API = {
-        // Main AJAX function with retry logic
-        ajax: function(url, post, callback, csrf, tries) {
-            if (typeof tries === 'undefined') {
-                tries = 0;
+        // One training conversation from [{ is_bot, text }]: ShareGPT { conversations: [{ from, value }] }
+        // or ChatML { messages: [{ role, content }] }. Consecutive messages from the same side are merged
+        // so that turns alternate, and empty (image-only) messages are left out.
+        // character: /v1/characters/{uuid} response or null, used for the ChatML system prompt.
+        datasetRecord: function(format, turns, greeting, character, characterName) {
+            var merged = [];
+            var all = greeting ? [{ is_bot: true, text: greeting }].concat(turns) : turns;
+            for (var i = 0; i < all.length; i++) {
+                var text = (all[i].text || '').trim();
+                if (!text) continue;
+                var last = merged[merged.length - 1];
+                if (last && last.is_bot === all[i].is_bot) {
+                    last.text += '\n\n' + text;
+                } else {
+                    merged.push({ is_bot: all[i].is_bot, text: text });
+                }
             }
-        try {
-            var request = new XMLHttpRequest();
-            request.onreadystatechange = function () {
-            if (request.readyState !== 4) return;
 
-            var okay = (request.status >= 200 && request.status < 300);
-            var notFound = (request.status === 404);
+            if (format === 'sharegpt') {
+                return {
+                    conversations: merged.map(function(turn) {
+                        return { from: turn.is_bot ? 'gpt' : 'human', value: turn.text };
+                    })
+                };
+            }
+            var messages = merged.map(function(turn) {
+                return { role: turn.is_bot ? 'assistant' : 'user', content: turn.text };
+            });
+            var system = localStorage.getItem('hollyChatmlSystemPrompt') !== 'none' && character
+                ? ExportManager.systemPrompt(ExportManager.characterCard(character, { name: characterName }).data)
+                : null;
+            if (system) messages.unshift({ role: 'system', content: system });
+            return { messages: messages };
+        },
+
+        // System prompt from a character card's definition fields, or null when there is nothing to describe
+        systemPrompt: function(card) {
+            var parts = [];
+            if (card.description) parts.push(card.description);
+            if (card.personality) parts.push(card.name + '\'s personality: ' + card.personality);
+            if (card.scenario) parts.push('Scenario: ' + card.scenario);
+            if (card.mes_example) parts.push('Example dialogue:\n' + card.mes_example);
+            if (parts.length === 0) return null;
+            return ('You are ' + card.name + '.\n\n' + parts.join('\n\n')).replace(/\{\{char\}\}/gi, card.name).replace(/\{\{user\}\}/gi, 'User');
+        },
+
+        // Turns of a conversation with every variation (swipe) of each message.
+        // Returns [{ uuid, author, is_bot, created_at, selected, variations: [{ uuid, text }] }], oldest first.
+        // Only the selected variation of a turn was continued, so every other variation is a branch that ends there.
+        buildVariationTree: function(sortedMessages, characterName, userName) {
+            var turns = [];
+            for (var i = 0; i < sortedMessages.length; i++) {
+                var msg = sortedMessages[i];
+                var is_bot = (msg.message_source === 'bot');
+                var variations = [];
+                var selected = 0;
+                if (msg.message_variations && Array.isArray(msg.message_variations) && msg.message_variations.length > 0) {
+                    for (var v = 0; v < msg.message_variations.length; v++) {
+                        variations.push({ uuid: msg.message_variations[v].uuid, text: msg.message_variations[v].message || '' });
+                        if (msg.message_variations[v].uuid === msg.uuid) selected = v;
+                    }
+                } else {
+                    variations.push({ uuid: msg.uuid, text: msg.message || '' });
+                }
+                turns.push({
+                    uuid: msg.uuid,
+                    author: is_bot ? (msg.character && msg.character.nickname ? msg.character.nickname : characterName) : (userName || 'You'),
+                    is_bot: is_bot,
+                    created_at: msg.created_at,
+                    image_url: (is_bot && msg.text_to_image && msg.text_to_image.output_image_url) || null,
+                    selected: selected,
+                    variations: variations
+                });
+            }
+            return turns;
+        },
+
+        // Root-to-leaf paths of the tree: the selected path first, then one path per non-selected variation.
+        // Each path is { turn, variation, lines: [{ author, text }] }, turn/variation being the branch point (-1 for the selected path).
+        variationPaths: function(turns) {
+            var selectedLines = function(count) {
+                var lines = [];
+                for (var t = 0; t < count; t++) {
+                    lines.push({ author: turns[t].author, text: turns[t].variations[turns[t].selected].text });
+                }
+                return lines;
+            };
+            var paths = [{ turn: -1, variation: -1, lines: selectedLines(turns.length) }];
+            for (var t = 0; t < turns.length; t++) {
+                for (var v = 0; v < turns[t].variations.length; v++) {
+                    if (v === turns[t].selected) continue;
+                    var lines = selectedLines(t);
+                    lines.push({ author: turns[t].author, text: turns[t].variations[v].text });
+                    paths.push({ turn: t, variation: v, lines: lines });
+                }
+            }
+            return paths;
+        },
+
+        // tree-txt: ZIP with one linear transcript per path plus tree.json. tree-html: one page, alternates collapsed per turn.
+        // context: { format, characterName, userName, source, greeting, baseName, saveFile(blob, filename) }
+        exportVariationTree: function(sortedMessages, context) {
+            var turns = this.buildVariationTree(sortedMessages, context.characterName, context.userName);
 
-            if (okay || notFound) {
-                if (callback) callback(request.responseText, request.getResponseHeader('X-Csrf-Token'), request.status);
+            if (context.format === 'tree-txt') {
+                var paths = this.variationPaths(turns);
+                var archive = ZipWriter.create();
+                var pad = function(n) { return ('000' + n).slice(-4); };
+                for (var p = 0; p < paths.length; p++) {
+                    var pieces = [];
+                    if (context.greeting) pieces.push(context.characterName + '\n\n' + context.greeting);
+                    for (var l = 0; l < paths[p].lines.length; l++) {
+                        pieces.push(paths[p].lines[l].author + '\n\n' + paths[p].lines[l].text);
+                    }
+                    var fileName = p === 0 ? '0000 Selected path' : pad(paths[p].turn + 1) + ' Turn ' + (paths[p].turn + 1) + ' variation ' + (paths[p].variation + 1);
+                    archive.addFile(fileName + '.txt', pieces.join('\n\n\n'));
+                }
+                archive.addFile('tree.json', JSON.stringify({
+                    source: context.source,
+                    exported_at: new Date().toISOString(),
+                    character_name: context.characterName,
+                    greeting: context.greeting || null,
+                    path_count: paths.length,
+                    turns: turns
+                }, null, 2));
+                archive.generate(function(blob) {
+                    context.saveFile(blob, context.baseName + ' variations.zip');
+                });
                 return;
             }
 
-            // Retry on 429/5xx with exponential backoff
-            if ((request.status === 429 || (request.status >= 500 && request.status < 600)) && tries < 6) {
-                var backoff = Math.min(2000 * Math.pow(2, tries), 15000); // cap at 15s
-                console.warn('AJAX retry', request.status, '→ waiting', backoff, 'ms for', url);
-                setTimeout(function() {
-                    API.ajax(url, post, callback, csrf, tries + 1);
-                }, backoff);
-            } else {
-                console.error('AJAX error: HTTP', request.status, 'URL:', url);
-                if (callback) callback(null, null, request.status);
+            // tree-html
+            var accent = isMoescape ? '#E4F063' : '#f597E8';
+            var branchCount = 0;
+            var body = '';
+            if (context.greeting) {
+                body += '\n    <div class="turn"><div class="author">' + Utils.escapeHtml(context.characterName) + '</div><div class="text">' + Utils.escapeHtml(context.greeting) + '</div></div>';
+            }
+            for (var t = 0; t < turns.length; t++) {
+                var turn = turns[t];
+                body += '\n    <div class="turn' + (turn.is_bot ? '' : ' user') + '">' +
+                    '<div class="author">' + Utils.escapeHtml(turn.author) + '<span class="meta">' + Utils.escapeHtml(new Date(turn.created_at).toLocaleString()) +
+                    (turn.variations.length > 1 ? ' · variation ' + (turn.selected + 1) + ' of ' + turn.variations.length : '') + '</span></div>' +
+                    '<div class="text">' + Utils.escapeHtml(turn.variations[turn.selected].text) + '</div>';
+                if (turn.image_url) {
+                    body += '<img src="' + Utils.escapeHtml(turn.image_url) + '" alt="Generated image" loading="lazy">';
+                }
+                if (turn.variations.length > 1) {
+                    branchCount += turn.variations.length - 1;
+                    body += '<details><summary>' + (turn.variations.length - 1) + ' other variation' + (turn.variations.length === 2 ? '' : 's') + '</summary>';
+                    for (var v = 0; v < turn.variations.length; v++) {
+                        if (v === turn.selected) continue;
+                        body += '<div class="alternate"><div class="meta">Variation ' + (v + 1) + '</div><div class="text">' + Utils.escapeHtml(turn.variations[v].text) + '</div></div>';
+                    }
+                    body += '</details>';
+                }
+                body += '</div>';
             }
-            };
 
-            request.withCredentials = true;
+            var htmlContent = '<!DOCTYPE html>\n' +
+'<html lang="en">\n' +
+'<head>\n' +
+'    <meta charset="UTF-8">\n' +
+'    <meta name="viewport" content="width=device-width, initial-scale=1.0">\n' +
+'    <title>Chat with ' + Utils.escapeHtml(context.characterName) + ' (all variations)</title>\n' +
+'    <style>\n' +
+'        * { margin: 0; padding: 0; box-sizing: border-box; }\n' +
+'        body { font-family: -apple-system, BlinkMacSystemFont, \'Segoe UI\', Roboto, sans-serif; background: #151820; color: #ffffff; line-height: 1.6; padding: 20px; max-width: 1200px; margin: 0 auto; }\n' +
+'        .header { background: #25282c; padding: 20px; border-radius: 12px; margin-bottom: 20px; border: 1px solid #303439; }\n' +
+'        .header h1 { font-size: 24px; margin-bottom: 8px; color: ' + accent + '; }\n' +
+'        .meta { color: #999; font-size: 12px; font-weight: normal; margin-left: 8px; }\n' +
+'        .header .meta { margin-left: 0; font-size: 14px; }\n' +
+'        .turn { background: #25282c; padding: 16px; border-radius: 8px; margin-bottom: 16px; border-left: 4px solid ' + accent + '; }\n' +
+'        .turn.user { border-left-color: #4b5563; }\n' +
+'        .author { font-weight: 600; margin-bottom: 8px; color: ' + accent + '; }\n' +
+'        .turn.user .author { color: #ffffff; }\n' +
+'        .text { color: #e0e0e0; white-space: pre-wrap; word-wrap: break-word; }\n' +
+'        .turn img { display: block; margin-top: 12px; max-width: 100%; max-height: 400px; border-radius: 8px; border: 1px solid #303439; }\n' +
+'        details { margin-top: 12px; }\n' +
+'        summary { cursor: pointer; color: ' + accent + '; font-size: 14px; }\n' +
+'        .alternate { margin-top: 10px; padding: 12px; background: #1e2125; border-radius: 6px; border: 1px dashed #303439; }\n' +
+'        .alternate .meta { margin: 0 0 6px 0; }\n' +
+'    </style>\n' +
+'</head>\n' +
+'<body>\n' +
+'    <div class="header">\n' +
+'        <h1>Chat with ' + Utils.escapeHtml(context.characterName) + '</h1>\n' +
+'        <div class="meta">' + turns.length + ' turns, ' + branchCount + ' alternate variations · Exported on ' + new Date().toLocaleString() + ' from ' + location.hostname + '</div>\n' +
+'    </div>' + body + '\n' +
+'</body>\n' +
+'</html>\n';
+
+            context.saveFile(new Blob([htmlContent], { type: 'text/html' }), context.baseName + ' variations.html');
+        },
 
-            if (post) {
-            request.open('POST', url, true);
-            if (csrf) request.setRequestHeader('X-Csrf-Token', csrf);
-            request.setRequestHeader('Content-Type', 'application/json');
-            request.send(JSON.stringify(post));
-            } else {
-            request.open('GET', url, true);
-            request.send();
+        // SillyTavern Character Card V2 from a /v1/characters/{uuid} response; `char` is the chat list entry (name fallback).
+        // The V1 fields are repeated at the top level for importers that predate V2.
+        characterCard: function(j, char) {
+            var pick = function() {
+                for (var i = 0; i < arguments.length; i++) {
+                    if (typeof j[arguments[i]] === 'string' && j[arguments[i]]) return j[arguments[i]];
+                }
+                return '';
+            };
+            var tags = Array.isArray(j.tags) ? j.tags.map(function(tag) {
+                return typeof tag === 'string' ? tag : (tag && (tag.name || tag.label)) || '';
+            }).filter(function(tag) { return tag; }) : [];
+            var creator = j.creator && typeof j.creator === 'object' ? (j.creator.name || j.creator.username || '') : pick('creator', 'creator_name');
+
+            var data = {
+                name: pick('char_name', 'name') || (char && char.name) || 'Character',
+                description: pick('char_persona', 'persona', 'definition'),
+                personality: pick('char_personality', 'personality'),
+                scenario: pick('world_scenario', 'scenario'),
+                first_mes: pick('char_greeting', 'greeting'),
+                mes_example: pick('example_dialogue', 'char_example_dialogue', 'example_dialogs'),
+                creator_notes: pick('creator_notes', 'description', 'tagline'),
+                system_prompt: '',
+                post_history_instructions: '',
+                alternate_greetings: [],
+                tags: tags,
+                creator: creator,
+                character_version: '',
+                extensions: {}
+            };
+            return {
+                spec: 'chara_card_v2',
+                spec_version: '2.0',
+                name: data.name,
+                description: data.description,
+                personality: data.personality,
+                scenario: data.scenario,
+                first_mes: data.first_mes,
+                mes_example: data.mes_example,
+                data: data
+            };
+        },
+
+        // Base64 of the UTF-8 JSON, as SillyTavern expects in the "chara" chunk
+        cardToBase64: function(card) {
+            var bytes = new TextEncoder().encode(JSON.stringify(card));
+            var binary = '';
+            for (var i = 0; i < bytes.length; i += 0x8000) {
+                binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
             }
-        } catch (e) {
-            console.error('AJAX exception:', e);
-            if (tries < 6) {
-            var backoff = Math.min(2000 * Math.pow(2, tries), 15000);
-            setTimeout(function() {
-                API.ajax(url, post, callback, csrf, tries + 1);
-            }, backoff);
+            return btoa(binary);
+        },
+
+        // PNG bytes of an image blob, re-encoding other formats through a canvas. callback(bytes) or callback(null).
+        toPngBytes: function(blob, callback) {
+            ZipWriter.toBytes(blob, function(bytes) {
+                if (!bytes) {
+                    callback(null);
+                    return;
+                }
+                if (ImageMetadata.detectType(bytes) === 'png') {
+                    callback(bytes);
+                    return;
+                }
+                createImageBitmap(blob).then(function(bitmap) {
+                    var canvas = document.createElement('canvas');
+                    canvas.width = bitmap.width;
+                    canvas.height = bitmap.height;
+                    canvas.getContext('2d').drawImage(bitmap, 0, 0);
+                    canvas.toBlob(function(png) {
+                        if (png) {
+                            ZipWriter.toBytes(png, callback);
+                        } else {
+                            callback(null);
+                        }
+                    }, 'image/png');
+                }, function(error) {
+                    console.error('Error decoding character image:', error);
+                    callback(null);
+                });
+            });
+        },
+
+        // Save a character as <name>.json and <name>.png (card in a "chara" tEXt chunk over the thumbnail)
+        exportCharacterCard: function(char, triggerEl) {
+            if (!char || !char.uuid || (triggerEl && triggerEl.busy)) return;
+            if (triggerEl) triggerEl.busy = true;
+            var done = function() {
+                if (triggerEl) triggerEl.busy = false;
+            };
+
+            API.getJSON(API.url('/characters/' + char.uuid)).then(function(j) {
+                if (!j || j.error) throw new Error(j && j.error ? String(j.error) : 'character not found');
+                var card = ExportManager.characterCard(j, char);
+                var baseName = Utils.sanitizeFileName(card.data.name);
+                Utils.download(URL.createObjectURL(new Blob([JSON.stringify(card, null, 2)], { type: 'application/json' })), baseName + '.json');
+
+                var photos = j.photos || char.photos || {};
+                var photoUrl = photos.thumbnail || (photos.foreground && photos.foreground[0]) || null;
+                if (!photoUrl) {
+                    console.warn('No photo for ' + card.data.name + ', saved the JSON card only');
+                    done();
+                    return;
+                }
+                // Character photos don't allow CORS, so they go through the userscript manager (see ImageManager.fetchPrivileged)
+                var photo = photoUrl.indexOf('characterphotos.yodayo.com') !== -1
+                    ? new Promise(function(resolve, reject) {
+                        ImageManager.fetchPrivileged(photoUrl, null, function(error, blob) {
+                            if (error) reject(error); else resolve(blob);
+                        });
+                    })
+                    : fetch(photoUrl).then(function(response) {
+                        if (!response.ok) throw new Error('HTTP error! status: ' + response.status);
+                        return response.blob();
+                    });
+                return photo.then(function(blob) {
+                    ExportManager.toPngBytes(blob, function(bytes) {
+                        done();
+                        if (!bytes) {
+                            alert('Saved ' + baseName + '.json, but the character image could not be converted to PNG.');
+                            return;
+                        }
+                        var png = ImageMetadata.embedPng(bytes, ExportManager.cardToBase64(card), 'chara');
+                        Utils.download(URL.createObjectURL(new Blob([png], { type: 'image/png' })), baseName + '.png');
+                    });
+                }, function(error) {
+                    done();
+                    console.error('Error fetching character image:', error);
+                    alert('Saved ' + baseName + '.json, but the character image could not be downloaded (' + error.message + '), so there is no PNG card.');
+                });
+            }).catch(function(error) {
+                done();
+                console.error('Error exporting character card:', error);
+                alert('Could not export the character card for ' + (char.name || char.uuid) + ': ' + error.message);
+            });
+        },
+
+        // File name (without extension) used for a chat inside a bulk archive
+        bulkFileName: function(chat) {
+            var charNames = [];
+            if (chat.chars && Array.isArray(chat.chars)) {
+                for (var cn = 0; cn < chat.chars.length; cn++) {
+                    charNames.push(chat.chars[cn].name);
+                }
             }
-        }
+            var label = charNames.join(', ') || chat.name || 'Chat';
+            return Utils.sanitizeFileName(label + ' ' + (chat.date || '').slice(0, 10) + ' ' + (chat.uuid || '').slice(0, 8));
+        },
+
+        // Export several chats into one ZIP archive using the currently selected download format.
+        // Chats are walked one at a time through retrieveConversationChunk, then packed with a manifest.json.
+        // Dataset formats (sharegpt, chatml) skip the ZIP: every conversation becomes one line of a single .jsonl file.
+        // options.changedOnly: incremental backup, only chats with messages since their last export (see BackupState)
+        exportChatsToZip: function(chats, triggerBtn, options) {
+            if (!chats || chats.length === 0) return;
+            options = options || {};
+            if (FileCrypto.getPassword() === '') {
+                alert('Enter a password next to "Encrypt with password", or untick it, then export again.');
+                return;
+            }
+            var changedOnly = !!options.changedOnly;
+
+            var formatSelect = document.getElementById('holly_download_format');
+            var format = formatSelect ? formatSelect.value : 'txt';
+            var archive = ZipWriter.create();
+            var redaction = Redactor.forExport(); // one context, so stand-in names and ids match across files
+            var datasetLines = ExportManager.isDatasetFormat(format) ? [] : null;
+            var manifest = {
+                source: location.hostname,
+                exported_at: new Date().toISOString(),
+                format: format,
+                chat_count: chats.length,
+                chats: [],
+                failed: []
+            };
+            if (changedOnly) {
+                manifest.backup = {
+                    previous_backup_at: BackupState.load().updated_at,
+                    changed_chats: 0,
+                    first_backup_chats: 0,
+                    new_messages: 0,
+                    unchanged_chats: 0
+                };
+            }
+
+            var idleText = triggerBtn ? triggerBtn.innerText : '';
+            if (triggerBtn) {
+                triggerBtn.busy = true;
+                triggerBtn.innerText = '(Exporting...)';
+            }
+            var resetTrigger = function() {
+                if (triggerBtn) {
+                    triggerBtn.busy = false;
+                    triggerBtn.innerText = idleText;
+                }
+            };
+
+            // Stand-in "button" for retrieveConversationChunk; onMessages is swapped per chat
+            var job = { busy: true, cancelled: false, onMessages: null, chatUuid: null };
+            job.onCancel = function() {
+                job.cancelled = true;
+                exportCheckpoints.removeBulk();
+                if (job.chatUuid) exportCheckpoints.remove(job.chatUuid); // the chat being fetched
+                resetTrigger();
+            };
+            job.progressIndicator = createExportProgressIndicator(job, 0, changedOnly ? 'Backing up ' + chats.length + ' Chats...' : 'Exporting ' + chats.length + ' Chats...');
+            var indicator = job.progressIndicator;
+
+            var setProgress = function(percent, text) {
+                DownloadQueue.setProgress(indicator.job, percent, text);
+            };
+            var retryChats = []; // chats whose messages could not be fetched, offered again through Retry
+
+            var exportedWatermarks = {}; // chat uuid -> newest exported message, recorded in BackupState on completion
+
+            var describeChat = function(chat) {
+                if (redaction) chat = redaction.chat(chat);
+                return {
+                    uuid: chat.uuid,
+                    name: chat.name || null,
+                    date: chat.date || null,
+                    characters: (chat.chars || []).map(function(c) { return { name: c.name, uuid: c.uuid }; })
+                };
+            };
+
+            var backupSummary = function() {
+                var b = manifest.backup;
+                var summary = 'Backup complete! ' + b.changed_chats + ' chat' + (b.changed_chats === 1 ? '' : 's') + ' with ' + b.new_messages + ' new messages';
+                if (b.first_backup_chats > 0) summary += ' (' + b.first_backup_chats + ' backed up for the first time)';
+                summary += ', ' + b.unchanged_chats + ' unchanged';
+                if (manifest.failed.length > 0) summary += ', ' + manifest.failed.length + ' failed';
+                return summary;
+            };
+
+            var finish = function() {
+                // State is only committed once the archive is actually handed to the browser
+                var complete = function(summary) {
+                    exportCheckpoints.removeBulk();
+                    for (var uuid in exportedWatermarks) {
+                        BackupState.record(uuid, exportedWatermarks[uuid]);
+                    }
+                    BackupState.save();
+                    resetTrigger();
+                    if (retryChats.length === 0) {
+                        DownloadQueue.finish(indicator.job, summary);
+                        return;
+                    }
+                    // Another archive with just the chats that failed to load
+                    DownloadQueue.fail(indicator.job, summary, function() {
+                        ExportManager.exportChatsToZip(retryChats, null, options);
+                    });
+                };
+                var notSaved = function() {
+                    exportCheckpoints.removeBulk();
+                    DownloadQueue.fail(indicator.job, 'Export finished, but the file was not saved');
+                    resetTrigger();
+                };
+
+                if (changedOnly && manifest.chats.length === 0) {
+                    complete(manifest.failed.length > 0 ? backupSummary() : 'Nothing new since the last backup');
+                    return;
+                }
+
+                if (datasetLines) {
+                    var datasetName = Utils.sanitizeFileName(location.hostname + ' ' + format + ' dataset ' + new Date().toISOString().slice(0, 10)) + '.jsonl';
+                    FileCrypto.save(new Blob([datasetLines.join('\n') + '\n'], { type: 'application/x-ndjson' }), datasetName, function(saved) {
+                        if (!saved) {
+                            notSaved();
+                            return;
+                        }
+                        // There's no manifest next to a dataset, so the skipped chats and why are only in the row's items
+                        var datasetSummary = 'Export complete! ' + manifest.chats.length + ' of ' + chats.length + ' chats in ' + datasetName;
+                        if (manifest.failed.length > 0) datasetSummary += ' (' + manifest.failed.length + ' skipped, see Items)';
+                        complete(changedOnly ? backupSummary() : datasetSummary);
+                    });
+                    return;
+                }
+
+                setProgress(98, 'Building ZIP archive...');
+                archive.addFile('manifest.json', JSON.stringify(manifest, null, 2));
+                archive.generate(function(blob) {
+                    if (job.cancelled) return;
+                    var zipName = Utils.sanitizeFileName(location.hostname + (changedOnly ? ' backup ' + new Date().toISOString().slice(0, 19).replace(/:/g, '-') : ' chats ' + new Date().toISOString().slice(0, 10))) + '.zip';
+                    FileCrypto.save(blob, zipName, function(saved) {
+                        if (!saved) {
+                            notSaved();
+                            return;
+                        }
+                        var summary = 'Export complete! ' + manifest.chats.length + ' of ' + chats.length + ' chats archived';
+                        if (manifest.failed.length > 0) summary += ' (' + manifest.failed.length + ' skipped, see manifest.json)';
+                        complete(changedOnly ? backupSummary() : summary);
+                    });
+                });
+            };
+
+            // Waits for a free slot in the download queue, and between chats while the job is paused
+            var exportNext = function(index) {
+                if (job.cancelled) return;
+                DownloadQueue.whenRunnable(indicator.job, function() {
+                    exportChat(index);
+                });
+            };
+
+            var exportChat = function(index) {
+                if (index >= chats.length) {
+                    finish();
+                    return;
+                }
+
+                var chat = chats[index];
+                job.chatUuid = chat.uuid;
+                var chatLabel = ExportManager.bulkFileName(redaction ? redaction.chat(chat) : chat);
+                var percent = Math.floor((index / chats.length) * 95);
+                setProgress(percent, 'Chat ' + (index + 1) + ' of ' + chats.length + ': ' + chatLabel);
+                DownloadQueue.itemStatus(indicator.job, chat.uuid, chatLabel, 'running');
+
+                var skip = function(reason) {
+                    var entry = describeChat(chat);
+                    entry.error = reason;
+                    manifest.failed.push(entry);
+                    DownloadQueue.itemStatus(indicator.job, chat.uuid, chatLabel, 'failed', reason);
+                    setTimeout(function() { exportNext(index + 1); }, 300);
+                };
+
+                // Chat list says nothing happened since the last backup: don't even fetch it
+                if (changedOnly && !BackupState.mayHaveChanged(chat)) {
+                    manifest.backup.unchanged_chats++;
+                    DownloadQueue.itemStatus(indicator.job, chat.uuid, chatLabel, 'done', 'unchanged');
+                    setTimeout(function() { exportNext(index + 1); }, 0);
+                    return;
+                }
+
+                job.onMessages = function(messages) {
+                    if (job.cancelled) return;
+                    if (!messages) {
+                        retryChats.push(chat);
+                        skip('Failed to fetch messages');
+                        return;
+                    }
+                    if (messages.length === 0) {
+                        skip('Conversation is empty');
+                        return;
+                    }
+                    var changes = BackupState.getChanges(chat.uuid, messages);
+                    if (changedOnly && !changes) {
+                        manifest.backup.unchanged_chats++;
+                        DownloadQueue.itemStatus(indicator.job, chat.uuid, chatLabel, 'done', 'unchanged');
+                        setTimeout(function() { exportNext(index + 1); }, 300);
+                        return;
+                    }
+                    // file: name inside the ZIP, or null for a dataset line
+                    var addEntry = function(file) {
+                        var entry = describeChat(chat);
+                        if (file) entry.file = file;
+                        entry.message_count = messages.length;
+                        if (changedOnly) {
+                            entry.new_messages = changes.newMessages;
+                            entry.first_backup = changes.firstBackup;
+                            manifest.backup.changed_chats++;
+                            manifest.backup.new_messages += changes.newMessages;
+                            if (changes.firstBackup) manifest.backup.first_backup_chats++;
+                        }
+                        manifest.chats.push(entry);
+                        exportedWatermarks[chat.uuid] = chatCache.getWatermark(messages);
+                        DownloadQueue.itemStatus(indicator.job, chat.uuid, chatLabel, 'done');
+                        // Small delay between chats to stay under the API rate limit
+                        setTimeout(function() { exportNext(index + 1); }, 300);
+                    };
+                    ExportManager.exportConversation(messages, null, {
+                        chat: chat,
+                        redaction: redaction,
+                        onFile: function(blob, filename) {
+                            if (datasetLines) {
+                                blob.text().then(function(line) {
+                                    if (job.cancelled) return;
+                                    datasetLines.push(line.trim());
+                                    addEntry(null);
+                                });
+                            } else {
+                                var entryName = FileNames.name('chatInZip', FileNames.chatValues(redaction ? redaction.chat(chat) : chat, {
+                                    format: format,
+                                    index: index + 1,
+                                    total: chats.length
+                                }));
+                                addEntry(archive.addFile(entryName + filename.slice(filename.lastIndexOf('.')), blob));
+                            }
+                        }
+                    });
+                };
+
+                retrieveConversationChunk(chat.uuid, 0, [], job);
+            };
+
+            // The archive itself lives in memory, so a resumed bulk export starts over; chats finished
+            // before the interruption come back from their stored copies without being refetched
+            exportCheckpoints.saveBulk({ chats: chats, format: format, changedOnly: changedOnly });
+            exportNext(0);
+        }
+    };
+
+    // Backward compatibility wrapper
+    function exportConversation(messages, progressIndicator, options) {
+        return ExportManager.exportConversation(messages, progressIndicator, options);
+    }
+
+    // ============================================================================
+    // ARCHIVE VIEWER MODULE
+    // ============================================================================
+    // Reads chats back from files written by exportConversation (json, jsonl-st, jsonl-openai).
+    // Everything comes from the file, so deleted chats stay readable without the API.
+    var ArchiveViewer = {
+        // Speaker colors for the characters, in order of appearance (the user gets the theme accent)
+        SPEAKER_COLORS: ['#60a5fa', '#f472b6', '#34d399', '#fbbf24', '#a78bfa', '#f87171', '#2dd4bf'],
+
+        // Normalize an export to { title, format, messages: [{ author, isUser, timestamp, variations: [text], selected, images: [url] }] }.
+        // Throws an Error with a readable message for anything else.
+        parse: function(text, fileName) {
+            var trimmed = text.replace(/^\uFEFF/, '').trim();
+            if (!trimmed) throw new Error('the file is empty');
+
+            var whole = null;
+            try {
+                whole = JSON.parse(trimmed);
+            } catch (e) {}
+            if (whole && Array.isArray(whole.messages)) {
+                return this.parseJson(whole, fileName);
+            }
+
+            var records = [];
+            var lines = trimmed.split(/\r?\n/);
+            for (var i = 0; i < lines.length; i++) {
+                if (!lines[i].trim()) continue;
+                try {
+                    records.push(JSON.parse(lines[i]));
+                } catch (e) {
+                    throw new Error('line ' + (i + 1) + ' is not valid JSON');
+                }
+            }
+            if (records.some(function(r) { return r && typeof r.mes === 'string'; })) {
+                return this.parseSillyTavern(records, fileName);
+            }
+            if (records.some(function(r) { return r && r.role && typeof r.content === 'string'; })) {
+                return this.parseOpenAI(records, fileName);
+            }
+            throw new Error('not a JSON or JSONL chat export');
+        },
+
+        // Variation texts with the one that was shown in the chat selected; keeps `text` even if it isn't among them
+        withSelected: function(variations, selectedIndex, text) {
+            if (!variations || variations.length === 0) return { variations: [text || ''], selected: 0 };
+            if (selectedIndex >= 0 && selectedIndex < variations.length) return { variations: variations, selected: selectedIndex };
+            var found = variations.indexOf(text);
+            if (found !== -1) return { variations: variations, selected: found };
+            return { variations: [text || ''].concat(variations), selected: 0 };
+        },
+
+        // exportConversation 'json': { character_name, greeting, messages: [{ author, role, timestamp, text, uuid, variations, image_url }] }
+        parseJson: function(data, fileName) {
+            var messages = [];
+            if (data.greeting) {
+                messages.push({ author: data.character_name || 'Character', isUser: false, timestamp: null, variations: [data.greeting], selected: 0, images: [] });
+            }
+            for (var i = 0; i < data.messages.length; i++) {
+                var m = data.messages[i] || {};
+                var texts = null;
+                var selected = -1;
+                if (Array.isArray(m.variations) && m.variations.length > 0) {
+                    texts = [];
+                    for (var v = 0; v < m.variations.length; v++) {
+                        texts.push(m.variations[v].text || '');
+                        if (m.uuid && m.variations[v].uuid === m.uuid) selected = v;
+                    }
+                }
+                var picked = this.withSelected(texts, selected, m.text);
+                messages.push({
+                    author: m.author || (m.role === 'user' ? 'You' : 'Character'),
+                    isUser: m.role === 'user',
+                    timestamp: m.timestamp || null,
+                    variations: picked.variations,
+                    selected: picked.selected,
+                    images: m.image_url ? [m.image_url] : []
+                });
+            }
+            return { title: data.character_name ? 'Chat with ' + data.character_name : fileName, format: 'JSON', messages: messages };
+        },
+
+        // exportConversation 'jsonl-st': a { user_name, character_name } header line, then one { name, is_user, send_date, mes, swipes, swipe_id, extra } per line
+        parseSillyTavern: function(records, fileName) {
+            var characterName = null;
+            var messages = [];
+            for (var i = 0; i < records.length; i++) {
+                var r = records[i];
+                if (!r) continue;
+                if (typeof r.mes !== 'string') {
+                    if (r.character_name) characterName = r.character_name;
+                    continue;
+                }
+                var picked = this.withSelected(Array.isArray(r.swipes) ? r.swipes : null, typeof r.swipe_id === 'number' ? r.swipe_id : -1, r.mes);
+                messages.push({
+                    author: r.name || (r.is_user ? 'You' : 'Character'),
+                    isUser: !!r.is_user,
+                    timestamp: r.send_date || null,
+                    variations: picked.variations,
+                    selected: picked.selected,
+                    images: r.extra && r.extra.image ? [r.extra.image] : []
+                });
+            }
+            return { title: characterName ? 'Chat with ' + characterName : fileName, format: 'SillyTavern JSONL', messages: messages };
+        },
+
+        // exportConversation 'jsonl-openai': one { role, name, content, timestamp, images } per line
+        parseOpenAI: function(records, fileName) {
+            var characterName = null;
+            var messages = [];
+            for (var i = 0; i < records.length; i++) {
+                var r = records[i];
+                if (!r || typeof r.content !== 'string') continue;
+                if (r.role === 'assistant' && r.name && !characterName) characterName = r.name;
+                messages.push({
+                    author: r.name || (r.role === 'user' ? 'You' : r.role === 'assistant' ? 'Character' : r.role),
+                    isUser: r.role === 'user',
+                    timestamp: r.timestamp || null,
+                    variations: [r.content],
+                    selected: 0,
+                    images: Array.isArray(r.images) ? r.images.filter(function(url) { return typeof url === 'string'; }) : []
+                });
+            }
+            return { title: characterName ? 'Chat with ' + characterName : fileName, format: 'OpenAI JSONL', messages: messages };
+        },
+
+        // Read a picked file and show it; errors are reported with an alert
+        openFile: function(file, popup, hiddenElements) {
+            var self = this;
+            var reader = new FileReader();
+            reader.onload = function() {
+                var archive;
+                try {
+                    archive = self.parse(String(reader.result), file.name);
+                } catch (e) {
+                    alert('Could not open ' + file.name + ': ' + e.message + '.');
+                    return;
+                }
+                self.show(popup, archive, hiddenElements);
+            };
+            reader.onerror = function() {
+                alert('Could not read ' + file.name + '.');
+            };
+            reader.readAsText(file);
+        },
+
+        escapeAttr: function(value) {
+            return Utils.escapeHtml(String(value)).replace(/"/g, '&quot;');
+        },
+
+        // Archive files can come from anyone: only web and inline image URLs, never javascript: and the like
+        isSafeImageUrl: function(url) {
+            return typeof url === 'string' && /^(https?:\/\/|data:image\/)/i.test(url.trim());
+        },
+
+        // Escape text and mark every occurrence of the search words
+        highlight: function(text, words, markStyle) {
+            if (words.length === 0) return Utils.escapeHtml(text);
+            var pattern = new RegExp('(' + words.map(function(w) { return w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'); }).join('|') + ')', 'gi');
+            return text.split(pattern).map(function(part, index) {
+                return index % 2 === 1 ? '<mark style="' + markStyle + '">' + Utils.escapeHtml(part) + '</mark>' : Utils.escapeHtml(part);
+            }).join('');
+        },
+
+        // Replace the chat list in the exporter modal with a reader for `archive`; "Back" brings the list back
+        show: function(popup, archive, hiddenElements) {
+            var self = this;
+            var previousDisplay = hiddenElements.map(function(el) { return el.style.display; });
+            hiddenElements.forEach(function(el) { el.style.display = 'none'; });
+
+            var speakerColors = {};
+            var nextColor = 0;
+            archive.messages.forEach(function(m) {
+                if (m.isUser || speakerColors[m.author]) return;
+                speakerColors[m.author] = self.SPEAKER_COLORS[nextColor++ % self.SPEAKER_COLORS.length];
+            });
+
+            var buttonStyle = 'background: ' + colorScheme.cardBackground + '; color: ' + colorScheme.textPrimary + '; border: 1px solid ' + colorScheme.border + '; border-radius: 8px; padding: 8px 12px; cursor: pointer; font-size: 14px; white-space: nowrap;';
+            var viewer = document.createElement('div');
+            viewer.style.cssText = 'display: flex; flex-direction: column; gap: 12px; flex: 1 1 auto; min-height: 0;';
+            viewer.innerHTML =
+                '<div style="display: flex; align-items: center; gap: 12px; flex-wrap: wrap; padding-bottom: 12px; border-bottom: 1px solid ' + colorScheme.border + ';">' +
+                    '<button data-archive-action="back" style="' + buttonStyle + '">← Back</button>' +
+                    '<div style="flex: 1; min-width: 160px; display: flex; flex-direction: column; gap: 2px;">' +
+                        '<span style="color: ' + colorScheme.textPrimary + '; font-weight: 600; font-size: 16px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">' + Utils.escapeHtml(archive.title) + '</span>' +
+                        '<span style="color: ' + colorScheme.textSecondary + '; font-size: 12px;">' + archive.messages.length + ' messages · ' + archive.format + '</span>' +
+                    '</div>' +
+                    '<input data-archive-search type="text" placeholder="Search this chat" style="background: ' + colorScheme.cardBackground + '; color: ' + colorScheme.textPrimary + '; border: 1px solid ' + colorScheme.border + '; border-radius: 8px; padding: 8px 12px; font-size: 14px; width: 220px; outline: none;">' +
+                    '<span data-archive-matches style="color: ' + colorScheme.textSecondary + '; font-size: 12px; min-width: 60px;"></span>' +
+                    '<button data-archive-action="prev" title="Previous match (Shift+Enter)" style="' + buttonStyle + '">↑</button>' +
+                    '<button data-archive-action="next" title="Next match (Enter)" style="' + buttonStyle + '">↓</button>' +
+                '</div>' +
+                '<div data-archive-body style="flex: 1; min-height: 0; overflow-y: auto; display: flex; flex-direction: column; gap: 10px; padding-right: 8px;"></div>';
+            popup.appendChild(viewer);
+
+            var body = viewer.querySelector('[data-archive-body]');
+            var searchInput = viewer.querySelector('[data-archive-search]');
+            var matchesText = viewer.querySelector('[data-archive-matches]');
+            var markStyle = 'background: ' + colorScheme.accent + '; color: black; border-radius: 3px; padding: 0 2px;';
+            var words = [];
+            var matches = [];
+            var current = -1;
+
+            var renderMessage = function(index) {
+                var m = archive.messages[index];
+                var color = m.isUser ? colorScheme.accent : speakerColors[m.author];
+                var text = m.variations[m.selected] || '';
+                var html = '<div data-archive-index="' + index + '" style="background: ' + colorScheme.cardBackground + '; border: 1px solid ' + colorScheme.border + '; border-left: 3px solid ' + color + '; border-radius: 8px; padding: 10px 12px;' + (m.isUser ? ' margin-left: clamp(0px, 6vw, 80px);' : ' margin-right: clamp(0px, 6vw, 80px);') + '">' +
+                    '<div style="display: flex; justify-content: space-between; gap: 8px; font-size: 12px; margin-bottom: 6px;">' +
+                        '<span style="color: ' + color + '; font-weight: 600;">' + Utils.escapeHtml(m.author) + '</span>' +
+                        '<span style="color: ' + colorScheme.textSecondary + ';">' + (m.timestamp ? new Date(m.timestamp).toLocaleString() : '') + '</span>' +
+                    '</div>' +
+                    '<div style="color: ' + colorScheme.textPrimary + '; font-size: 14px; line-height: 1.5; white-space: pre-wrap; word-break: break-word;">' + self.highlight(text, words, markStyle) + '</div>';
+                var images = m.images.filter(self.isSafeImageUrl);
+                if (images.length > 0) {
+                    html += '<div style="display: flex; gap: 8px; flex-wrap: wrap; margin-top: 8px;">';
+                    for (var i = 0; i < images.length; i++) {
+                        html += '<a href="' + self.escapeAttr(images[i]) + '" target="_blank" rel="noopener noreferrer" style="color: ' + colorScheme.textSecondary + '; font-size: 12px;">' +
+                            '<img data-archive-image src="' + self.escapeAttr(images[i]) + '" loading="lazy" style="max-width: 160px; max-height: 160px; border-radius: 6px; object-fit: cover; border: 1px solid ' + colorScheme.border + '; display: block;">' +
+                            '</a>';
+                    }
+                    html += '</div>';
+                }
+                if (m.variations.length > 1) {
+                    html += '<div style="display: flex; align-items: center; gap: 8px; margin-top: 8px; font-size: 12px; color: ' + colorScheme.textSecondary + ';">' +
+                        '<button data-archive-variation="-1" title="Previous variation" style="' + buttonStyle + ' padding: 2px 8px; font-size: 12px;">‹</button>' +
+                        '<span>Variation ' + (m.selected + 1) + ' / ' + m.variations.length + '</span>' +
+                        '<button data-archive-variation="1" title="Next variation" style="' + buttonStyle + ' padding: 2px 8px; font-size: 12px;">›</button>' +
+                        '</div>';
+                }
+                return html + '</div>';
+            };
+
+            var renderAll = function() {
+                var html = '';
+                for (var i = 0; i < archive.messages.length; i++) html += renderMessage(i);
+                body.innerHTML = html || '<div style="color: ' + colorScheme.textSecondary + '; padding: 16px; text-align: center;">This archive has no messages.</div>';
+            };
+
+            // Messages whose shown variation contains every search word
+            var findMatches = function() {
+                matches = [];
+                if (words.length === 0) return;
+                for (var i = 0; i < archive.messages.length; i++) {
+                    var m = archive.messages[i];
+                    var text = (m.variations[m.selected] || '').toLowerCase();
+                    if (words.every(function(w) { return text.indexOf(w) !== -1; })) matches.push(i);
+                }
+            };
+
+            var focusMatch = function(step) {
+                if (matches.length === 0) {
+                    matchesText.textContent = words.length > 0 ? 'No matches' : '';
+                    return;
+                }
+                var previous = body.querySelector('[data-archive-index="' + matches[current] + '"]');
+                if (previous) previous.style.outline = '';
+                current = (current + step + matches.length) % matches.length;
+                var target = body.querySelector('[data-archive-index="' + matches[current] + '"]');
+                if (target) {
+                    target.style.outline = '2px solid ' + colorScheme.accent;
+                    target.scrollIntoView({ block: 'center' });
+                }
+                matchesText.textContent = (current + 1) + ' of ' + matches.length;
+            };
+
+            var searchTimer = null;
+            searchInput.addEventListener('input', function() {
+                var query = this.value;
+                clearTimeout(searchTimer);
+                searchTimer = setTimeout(function() {
+                    words = query.toLowerCase().split(/\s+/).filter(function(w) { return w.length > 0; });
+                    findMatches();
+                    renderAll();
+                    current = -1;
+                    focusMatch(1);
+                }, 250);
+            });
+            searchInput.addEventListener('keydown', function(e) {
+                if (e.key !== 'Enter') return;
+                e.preventDefault();
+                focusMatch(e.shiftKey ? -1 : 1);
+            });
+
+            var close = function() {
+                if (viewer.parentNode) viewer.parentNode.removeChild(viewer);
+                hiddenElements.forEach(function(el, i) { el.style.display = previousDisplay[i]; });
+            };
+
+            viewer.addEventListener('click', function(e) {
+                var actionBtn = e.target.closest('[data-archive-action]');
+                if (actionBtn) {
+                    var action = actionBtn.getAttribute('data-archive-action');
+                    if (action === 'back') close();
+                    if (action === 'prev') focusMatch(-1);
+                    if (action === 'next') focusMatch(1);
+                    return;
+                }
+                var variationBtn = e.target.closest('[data-archive-variation]');
+                if (variationBtn) {
+                    var card = variationBtn.closest('[data-archive-index]');
+                    var index = parseInt(card.getAttribute('data-archive-index'), 10);
+                    var m = archive.messages[index];
+                    m.selected = (m.selected + parseInt(variationBtn.getAttribute('data-archive-variation'), 10) + m.variations.length) % m.variations.length;
+                    card.outerHTML = renderMessage(index);
+                    findMatches();
+                    current = Math.min(current, matches.length - 1);
+                    matchesText.textContent = words.length === 0 ? '' : (matches.length === 0 ? 'No matches' : matches.length + ' matches');
+                }
+            });
+
+            // Image errors don't bubble, so catch them on the way down
+            body.addEventListener('error', function(e) {
+                if (e.target.hasAttribute && e.target.hasAttribute('data-archive-image')) {
+                    e.target.parentNode.textContent = 'Image unavailable';
+                }
+            }, true);
+
+            renderAll();
+            searchInput.focus();
+        }
+    };
+
+    // ============================================================================
+    // CHAT STATISTICS MODULE
+    // ============================================================================
+    // Totals over the messages of the chats in the current list, filled in chat by chat
+    var ChatStats = {
+        TOP_LIMIT: 10,
+
+        create: function() {
+            return {
+                chats: [], // { uuid, name, messages, userMessages, botMessages, images, first, last }
+                user: { messages: 0, words: 0, chars: 0 },
+                bot: { messages: 0, words: 0, chars: 0 },
+                days: {}, // 'YYYY-MM-DD' (local time) -> messages
+                characters: {}, // nickname -> { messages, words, chars }
+                models: {}, // model name -> images
+                scanned: 0,
+                failed: 0,
+                done: false
+            };
+        },
+
+        countWords: function(text) {
+            var trimmed = text.trim();
+            return trimmed ? trimmed.split(/\s+/).length : 0;
+        },
+
+        dayKey: function(date) {
+            var pad = function(n) { return n < 10 ? '0' + n : String(n); };
+            return date.getFullYear() + '-' + pad(date.getMonth() + 1) + '-' + pad(date.getDate());
+        },
+
+        addChat: function(stats, chat, messages) {
+            var row = { uuid: chat.uuid, name: ImageManager.galleryChatLabel(chat), messages: messages.length, userMessages: 0, botMessages: 0, images: 0, first: null, last: null };
+            for (var i = 0; i < messages.length; i++) {
+                var msg = messages[i];
+                var text = msg.message || '';
+                var words = this.countWords(text);
+                var side = msg.message_source === 'bot' ? stats.bot : stats.user;
+                side.messages++;
+                side.words += words;
+                side.chars += text.length;
+
+                if (msg.message_source === 'bot') {
+                    row.botMessages++;
+                    var nickname = msg.character && msg.character.nickname ? msg.character.nickname : 'Character';
+                    var character = stats.characters[nickname] || (stats.characters[nickname] = { messages: 0, words: 0, chars: 0 });
+                    character.messages++;
+                    character.words += words;
+                    character.chars += text.length;
+                } else {
+                    row.userMessages++;
+                }
+
+                var created = new Date(msg.created_at);
+                if (!isNaN(created.getTime())) {
+                    var day = this.dayKey(created);
+                    stats.days[day] = (stats.days[day] || 0) + 1;
+                    if (!row.first || created < row.first) row.first = created;
+                    if (!row.last || created > row.last) row.last = created;
+                }
+
+                if (msg.text_to_image && msg.text_to_image.output_image_url) {
+                    var model = msg.text_to_image.model_display_name || msg.text_to_image.model || 'Unknown Model';
+                    stats.models[model] = (stats.models[model] || 0) + 1;
+                    row.images++;
+                }
+            }
+            stats.chats.push(row);
+        },
+
+        // [{ name, messages, words, chars, avgWords, avgChars }] sorted by message count
+        characterRows: function(stats) {
+            return Object.keys(stats.characters).map(function(name) {
+                var c = stats.characters[name];
+                return {
+                    name: name,
+                    messages: c.messages,
+                    words: c.words,
+                    chars: c.chars,
+                    avgWords: c.messages ? Math.round(c.words / c.messages) : 0,
+                    avgChars: c.messages ? Math.round(c.chars / c.messages) : 0
+                };
+            }).sort(function(a, b) { return b.messages - a.messages; });
+        },
+
+        modelRows: function(stats) {
+            return Object.keys(stats.models).map(function(name) {
+                return { name: name, images: stats.models[name] };
+            }).sort(function(a, b) { return b.images - a.images; });
+        },
+
+        chatRows: function(stats) {
+            return stats.chats.slice().sort(function(a, b) { return b.messages - a.messages; });
+        },
+
+        csvCell: function(value) {
+            var text = value === null || value === undefined ? '' : String(value);
+            // Chat and character names are user text: keep spreadsheets from reading them as formulas
+            if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = "'" + text;
+            return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+        },
+
+        // One CSV with a titled table per section, separated by blank lines
+        toCsv: function(stats) {
+            var self = this;
+            var lines = [];
+            var table = function(title, header, rows) {
+                if (lines.length > 0) lines.push('');
+                lines.push(self.csvCell(title));
+                lines.push(header.map(self.csvCell).join(','));
+                rows.forEach(function(row) { lines.push(row.map(self.csvCell).join(',')); });
+            };
+
+            table('Totals', ['side', 'messages', 'words', 'characters'], [
+                ['user', stats.user.messages, stats.user.words, stats.user.chars],
+                ['bot', stats.bot.messages, stats.bot.words, stats.bot.chars]
+            ]);
+            table('Messages per chat', ['chat', 'uuid', 'messages', 'user_messages', 'bot_messages', 'images', 'first_message', 'last_message'], this.chatRows(stats).map(function(c) {
+                return [c.name, c.uuid, c.messages, c.userMessages, c.botMessages, c.images, c.first ? c.first.toISOString() : '', c.last ? c.last.toISOString() : ''];
+            }));
+            table('Characters', ['character', 'messages', 'words', 'characters', 'avg_words_per_response', 'avg_characters_per_response'], this.characterRows(stats).map(function(c) {
+                return [c.name, c.messages, c.words, c.chars, c.avgWords, c.avgChars];
+            }));
+            table('Images per model', ['model', 'images'], this.modelRows(stats).map(function(m) {
+                return [m.name, m.images];
+            }));
+            table('Activity per day', ['date', 'messages'], Object.keys(stats.days).sort().map(function(day) {
+                return [day, stats.days[day]];
+            }));
+            return lines.join('\r\n') + '\r\n';
+        },
+
+        // Last 53 weeks up to the newest active day; one column per week, Sunday on top
+        heatmapHtml: function(stats) {
+            var days = Object.keys(stats.days).sort();
+            if (days.length === 0) return '<div style="color: ' + colorScheme.textSecondary + '; font-size: 13px;">No dated messages yet.</div>';
+
+            var parts = days[days.length - 1].split('-');
+            var end = new Date(+parts[0], +parts[1] - 1, +parts[2]);
+            var start = new Date(end.getFullYear(), end.getMonth(), end.getDate() - 52 * 7 - end.getDay());
+            var max = 0;
+            for (var d = 0; d < days.length; d++) max = Math.max(max, stats.days[days[d]]);
+
+            var html = '<div style="display: grid; grid-auto-flow: column; grid-template-rows: repeat(7, 11px); gap: 3px; overflow-x: auto; padding-bottom: 4px;">';
+            for (var day = new Date(start); day <= end; day.setDate(day.getDate() + 1)) {
+                var key = this.dayKey(day);
+                var count = stats.days[key] || 0;
+                var opacity = count === 0 ? 1 : 0.25 + 0.75 * Math.sqrt(count / max);
+                html += '<div title="' + key + ': ' + count + ' messages" style="width: 11px; height: 11px; border-radius: 2px; background: ' + (count === 0 ? colorScheme.border : colorScheme.accent) + '; opacity: ' + opacity.toFixed(2) + ';"></div>';
+            }
+            return html + '</div>';
+        },
+
+        tableHtml: function(header, rows) {
+            var cell = 'padding: 6px 10px; border-bottom: 1px solid ' + colorScheme.border + '; text-align: left;';
+            var html = '<table style="width: 100%; border-collapse: collapse; font-size: 13px; color: ' + colorScheme.textPrimary + ';"><tr>';
+            header.forEach(function(h) { html += '<th style="' + cell + ' color: ' + colorScheme.textSecondary + '; font-weight: 500;">' + h + '</th>'; });
+            html += '</tr>';
+            rows.forEach(function(row) {
+                html += '<tr>';
+                row.forEach(function(value) { html += '<td style="' + cell + '">' + Utils.escapeHtml(String(value)) + '</td>'; });
+                html += '</tr>';
+            });
+            if (rows.length === 0) html += '<tr><td colspan="' + header.length + '" style="' + cell + ' color: ' + colorScheme.textSecondary + ';">Nothing yet</td></tr>';
+            return html + '</table>';
+        },
+
+        cardHtml: function(title, content) {
+            return '<div style="background: ' + colorScheme.cardBackground + '; border: 1px solid ' + colorScheme.border + '; border-radius: 8px; padding: 12px 14px;">' +
+                '<div style="color: ' + colorScheme.textPrimary + '; font-weight: 600; font-size: 14px; margin-bottom: 10px;">' + title + '</div>' +
+                content + '</div>';
+        },
+
+        render: function(stats) {
+            var number = function(n) { return n.toLocaleString(); };
+            var share = function(part, total) { return total ? Math.round(part / total * 100) + '%' : '–'; };
+            var totalWords = stats.user.words + stats.bot.words;
+
+            var html = '<div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(min(100%, 340px), 1fr)); gap: 12px;">';
+            html += this.cardHtml('You vs bot', this.tableHtml(['', 'Messages', 'Words', 'Characters', 'Share of words'], [
+                ['You', number(stats.user.messages), number(stats.user.words), number(stats.user.chars), share(stats.user.words, totalWords)],
+                ['Bot', number(stats.bot.messages), number(stats.bot.words), number(stats.bot.chars), share(stats.bot.words, totalWords)]
+            ]));
+            html += this.cardHtml('Images per model', this.tableHtml(['Model', 'Images'], this.modelRows(stats).map(function(m) {
+                return [m.name, number(m.images)];
+            })));
+            html += '</div>';
+            html += this.cardHtml('Activity', this.heatmapHtml(stats));
+            html += '<div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(min(100%, 340px), 1fr)); gap: 12px;">';
+            html += this.cardHtml('Top characters', this.tableHtml(['Character', 'Messages', 'Avg words', 'Avg characters'], this.characterRows(stats).slice(0, this.TOP_LIMIT).map(function(c) {
+                return [c.name, number(c.messages), number(c.avgWords), number(c.avgChars)];
+            })));
+            html += this.cardHtml('Longest chats', this.tableHtml(['Chat', 'Messages', 'Images'], this.chatRows(stats).slice(0, this.TOP_LIMIT).map(function(c) {
+                return [c.name, number(c.messages), number(c.images)];
+            })));
+            html += '</div>';
+            html += this.cardHtml('Messages per chat', '<div style="max-height: 320px; overflow-y: auto;">' + this.tableHtml(['Chat', 'Messages', 'You', 'Bot', 'Last message'], this.chatRows(stats).map(function(c) {
+                return [c.name, number(c.messages), number(c.userMessages), number(c.botMessages), c.last ? c.last.toLocaleDateString() : ''];
+            })) + '</div>');
+            return html;
+        },
+
+        // Replace the chat list in the exporter modal with the dashboard; "Back" stops loading and brings the list back
+        show: function(popup, chats, hiddenElements) {
+            var self = this;
+            var previousDisplay = hiddenElements.map(function(el) { return el.style.display; });
+            hiddenElements.forEach(function(el) { el.style.display = 'none'; });
+
+            var stats = this.create();
+            var state = { cancelled: false, abortController: new AbortController() };
+            var buttonStyle = 'background: ' + colorScheme.cardBackground + '; color: ' + colorScheme.textPrimary + '; border: 1px solid ' + colorScheme.border + '; border-radius: 8px; padding: 8px 12px; cursor: pointer; font-size: 14px; white-space: nowrap;';
+
+            var view = document.createElement('div');
+            view.style.cssText = 'display: flex; flex-direction: column; gap: 12px; flex: 1 1 auto; min-height: 0;';
+            view.innerHTML =
+                '<div style="display: flex; align-items: center; gap: 12px; flex-wrap: wrap; padding-bottom: 12px; border-bottom: 1px solid ' + colorScheme.border + ';">' +
+                    '<button data-stats-action="back" style="' + buttonStyle + '">← Back</button>' +
+                    '<span style="color: ' + colorScheme.textPrimary + '; font-weight: 600; font-size: 16px;">Statistics</span>' +
+                    '<span data-stats-progress style="color: ' + colorScheme.textSecondary + '; font-size: 12px; flex: 1;"></span>' +
+                    '<button data-stats-action="csv" title="Download every table as CSV" style="' + buttonStyle + '">Export CSV</button>' +
+                '</div>' +
+                '<div data-stats-body style="flex: 1; min-height: 0; overflow-y: auto; display: flex; flex-direction: column; gap: 12px; padding-right: 8px;"></div>';
+            popup.appendChild(view);
+
+            var body = view.querySelector('[data-stats-body]');
+            var progress = view.querySelector('[data-stats-progress]');
+
+            // Re-rendering is cheap but not free; during loading redraw at most every 500ms
+            var lastRender = 0;
+            var update = function() {
+                // Closing the whole modal also stops loading
+                if (!view.isConnected) {
+                    state.cancelled = true;
+                    state.abortController.abort();
+                    return;
+                }
+                progress.textContent = stats.done
+                    ? stats.scanned + ' chats' + (stats.failed > 0 ? ' (' + stats.failed + ' could not be loaded)' : '')
+                    : 'Loading chat ' + Math.min(stats.scanned + 1, chats.length) + ' of ' + chats.length + '...';
+                if (!stats.done && Date.now() - lastRender < 500) return;
+                lastRender = Date.now();
+                var scrollTop = body.scrollTop;
+                body.innerHTML = self.render(stats);
+                body.scrollTop = scrollTop;
+            };
+
+            view.addEventListener('click', function(e) {
+                var actionBtn = e.target.closest('[data-stats-action]');
+                if (!actionBtn) return;
+                var action = actionBtn.getAttribute('data-stats-action');
+                if (action === 'back') {
+                    state.cancelled = true;
+                    state.abortController.abort();
+                    if (view.parentNode) view.parentNode.removeChild(view);
+                    hiddenElements.forEach(function(el, i) { el.style.display = previousDisplay[i]; });
+                } else if (action === 'csv') {
+                    var blob = new Blob([self.toCsv(stats)], { type: 'text/csv' });
+                    Utils.download(URL.createObjectURL(blob), Utils.sanitizeFileName(location.hostname + ' chat statistics ' + new Date().toISOString().slice(0, 10)) + '.csv');
+                }
+            });
+
+            update();
+            ChatManager.loadMessagesInBatches(chats, state, function(chat, messages) {
+                if (messages) {
+                    self.addChat(stats, chat, messages);
+                } else {
+                    stats.failed++;
+                }
+                stats.scanned++;
+                update();
+            }, function() {
+                stats.done = true;
+                update();
+            });
+        }
+    };
+
+    // ============================================================================
+    // DATASET BUILDER MODULE
+    // ============================================================================
+    // Turns the selected chats into ChatML/OpenAI "messages" training files: filters turns, cuts chats
+    // into context-sized windows and splits them by chat into train and validation sets
+    var DatasetBuilder = {
+        CHARS_PER_TOKEN: 4, // rough estimate, good enough for sizing windows
+        TOKENS_PER_MESSAGE: 4, // role and separator overhead per message
+        DEDUPE_SIMILARITY: 0.7, // estimated Jaccard similarity of 5-character shingles from which a turn is dropped
+        MINHASH_BANDS: 8, // LSH bands x rows = hashes per signature; two turns are compared if any band matches
+        MINHASH_ROWS: 4,
+
+        defaultOptions: function() {
+            return {
+                minChars: 1,
+                maxChars: 0, // 0 = no limit
+                stripCommands: true,
+                stripImageOnly: true,
+                dedupe: true,
+                windowTokens: 4096,
+                validationPercent: 10,
+                systemPrompt: localStorage.getItem('hollyChatmlSystemPrompt') !== 'none'
+            };
+        },
+
+        estimateTokens: function(text) {
+            return Math.ceil(text.length / this.CHARS_PER_TOKEN) + this.TOKENS_PER_MESSAGE;
+        },
+
+        // Same text apart from case, spacing and punctuation
+        dedupeKey: function(text) {
+            return text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+        },
+
+        // State for isNearDuplicate, shared by every chat of one build
+        newDedupeState: function() {
+            return { exact: {}, bands: {} };
+        },
+
+        // MinHash signature over the 5-character shingles of a normalized text (the whole text when it is shorter)
+        minHash: function(key) {
+            var shingles = [];
+            if (key.length <= 5) {
+                shingles.push(key);
+            } else {
+                for (var start = 0; start + 5 <= key.length; start++) shingles.push(key.slice(start, start + 5));
+            }
+            var size = this.MINHASH_BANDS * this.MINHASH_ROWS;
+            var signature = [];
+            for (var i = 0; i < size; i++) signature.push(0xFFFFFFFF);
+            for (var s = 0; s < shingles.length; s++) {
+                var base = this.hash(shingles[s]);
+                for (var k = 0; k < size; k++) {
+                    // One cheap mix of the shingle hash per seed (murmur3 finalizer)
+                    var x = Math.imul(base ^ Math.imul(k + 1, 0x9e3779b1), 0x85ebca6b);
+                    x ^= x >>> 13;
+                    x = Math.imul(x, 0xc2b2ae35);
+                    x = (x ^ (x >>> 16)) >>> 0;
+                    if (x < signature[k]) signature[k] = x;
+                }
+            }
+            return signature;
+        },
+
+        // True when text is the same as, or near-identical to, a turn seen before; otherwise remembers it
+        isNearDuplicate: function(text, state) {
+            var key = this.dedupeKey(text);
+            if (state.exact[key]) return true;
+            state.exact[key] = true;
+
+            var signature = this.minHash(key);
+            var rows = this.MINHASH_ROWS;
+            var bandKeys = [];
+            for (var b = 0; b < this.MINHASH_BANDS; b++) {
+                var bandKey = b + ':' + signature.slice(b * rows, (b + 1) * rows).join(',');
+                var candidates = state.bands[bandKey] || [];
+                for (var c = 0; c < candidates.length; c++) {
+                    var same = 0;
+                    for (var k = 0; k < signature.length; k++) {
+                        if (candidates[c][k] === signature[k]) same++;
+                    }
+                    if (same / signature.length >= this.DEDUPE_SIMILARITY) return true;
+                }
+                bandKeys.push(bandKey);
+            }
+            bandKeys.forEach(function(bandKey) {
+                (state.bands[bandKey] = state.bands[bandKey] || []).push(signature);
+            });
+            return false;
+        },
+
+        // FNV-1a, so the same chat always lands in the same split
+        hash: function(text) {
+            var h = 0x811c9dc5;
+            for (var i = 0; i < text.length; i++) {
+                h ^= text.charCodeAt(i);
+                h = Math.imul(h, 0x01000193) >>> 0;
+            }
+            return h;
+        },
+
+        // Filtered turns of one chat, oldest first, with consecutive messages from the same side merged
+        chatTurns: function(messages, options, seen, counts) {
+            var sorted = messages.slice().sort(function(a, b) {
+                return new Date(a.created_at).getTime() - new Date(b.created_at).getTime();
+            });
+            var turns = [];
+            for (var i = 0; i < sorted.length; i++) {
+                var msg = sorted[i];
+                var isBot = msg.message_source === 'bot';
+                var text = (msg.message || '').trim();
+                counts.messages++;
+
+                if (!isBot && options.stripCommands && /^\/image\b/i.test(text)) {
+                    counts.commands++;
+                    continue;
+                }
+                if (isBot && options.stripImageOnly && msg.text_to_image && !text) {
+                    counts.imageOnly++;
+                    continue;
+                }
+                if (!text) {
+                    counts.empty++;
+                    continue;
+                }
+                if (text.length < options.minChars || (options.maxChars > 0 && text.length > options.maxChars)) {
+                    counts.length++;
+                    continue;
+                }
+                if (options.dedupe && this.isNearDuplicate(text, seen)) {
+                    counts.duplicates++;
+                    continue;
+                }
+
+                var role = isBot ? 'assistant' : 'user';
+                var last = turns[turns.length - 1];
+                if (last && last.role === role) {
+                    last.content += '\n\n' + text;
+                } else {
+                    turns.push({ role: role, content: text });
+                }
+            }
+            return turns;
+        },
+
+        // Cut turns into windows of at most `budget` estimated tokens. A window ends on an assistant turn;
+        // user turns left at the end are carried into the next window as its opening prompt.
+        windows: function(turns, budget, counts) {
+            var self = this;
+            var windows = [];
+            var current = [];
+            var used = 0;
+            var flush = function(carry) {
+                var carried = [];
+                while (current.length > 0 && current[current.length - 1].role === 'user') carried.unshift(current.pop());
+                if (current.length > 0) windows.push(current);
+                current = carry ? carried : [];
+                used = 0;
+                for (var c = 0; c < current.length; c++) used += self.estimateTokens(current[c].content);
+            };
+
+            for (var i = 0; i < turns.length; i++) {
+                var tokens = this.estimateTokens(turns[i].content);
+                if (tokens > budget) {
+                    counts.tooLong++;
+                    flush(false);
+                    continue;
+                }
+                if (used + tokens > budget) {
+                    flush(true);
+                    if (used + tokens > budget) {
+                        current = [];
+                        used = 0;
+                    }
+                }
+                current.push(turns[i]);
+                used += tokens;
+            }
+            flush(false);
+            return windows;
+        },
+
+        // chats: chat list entries; messagesByChat: uuid -> messages; characters: character uuid -> /v1/characters response.
+        // Returns { train: [record], validation: [record], counts } with records shaped { messages: [{ role, content }] }.
+        build: function(chats, messagesByChat, characters, options) {
+            var self = this;
+            var counts = {
+                chats: 0, trainChats: 0, validationChats: 0,
+                messages: 0, commands: 0, imageOnly: 0, empty: 0, length: 0, duplicates: 0, tooLong: 0,
+                turns: 0, trainTokens: 0, validationTokens: 0
+            };
+            var seen = this.newDedupeState();
+
+            // Validation chats: the lowest hashes, at least one when asked for but never all, so a single chat stays in train
+            var loaded = chats.filter(function(chat) { return messagesByChat[chat.uuid]; });
+            var validationCount = 0;
+            if (options.validationPercent > 0 && loaded.length >= 2) {
+                validationCount = Math.min(Math.max(Math.round(loaded.length * options.validationPercent / 100), 1), loaded.length - 1);
+            }
+            var validationUuids = {};
+            loaded.slice().sort(function(a, b) { return self.hash(a.uuid) - self.hash(b.uuid); }).slice(0, validationCount).forEach(function(chat) {
+                validationUuids[chat.uuid] = true;
+            });
+
+            var result = { train: [], validation: [], counts: counts };
+            for (var i = 0; i < loaded.length; i++) {
+                var chat = loaded[i];
+                var messages = messagesByChat[chat.uuid];
+                var isValidation = !!validationUuids[chat.uuid];
+                counts.chats++;
+                if (isValidation) counts.validationChats++; else counts.trainChats++;
+
+                var turns = this.chatTurns(messages, options, seen, counts);
+                counts.turns += turns.length;
+
+                var system = null;
+                if (options.systemPrompt) {
+                    var characterUuid = this.chatCharacterUuid(messages);
+                    if (characterUuid && characters[characterUuid]) {
+                        system = ExportManager.systemPrompt(ExportManager.characterCard(characters[characterUuid], null).data);
+                    }
+                }
+                var systemTokens = system ? this.estimateTokens(system) : 0;
+
+                var windows = this.windows(turns, options.windowTokens - systemTokens, counts);
+                for (var w = 0; w < windows.length; w++) {
+                    var record = { messages: system ? [{ role: 'system', content: system }].concat(windows[w]) : windows[w] };
+                    var tokens = 0;
+                    for (var m = 0; m < record.messages.length; m++) tokens += this.estimateTokens(record.messages[m].content);
+                    if (isValidation) {
+                        result.validation.push(record);
+                        counts.validationTokens += tokens;
+                    } else {
+                        result.train.push(record);
+                        counts.trainTokens += tokens;
+                    }
+                }
+            }
+            return result;
+        },
+
+        // Character whose definition becomes the system prompt: the first one that replies in the chat
+        chatCharacterUuid: function(messages) {
+            for (var i = 0; i < messages.length; i++) {
+                if (messages[i].message_source === 'bot' && messages[i].character && messages[i].character.uuid) return messages[i].character.uuid;
+            }
+            return null;
+        },
+
+        toJsonl: function(records) {
+            return records.map(function(record) { return JSON.stringify(record); }).join('\n') + '\n';
+        },
+
+        previewHtml: function(result) {
+            var c = result.counts;
+            var number = function(n) { return n.toLocaleString(); };
+            var html = ChatStats.cardHtml('Preview', ChatStats.tableHtml(['', 'Train', 'Validation'], [
+                ['Chats', number(c.trainChats), number(c.validationChats)],
+                ['Examples (windows)', number(result.train.length), number(result.validation.length)],
+                ['Estimated tokens', number(c.trainTokens), number(c.validationTokens)]
+            ]) + '<div style="height: 10px;"></div>' + ChatStats.tableHtml(['Messages', 'Count'], [
+                ['Read', number(c.messages)],
+                ['Dropped: /image commands', number(c.commands)],
+                ['Dropped: image-only replies', number(c.imageOnly)],
+                ['Dropped: empty', number(c.empty)],
+                ['Dropped: length limits', number(c.length)],
+                ['Dropped: near-duplicates', number(c.duplicates)],
+                ['Dropped: longer than a window', number(c.tooLong)],
+                ['Turns kept (after merging)', number(c.turns)]
+            ]));
+
+            var sample = result.train[0] || result.validation[0];
+            if (sample) {
+                var lines = sample.messages.slice(0, 6).map(function(message) {
+                    var text = message.content.length > 300 ? message.content.slice(0, 300) + '…' : message.content;
+                    return '<div style="margin-bottom: 8px;"><span style="color: ' + colorScheme.accent + '; font-weight: 600;">' + message.role + '</span> ' +
+                        '<span style="white-space: pre-wrap; word-break: break-word;">' + Utils.escapeHtml(text) + '</span></div>';
+                }).join('');
+                html += ChatStats.cardHtml('First example', '<div style="color: ' + colorScheme.textPrimary + '; font-size: 13px; line-height: 1.5;">' + lines + '</div>');
+            }
+            return html;
+        },
+
+        optionsHtml: function(options) {
+            var inputStyle = 'background: ' + colorScheme.background + '; color: ' + colorScheme.textPrimary + '; border: 1px solid ' + colorScheme.border + '; border-radius: 6px; padding: 6px 8px; font-size: 13px; width: 90px;';
+            var labelStyle = 'display: flex; align-items: center; justify-content: space-between; gap: 8px; color: ' + colorScheme.textPrimary + '; font-size: 13px;';
+            var number = function(key, label, min, max) {
+                return '<label style="' + labelStyle + '">' + label + '<input data-dataset-option="' + key + '" type="number" min="' + min + '" max="' + max + '" value="' + options[key] + '" style="' + inputStyle + '"></label>';
+            };
+            var check = function(key, label) {
+                return '<label style="' + labelStyle + ' justify-content: flex-start; cursor: pointer;"><input data-dataset-option="' + key + '" type="checkbox"' + (options[key] ? ' checked' : '') + '>' + label + '</label>';
+            };
+            return ChatStats.cardHtml('Options', '<div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(min(100%, 260px), 1fr)); gap: 10px 24px;">' +
+                number('minChars', 'Minimum message length (characters)', 0, 100000) +
+                number('maxChars', 'Maximum message length (0 = none)', 0, 1000000) +
+                number('windowTokens', 'Context window (estimated tokens)', 256, 1000000) +
+                number('validationPercent', 'Validation split (% of chats)', 0, 90) +
+                check('stripCommands', 'Drop /image command turns') +
+                check('stripImageOnly', 'Drop image-only bot replies') +
+                check('dedupe', 'Drop near-identical turns') +
+                check('systemPrompt', 'System prompt from character definition') +
+                '</div>');
+        },
+
+        readOptions: function(view, options) {
+            var inputs = view.querySelectorAll('[data-dataset-option]');
+            for (var i = 0; i < inputs.length; i++) {
+                var key = inputs[i].getAttribute('data-dataset-option');
+                if (inputs[i].type === 'checkbox') {
+                    options[key] = inputs[i].checked;
+                } else {
+                    var value = parseInt(inputs[i].value, 10);
+                    if (!isNaN(value) && value >= 0) options[key] = value;
+                }
+            }
+            options.validationPercent = Math.min(options.validationPercent, 90);
+            options.windowTokens = Math.max(options.windowTokens, 256);
+        },
+
+        // Replace the chat list with the wizard: load the chats, then preview and download as options change
+        show: function(popup, chats, hiddenElements) {
+            var self = this;
+            var previousDisplay = hiddenElements.map(function(el) { return el.style.display; });
+            hiddenElements.forEach(function(el) { el.style.display = 'none'; });
+
+            var options = this.defaultOptions();
+            var state = { cancelled: false, abortController: new AbortController() };
+            var messagesByChat = {};
+            var characters = {}; // character uuid -> /v1/characters response (null when it failed)
+            var failed = 0;
+            var loaded = 0;
+            var ready = false; // chats and characters are in
+            var result = null;
+            var buttonStyle = 'background: ' + colorScheme.cardBackground + '; color: ' + colorScheme.textPrimary + '; border: 1px solid ' + colorScheme.border + '; border-radius: 8px; padding: 8px 12px; cursor: pointer; font-size: 14px; white-space: nowrap;';
+
+            var view = document.createElement('div');
+            view.style.cssText = 'display: flex; flex-direction: column; gap: 12px; flex: 1 1 auto; min-height: 0;';
+            view.innerHTML =
+                '<div style="display: flex; align-items: center; gap: 12px; flex-wrap: wrap; padding-bottom: 12px; border-bottom: 1px solid ' + colorScheme.border + ';">' +
+                    '<button data-dataset-action="back" style="' + buttonStyle + '">← Back</button>' +
+                    '<span style="color: ' + colorScheme.textPrimary + '; font-weight: 600; font-size: 16px;">Build dataset</span>' +
+                    '<span data-dataset-progress style="color: ' + colorScheme.textSecondary + '; font-size: 12px; flex: 1;"></span>' +
+                    '<button data-dataset-action="download" disabled title="Download train.jsonl and validation.jsonl" style="' + buttonStyle + ' opacity: 0.5;">Download</button>' +
+                '</div>' +
+                '<div style="flex: 1; min-height: 0; overflow-y: auto; display: flex; flex-direction: column; gap: 12px; padding-right: 8px;">' +
+                    this.optionsHtml(options) +
+                    '<div data-dataset-preview style="display: flex; flex-direction: column; gap: 12px;"></div>' +
+                '</div>';
+            popup.appendChild(view);
+
+            var progress = view.querySelector('[data-dataset-progress]');
+            var preview = view.querySelector('[data-dataset-preview]');
+            var downloadBtn = view.querySelector('[data-dataset-action="download"]');
+
+            var close = function() {
+                state.cancelled = true;
+                state.abortController.abort();
+                if (view.parentNode) view.parentNode.removeChild(view);
+                hiddenElements.forEach(function(el, i) { el.style.display = previousDisplay[i]; });
+            };
+
+            var refresh = function() {
+                self.readOptions(view, options);
+                result = self.build(chats, messagesByChat, characters, options);
+                preview.innerHTML = self.previewHtml(result);
+                var hasExamples = result.train.length + result.validation.length > 0;
+                downloadBtn.disabled = !hasExamples;
+                downloadBtn.style.opacity = hasExamples ? '1' : '0.5';
+            };
+
+            // Definitions for the system prompt, one request per character
+            var loadCharacters = function(done) {
+                var uuids = [];
+                for (var uuid in messagesByChat) {
+                    var characterUuid = self.chatCharacterUuid(messagesByChat[uuid]);
+                    if (characterUuid && uuids.indexOf(characterUuid) === -1) uuids.push(characterUuid);
+                }
+                var next = function(index) {
+                    if (state.cancelled) return;
+                    if (index >= uuids.length) {
+                        done();
+                        return;
+                    }
+                    progress.textContent = 'Loading character ' + (index + 1) + ' of ' + uuids.length + '...';
+                    API.getJSON(API.url('/characters/' + uuids[index]), { signal: state.abortController.signal }).then(function(j) {
+                        characters[uuids[index]] = j && !j.error ? j : null;
+                        next(index + 1);
+                    }, function(error) {
+                        if (error.name === 'AbortError') return;
+                        characters[uuids[index]] = null;
+                        next(index + 1);
+                    });
+                };
+                next(0);
+            };
+
+            // Same redaction as every other export; the preview then shows what will be downloaded.
+            // Redacted messages carry stand-in character ids, so the definitions are keyed by those.
+            var redact = function() {
+                var redaction = Redactor.forExport();
+                if (!redaction) return;
+                var redactedCharacters = {};
+                for (var characterUuid in characters) {
+                    redactedCharacters[redaction.id(characterUuid)] = redaction.character(characters[characterUuid]);
+                }
+                characters = redactedCharacters;
+                for (var uuid in messagesByChat) messagesByChat[uuid] = redaction.messages(messagesByChat[uuid]);
+            };
+
+            var refreshTimer = null;
+            view.addEventListener('input', function(e) {
+                if (!e.target.hasAttribute('data-dataset-option') || !ready) return;
+                clearTimeout(refreshTimer);
+                refreshTimer = setTimeout(refresh, 250);
+            });
+
+            view.addEventListener('click', function(e) {
+                var actionBtn = e.target.closest('[data-dataset-action]');
+                if (!actionBtn) return;
+                var action = actionBtn.getAttribute('data-dataset-action');
+                if (action === 'back') {
+                    close();
+                } else if (action === 'download' && result && !downloadBtn.disabled) {
+                    if (FileCrypto.getPassword() === '') {
+                        alert('Enter a password next to "Encrypt with password", or untick it, then download again.');
+                        return;
+                    }
+                    var baseName = Utils.sanitizeFileName(location.hostname + ' dataset ' + new Date().toISOString().slice(0, 10));
+                    FileCrypto.save(new Blob([self.toJsonl(result.train)], { type: 'application/x-ndjson' }), baseName + ' train.jsonl');
+                    if (result.validation.length > 0) {
+                        FileCrypto.save(new Blob([self.toJsonl(result.validation)], { type: 'application/x-ndjson' }), baseName + ' validation.jsonl');
+                    }
+                }
+            });
+
+            progress.textContent = 'Loading chat 1 of ' + chats.length + '...';
+            ChatManager.loadMessagesInBatches(chats, state, function(chat, messages) {
+                // Closing the whole modal also stops loading
+                if (!view.isConnected) {
+                    close();
+                    return;
+                }
+                if (messages) {
+                    messagesByChat[chat.uuid] = messages;
+                } else {
+                    failed++;
+                }
+                loaded++;
+                progress.textContent = 'Loading chat ' + Math.min(loaded + 1, chats.length) + ' of ' + chats.length + '...';
+            }, function() {
+                loadCharacters(function() {
+                    redact();
+                    ready = true;
+                    progress.textContent = (chats.length - failed) + ' chats loaded' + (failed > 0 ? ' (' + failed + ' could not be loaded)' : '');
+                    refresh();
+                });
+            });
+        }
+    };
+
+    // ============================================================================
+    // REDACTION MODULE
+    // ============================================================================
+    // Optional anonymization applied by exportConversation before any format is written.
+    // Rule sets live in localStorage; the active one is used while redaction is switched on.
+    var Redactor = {
+        STORAGE_KEY: 'hollyRedactionRules',
+        UUID_PATTERN: /[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi,
+        SAMPLE_TEXT: 'Hi, I\'m Jane from Portland! Mail me at jane.doe@example.com or call +1 (555) 010-2030.\nMy pics: https://example.com/photos/cat.png',
+
+        defaultSet: function() {
+            return {
+                persona: 'User', // replaces "You"
+                renames: '', // "Old name = New name" per line
+                pseudonymize: true, // characters without a rename become "Character 1", "Character 2", ...
+                pseudonyms: {}, // assigned pseudonyms, kept so a character gets the same one in every export
+                rules: '', // "find => replace" per line; /pattern/flags for a regular expression
+                emails: true,
+                phones: true,
+                urls: false,
+                imageUrls: true,
+                uuids: true
+            };
+        },
+
+        // { enabled, active, sets: { name: set } }
+        load: function() {
+            var state = null;
+            try {
+                state = JSON.parse(localStorage.getItem(this.STORAGE_KEY) || 'null');
+            } catch (e) {
+                console.error('Error loading redaction rules:', e);
+            }
+            if (!state || !state.sets) state = { enabled: false, active: 'Default', sets: {} };
+            if (!state.sets[state.active]) {
+                state.active = Object.keys(state.sets)[0] || 'Default';
+                state.sets[state.active] = state.sets[state.active] || this.defaultSet();
+            }
+            return state;
+        },
+
+        save: function(state) {
+            try {
+                localStorage.setItem(this.STORAGE_KEY, JSON.stringify(state));
+            } catch (e) {
+                console.error('Error saving redaction rules:', e);
+            }
+        },
+
+        isEnabled: function() {
+            return this.load().enabled === true;
+        },
+
+        // Redaction context for one export, or null when redaction is off
+        forExport: function() {
+            var state = this.load();
+            return state.enabled ? this.createContext(state, state.sets[state.active]) : null;
+        },
+
+        escapeRegExp: function(text) {
+            return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        },
+
+        // Whole-word, case-insensitive pattern for a plain word or name
+        wordPattern: function(word) {
+            return new RegExp('(^|[^\\p{L}\\p{N}_])(' + this.escapeRegExp(word) + ')(?![\\p{L}\\p{N}_])', 'giu');
+        },
+
+        // "find => replace" lines as [{ pattern, replace, plain }]; errors lists the lines that could not be used
+        parseRules: function(text, errors) {
+            var rules = [];
+            var lines = (text || '').split(/\r?\n/);
+            for (var i = 0; i < lines.length; i++) {
+                var line = lines[i].trim();
+                if (!line || line.charAt(0) === '#') continue;
+                var arrow = line.indexOf('=>');
+                var find = (arrow === -1 ? line : line.slice(0, arrow)).trim();
+                var replace = arrow === -1 ? '[redacted]' : line.slice(arrow + 2).trim();
+                if (!find) continue;
+                var regex = find.match(/^\/(.+)\/([a-z]*)$/);
+                try {
+                    if (regex) {
+                        rules.push({ pattern: new RegExp(regex[1], regex[2].replace('g', '') + 'g'), replace: replace, plain: false });
+                    } else {
+                        rules.push({ pattern: this.wordPattern(find), replace: replace, plain: true });
+                    }
+                } catch (e) {
+                    if (errors) errors.push('Line ' + (i + 1) + ': ' + e.message);
+                }
+            }
+            return rules;
+        },
+
+        // "Old = New" lines as { old (lowercase): new }
+        parseRenames: function(text) {
+            var renames = {};
+            var lines = (text || '').split(/\r?\n/);
+            for (var i = 0; i < lines.length; i++) {
+                var eq = lines[i].indexOf('=');
+                if (eq === -1) continue;
+                var from = lines[i].slice(0, eq).trim();
+                var to = lines[i].slice(eq + 1).trim();
+                if (from && to) renames[from.toLowerCase()] = to;
+            }
+            return renames;
+        },
+
+        createContext: function(state, set, errors) {
+            var self = this;
+            var rules = this.parseRules(set.rules, errors);
+            var renames = this.parseRenames(set.renames);
+            var namePatterns = []; // [{ pattern, name }] for names seen so far, longest first
+            var ids = {};
+            var idCount = 0;
+
+            var context = {
+                userName: set.persona || 'You',
+
+                // New name for a character (learned, so later text mentioning it is renamed too)
+                name: function(original) {
+                    if (!original) return original;
+                    var key = original.toLowerCase();
+                    var renamed = renames[key];
+                    if (!renamed && set.pseudonymize) {
+                        if (!set.pseudonyms[key]) {
+                            set.pseudonyms[key] = 'Character ' + (Object.keys(set.pseudonyms).length + 1);
+                            if (state) self.save(state);
+                        }
+                        renamed = set.pseudonyms[key];
+                    }
+                    renamed = renamed || original;
+                    if (renamed !== original && !namePatterns.some(function(p) { return p.key === key; })) {
+                        namePatterns.push({ key: key, pattern: self.wordPattern(original), name: renamed });
+                        namePatterns.sort(function(a, b) { return b.key.length - a.key.length; });
+                    }
+                    return renamed;
+                },
+
+                // Stand-in for a UUID, the same one for the same UUID within this export
+                id: function(uuid) {
+                    if (!uuid || !set.uuids) return uuid;
+                    if (!ids[uuid]) ids[uuid] = 'id-' + (++idCount);
+                    return ids[uuid];
+                },
+
+                // The UUID behind a stand-in, for API calls made after redacting
+                originalId: function(id) {
+                    for (var uuid in ids) {
+                        if (ids[uuid] === id) return uuid;
+                    }
+                    return id;
+                },
+
+                text: function(text) {
+                    if (!text) return text;
+                    var result = String(text);
+                    rules.forEach(function(rule) {
+                        result = result.replace(rule.pattern, rule.plain ? function(match, before) { return before + rule.replace; } : rule.replace);
+                    });
+                    namePatterns.forEach(function(p) {
+                        result = result.replace(p.pattern, function(match, before) { return before + p.name; });
+                    });
+                    if (set.emails) result = result.replace(/[\w.+-]+@[\w-]+(\.[\w-]+)+/g, '[email]');
+                    if (set.urls) {
+                        result = result.replace(/\b(https?:\/\/|www\.)[^\s<>"')\]]+/gi, '[url]');
+                    } else if (set.imageUrls) {
+                        result = result.replace(/\bhttps?:\/\/[^\s<>"')\]]+\.(png|jpe?g|webp|gif)(\?[^\s<>"')\]]*)?/gi, '[image]');
+                    }
+                    // UUIDs first: their digit groups would otherwise pass for phone numbers
+                    if (set.uuids) result = result.replace(self.UUID_PATTERN, '[uuid]');
+                    if (set.phones) {
+                        // 9 to 15 digits joined by ().- or single spaces, so a number never spans lines or columns.
+                        // A date followed by an hour ("2024-01-15 10:30") has as many digits, so dates are kept.
+                        result = result.replace(/\+?\(?\d(?:[\d().-]| (?=[\d(+]))*\d/g, function(match) {
+                            if (/^\d{4}-\d{2}-\d{2}(?!\d)|^\d{1,2}[./-]\d{1,2}[./-]\d{2,4}(?!\d)/.test(match)) return match;
+                            var digits = match.replace(/\D/g, '').length;
+                            return digits >= 9 && digits <= 15 ? '[phone]' : match;
+                        });
+                    }
+                    return result;
+                },
+
+                // Copies of API messages with names, texts, image URLs and UUIDs redacted
+                messages: function(messages) {
+                    messages.forEach(function(msg) {
+                        if (msg.character && msg.character.nickname) context.name(msg.character.nickname);
+                    });
+                    return messages.map(function(original) {
+                        var msg = JSON.parse(JSON.stringify(original));
+                        msg.message = context.text(msg.message);
+                        msg.uuid = context.id(msg.uuid);
+                        if (msg.character) {
+                            if (msg.character.nickname) msg.character.nickname = context.name(msg.character.nickname);
+                            msg.character.uuid = context.id(msg.character.uuid);
+                            if (set.imageUrls) delete msg.character.photos;
+                        }
+                        if (Array.isArray(msg.message_variations)) {
+                            msg.message_variations.forEach(function(variation) {
+                                variation.message = context.text(variation.message);
+                                variation.uuid = context.id(variation.uuid);
+                            });
+                        }
+                        if (msg.text_to_image) {
+                            for (var key in msg.text_to_image) {
+                                var value = msg.text_to_image[key];
+                                if (typeof value !== 'string') continue;
+                                if (/^https?:\/\//i.test(value)) {
+                                    if (set.imageUrls) delete msg.text_to_image[key];
+                                } else if (key === 'prompt' || key === 'negative_prompt') {
+                                    msg.text_to_image[key] = context.text(value);
+                                }
+                            }
+                        }
+                        if (Array.isArray(msg.attachments) && set.imageUrls) msg.attachments = [];
+                        return msg;
+                    });
+                },
+
+                // Chat list entry with names renamed and UUIDs replaced
+                chat: function(chat) {
+                    if (!chat) return chat;
+                    var copy = {};
+                    for (var key in chat) copy[key] = chat[key];
+                    copy.uuid = context.id(chat.uuid);
+                    copy.chars = (chat.chars || []).map(function(c) {
+                        return { name: context.name(c.name), uuid: context.id(c.uuid) };
+                    });
+                    if (chat.name) copy.name = context.text(chat.name);
+                    return copy;
+                },
+
+                // /v1/characters response with the name and definition texts redacted
+                character: function(j) {
+                    if (!j) return j;
+                    var copy = {};
+                    var name = j.char_name || j.name;
+                    if (name) context.name(name);
+                    for (var key in j) {
+                        var value = j[key];
+                        if (key === 'char_name' || key === 'name') {
+                            copy[key] = context.name(value);
+                        } else if (typeof value === 'string' && /^https?:\/\//i.test(value)) {
+                            if (!set.imageUrls) copy[key] = value;
+                        } else if (typeof value === 'string') {
+                            copy[key] = set.uuids && key.indexOf('uuid') !== -1 ? context.id(value) : context.text(value);
+                        } else if (key !== 'photos' || !set.imageUrls) {
+                            copy[key] = value;
+                        }
+                    }
+                    return copy;
+                },
+
+                // Page address for the export header; the chat URL contains its UUID
+                source: function() {
+                    return set.uuids ? location.origin : location.href;
+                }
+            };
+            return context;
+        },
+
+        // A message from a cached chat to preview on, or the built-in sample
+        sampleText: function(chats) {
+            for (var i = 0; i < chats.length; i++) {
+                var messages = chatCache.getChatMessages(chats[i].uuid);
+                if (!messages) continue;
+                for (var m = 0; m < messages.length; m++) {
+                    if (messages[m].message && messages[m].message.length >= 40) return messages[m].message.slice(0, 600);
+                }
+            }
+            return this.SAMPLE_TEXT;
+        },
+
+        // Rule set editor with a live preview, shown in place of the chat list
+        show: function(popup, chats, hiddenElements, onClose) {
+            var self = this;
+            var previousDisplay = hiddenElements.map(function(el) { return el.style.display; });
+            hiddenElements.forEach(function(el) { el.style.display = 'none'; });
+
+            var state = this.load();
+            var sampleNames = [];
+            chats.slice(0, 5).forEach(function(chat) {
+                (chat.chars || []).forEach(function(c) {
+                    if (c.name && sampleNames.indexOf(c.name) === -1) sampleNames.push(c.name);
+                });
+            });
+
+            var buttonStyle = 'background: ' + colorScheme.cardBackground + '; color: ' + colorScheme.textPrimary + '; border: 1px solid ' + colorScheme.border + '; border-radius: 8px; padding: 8px 12px; cursor: pointer; font-size: 14px; white-space: nowrap;';
+            var fieldStyle = 'background: ' + colorScheme.background + '; color: ' + colorScheme.textPrimary + '; border: 1px solid ' + colorScheme.border + '; border-radius: 6px; padding: 6px 8px; font-size: 13px; font-family: inherit;';
+            var labelStyle = 'display: flex; flex-direction: column; gap: 4px; color: ' + colorScheme.textPrimary + '; font-size: 13px;';
+            var checkStyle = 'display: flex; align-items: center; gap: 8px; color: ' + colorScheme.textPrimary + '; font-size: 13px; cursor: pointer;';
+            var check = function(key, label) {
+                return '<label style="' + checkStyle + '"><input data-redaction-field="' + key + '" type="checkbox">' + label + '</label>';
+            };
+
+            var view = document.createElement('div');
+            view.style.cssText = 'display: flex; flex-direction: column; gap: 12px; flex: 1 1 auto; min-height: 0;';
+            view.innerHTML =
+                '<div style="display: flex; align-items: center; gap: 12px; flex-wrap: wrap; padding-bottom: 12px; border-bottom: 1px solid ' + colorScheme.border + ';">' +
+                    '<button data-redaction-action="back" style="' + buttonStyle + '">← Back</button>' +
+                    '<span style="color: ' + colorScheme.textPrimary + '; font-weight: 600; font-size: 16px;">Redaction</span>' +
+                    '<label style="' + checkStyle + ' flex: 1;"><input data-redaction-enabled type="checkbox">Redact every export</label>' +
+                    '<select data-redaction-set style="' + fieldStyle + ' font-size: 14px; padding: 8px 10px;"></select>' +
+                    '<button data-redaction-action="save-as" title="Save these rules under a new name" style="' + buttonStyle + '">Save as…</button>' +
+                    '<button data-redaction-action="delete" title="Delete this rule set" style="' + buttonStyle + '">Delete</button>' +
+                '</div>' +
+                '<div style="flex: 1; min-height: 0; overflow-y: auto; display: flex; flex-direction: column; gap: 12px; padding-right: 8px;">' +
+                    ChatStats.cardHtml('Names', '<div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(min(100%, 260px), 1fr)); gap: 10px 24px;">' +
+                        '<label style="' + labelStyle + '">Persona name (replaces "You")<input data-redaction-field="persona" type="text" style="' + fieldStyle + '"></label>' +
+                        '<label style="' + labelStyle + '">Character renames, one "Old = New" per line<textarea data-redaction-field="renames" rows="3" style="' + fieldStyle + ' resize: vertical;"></textarea></label>' +
+                        check('pseudonymize', 'Pseudonymize other characters ("Character 1", "Character 2", ...)') +
+                        '<button data-redaction-action="forget" title="Forget which pseudonym each character got" style="' + buttonStyle + ' justify-self: start; font-size: 13px; padding: 6px 10px;">Reset pseudonyms</button>' +
+                    '</div>') +
+                    ChatStats.cardHtml('Replacement rules', '<label style="' + labelStyle + '">One "find => replace" per line. Plain words match whole words in any case; /pattern/flags is a regular expression ($1 works in the replacement). Without "=>" the match becomes [redacted].' +
+                        '<textarea data-redaction-field="rules" rows="5" placeholder="Portland => [city]&#10;/\\bJane( Doe)?\\b/i => Alex" style="' + fieldStyle + ' resize: vertical; font-family: monospace;"></textarea></label>' +
+                        '<div data-redaction-errors style="color: #f87171; font-size: 12px; margin-top: 6px;"></div>') +
+                    ChatStats.cardHtml('Detectors', '<div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(min(100%, 200px), 1fr)); gap: 10px 24px;">' +
+                        check('emails', 'Email addresses → [email]') +
+                        check('phones', 'Phone numbers → [phone]') +
+                        check('urls', 'All URLs → [url]') +
+                        check('imageUrls', 'Strip image URLs') +
+                        check('uuids', 'Strip UUIDs') +
+                    '</div>') +
+                    ChatStats.cardHtml('Preview', '<label style="' + labelStyle + '">Sample message<textarea data-redaction-sample rows="4" style="' + fieldStyle + ' resize: vertical;"></textarea></label>' +
+                        '<div data-redaction-preview style="margin-top: 10px; color: ' + colorScheme.textPrimary + '; font-size: 13px; line-height: 1.5; white-space: pre-wrap; word-break: break-word;"></div>') +
+                '</div>';
+            popup.appendChild(view);
+
+            var enabledInput = view.querySelector('[data-redaction-enabled]');
+            var setSelect = view.querySelector('[data-redaction-set]');
+            var sampleInput = view.querySelector('[data-redaction-sample]');
+            var preview = view.querySelector('[data-redaction-preview]');
+            var errorsBox = view.querySelector('[data-redaction-errors]');
+            enabledInput.checked = state.enabled === true;
+            sampleInput.value = this.sampleText(chats);
+
+            var fillSets = function() {
+                setSelect.innerHTML = Object.keys(state.sets).map(function(name) {
+                    return '<option>' + Utils.escapeHtml(name) + '</option>';
+                }).join('');
+                setSelect.value = state.active;
+            };
+
+            var fillFields = function() {
+                var set = state.sets[state.active];
+                var fields = view.querySelectorAll('[data-redaction-field]');
+                for (var i = 0; i < fields.length; i++) {
+                    var key = fields[i].getAttribute('data-redaction-field');
+                    if (fields[i].type === 'checkbox') fields[i].checked = !!set[key];
+                    else fields[i].value = set[key] || '';
+                }
+            };
+
+            var updatePreview = function() {
+                var errors = [];
+                // Preview on a copy so trying names here doesn't hand out pseudonyms
+                var set = JSON.parse(JSON.stringify(state.sets[state.active]));
+                var context = self.createContext(null, set, errors);
+                var names = sampleNames.map(function(name) { return name + ' → ' + context.name(name); });
+                errorsBox.textContent = errors.join('\n');
+                preview.innerHTML =
+                    '<div style="color: ' + colorScheme.textSecondary + '; font-size: 12px; margin-bottom: 6px;">' +
+                        Utils.escapeHtml(['You → ' + context.userName].concat(names).join(' · ')) +
+                    '</div>' +
+                    Utils.escapeHtml(context.text(sampleInput.value));
+            };
+
+            var readFields = function() {
+                var set = state.sets[state.active];
+                var fields = view.querySelectorAll('[data-redaction-field]');
+                for (var i = 0; i < fields.length; i++) {
+                    var key = fields[i].getAttribute('data-redaction-field');
+                    set[key] = fields[i].type === 'checkbox' ? fields[i].checked : fields[i].value;
+                }
+                state.enabled = enabledInput.checked;
+                self.save(state);
+            };
+
+            view.addEventListener('input', function(e) {
+                if (e.target === setSelect) return;
+                if (e.target !== sampleInput) readFields();
+                updatePreview();
+            });
+            setSelect.addEventListener('change', function() {
+                state.active = this.value;
+                self.save(state);
+                fillFields();
+                updatePreview();
+            });
+
+            view.addEventListener('click', function(e) {
+                var actionBtn = e.target.closest('[data-redaction-action]');
+                if (!actionBtn) return;
+                var action = actionBtn.getAttribute('data-redaction-action');
+                if (action === 'back') {
+                    if (view.parentNode) view.parentNode.removeChild(view);
+                    hiddenElements.forEach(function(el, i) { el.style.display = previousDisplay[i]; });
+                    if (onClose) onClose();
+                } else if (action === 'save-as') {
+                    var name = (prompt('Name for this rule set:', '') || '').trim();
+                    if (!name) return;
+                    state.sets[name] = JSON.parse(JSON.stringify(state.sets[state.active]));
+                    state.active = name;
+                    self.save(state);
+                    fillSets();
+                } else if (action === 'delete') {
+                    if (Object.keys(state.sets).length <= 1) {
+                        if (!confirm('Reset the only rule set to the defaults?')) return;
+                        state.sets[state.active] = self.defaultSet();
+                    } else {
+                        if (!confirm('Delete the rule set "' + state.active + '"?')) return;
+                        delete state.sets[state.active];
+                        state.active = Object.keys(state.sets)[0];
+                    }
+                    self.save(state);
+                    fillSets();
+                    fillFields();
+                    updatePreview();
+                } else if (action === 'forget') {
+                    state.sets[state.active].pseudonyms = {};
+                    self.save(state);
+                    updatePreview();
+                }
+            });
+
+            fillSets();
+            fillFields();
+            updatePreview();
+        }
+    };
+
+    // ============================================================================
+    // FILE ENCRYPTION MODULE
+    // ============================================================================
+    // Password-protected export files (AES-256-GCM, key from PBKDF2-SHA-256). File layout, all integers big-endian:
+    //   offset 0   8 bytes   magic "HOLLYENC"
+    //   offset 8   1 byte    format version (1)
+    //   offset 9   4 bytes   PBKDF2 iterations
+    //   offset 13  16 bytes  salt
+    //   offset 29  12 bytes  AES-GCM IV
+    //   offset 41  ...       ciphertext + 16-byte tag; the 41 header bytes are the additional authenticated data
+    // The plaintext is a 2-byte file name length, the UTF-8 original file name, then the original file, so the
+    // name (which usually contains the character's name) stays private too.
+    var FileCrypto = {
+        MAGIC: 'HOLLYENC',
+        VERSION: 1,
+        ITERATIONS: 600000,
+        HEADER_SIZE: 41,
+
+        // Password from the footer field when "Encrypt with password" is ticked: null when off, '' when left empty
+        getPassword: function() {
+            var toggle = document.getElementById('holly_encrypt_toggle');
+            if (!toggle || !toggle.checked) return null;
+            var input = document.getElementById('holly_encrypt_password');
+            return input ? input.value : '';
+        },
+
+        deriveKey: function(password, salt, iterations, usage) {
+            return crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveKey']).then(function(material) {
+                return crypto.subtle.deriveKey(
+                    { name: 'PBKDF2', salt: salt, iterations: iterations, hash: 'SHA-256' },
+                    material,
+                    { name: 'AES-GCM', length: 256 },
+                    false,
+                    [usage]
+                );
+            });
+        },
+
+        // Promise of the encrypted Blob
+        encrypt: function(blob, fileName, password) {
+            var self = this;
+            var salt = crypto.getRandomValues(new Uint8Array(16));
+            var iv = crypto.getRandomValues(new Uint8Array(12));
+            var header = new Uint8Array(this.HEADER_SIZE);
+            var view = new DataView(header.buffer);
+            for (var m = 0; m < this.MAGIC.length; m++) header[m] = this.MAGIC.charCodeAt(m);
+            header[8] = this.VERSION;
+            view.setUint32(9, this.ITERATIONS);
+            header.set(salt, 13);
+            header.set(iv, 29);
+
+            var name = new TextEncoder().encode(fileName).slice(0, 0xFFFF);
+            return Promise.all([blob.arrayBuffer(), this.deriveKey(password, salt, this.ITERATIONS, 'encrypt')]).then(function(results) {
+                var data = new Uint8Array(results[0]);
+                var plain = new Uint8Array(2 + name.length + data.length);
+                new DataView(plain.buffer).setUint16(0, name.length);
+                plain.set(name, 2);
+                plain.set(data, 2 + name.length);
+                return crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv, additionalData: header }, results[1], plain);
+            }).then(function(cipher) {
+                return new Blob([header, cipher], { type: 'application/octet-stream' });
+            });
+        },
+
+        isEncrypted: function(bytes) {
+            if (bytes.length < this.HEADER_SIZE + 16) return false;
+            for (var m = 0; m < this.MAGIC.length; m++) {
+                if (bytes[m] !== this.MAGIC.charCodeAt(m)) return false;
+            }
+            return true;
+        },
+
+        // Promise of { blob, fileName }; rejects with a readable message
+        decrypt: function(buffer, password) {
+            var bytes = new Uint8Array(buffer);
+            if (!this.isEncrypted(bytes)) return Promise.reject(new Error('this is not an encrypted export'));
+            if (bytes[8] !== this.VERSION) return Promise.reject(new Error('unsupported format version ' + bytes[8]));
+            var header = bytes.slice(0, this.HEADER_SIZE);
+            var iterations = new DataView(header.buffer).getUint32(9);
+            // The count isn't authenticated until after key derivation, so a damaged header could stall the tab for hours
+            if (iterations < 1 || iterations > this.ITERATIONS * 10) return Promise.reject(new Error('damaged file (' + iterations + ' key iterations)'));
+            var salt = header.slice(13, 29);
+            var iv = header.slice(29, 41);
+            var cipher = bytes.subarray(this.HEADER_SIZE);
+
+            return this.deriveKey(password, salt, iterations, 'decrypt').then(function(key) {
+                return crypto.subtle.decrypt({ name: 'AES-GCM', iv: iv, additionalData: header }, key, cipher);
+            }).then(function(plainBuffer) {
+                var plain = new Uint8Array(plainBuffer);
+                var nameLength = new DataView(plainBuffer).getUint16(0);
+                return {
+                    fileName: new TextDecoder().decode(plain.subarray(2, 2 + nameLength)) || 'decrypted',
+                    blob: new Blob([plain.subarray(2 + nameLength)])
+                };
+            }, function(error) {
+                // AES-GCM can't tell a wrong password from a modified file
+                if (error && error.name === 'OperationError') throw new Error('wrong password or damaged file');
+                throw error;
+            });
+        },
+
+        // Download a finished export, encrypted first when "Encrypt with password" is ticked.
+        // callback(saved) reports whether a file was handed to the browser.
+        save: function(blob, fileName, callback) {
+            var password = this.getPassword();
+            if (password === null) {
+                Utils.download(URL.createObjectURL(blob), fileName);
+                if (callback) callback(true);
+                return;
+            }
+            if (!password) {
+                alert('Enter a password next to "Encrypt with password", or untick it, then export again.');
+                if (callback) callback(false);
+                return;
+            }
+            var encryptedName = Utils.sanitizeFileName(location.hostname + ' encrypted ' + new Date().toISOString().slice(0, 19).replace(/:/g, '-') + ' ' + Math.random().toString(36).slice(2, 6)) + '.enc';
+            this.encrypt(blob, fileName, password).then(function(encrypted) {
+                Utils.download(URL.createObjectURL(encrypted), encryptedName);
+                if (callback) callback(true);
+            }, function(error) {
+                console.error('Error encrypting export:', error);
+                alert('Could not encrypt ' + fileName + ': ' + error.message);
+                if (callback) callback(false);
+            });
+        },
+
+        // "Decrypt file" tool: ask for the password and download the original file
+        decryptFile: function(file) {
+            var self = this;
+            file.arrayBuffer().then(function(buffer) {
+                if (!self.isEncrypted(new Uint8Array(buffer))) throw new Error('this is not an encrypted export');
+                var password = prompt('Password for ' + file.name + ':');
+                if (password === null) return;
+                return self.decrypt(buffer, password).then(function(result) {
+                    Utils.download(URL.createObjectURL(result.blob), result.fileName);
+                });
+            }).catch(function(error) {
+                alert('Could not decrypt ' + file.name + ': ' + error.message + '.');
+            });
+        }
+    };
+
+    // ============================================================================
+    // NETWORK UTILITIES
+    // ============================================================================
+    // Every API request goes through one queue, so bulk jobs (exports, image counts, the "All Images" gallery)
+    // share the same in-flight limit and all back off together when the API answers 429.
+    var API = {
+        MAX_TRIES: 6,
+        DEFAULT_MAX_IN_FLIGHT: 2,
+        queue: [],
+        inFlight: 0,
+        pausedUntil: 0, // Set from Retry-After; nothing new is sent before then
+        pumpTimer: null,
+
+        url: function(path) {
+            return 'https://api.' + location.hostname + '/v1' + path;
+        },
+
+        getMaxInFlight: function() {
+            var saved = parseInt(localStorage.getItem('hollyApiMaxInFlight'), 10);
+            return saved >= 1 && saved <= 6 ? saved : API.DEFAULT_MAX_IN_FLIGHT;
+        },
+
+        setMaxInFlight: function(count) {
+            try {
+                localStorage.setItem('hollyApiMaxInFlight', String(count));
+            } catch (e) {
+                console.error('Error saving request limit:', e);
+            }
+            API.pump();
+        },
+
+        abortError: function() {
+            var error = new Error('Request aborted');
+            error.name = 'AbortError';
+            return error;
+        },
+
+        // Queue a request. Resolves with { status, text, csrf } on 2xx and 404 (callers check the body for
+        // an error), retries 429/5xx with backoff (or for as long as Retry-After says), otherwise rejects with
+        // an Error carrying .status. Aborting options.signal rejects with an AbortError, aborting the XHR if it's running.
+        // options: { body, csrf, signal }; a body makes it a JSON POST.
+        request: function(url, options) {
+            options = options || {};
+            var signal = options.signal;
+            return new Promise(function(resolve, reject) {
+                if (signal && signal.aborted) {
+                    reject(API.abortError());
+                    return;
+                }
+
+                var entry = { url: url, options: options, tries: 0, xhr: null, retryTimer: null, done: false };
+                var onAbort = function() {
+                    entry.finish(null, API.abortError());
+                };
+                entry.finish = function(result, error) {
+                    if (entry.done) return;
+                    entry.done = true;
+                    if (signal) signal.removeEventListener('abort', onAbort);
+                    var queued = API.queue.indexOf(entry);
+                    if (queued !== -1) API.queue.splice(queued, 1);
+                    clearTimeout(entry.retryTimer);
+                    if (entry.xhr) {
+                        // Still running: only happens when aborted
+                        var xhr = entry.xhr;
+                        entry.xhr = null;
+                        xhr.abort();
+                        API.inFlight--;
+                        API.pump();
+                    }
+                    if (error) {
+                        reject(error);
+                    } else {
+                        resolve(result);
+                    }
+                };
+
+                if (signal) signal.addEventListener('abort', onAbort);
+                API.queue.push(entry);
+                API.pump();
+            });
+        },
+
+        // request() and parse the body; rejects on invalid JSON
+        getJSON: function(url, options) {
+            return API.request(url, options).then(function(response) {
+                return response.text ? JSON.parse(response.text) : null;
+            });
+        },
+
+        // Iterate a limit/offset endpoint page by page:
+        //   for await (const page of API.paginate(API.url('/chats'), 'chats')) { page.items, page.offset }
+        // Stops after the first short page; throws if a page fails or has no `key` array.
+        // options: { offset, limit, signal }
+        paginate: async function* (url, key, options) {
+            options = options || {};
+            var limit = options.limit || QUERY_BATCH_SIZE;
+            var offset = options.offset || 0;
+            var separator = url.indexOf('?') === -1 ? '?' : '&';
+            while (true) {
+                var data = await API.getJSON(url + separator + 'limit=' + limit + '&offset=' + offset, { signal: options.signal });
+                if (!data || data.error || !Array.isArray(data[key])) {
+                    throw new Error('Unexpected response for ' + url + ' at offset ' + offset + (data && data.error ? ': ' + JSON.stringify(data.error) : ''));
+                }
+                yield { items: data[key], offset: offset };
+                if (data[key].length < limit) return;
+                offset += limit;
+            }
+        },
+
+        // Start queued requests while there is room, unless a Retry-After is holding the queue
+        pump: function() {
+            clearTimeout(API.pumpTimer);
+            API.pumpTimer = null;
+            var wait = API.pausedUntil - Date.now();
+            if (wait > 0) {
+                API.pumpTimer = setTimeout(API.pump, wait);
+                return;
+            }
+            var maxInFlight = API.getMaxInFlight();
+            while (API.inFlight < maxInFlight && API.queue.length > 0) {
+                API.send(API.queue.shift());
+            }
+        },
+
+        send: function(entry) {
+            var options = entry.options;
+            var xhr = new XMLHttpRequest();
+            entry.xhr = xhr;
+            API.inFlight++;
+
+            xhr.onreadystatechange = function() {
+                if (xhr.readyState !== 4 || entry.xhr !== xhr) return;
+                entry.xhr = null;
+                API.inFlight--;
+                API.handleResponse(entry, xhr);
+                API.pump();
+            };
+
+            try {
+                xhr.withCredentials = true;
+                if (options.body) {
+                    xhr.open('POST', entry.url, true);
+                    if (options.csrf) xhr.setRequestHeader('X-Csrf-Token', options.csrf);
+                    xhr.setRequestHeader('Content-Type', 'application/json');
+                    xhr.send(JSON.stringify(options.body));
+                } else {
+                    xhr.open('GET', entry.url, true);
+                    xhr.send();
+                }
+            } catch (e) {
+                console.error('AJAX exception:', e);
+                entry.xhr = null;
+                API.inFlight--;
+                if (!API.retryLater(entry, null)) entry.finish(null, e);
+            }
+        },
+
+        handleResponse: function(entry, xhr) {
+            var status = xhr.status;
+            if ((status >= 200 && status < 300) || status === 404) {
+                entry.finish({ status: status, text: xhr.responseText, csrf: xhr.getResponseHeader('X-Csrf-Token') });
+                return;
+            }
+
+            if (status === 429 || (status >= 500 && status < 600)) {
+                var retryAfter = status === 429 ? API.parseRetryAfter(xhr.getResponseHeader('Retry-After')) : null;
+                if (retryAfter !== null) {
+                    API.pausedUntil = Math.max(API.pausedUntil, Date.now() + retryAfter);
+                }
+                if (API.retryLater(entry, retryAfter)) return;
+            }
+
+            console.error('AJAX error: HTTP', status, 'URL:', entry.url);
+            var error = new Error('HTTP ' + status);
+            error.status = status;
+            entry.finish(null, error);
+        },
+
+        // Put a failed request back at the front of the queue after `delay` ms (exponential backoff when null).
+        // Returns false once the request is out of tries.
+        retryLater: function(entry, delay) {
+            if (entry.tries >= API.MAX_TRIES) return false;
+            var backoff = delay !== null ? delay : Math.min(2000 * Math.pow(2, entry.tries), 15000); // cap at 15s
+            entry.tries++;
+            console.warn('AJAX retry → waiting', backoff, 'ms for', entry.url);
+            entry.retryTimer = setTimeout(function() {
+                entry.retryTimer = null;
+                if (entry.done) return;
+                API.queue.unshift(entry);
+                API.pump();
+            }, backoff);
+            return true;
+        },
+
+        // Retry-After is either delay-seconds or an HTTP date; null when missing or unreadable
+        parseRetryAfter: function(value) {
+            if (!value) return null;
+            if (/^\s*\d+\s*$/.test(value)) return parseInt(value, 10) * 1000;
+            var date = Date.parse(value);
+            return isNaN(date) ? null : Math.max(0, date - Date.now());
+        },
+
+        // Callback form kept for older code: callback(responseText, csrf, status), or callback(null, null, status) on failure
+        ajax: function(url, post, callback, csrf) {
+            API.request(url, { body: post || null, csrf: csrf }).then(function(response) {
+                if (callback) callback(response.text, response.csrf, response.status);
+            }, function(error) {
+                if (callback) callback(null, null, error.status || 0);
+            });
         }
     }
 
     // Backward compatibility
-    function ajax(url, post, callback, csrf, tries) {
-        return API.ajax(url, post, callback, csrf, tries)
+    function ajax(url, post, callback, csrf) {
+        return API.ajax(url, post, callback, csrf)
     }
 
     // Note: download function is now in Utils module above